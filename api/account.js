@@ -0,0 +1,86 @@
+// api/account.js
+import express from "express";
+import {
+  DELETION_GRACE_DAYS,
+  EXPORT_FORMATS,
+  buildExportArchive,
+  cancelDeletion,
+  collectAccountData,
+  requestDeletion,
+} from "../lib/accountData.js";
+import { denyImpersonation, requireAuth } from "../lib/auth.js";
+import { rateLimit } from "../lib/rateLimit/index.js";
+import { clientInfo } from "../lib/sessions.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+const limitExportsPerUser = rateLimit("data_export", { keyBy: (req) => req.user?.userId || null });
+
+// ============================
+// 1️⃣ Data export
+// GET /api/account/export?format=json|zip
+// Profile, store, products and images, sales, purchases and reviews as a download
+// ============================
+router.get("/export", requireAuth, limitExportsPerUser, async (req, res) => {
+  const format = req.query.format || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+  }
+
+  try {
+    const data = await collectAccountData(req.user.userId);
+    const filename = `storensupply-data-${req.user.userId}-${data.exported_at.slice(0, 10)}`;
+
+    if (format === "zip") {
+      const archive = await buildExportArchive(data);
+      res.attachment(`${filename}.zip`);
+      res.type("application/zip");
+      return res.send(archive);
+    }
+    res.attachment(`${filename}.json`);
+    return res.json(data);
+  } catch (err) {
+    return sendAppError(res, err, "Failed to export account data");
+  }
+});
+
+// ============================
+// 2️⃣ Account deletion
+// POST /api/account/delete — Body: { password, reason? }
+// Deactivates now and deletes everything after the grace period
+// ============================
+router.post("/delete", requireAuth, denyImpersonation, rateLimit("account_deletion"), async (req, res) => {
+  try {
+    const { scheduledFor, imagesRemoved } = await requestDeletion(req.user.userId, {
+      password: req.body?.password,
+      reason: req.body?.reason,
+      ip: clientInfo(req).ip,
+    });
+    console.log(`✅ Account ${req.user.userId} scheduled for deletion on ${scheduledFor}`);
+    res.json({
+      success: true,
+      message: `Your account has been deactivated and will be deleted in ${DELETION_GRACE_DAYS} days`,
+      scheduled_for: scheduledFor,
+      images_removed: imagesRemoved,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to delete account");
+  }
+});
+
+/**
+ * POST /api/account/delete/cancel — Body: { token } from the confirmation email.
+ * No auth: the account is deactivated while deletion is pending.
+ */
+router.post("/delete/cancel", rateLimit("account_deletion"), async (req, res) => {
+  try {
+    const { userId } = await cancelDeletion(req.body?.token);
+    console.log(`✅ Account ${userId} deletion cancelled`);
+    res.json({ success: true, message: "Your account has been restored, you can sign in again" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to cancel account deletion");
+  }
+});
+
+export default router;
@@ -0,0 +1,757 @@
+// api/admin.js
+import express from "express";
+import queryDB, { withTransaction } from "../db.js";
+import { adjustCredits, applyCreditChange, CreditError, getCreditHistory } from "../lib/credits.js";
+import { refundOrder } from "../lib/payments/index.js";
+import { applyPlanChange, getPlanById, getSupplierPlan, quotePlanChange } from "../lib/plans.js";
+import { getReviewById, refreshSupplierRating } from "../lib/reviews.js";
+import { ROLES, requireAdmin, requireAuth } from "../lib/auth.js";
+import { IMPERSONATION_MINUTES, createSession, listActiveSessions, revokeAllSessions } from "../lib/sessions.js";
+import { listLoginEvents } from "../lib/loginHistory.js";
+import { getTwoFactorStatus } from "../lib/twoFactor.js";
+import { buildPublicUrl } from "../lib/ftp.js";
+import { ADMIN_ACTIONS, listAdminActions, recordAdminAction } from "../lib/adminActions.js";
+import { auditFiltersFromQuery, listAuditLog } from "../lib/audit.js";
+import { getPendingDeletion } from "../lib/accountData.js";
+import {
+  getDocumentFile,
+  getVerificationById,
+  listVerifications,
+  reviewVerification,
+} from "../lib/verification.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+const reasonOf = (body) => (body?.reason ? String(body.reason).trim().slice(0, 500) : "");
+
+const getUserById = async (userId) => {
+  const rows = await queryDB(
+    `SELECT id, username, email, role, is_active, whatsapp_number, email_verified_at, date_joined, last_login
+     FROM \`User\` WHERE id = ?`,
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+// ============================
+// Users
+// ============================
+
+/**
+ * GET /api/admin/users
+ * Query: q (id, username, email or store name), role, is_active, limit, offset
+ */
+router.get("/users", async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      const like = `%${q}%`;
+      where.push("(u.id = ? OR u.username LIKE ? OR u.email LIKE ? OR sup.store_name LIKE ?)");
+      params.push(/^\d+$/.test(q) ? Number(q) : 0, like, like, like);
+    }
+    if (req.query.role) {
+      if (!ROLES.includes(req.query.role)) return res.status(400).json({ success: false, message: "Invalid role" });
+      where.push("u.role = ?");
+      params.push(req.query.role);
+    }
+    if (req.query.is_active !== undefined) {
+      where.push("u.is_active = ?");
+      params.push(req.query.is_active === "true" || req.query.is_active === "1" ? 1 : 0);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const fromSql = `FROM \`User\` u
+       LEFT JOIN SellerProfile sp ON sp.user_id = u.id
+       LEFT JOIN SupplierProfile sup ON sup.user_id = u.id
+       ${whereSql}`;
+
+    const users = await queryDB(
+      `SELECT u.id, u.username, u.email, u.role, u.is_active, u.email_verified_at, u.date_joined, u.last_login,
+              sp.id AS seller_profile_id, sp.credits,
+              sup.id AS supplier_profile_id, sup.store_name, sup.plan_id, sup.is_verified
+       ${fromSql}
+       ORDER BY u.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const counts = await queryDB(`SELECT COUNT(*) AS total ${fromSql}`, params);
+
+    res.json({ success: true, users, pagination: { total: Number(counts[0].total), limit, offset } });
+  } catch (err) {
+    console.error("❌ Admin user search error:", err);
+    res.status(500).json({ success: false, message: "Failed to search users" });
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Account, both profiles, security state, recent sign-ins and any scheduled deletion
+ */
+router.get("/users/:id", async (req, res) => {
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    const [sellers, suppliers, sessions, logins, twoFactor, pendingDeletion] = await Promise.all([
+      queryDB(
+        `SELECT id, whatsapp_number, credits, total_credits_used, last_credit_update, location, created_at
+         FROM SellerProfile WHERE user_id = ?`,
+        [user.id]
+      ),
+      queryDB(
+        `SELECT sp.id, sp.store_name, sp.country, sp.whatsapp_number, sp.is_verified, sp.rating, sp.total_products,
+                sp.plan_id, p.name AS plan_name, sp.plan_start, sp.plan_end, sp.created_at
+         FROM SupplierProfile sp LEFT JOIN Plan p ON sp.plan_id = p.id
+         WHERE sp.user_id = ?`,
+        [user.id]
+      ),
+      listActiveSessions(user.id),
+      listLoginEvents(user.id, { limit: 10 }),
+      getTwoFactorStatus(user.id),
+      getPendingDeletion(user.id),
+    ]);
+
+    res.json({
+      success: true,
+      user: { ...user, is_active: Boolean(user.is_active), email_verified: Boolean(user.email_verified_at) },
+      sellerProfile: sellers[0] || null,
+      supplierProfile: suppliers[0] || null,
+      twoFactor,
+      sessions,
+      recentLogins: logins.events,
+      pendingDeletion,
+    });
+  } catch (err) {
+    console.error("❌ Admin user detail error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch user" });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id/status
+ * Body: { is_active: true|false, reason }
+ * Deactivating blocks login and public profiles and signs the user out everywhere.
+ */
+router.patch("/users/:id/status", async (req, res) => {
+  const isActive = req.body?.is_active === true || req.body?.is_active === "true";
+  const reason = reasonOf(req.body);
+  if (typeof req.body?.is_active === "undefined") {
+    return res.status(400).json({ success: false, message: "is_active is required" });
+  }
+  if (!isActive && !reason) {
+    return res.status(400).json({ success: false, message: "A reason is required to deactivate an account" });
+  }
+
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+    if (user.id === req.user.userId) {
+      return res.status(400).json({ success: false, code: "SELF_ACTION", message: "You can't change your own account status" });
+    }
+    if (Boolean(user.is_active) === isActive) {
+      return res.json({ success: true, message: isActive ? "Account is already active" : "Account is already inactive" });
+    }
+
+    await queryDB("UPDATE `User` SET is_active = ? WHERE id = ?", [isActive ? 1 : 0, user.id]);
+    const sessionsRevoked = isActive ? 0 : await revokeAllSessions(user.id, "account_disabled");
+
+    await recordAdminAction(null, {
+      req,
+      action: isActive ? "user_reactivate" : "user_deactivate",
+      targetUserId: user.id,
+      reason: reason || null,
+      details: { sessions_revoked: sessionsRevoked },
+    });
+
+    res.json({
+      success: true,
+      message: isActive ? "Account reactivated" : "Account deactivated",
+      sessions_revoked: sessionsRevoked,
+    });
+  } catch (err) {
+    console.error("❌ Admin user status error:", err);
+    res.status(500).json({ success: false, message: "Failed to update account status" });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * Body: { role, reason }
+ * Takes effect on the user's next request (requireAuth reads the role from the database).
+ */
+router.patch("/users/:id/role", async (req, res) => {
+  const { role } = req.body || {};
+  const reason = reasonOf(req.body);
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(", ")}` });
+  }
+  if (!reason) return res.status(400).json({ success: false, message: "A reason is required" });
+
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+    if (user.id === req.user.userId) {
+      return res.status(400).json({ success: false, code: "SELF_ACTION", message: "You can't change your own role" });
+    }
+    if (user.role === role) return res.json({ success: true, message: `User already has the ${role} role` });
+
+    await queryDB("UPDATE `User` SET role = ? WHERE id = ?", [role, user.id]);
+    await recordAdminAction(null, {
+      req,
+      action: "role_change",
+      targetUserId: user.id,
+      reason,
+      details: { from: user.role, to: role },
+    });
+
+    res.json({ success: true, message: `Role changed from ${user.role} to ${role}`, role });
+  } catch (err) {
+    console.error("❌ Admin role change error:", err);
+    res.status(500).json({ success: false, message: "Failed to change role" });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/impersonate
+ * Body: { reason }
+ * Signs the admin in as the user for support. The session is short-lived, marked with
+ * the admin's id (visible in the user's device list) and can't change the login, email
+ * or 2FA settings of the account.
+ */
+router.post("/users/:id/impersonate", async (req, res) => {
+  const reason = reasonOf(req.body);
+  if (!reason) return res.status(400).json({ success: false, message: "A reason is required to impersonate a user" });
+
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+    if (user.id === req.user.userId || user.role === "admin") {
+      return res.status(400).json({ success: false, code: "CANNOT_IMPERSONATE", message: "Admin accounts can't be impersonated" });
+    }
+    if (!user.is_active) {
+      return res.status(400).json({ success: false, code: "ACCOUNT_DISABLED", message: "Reactivate the account before impersonating it" });
+    }
+
+    const session = await createSession(user, req, { impersonatorId: req.user.userId });
+    await recordAdminAction(null, {
+      req,
+      action: "impersonate",
+      targetUserId: user.id,
+      reason,
+      details: { session_id: session.sessionId, expires_in_minutes: IMPERSONATION_MINUTES },
+    });
+
+    res.json({
+      success: true,
+      message: `Signed in as ${user.username} for ${IMPERSONATION_MINUTES} minutes`,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      sessionId: session.sessionId,
+      user: { id: user.id, username: user.username, email: user.email, role: user.role },
+    });
+  } catch (err) {
+    console.error("❌ Admin impersonation error:", err);
+    res.status(500).json({ success: false, message: "Failed to start impersonation" });
+  }
+});
+
+// ============================
+// Credits
+// ============================
+
+/**
+ * POST /api/admin/credits/:sellerId
+ * Body: { amount, reason, type? }
+ * - positive amount grants credits, negative claws them back
+ * - type defaults to 'grant' / 'adjustment'; 'refund' and 'expiry' may be set explicitly
+ */
+router.post("/credits/:sellerId", async (req, res) => {
+  const { sellerId } = req.params;
+  const { reason } = req.body || {};
+  const amount = Number(req.body?.amount);
+
+  if (!Number.isInteger(amount) || amount === 0) {
+    return res.status(400).json({ success: false, message: "amount must be a non-zero integer" });
+  }
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ success: false, message: "A reason is required" });
+  }
+
+  const type = req.body?.type || (amount > 0 ? "grant" : "adjustment");
+  if (!["grant", "adjustment", "refund", "expiry"].includes(type)) {
+    return res.status(400).json({ success: false, message: "Invalid credit transaction type" });
+  }
+
+  try {
+    const { transactionId, balance } = await adjustCredits({
+      sellerId,
+      type,
+      amount,
+      reason: String(reason).trim(),
+      referenceType: "admin",
+      createdBy: req.user.userId,
+    });
+
+    res.json({
+      success: true,
+      message: amount > 0 ? "Credits granted" : "Credits clawed back",
+      transaction_id: transactionId,
+      credits: balance,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to adjust credits");
+  }
+});
+
+/**
+ * GET /api/admin/credits/:sellerId/history
+ */
+router.get("/credits/:sellerId/history", async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const sellers = await queryDB(
+      `SELECT s.id, s.user_id, s.credits, s.total_credits_used, u.username, u.email
+       FROM SellerProfile s JOIN User u ON s.user_id = u.id
+       WHERE s.id = ?`,
+      [sellerId]
+    );
+    if (sellers.length === 0)
+      return res.status(404).json({ success: false, message: "Seller profile not found" });
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { total, transactions } = await getCreditHistory(sellerId, { limit, offset, type: req.query.type });
+
+    res.json({ success: true, seller: sellers[0], total, limit, offset, transactions });
+  } catch (err) {
+    console.error("❌ Admin credit history error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch credit history" });
+  }
+});
+
+/**
+ * POST /api/admin/credits/:sellerId/reset
+ * Body: { reason, credits? }
+ * Sets the balance to `credits` (default 0) with a single adjustment in the ledger.
+ */
+router.post("/credits/:sellerId/reset", async (req, res) => {
+  const reason = reasonOf(req.body);
+  const target = req.body?.credits === undefined ? 0 : Number(req.body.credits);
+  if (!Number.isInteger(target) || target < 0) {
+    return res.status(400).json({ success: false, message: "credits must be a non-negative integer" });
+  }
+  if (!reason) return res.status(400).json({ success: false, message: "A reason is required" });
+
+  try {
+    const result = await withTransaction(async (conn) => {
+      const [rows] = await conn.query("SELECT id, user_id, credits FROM SellerProfile WHERE id = ? FOR UPDATE", [
+        req.params.sellerId,
+      ]);
+      if (rows.length === 0) throw new CreditError("Seller profile not found", 404, "SELLER_NOT_FOUND");
+
+      const before = Number(rows[0].credits) || 0;
+      if (before === target) return { before, balance: before, transactionId: null };
+
+      const { transactionId, balance } = await applyCreditChange(conn, {
+        sellerId: rows[0].id,
+        type: target > before ? "grant" : "adjustment",
+        amount: target - before,
+        reason: `Reset: ${reason}`,
+        referenceType: "admin",
+        createdBy: req.user.userId,
+      });
+      await recordAdminAction(conn, {
+        req,
+        action: "credits_reset",
+        targetUserId: rows[0].user_id,
+        reason,
+        details: { seller_id: rows[0].id, from: before, to: balance, transaction_id: transactionId },
+      });
+      return { before, balance, transactionId };
+    });
+
+    res.json({
+      success: true,
+      message: result.transactionId ? `Credits reset from ${result.before} to ${result.balance}` : "Balance unchanged",
+      transaction_id: result.transactionId,
+      credits: result.balance,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to reset credits");
+  }
+});
+
+// ============================
+// Suppliers
+// ============================
+
+const getSupplierById = async (supplierId) => {
+  const rows = await queryDB(
+    `SELECT sp.id, sp.user_id, sp.store_name, sp.country, sp.is_verified, sp.total_products,
+            u.username, u.email, u.is_active
+     FROM SupplierProfile sp JOIN \`User\` u ON sp.user_id = u.id
+     WHERE sp.id = ?`,
+    [supplierId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * POST /api/admin/suppliers/:id/plan
+ * Body: { plan_id, plan_end?, reason }
+ * Moves the store to a plan without payment. The period starts now and ends after the
+ * plan's duration, or at `plan_end` when given. Products are paused/restored to fit the
+ * new upload limit like any other plan change.
+ */
+router.post("/suppliers/:id/plan", async (req, res) => {
+  const reason = reasonOf(req.body);
+  if (!req.body?.plan_id) return res.status(400).json({ success: false, message: "plan_id is required" });
+  if (!reason) return res.status(400).json({ success: false, message: "A reason is required" });
+
+  let planEnd;
+  if (req.body?.plan_end) {
+    planEnd = new Date(req.body.plan_end);
+    if (Number.isNaN(planEnd.getTime()) || planEnd <= new Date()) {
+      return res.status(400).json({ success: false, message: "plan_end must be a future date" });
+    }
+  }
+
+  try {
+    const supplier = await getSupplierById(req.params.id);
+    if (!supplier) return res.status(404).json({ success: false, message: "Supplier not found" });
+
+    const target = await getPlanById(req.body.plan_id);
+    if (!target) return res.status(404).json({ success: false, message: "Plan not found or inactive" });
+
+    const current = await getSupplierPlan(supplier.id);
+    const quote = { ...quotePlanChange(current, target), amountDue: 0, changeType: "admin" };
+    if (planEnd) quote.planEnd = planEnd;
+
+    const result = await withTransaction(async (conn) => {
+      const change = await applyPlanChange(conn, { supplierId: supplier.id, plan: target, quote, createdBy: req.user.userId });
+      await recordAdminAction(conn, {
+        req,
+        action: "plan_force",
+        targetUserId: supplier.user_id,
+        targetSupplierId: supplier.id,
+        reason,
+        details: {
+          from_plan_id: current?.plan_id ?? null,
+          to_plan_id: target.id,
+          plan_end: quote.planEnd,
+          plan_change_id: change.planChangeId,
+        },
+      });
+      return change;
+    });
+
+    res.json({
+      success: true,
+      message: `${supplier.store_name} moved to the ${target.name} plan`,
+      plan_start: quote.planStart,
+      plan_end: quote.planEnd,
+      products_paused: result.paused,
+      products_restored: result.restored,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to change plan");
+  }
+});
+
+/**
+ * GET /api/admin/suppliers/:id/products
+ * Query: status (active|out_of_stock), q (title), limit, offset
+ */
+router.get("/suppliers/:id/products", async (req, res) => {
+  try {
+    const supplier = await getSupplierById(req.params.id);
+    if (!supplier) return res.status(404).json({ success: false, message: "Supplier not found" });
+
+    let where = "WHERE store_id = ?";
+    const params = [supplier.id];
+    if (["active", "out_of_stock"].includes(req.query.status)) {
+      where += " AND status = ?";
+      params.push(req.query.status);
+    }
+    if (req.query.q) {
+      where += " AND title LIKE ?";
+      params.push(`%${String(req.query.q).trim()}%`);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const products = await queryDB(
+      `SELECT * FROM Product ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const counts = await queryDB(`SELECT COUNT(*) AS total FROM Product ${where}`, params);
+
+    res.json({
+      success: true,
+      supplier,
+      products: products.map((p) => ({ ...p, main_image: p.main_image ? buildPublicUrl(p.main_image) : null })),
+      pagination: { total: Number(counts[0].total), limit, offset },
+    });
+  } catch (err) {
+    console.error("❌ Admin supplier products error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch products" });
+  }
+});
+
+/**
+ * GET /api/admin/suppliers/:id/sales
+ * Query: start_date, end_date, limit, offset
+ */
+router.get("/suppliers/:id/sales", async (req, res) => {
+  try {
+    const supplier = await getSupplierById(req.params.id);
+    if (!supplier) return res.status(404).json({ success: false, message: "Supplier not found" });
+
+    let where = "WHERE p.store_id = ?";
+    const params = [supplier.id];
+    const { start_date, end_date } = req.query;
+    if (start_date && end_date) {
+      where += " AND ps.sale_date BETWEEN ? AND ?";
+      params.push(start_date, end_date);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const sales = await queryDB(
+      `SELECT ps.*, p.title AS product_title
+       FROM ProductSales ps JOIN Product p ON ps.product_id = p.id
+       ${where}
+       ORDER BY ps.sale_date DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const totals = await queryDB(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(ps.quantity_sold), 0) AS units,
+              COALESCE(SUM(ps.total_sale_amount), 0) AS revenue, COALESCE(SUM(ps.profit), 0) AS profit
+       FROM ProductSales ps JOIN Product p ON ps.product_id = p.id
+       ${where}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      supplier,
+      sales,
+      summary: {
+        units: Number(totals[0].units),
+        revenue: Number(totals[0].revenue),
+        profit: Number(totals[0].profit),
+      },
+      pagination: { total: Number(totals[0].total), limit, offset },
+    });
+  } catch (err) {
+    console.error("❌ Admin supplier sales error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch sales" });
+  }
+});
+
+// ============================
+// Supplier verification (KYC)
+// ============================
+
+const VERIFICATION_STATUSES = ["pending", "approved", "rejected", "revoked", "cancelled"];
+
+/**
+ * GET /api/admin/verifications
+ * Query: status (default pending), limit, offset. Pending requests come oldest first.
+ */
+router.get("/verifications", async (req, res) => {
+  const status = req.query.status === "all" ? null : req.query.status || "pending";
+  if (status && !VERIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: "Invalid status" });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { verifications, total } = await listVerifications({ status, limit, offset });
+    res.json({ success: true, verifications, pagination: { total, limit, offset } });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch verification requests");
+  }
+});
+
+/**
+ * GET /api/admin/verifications/:id
+ * Business details, documents and status history
+ */
+router.get("/verifications/:id", async (req, res) => {
+  try {
+    const verification = await getVerificationById(req.params.id);
+    if (!verification) return res.status(404).json({ success: false, message: "Verification request not found" });
+    res.json({ success: true, verification });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch verification request");
+  }
+});
+
+/**
+ * GET /api/admin/verifications/:id/documents/:documentId
+ */
+router.get("/verifications/:id/documents/:documentId", async (req, res) => {
+  try {
+    const { document, buffer } = await getDocumentFile(req.params.documentId, { verificationId: req.params.id });
+    res.set("Content-Type", document.mime_type);
+    res.set("Content-Disposition", `inline; filename="document-${document.id}"`);
+    res.set("Cache-Control", "private, no-store");
+    res.send(buffer);
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch document");
+  }
+});
+
+/**
+ * POST /api/admin/verifications/:id/review
+ * Body: { decision: approve|reject|revoke, notes }
+ * Notes are shown to the supplier and required unless approving.
+ */
+router.post("/verifications/:id/review", async (req, res) => {
+  try {
+    const { decision, notes } = req.body || {};
+    const verification = await reviewVerification(req.params.id, { decision, notes, reviewerId: req.user.userId });
+    await recordAdminAction(null, {
+      req,
+      action: "verification_review",
+      targetSupplierId: verification.supplier_id,
+      reason: notes ? String(notes).trim().slice(0, 500) : null,
+      details: { verification_id: verification.id, decision, status: verification.status },
+    });
+
+    res.json({ success: true, message: `Verification ${verification.status}`, status: verification.status });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to review verification request");
+  }
+});
+
+// ============================
+// Orders
+// ============================
+
+/**
+ * POST /api/admin/orders/:orderId/refund
+ * Body: { reason }
+ * Refunds through the order's provider and takes back what was delivered.
+ */
+router.post("/orders/:orderId/refund", async (req, res) => {
+  try {
+    const { order, creditsClawedBack, planDowngraded } = await refundOrder(req.params.orderId, {
+      reason: req.body?.reason,
+      refundedBy: req.user.userId,
+    });
+
+    res.json({
+      success: true,
+      message: "Order refunded",
+      order_id: order.id,
+      status: order.status,
+      credits_clawed_back: creditsClawedBack,
+      plan_downgraded: planDowngraded,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to refund order");
+  }
+});
+
+// ============================
+// Reviews
+// ============================
+
+/**
+ * PATCH /api/admin/reviews/:reviewId/visibility
+ * Body: { hidden: true|false, reason }
+ * Hidden reviews disappear from public pages and stop counting towards ratings.
+ */
+router.patch("/reviews/:reviewId/visibility", async (req, res) => {
+  try {
+    const hidden = req.body?.hidden !== false && req.body?.hidden !== "false";
+    if (hidden && (!req.body?.reason || !String(req.body.reason).trim())) {
+      return res.status(400).json({ success: false, message: "A reason is required to hide a review" });
+    }
+
+    const review = await getReviewById(req.params.reviewId);
+    if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+
+    await queryDB(
+      `UPDATE Review SET is_hidden = ?, hidden_reason = ?, hidden_by = ?, hidden_at = ? WHERE id = ?`,
+      hidden
+        ? [1, String(req.body.reason).trim(), req.user.userId, new Date(), review.id]
+        : [0, null, null, null, review.id]
+    );
+    if (review.review_type === "supplier") await refreshSupplierRating(review.store_id);
+
+    res.json({ success: true, message: hidden ? "Review hidden" : "Review restored" });
+  } catch (err) {
+    console.error("❌ Admin review moderation error:", err);
+    res.status(500).json({ success: false, message: "Failed to update review visibility" });
+  }
+});
+
+// ============================
+// Admin activity
+// ============================
+
+/**
+ * GET /api/admin/actions
+ * Query: admin_id, user_id (target), action, limit, offset
+ */
+router.get("/actions", async (req, res) => {
+  try {
+    if (req.query.action && !ADMIN_ACTIONS.includes(req.query.action)) {
+      return res.status(400).json({ success: false, message: "Invalid action" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { actions, total } = await listAdminActions({
+      adminId: req.query.admin_id,
+      targetUserId: req.query.user_id,
+      action: req.query.action,
+      limit,
+      offset,
+    });
+
+    res.json({ success: true, actions, pagination: { total, limit, offset } });
+  } catch (err) {
+    console.error("❌ Admin activity error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch admin activity" });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Change history across stores. Query: store_id, seller_id plus the filters of GET /api/audit
+ */
+router.get("/audit", async (req, res) => {
+  const { filters, error } = auditFiltersFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  try {
+    const { entries, total } = await listAuditLog({
+      ...filters,
+      storeId: req.query.store_id,
+      sellerId: req.query.seller_id,
+    });
+    res.json({ success: true, entries, pagination: { total, limit: filters.limit, offset: filters.offset } });
+  } catch (err) {
+    console.error("❌ Admin audit log error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch audit log" });
+  }
+});
+
+export default router;
@@ -4,9 +4,9 @@ import queryDB from "../db.js"; // use stable queryDB
 import multer from "multer";
 import fs from "fs";
 import path from "path";
-import jwt from "jsonwebtoken";
+import { requireAuth, requireStorePermission } from "../lib/auth.js";
+import { STORE_ALERT_TYPES, getUnreadNotificationCount, listNotifications } from "../lib/notifications.js";
 
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
 const router = express.Router();
 
 // ------------------ Multer setup ------------------
@@ -23,46 +23,20 @@ const storage = multer.diskStorage({
 });
 export const upload = multer({ storage });
 
-// ------------------ Auth Middleware ------------------
-export const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer "))
-      return res.status(401).json({ success: false, message: "No token provided" });
-
-    const token = authHeader.split(" ")[1];
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) return res.status(401).json({ success: false, message: "Invalid or expired token" });
-      req.user = decoded;
-      next();
-    });
-  } catch (error) {
-    return res.status(500).json({ success: false, message: "Server error during token verification" });
-  }
-};
-
-// ------------------ Helper: Get Supplier Profile ID ------------------
-async function getSupplierProfileId(userId) {
-  const rows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ?`, [userId]);
-  return rows[0]?.id || null;
-}
+// Every analytics route is for the caller's own store
+router.use(requireAuth, requireStorePermission("analytics:read"));
 
 // ------------------ Test Token ------------------
-router.get("/test-token", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
-  const supplierId = await getSupplierProfileId(userId);
-  res.json({ success: true, decoded_user: req.user, user_id: userId, supplier_profile_id: supplierId });
+router.get("/test-token", async (req, res) => {
+  res.json({ success: true, decoded_user: req.user, user_id: req.user.userId, supplier_profile_id: req.supplierProfile.id });
 });
 
 // ============================
 // 1️⃣ Overall KPIs
 // ============================
-router.get("/kpis", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/kpis", async (req, res) => {
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) 
-      return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const rows = await queryDB(
       `SELECT 
@@ -88,13 +62,11 @@ router.get("/kpis", verifyToken, async (req, res) => {
 // ============================
 // 2️⃣ Sales Trend
 // ============================
-router.get("/sales-trend", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/sales-trend", async (req, res) => {
   const period = parseInt(req.query.period) || 30;
 
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const rows = await queryDB(
       `SELECT 
@@ -119,12 +91,10 @@ router.get("/sales-trend", verifyToken, async (req, res) => {
 // ============================
 // 3️⃣ Top Products & Categories
 // ============================
-router.get("/top-products", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/top-products", async (req, res) => {
 
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const bestSelling = await queryDB(
       `SELECT p.id, p.title, IFNULL(SUM(ps.quantity_sold), 0) AS total_quantity
@@ -168,11 +138,9 @@ router.get("/top-products", verifyToken, async (req, res) => {
 // ============================
 // 4️⃣ Inventory
 // ============================
-router.get("/inventory", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/inventory", async (req, res) => {
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const rows = await queryDB(
       `SELECT id, title, stock_quantity,
@@ -198,16 +166,9 @@ router.get("/inventory", verifyToken, async (req, res) => {
 // ============================
 // 5️⃣ Profit Insights
 // ============================
-router.get("/profit-insights", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/profit-insights", async (req, res) => {
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) {
-      return res.status(404).json({
-        success: false,
-        message: "Supplier profile not found"
-      });
-    }
+    const supplierId = req.supplierProfile.id;
 
     // ✅ Highest profit margin product with main image
     const highestMargin = await queryDB(
@@ -252,12 +213,10 @@ router.get("/profit-insights", verifyToken, async (req, res) => {
 // ============================
 // 6️⃣ Forecast & Recommended Stock
 // ============================
-router.get("/forecast", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/forecast", async (req, res) => {
   const period = parseInt(req.query.period) || 30;
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const sales = await queryDB(
       `SELECT p.id, p.title,
@@ -290,11 +249,9 @@ router.get("/forecast", verifyToken, async (req, res) => {
 // ============================
 // 7️⃣ Alerts
 // ============================
-router.get("/alerts", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/alerts", async (req, res) => {
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const lowStock = await queryDB(`SELECT id, title, stock_quantity FROM Product WHERE store_id = ? AND stock_quantity < 5 AND stock_quantity > 0`, [supplierId]);
     const outOfStock = await queryDB(`SELECT id, title FROM Product WHERE store_id = ? AND stock_quantity = 0`, [supplierId]);
@@ -307,15 +264,39 @@ router.get("/alerts", verifyToken, async (req, res) => {
   }
 });
 
+// ============================
+// 7️⃣ Alerts: persisted feed
+// The store's persisted stock and plan notifications (see STORE_ALERT_TYPES), the same
+// rows /api/notifications lists and marks read. ?unread=true, ?limit=, ?offset=
+// ============================
+router.get("/alerts/feed", async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = parseInt(req.query.offset) || 0;
+  try {
+    // store alerts are addressed to the owner, team members see the same list
+    const ownerId = req.supplierProfile.user_id;
+
+    const { notifications, total } = await listNotifications(ownerId, {
+      limit,
+      offset,
+      unreadOnly: req.query.unread === "true",
+      types: STORE_ALERT_TYPES,
+    });
+    const unread = await getUnreadNotificationCount(ownerId, { types: STORE_ALERT_TYPES });
+
+    res.json({ alerts: notifications, unread, pagination: { total, limit, offset } });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 // ============================
 // 8️⃣ Sales Heatmap
 // ============================
-router.get("/heatmap", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/heatmap", async (req, res) => {
   const period = parseInt(req.query.period) || 30;
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const daily = await queryDB(
       `SELECT DATE_FORMAT(ps.sale_date, '%W') AS day, SUM(ps.total_sale_amount) AS total_sales
@@ -346,13 +327,11 @@ router.get("/heatmap", verifyToken, async (req, res) => {
 // ============================
 // 9️⃣ Export / Reporting
 // ============================
-router.get("/export", verifyToken, async (req, res) => {
-  const userId = req.user.userId;
+router.get("/export", async (req, res) => {
   const { start, end, type = "json" } = req.query;
 
   try {
-    const supplierId = await getSupplierProfileId(userId);
-    if (!supplierId) return res.status(404).json({ success: false, message: "Supplier profile not found" });
+    const supplierId = req.supplierProfile.id;
 
     const kpis = await queryDB(
       `SELECT IFNULL(SUM(p.supplier_purchase_price * ps.quantity_sold),0) AS total_investment,
@@ -0,0 +1,25 @@
+// api/audit.js
+import express from "express";
+import { auditFiltersFromQuery, listAuditLog } from "../lib/audit.js";
+import { requireAuth, requireStorePermission } from "../lib/auth.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * Change history of the active store (owner only)
+ */
+router.get("/", requireAuth, requireStorePermission("audit:read"), async (req, res) => {
+  const { filters, error } = auditFiltersFromQuery(req.query);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  try {
+    const { entries, total } = await listAuditLog({ ...filters, storeId: req.supplierProfile.id });
+    res.json({ success: true, entries, pagination: { total, limit: filters.limit, offset: filters.offset } });
+  } catch (err) {
+    console.error("❌ Audit log error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch audit log" });
+  }
+});
+
+export default router;
@@ -2,20 +2,47 @@
 import express from "express";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import queryDB from "../db.js"; // <-- use the stable query helper
-import nodemailer from "nodemailer";
+import queryDB, { withTransaction } from "../db.js"; // <-- use the stable query helper
+import { applyCreditChange, SIGNUP_CREDITS } from "../lib/credits.js";
+import { queueEmail } from "../lib/mail/index.js";
+import {
+  EMAIL_REGEX,
+  consumeEmailToken,
+  requestEmailChange,
+  sendVerificationEmail,
+} from "../lib/emailVerification.js";
+import {
+  TwoFactorError,
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  regenerateRecoveryCodes,
+  signChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+} from "../lib/twoFactor.js";
+import {
+  clearLoginFailures,
+  getLoginLock,
+  rateLimit,
+  recordLoginFailure,
+  sendRateLimited,
+} from "../lib/rateLimit/index.js";
+import { describeDevice, listLoginEvents, recordLoginEvent } from "../lib/loginHistory.js";
+import { denyImpersonation, requireAuth } from "../lib/auth.js";
+import {
+  createSession,
+  listActiveSessions,
+  revokeAllSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  rotateRefreshToken,
+} from "../lib/sessions.js";
+import { sendAppError } from "../lib/errors.js";
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
-// ---------------------------
-// Email Transporter (Nodemailer)
-// ---------------------------
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
 
 /**
  * Helper: centralized DB error responder
@@ -39,7 +66,7 @@ const handleDBError = (res, err) => {
 /**
  * SIGNUP
  */
-router.post("/signup", async (req, res) => {
+router.post("/signup", rateLimit("signup"), async (req, res) => {
   const { username, email, password, whatsapp_number, location, country } = req.body;
 
   if (!username || !email || !password) {
@@ -49,6 +76,13 @@ router.post("/signup", async (req, res) => {
     });
   }
 
+  if (!EMAIL_REGEX.test(email)) {
+    return res.status(400).json({
+      success: false,
+      message: "A valid email address is required",
+    });
+  }
+
   try {
     // check existing user
     const existingUsers = await queryDB(
@@ -64,30 +98,41 @@ router.post("/signup", async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // create user
-   const userResult = await queryDB(
-  `INSERT INTO \`User\` (username, email, password, role, whatsapp_number, date_joined, last_login)
-   VALUES (?, ?, ?, 'seller', ?, NOW(), NOW())`,
-  [username, email, hashedPassword, whatsapp_number || null]
-);
+    // user, seller profile and signup bonus are created together, so an account never misses its credits
+    const userId = await withTransaction(async (conn) => {
+      const [userResult] = await conn.query(
+        `INSERT INTO \`User\` (username, email, password, role, whatsapp_number, date_joined, last_login)
+         VALUES (?, ?, ?, 'seller', ?, NOW(), NOW())`,
+        [username, email, hashedPassword, whatsapp_number || null]
+      );
 
+      // credits start at 0, the signup bonus goes through the ledger
+      const [sellerResult] = await conn.query(
+        `INSERT INTO SellerProfile
+         (user_id, whatsapp_number, credits, total_credits_used, last_credit_update, location, created_at, updated_at)
+         VALUES (?, ?, 0, 0, NOW(), ?, NOW(), NOW())`,
+        [userResult.insertId, whatsapp_number || null, location || null]
+      );
 
-    const userId = userResult.insertId;
+      await applyCreditChange(conn, {
+        sellerId: sellerResult.insertId,
+        type: "grant",
+        amount: SIGNUP_CREDITS,
+        reason: "Signup bonus",
+      });
+      return userResult.insertId;
+    });
 
-    // create seller profile
-    await queryDB(
-      `INSERT INTO SellerProfile 
-       (user_id, whatsapp_number, credits, total_credits_used, last_credit_update, location, created_at, updated_at)
-       VALUES (?, ?, 3, 0, NOW(), ?, NOW(), NOW())`,
-      [userId, whatsapp_number || null, location || null]
-    );
+    // the welcome email follows once the address is confirmed
+    try {
+      await sendVerificationEmail(userId, { checkCooldown: false });
+    } catch (mailErr) {
+      console.error("❌ Failed to send verification email:", mailErr);
+    }
 
-    // generate token
-    const token = jwt.sign(
-      { userId, username, email, role: "seller" },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // start a session: short-lived access token + refresh token
+    const session = await createSession({ id: userId, username, email, role: "seller" }, req);
+    await recordLoginEvent({ userId, req, success: true, method: "signup", sessionId: session.sessionId });
 
     // fetch seller profile to return
     const sellerProfiles = await queryDB(
@@ -98,14 +143,17 @@ router.post("/signup", async (req, res) => {
 
     return res.status(201).json({
       success: true,
-      message: "User registered successfully as Seller",
-      token,
+      message: "User registered successfully as Seller. Check your inbox to verify your email.",
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         id: userId,
         username,
         email,
         role: "seller",
         whatsapp_number,
+        email_verified: false,
       },
       sellerProfile,
     });
@@ -117,32 +165,12 @@ router.post("/signup", async (req, res) => {
 /**
  * VERIFY TOKEN - returns user + profiles
  */
-router.get("/verify", async (req, res) => {
+router.get("/verify", requireAuth, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "No token provided",
-      });
-    }
-
-    let decoded;
-    try {
-      decoded = jwt.verify(token, JWT_SECRET);
-    } catch (jwtErr) {
-      console.error("JWT verify error:", jwtErr);
-      return res.status(401).json({
-        success: false,
-        message: "Invalid or expired token",
-        error: jwtErr.message,
-      });
-    }
-
     // fetch user
     const users = await queryDB(
-      "SELECT id, username, email, role, whatsapp_number FROM `User` WHERE id = ? AND is_active = TRUE",
-      [decoded.userId]
+      "SELECT id, username, email, role, whatsapp_number, email_verified_at FROM `User` WHERE id = ? AND is_active = TRUE",
+      [req.user.userId]
     );
 
     if (!users || users.length === 0) {
@@ -187,6 +215,7 @@ router.get("/verify", async (req, res) => {
         email: user.email,
         role: user.role,
         whatsapp_number: user.whatsapp_number,
+        email_verified: Boolean(user.email_verified_at),
       },
       sellerProfile,
       supplierProfile,
@@ -196,10 +225,79 @@ router.get("/verify", async (req, res) => {
   }
 });
 
+/**
+ * Final login step (password, plus 2FA when enabled): session + profiles
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  // update last login
+  await queryDB("UPDATE `User` SET last_login = NOW() WHERE id = ?", [user.id]);
+
+  // start a session: short-lived access token + refresh token
+  const session = await createSession(user, req);
+  await recordLoginEvent({
+    userId: user.id,
+    req,
+    success: true,
+    method: extra.twoFactorMethod || "password",
+    sessionId: session.sessionId,
+  });
+
+  // fetch profiles
+  let sellerProfile = null;
+  let supplierProfile = null;
+
+  if (user.role === "seller" || user.role === "both") {
+    const seller = await queryDB(
+      `SELECT id, user_id, whatsapp_number, credits, total_credits_used, last_credit_update, location, created_at, updated_at
+       FROM SellerProfile WHERE user_id = ?`,
+      [user.id]
+    );
+    sellerProfile = (seller && seller[0]) || null;
+  }
+
+  if (user.role === "supplier" || user.role === "both") {
+    const supplier = await queryDB(
+      `SELECT id, user_id, store_name, store_description, whatsapp_number, logo, plan_id, plan_start, plan_end,
+              is_verified, rating, total_products, country, created_at, updated_at
+       FROM SupplierProfile WHERE user_id = ?`,
+      [user.id]
+    );
+    supplierProfile = (supplier && supplier[0]) || null;
+  }
+
+  return res.json({
+    success: true,
+    message: "Login successful",
+    ...extra,
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      whatsapp_number: user.whatsapp_number,
+      date_joined: user.date_joined,
+      email_verified: Boolean(user.email_verified_at),
+    },
+    sellerProfile,
+    supplierProfile,
+  });
+};
+
 /**
  * LOGIN
  */
-router.post("/login", async (req, res) => {
+const sendAccountLocked = (res, retryAfter) =>
+  sendRateLimited(
+    res,
+    retryAfter,
+    `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    "ACCOUNT_LOCKED"
+  );
+
+router.post("/login", rateLimit("login"), async (req, res) => {
   const { email, password } = req.body;
   if (!email || !password) {
     return res.status(400).json({
@@ -209,92 +307,94 @@ router.post("/login", async (req, res) => {
   }
 
   try {
+    // failed attempts are counted per typed email, whether or not the account exists
+    const lockedFor = await getLoginLock(email);
+    if (lockedFor > 0) return sendAccountLocked(res, lockedFor);
+
     const users = await queryDB(
       "SELECT * FROM `User` WHERE email = ? AND is_active = TRUE",
       [email]
     );
 
-    if (!users || users.length === 0) {
+    const user = users && users[0];
+    const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
+
+    if (!isPasswordValid) {
+      if (user) await recordLoginEvent({ userId: user.id, req, success: false, failureReason: "bad_password" });
+      const lockSeconds = await recordLoginFailure(email);
+      if (lockSeconds > 0) return sendAccountLocked(res, lockSeconds);
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    const user = users[0];
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid email or password",
+    // second step required: no session until the code is checked
+    if (await isTwoFactorEnabled(user.id)) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: "Enter the code from your authenticator app",
+        challengeToken: signChallengeToken(user.id),
       });
     }
 
-    // update last login
-    await queryDB("UPDATE `User` SET last_login = NOW() WHERE id = ?", [user.id]);
+    await clearLoginFailures(email);
+    return await completeLogin(req, res, user);
+  } catch (err) {
+    return handleDBError(res, err);
+  }
+});
 
-    // generate token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+/**
+ * LOGIN - second step for accounts with 2FA
+ * Body: { challengeToken, code } — code is an authenticator code or a recovery code
+ */
+router.post("/login/2fa", rateLimit("two_factor"), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const userId = verifyChallengeToken(challengeToken);
+    if (!code) return res.status(400).json({ success: false, message: "code is required" });
 
-    // fetch profiles
-    let sellerProfile = null;
-    let supplierProfile = null;
+    const users = await queryDB("SELECT * FROM `User` WHERE id = ? AND is_active = TRUE", [userId]);
+    const user = users[0];
+    if (!user) return res.status(401).json({ success: false, message: "Invalid email or password" });
 
-    if (user.role === "seller" || user.role === "both") {
-      const seller = await queryDB(
-        `SELECT id, user_id, whatsapp_number, credits, total_credits_used, last_credit_update, location, created_at, updated_at
-         FROM SellerProfile WHERE user_id = ?`,
-        [user.id]
-      );
-      sellerProfile = (seller && seller[0]) || null;
-    }
+    // wrong codes count towards the same lockout as wrong passwords
+    const lockedFor = await getLoginLock(user.email);
+    if (lockedFor > 0) return sendAccountLocked(res, lockedFor);
 
-    if (user.role === "supplier" || user.role === "both") {
-      const supplier = await queryDB(
-        `SELECT id, user_id, store_name, store_description, whatsapp_number, logo, plan_id, plan_start, plan_end,
-                is_verified, rating, total_products, country, created_at, updated_at
-         FROM SupplierProfile WHERE user_id = ?`,
-        [user.id]
-      );
-      supplierProfile = (supplier && supplier[0]) || null;
+    let method;
+    try {
+      method = await verifySecondFactor(userId, code);
+    } catch (err) {
+      if (err instanceof TwoFactorError && err.status === 401) {
+        await recordLoginEvent({ userId, req, success: false, failureReason: "bad_2fa_code" });
+        const lockSeconds = await recordLoginFailure(user.email);
+        if (lockSeconds > 0) return sendAccountLocked(res, lockSeconds);
+      }
+      throw err;
     }
 
-    return res.json({
-      success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        whatsapp_number: user.whatsapp_number,
-        date_joined: user.date_joined,
-      },
-      sellerProfile,
-      supplierProfile,
-    });
+    await clearLoginFailures(user.email);
+    return await completeLogin(req, res, user, { twoFactorMethod: method });
   } catch (err) {
-    return handleDBError(res, err);
+    return sendAppError(res, err, handleDBError);
   }
 });
+
 /**
  * ----------------------------
  * FORGOT PASSWORD
  * ----------------------------
- * Request a password reset link (sent to email)
+ * Request a password reset link (sent to email).
+ * Always answers the same way so it can't be used to find out which emails have accounts.
  */
-router.post("/forgot-password", async (req, res) => {
+const FORGOT_PASSWORD_MESSAGE = "If an account exists for this email, a password reset link has been sent";
+
+const limitResetPerAccount = rateLimit("password_reset_account", { keyBy: (req) => req.body?.email || null });
+
+router.post("/forgot-password", rateLimit("password_reset"), limitResetPerAccount, async (req, res) => {
   const { email } = req.body;
 
   if (!email) {
@@ -307,9 +407,9 @@ router.post("/forgot-password", async (req, res) => {
   try {
     const users = await queryDB("SELECT id, email, username FROM `User` WHERE email = ?", [email]);
     if (!users || users.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "No account found with this email",
+      return res.json({
+        success: true,
+        message: FORGOT_PASSWORD_MESSAGE,
       });
     }
 
@@ -317,7 +417,7 @@ router.post("/forgot-password", async (req, res) => {
 
     // generate a short-lived reset token (15 min expiry)
     const resetToken = jwt.sign(
-      { userId: user.id, email: user.email },
+      { userId: user.id, email: user.email, purpose: "password_reset" },
       JWT_SECRET,
       { expiresIn: "15m" }
     );
@@ -325,48 +425,17 @@ router.post("/forgot-password", async (req, res) => {
     // construct reset link
     const resetLink = `${process.env.FRONTEND_URL || "https://storensupply.com"}/reset-password?token=${resetToken}`;
 
-    /**
-     * 📨 TODO: Send email via Nodemailer or any service
-     * For now, we'll return it for testing purposes.
-     */
-    // ---------------------------
-// Send Password Reset Email
-// ---------------------------
-const mailOptions = {
-  from: process.env.EMAIL_FROM,
-  to: email,
-  subject: "Password Reset Request - Storensupply",
-  html: `
-    <div style="font-family: Arial, sans-serif; color: #333;">
-      <h2>Storensupply Password Reset</h2>
-      <p>Hi ${user.username || "there"},</p>
-      <p>You requested to reset your password. Please click the link below to set a new password:</p>
-      <p><a href="${resetLink}" style="color: #1a73e8;">Reset Password</a></p>
-      <p><b>Note:</b> This link will expire in 15 minutes.</p>
-      <p>If you didn’t request this, please ignore this email.</p>
-      <br/>
-      <p>— Storensupply Support</p>
-    </div>
-  `,
-};
-
-try {
-  await transporter.sendMail(mailOptions);
-  console.log(`✅ Password reset email sent to ${email}`);
-
-  return res.json({
-    success: true,
-    message: "Password reset email sent successfully",
-  });
-} catch (emailErr) {
-  console.error("❌ Email sending error:", emailErr);
-  return res.status(500).json({
-    success: false,
-    message: "Failed to send password reset email",
-    error: emailErr.message,
-  });
-}
+    // queued in the outbox: a mail server hiccup is retried by the cron instead of failing here
+    await queueEmail(null, {
+      userId: user.id,
+      template: "password_reset",
+      data: { resetLink, expiresInMinutes: 15 },
+    });
 
+    return res.json({
+      success: true,
+      message: FORGOT_PASSWORD_MESSAGE,
+    });
   } catch (err) {
     return handleDBError(res, err);
   }
@@ -378,7 +447,7 @@ try {
  * ----------------------------
  * Use the reset token to set a new password
  */
-router.post("/reset-password", async (req, res) => {
+router.post("/reset-password", rateLimit("password_reset"), async (req, res) => {
   const { token, newPassword } = req.body;
 
   if (!token || !newPassword) {
@@ -392,6 +461,8 @@ router.post("/reset-password", async (req, res) => {
     let decoded;
     try {
       decoded = jwt.verify(token, JWT_SECRET);
+      // access tokens are signed with the same secret; only reset links count here
+      if (decoded.purpose !== "password_reset") throw new Error("not a password reset token");
     } catch (jwtErr) {
       return res.status(400).json({
         success: false,
@@ -417,6 +488,9 @@ router.post("/reset-password", async (req, res) => {
       decoded.userId,
     ]);
 
+    // whoever had the old password is signed out everywhere
+    await revokeAllSessions(decoded.userId, "password_reset");
+
     return res.json({
       success: true,
       message: "Password has been reset successfully",
@@ -426,4 +500,254 @@ router.post("/reset-password", async (req, res) => {
   }
 });
 
+/**
+ * ----------------------------
+ * REFRESH
+ * ----------------------------
+ * Body: { refreshToken } -> new { token, refreshToken, expiresIn }.
+ * The old refresh token stops working immediately.
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const session = await rotateRefreshToken(req.body?.refreshToken, req);
+    return res.json({
+      success: true,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * ----------------------------
+ * LOGOUT
+ * ----------------------------
+ * Ends the current session. Works with the refresh token in the body,
+ * the access token in the Authorization header, or both.
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    let revoked = false;
+    if (refreshToken) revoked = await revokeSessionByRefreshToken(refreshToken, "logout");
+
+    const accessToken = req.headers.authorization?.split(" ")[1];
+    if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, JWT_SECRET);
+        if (decoded.sid) revoked = (await revokeSession(decoded.sid, decoded.userId, "logout")) || revoked;
+      } catch (jwtErr) {
+        // an expired access token is fine here, the refresh token is what matters
+      }
+    }
+
+    return res.json({ success: true, message: revoked ? "Logged out" : "Already logged out" });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * ----------------------------
+ * LOGOUT ALL DEVICES
+ * ----------------------------
+ * Requires a valid access token. Body: { keepCurrent?: boolean }
+ */
+router.post("/logout-all", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const keepCurrent = req.body?.keepCurrent === true;
+    const revoked = await revokeAllSessions(req.user.userId, "logout_all", {
+      exceptSessionId: keepCurrent ? req.user.sid : null,
+    });
+    return res.json({ success: true, message: `Logged out of ${revoked} session(s)`, revoked });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * ----------------------------
+ * LOGIN HISTORY & DEVICES
+ * ----------------------------
+ * GET    /login-history   ?limit=&offset= — recent sign-ins and failed attempts
+ * GET    /sessions        signed-in devices, `current` marks the caller's
+ * DELETE /sessions/:id    sign one device out
+ */
+router.get("/login-history", requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const { events, total } = await listLoginEvents(req.user.userId, { limit, offset });
+    return res.json({ success: true, events, pagination: { total, limit, offset } });
+  } catch (err) {
+    return handleDBError(res, err);
+  }
+});
+
+router.get("/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.userId);
+    return res.json({
+      success: true,
+      sessions: sessions.map((s) => ({
+        ...s,
+        device: describeDevice(s.user_agent),
+        current: s.id === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    return handleDBError(res, err);
+  }
+});
+
+router.delete("/sessions/:id", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const revoked = await revokeSession(Number(req.params.id), req.user.userId, "revoked_by_user");
+    if (!revoked) return res.status(404).json({ success: false, message: "Session not found" });
+    return res.json({ success: true, message: "Device signed out" });
+  } catch (err) {
+    return handleDBError(res, err);
+  }
+});
+
+/**
+ * ----------------------------
+ * EMAIL VERIFICATION
+ * ----------------------------
+ * POST /verify-email            Body: { token } — from the signup or change-email link
+ * POST /resend-verification     (auth) — one email per cooldown window
+ * POST /change-email            (auth) Body: { newEmail, password } — the switch happens when the link is opened
+ */
+router.post("/verify-email", rateLimit("email_verification"), async (req, res) => {
+  try {
+    const { purpose, email } = await consumeEmailToken(req.body?.token || req.query.token);
+    return res.json({
+      success: true,
+      message: purpose === "change_email" ? "Your email address has been changed" : "Email verified successfully",
+      email,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+router.post("/resend-verification", requireAuth, denyImpersonation, rateLimit("email_verification"), async (req, res) => {
+  try {
+    await sendVerificationEmail(req.user.userId);
+    return res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+router.post("/change-email", requireAuth, denyImpersonation, rateLimit("email_verification"), async (req, res) => {
+  const { newEmail, password } = req.body || {};
+  if (!newEmail || !password) {
+    return res.status(400).json({ success: false, message: "newEmail and password are required" });
+  }
+
+  try {
+    const users = await queryDB("SELECT id, password FROM `User` WHERE id = ? AND is_active = TRUE", [req.user.userId]);
+    if (!users[0]) return res.status(404).json({ success: false, message: "User not found" });
+
+    const isPasswordValid = await bcrypt.compare(password, users[0].password);
+    if (!isPasswordValid) return res.status(401).json({ success: false, message: "Password is incorrect" });
+
+    const email = await requestEmailChange(req.user.userId, newEmail);
+    return res.json({
+      success: true,
+      message: `We sent a confirmation link to ${email}. Your email changes once you open it.`,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * ----------------------------
+ * TWO-FACTOR AUTHENTICATION (TOTP)
+ * ----------------------------
+ * GET  /2fa                  status
+ * POST /2fa/enroll           -> { secret, otpauthUri } for the authenticator app
+ * POST /2fa/confirm          Body: { code } -> turns 2FA on, returns recovery codes once
+ * POST /2fa/recovery-codes   Body: { code } -> new recovery codes, old ones stop working
+ * POST /2fa/disable          Body: { password, code }
+ */
+// code guessing is limited per account, on top of per IP
+const limitCodeAttempts = rateLimit("two_factor", { keyBy: (req) => `user:${req.user.userId}` });
+
+router.get("/2fa", requireAuth, async (req, res) => {
+  try {
+    return res.json({ success: true, twoFactor: await getTwoFactorStatus(req.user.userId) });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+router.post("/2fa/enroll", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const users = await queryDB("SELECT id, email FROM `User` WHERE id = ? AND is_active = TRUE", [req.user.userId]);
+    if (!users[0]) return res.status(404).json({ success: false, message: "User not found" });
+
+    const { secret, otpauthUri } = await beginEnrollment(users[0]);
+    return res.json({
+      success: true,
+      message: "Add this secret to your authenticator app, then confirm with a code",
+      secret,
+      otpauthUri,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+router.post("/2fa/confirm", requireAuth, denyImpersonation, limitCodeAttempts, async (req, res) => {
+  try {
+    if (!req.body?.code) return res.status(400).json({ success: false, message: "code is required" });
+    const recoveryCodes = await confirmEnrollment(req.user.userId, req.body.code);
+    return res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe, they won't be shown again.",
+      recoveryCodes,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+router.post("/2fa/recovery-codes", requireAuth, denyImpersonation, limitCodeAttempts, async (req, res) => {
+  try {
+    if (!req.body?.code) return res.status(400).json({ success: false, message: "code is required" });
+    await verifySecondFactor(req.user.userId, req.body.code);
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.userId);
+    return res.json({ success: true, message: "New recovery codes generated", recoveryCodes });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+router.post("/2fa/disable", requireAuth, denyImpersonation, limitCodeAttempts, async (req, res) => {
+  const { password, code } = req.body || {};
+  if (!password || !code) {
+    return res.status(400).json({ success: false, message: "password and code are required" });
+  }
+
+  try {
+    const users = await queryDB("SELECT id, password FROM `User` WHERE id = ? AND is_active = TRUE", [req.user.userId]);
+    if (!users[0]) return res.status(404).json({ success: false, message: "User not found" });
+
+    const isPasswordValid = await bcrypt.compare(password, users[0].password);
+    if (!isPasswordValid) return res.status(401).json({ success: false, message: "Password is incorrect" });
+
+    await verifySecondFactor(req.user.userId, code);
+    await disableTwoFactor(req.user.userId);
+    return res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
 export default router;
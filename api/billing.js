@@ -0,0 +1,55 @@
+// api/billing.js
+import express from "express";
+import { getInvoiceForUser, getInvoicesForUser, renderInvoicePdf } from "../lib/invoices.js";
+import { requireAuth } from "../lib/auth.js";
+
+const router = express.Router();
+
+// ============================
+// 1️⃣ List my invoices
+// ============================
+router.get("/invoices", requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const invoices = await getInvoicesForUser(req.user.userId, { limit, offset });
+    res.json({ success: true, invoices });
+  } catch (err) {
+    console.error("❌ List invoices error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch invoices", error: err.message });
+  }
+});
+
+// ============================
+// 2️⃣ Single invoice (JSON)
+// ============================
+router.get("/invoices/:id", requireAuth, async (req, res) => {
+  try {
+    const invoice = await getInvoiceForUser(req.params.id, req.user.userId);
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+    res.json({ success: true, invoice });
+  } catch (err) {
+    console.error("❌ Get invoice error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch invoice", error: err.message });
+  }
+});
+
+// ============================
+// 3️⃣ Download invoice (PDF)
+// ============================
+router.get("/invoices/:id/pdf", requireAuth, async (req, res) => {
+  try {
+    const invoice = await getInvoiceForUser(req.params.id, req.user.userId);
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error("❌ Invoice PDF error:", err);
+    res.status(500).json({ success: false, message: "Failed to render invoice", error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+// api/cron.js
+//
+// Scheduled jobs. Vercel Cron calls them on the schedules in vercel.json; any other
+// scheduler can too, with the same `Authorization: Bearer <CRON_SECRET>` header.
+//
+// Every schedule is daily, as Vercel's Hobby plan requires: work that can't wait (emails,
+// webhook deliveries, product imports) is done by the request that queues it, and these
+// jobs only sweep up what failed or was left behind.
+import express from "express";
+import { enforcePlanExpiry } from "../lib/plans.js";
+import { notifyExpiringPlans, sendLowStockDigests } from "../lib/notifications.js";
+import { processOutbox } from "../lib/mail/index.js";
+import { processWebhookQueue } from "../lib/webhooks.js";
+import { purgeDueAccounts } from "../lib/accountData.js";
+import { processImportJobs } from "../lib/productImport.js";
+
+const router = express.Router();
+
+// ------------------ Cron Auth ------------------
+// Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`
+const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ success: false, message: "CRON_SECRET is not configured" });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  next();
+};
+
+router.use(verifyCronSecret);
+
+// ============================
+// Plan expiry: drop expired suppliers to the free plan,
+// and remind the ones expiring in the next few days
+// ============================
+router.get("/plan-expiry", async (req, res) => {
+  try {
+    const summary = await enforcePlanExpiry();
+    summary.reminders = await notifyExpiringPlans();
+    console.log("✅ Plan expiry job:", summary);
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error("❌ Plan expiry job failed:", err);
+    res.status(500).json({ success: false, message: "Plan expiry job failed", error: err.message });
+  }
+});
+
+// ============================
+// Email outbox: retry failed emails
+// Daily. Every email is first sent by the request that queued it (after its transaction
+// commits), so this only sweeps up failures and sends interrupted by a crash.
+// ============================
+router.get("/email-outbox", async (req, res) => {
+  try {
+    const summary = await processOutbox({ limit: Math.min(parseInt(req.query.limit) || 50, 200) });
+    console.log("✅ Email outbox job:", summary);
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error("❌ Email outbox job failed:", err);
+    res.status(500).json({ success: false, message: "Email outbox job failed", error: err.message });
+  }
+});
+
+// ============================
+// Low stock digest: one email per supplier per day
+// ============================
+router.get("/low-stock-digest", async (req, res) => {
+  try {
+    const summary = await sendLowStockDigests();
+    console.log("✅ Low stock digest job:", summary);
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error("❌ Low stock digest job failed:", err);
+    res.status(500).json({ success: false, message: "Low stock digest job failed", error: err.message });
+  }
+});
+
+// ============================
+// Webhooks: retry pending deliveries
+// Daily. Deliveries are first attempted by the request that raised the event, so this
+// only retries failures.
+// ============================
+router.get("/webhooks", async (req, res) => {
+  try {
+    const summary = await processWebhookQueue({ limit: Math.min(parseInt(req.query.limit) || 50, 200) });
+    console.log("✅ Webhook delivery job:", summary);
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error("❌ Webhook delivery job failed:", err);
+    res.status(500).json({ success: false, message: "Webhook delivery job failed", error: err.message });
+  }
+});
+
+// ============================
+// Product imports: write the next chunks of queued CSV/XLSX imports. Not scheduled: the
+// upload request and each poll of the job write it, this is for manual or external runs.
+// ============================
+router.get("/product-imports", async (req, res) => {
+  try {
+    const summary = await processImportJobs({ chunks: Math.min(parseInt(req.query.chunks) || 5, 50) });
+    console.log("✅ Product import job:", summary);
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error("❌ Product import job failed:", err);
+    res.status(500).json({ success: false, message: "Product import job failed", error: err.message });
+  }
+});
+
+// ============================
+// Account deletion: purge accounts whose grace period is over
+// ============================
+router.get("/account-deletion", async (req, res) => {
+  try {
+    const summary = await purgeDueAccounts({ limit: Math.min(parseInt(req.query.limit) || 20, 100) });
+    console.log("✅ Account deletion job:", summary);
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error("❌ Account deletion job failed:", err);
+    res.status(500).json({ success: false, message: "Account deletion job failed", error: err.message });
+  }
+});
+
+export default router;
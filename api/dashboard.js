@@ -1,33 +1,13 @@
 import express from "express";
 import queryDB from "../db.js"; // use stable queryDB
-import jwt from "jsonwebtoken";
+import { getInvoicesForSupplier } from "../lib/invoices.js";
+import { getUnreadNotificationCount, listNotifications } from "../lib/notifications.js";
+import { requireAuth, requireStorePermission } from "../lib/auth.js";
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
-
-// ------------------ Auth Middleware ------------------
-const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ success: false, message: "No token provided" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) {
-        return res.status(401).json({ success: false, message: "Invalid or expired token" });
-      }
-      req.user = decoded;
-      next();
-    });
-  } catch (error) {
-    return res.status(500).json({ success: false, message: "Server error during token verification" });
-  }
-};
 
 // ------------------ STORE DASHBOARD API ------------------
-router.get("/store", verifyToken, async (req, res) => {
+router.get("/store", requireAuth, requireStorePermission("dashboard:read"), async (req, res) => {
   const userId = req.user.userId;
 
   try {
@@ -41,14 +21,11 @@ router.get("/store", verifyToken, async (req, res) => {
           p.name AS planName
        FROM SupplierProfile sp
        LEFT JOIN Plan p ON sp.plan_id = p.id
-       WHERE sp.user_id = ?`,
-      [userId]
+       WHERE sp.id = ?`,
+      [req.supplierProfile.id]
     );
 
     const supplier = supplierRows[0];
-    if (!supplier) {
-      return res.status(404).json({ success: false, message: "Supplier profile not found" });
-    }
 
     const supplierId = supplier.supplierId;
     const uploadLimit = supplier.uploadLimit && supplier.uploadLimit > 0 ? supplier.uploadLimit : 10;
@@ -120,39 +97,20 @@ ORDER BY date ASC;
       [supplierId]
     ))[0] || { inStock: 0, outOfStock: 0 };
 
-    // 6️⃣ Recent activities
-    const recentReviews = await queryDB(
-      `SELECT r.created_at AS date, CONCAT('New review on ', p.title) AS message
-       FROM Review r
-       JOIN Product p ON r.product_id = p.id
-       WHERE p.store_id = ?
-       ORDER BY r.created_at DESC
-       LIMIT 3`,
-      [supplierId]
-    );
-
-    const lowStock = await queryDB(
-      `SELECT title AS product_name, updated_at AS date
-       FROM Product
-       WHERE store_id = ? AND stock_quantity <= 2
-       ORDER BY updated_at DESC
-       LIMIT 3`,
-      [supplierId]
-    );
-
-    const planExpiry = await queryDB(
-      `SELECT plan_end AS date, 'Your subscription plan is expiring soon' AS message
-       FROM SupplierProfile
-       WHERE id = ? AND plan_end BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 7 DAY)
-       LIMIT 1`,
-      [supplierId]
-    );
-
-    const activities = [
-      ...recentReviews.map(r => ({ message: r.message, date: r.date })),
-      ...lowStock.map(l => ({ message: `Product "${l.product_name}" is running low on stock`, date: l.date })),
-      ...planExpiry.map(p => ({ message: p.message, date: p.date })),
-    ].sort((a, b) => new Date(b.date) - new Date(a.date));
+    // 6️⃣ Recent activities (persisted notifications)
+    const { notifications } = await listNotifications(userId, { limit: 10 });
+    const unreadNotifications = await getUnreadNotificationCount(userId);
+    const activities = notifications.map((n) => ({
+      id: n.id,
+      type: n.type,
+      message: n.title,
+      date: n.created_at,
+      read: n.is_read,
+    }));
+
+    // 7️⃣ Billing history (shown next to the plan info): the store's plan invoices, for members allowed to see them
+    const canSeeBilling = req.storeMembership.permissions.includes("billing:read");
+    const recentInvoices = canSeeBilling ? await getInvoicesForSupplier(supplierId, { limit: 5 }) : [];
 
     // ✅ Final response
     return res.json({
@@ -175,6 +133,20 @@ ORDER BY date ASC;
         ],
       },
       activities,
+      unreadNotifications,
+      store: { id: supplierId, name: req.supplierProfile.store_name, role: req.storeMembership.role },
+      billing: {
+        planEnd: supplier.plan_end,
+        recentInvoices: recentInvoices.map((i) => ({
+          id: i.id,
+          invoice_number: i.invoice_number,
+          status: i.status,
+          issued_at: i.issued_at,
+          total: i.total,
+          currency: i.currency,
+          description: i.line_items[0]?.description,
+        })),
+      },
     });
   } catch (error) {
     console.error("Dashboard Error:", error);
@@ -0,0 +1,209 @@
+// api/messages.js
+import express from "express";
+import multer from "multer";
+import queryDB from "../db.js";
+import {
+  MessageError,
+  findOrCreateConversation,
+  formatConversation,
+  getConversationById,
+  getMessages,
+  getUnreadCount,
+  listConversations,
+  markConversationRead,
+  sendMessage,
+  sideForConversation,
+} from "../lib/messages.js";
+import { denyImpersonation, loadSellerProfile, loadSupplierProfile, requireAuth, requireSeller } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+// ------------------ Multer Setup (Memory storage for Vercel) ------------------
+
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024; // 5 MB
+const MAX_ATTACHMENTS = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (/^image\/(jpeg|png|webp|gif|jpg)$/.test(file.mimetype) || file.mimetype === "application/pdf") {
+      cb(null, true);
+    } else {
+      cb(new MessageError("Only images (jpeg, png, webp, gif) and PDF files can be attached", 400, "INVALID_ATTACHMENT"));
+    }
+  },
+});
+
+// multer errors (size, count, type) come back as 400s instead of the global 500
+const uploadAttachments = (req, res, next) =>
+  upload.array("attachments", MAX_ATTACHMENTS)(req, res, (err) => {
+    if (!err) return next();
+    const message = err instanceof multer.MulterError ? `Attachment error: ${err.message}` : err.message;
+    return res.status(400).json({ success: false, message });
+  });
+
+// Seller / supplier profile ids of the caller
+const getParticipantIds = async (req) => {
+  const [seller, supplier] = await Promise.all([loadSellerProfile(req), loadSupplierProfile(req)]);
+  return { sellerId: seller?.id || null, supplierId: supplier?.id || null };
+};
+
+// Loads the conversation and the caller's side of it, or null when the caller is not part of it
+const loadConversationForUser = async (conversationId, req) => {
+  const conversation = await getConversationById(conversationId);
+  if (!conversation) return null;
+  const side = sideForConversation(conversation, await getParticipantIds(req));
+  return side ? { conversation, side } : null;
+};
+
+// ============================
+// 1️⃣ Start (or reopen) a conversation with a supplier (Seller)
+// Body (multipart or JSON): { supplier_id, product_id?, body? }, files: attachments[]
+// ============================
+router.post("/conversations", requireAuth, requireSeller, denyImpersonation, uploadAttachments, async (req, res) => {
+  try {
+    const { supplier_id, product_id, body } = req.body || {};
+    if (!supplier_id) return res.status(400).json({ success: false, message: "supplier_id is required" });
+
+    const seller = req.sellerProfile;
+
+    const suppliers = await queryDB(
+      `SELECT sp.id, sp.user_id FROM SupplierProfile sp JOIN User u ON sp.user_id = u.id
+       WHERE sp.id = ? AND u.is_active = TRUE LIMIT 1`,
+      [supplier_id]
+    );
+    if (suppliers.length === 0) return res.status(404).json({ success: false, message: "Supplier not found" });
+    if (suppliers[0].user_id === req.user.userId)
+      return res.status(400).json({ success: false, message: "You cannot message your own store" });
+
+    const conversationId = await findOrCreateConversation({
+      sellerId: seller.id,
+      supplierId: supplier_id,
+      productId: product_id || null,
+    });
+
+    const files = req.files || [];
+    if ((body && String(body).trim()) || files.length > 0) {
+      await sendMessage({ conversationId, side: "seller", senderUserId: req.user.userId, body, files });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Conversation ready",
+      conversation: formatConversation(await getConversationById(conversationId)),
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to start conversation");
+  }
+});
+
+// ============================
+// 2️⃣ My conversations
+// ?as=seller (default) | supplier
+// ============================
+router.get("/conversations", requireAuth, async (req, res) => {
+  try {
+    const side = req.query.as === "supplier" ? "supplier" : "seller";
+    const { sellerId, supplierId } = await getParticipantIds(req);
+    const profileId = side === "supplier" ? supplierId : sellerId;
+    if (!profileId) {
+      return side === "supplier"
+        ? res.status(403).json({ success: false, code: "SUPPLIER_REQUIRED", message: "Supplier account required" })
+        : res.status(403).json({ success: false, code: "SELLER_REQUIRED", message: "Seller account required" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const conversations = await listConversations(side, profileId, { limit, offset });
+
+    res.json({ success: true, conversations });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch conversations");
+  }
+});
+
+// ============================
+// 3️⃣ Unread counts (for the header badge)
+// ============================
+router.get("/unread-count", requireAuth, async (req, res) => {
+  try {
+    const { sellerId, supplierId } = await getParticipantIds(req);
+    const [asSeller, asSupplier] = await Promise.all([
+      getUnreadCount("seller", sellerId),
+      getUnreadCount("supplier", supplierId),
+    ]);
+
+    res.json({ success: true, unread: { total: asSeller + asSupplier, as_seller: asSeller, as_supplier: asSupplier } });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch unread count");
+  }
+});
+
+// ============================
+// 4️⃣ Messages in a conversation (marks it read)
+// ?before=<message id>&limit=
+// ============================
+router.get("/conversations/:id/messages", requireAuth, async (req, res) => {
+  try {
+    const found = await loadConversationForUser(req.params.id, req);
+    if (!found) return res.status(404).json({ success: false, message: "Conversation not found" });
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const beforeId = parseInt(req.query.before) || null;
+    const messages = await getMessages(found.conversation.id, { beforeId, limit });
+    // only the latest page moves the read marker
+    if (!beforeId) await markConversationRead(found.conversation.id, found.side);
+
+    res.json({
+      success: true,
+      side: found.side,
+      conversation: formatConversation(found.conversation),
+      messages,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch messages");
+  }
+});
+
+// ============================
+// 5️⃣ Send a message
+// Body (multipart or JSON): { body? }, files: attachments[]
+// ============================
+router.post("/conversations/:id/messages", requireAuth, denyImpersonation, uploadAttachments, async (req, res) => {
+  try {
+    const found = await loadConversationForUser(req.params.id, req);
+    if (!found) return res.status(404).json({ success: false, message: "Conversation not found" });
+
+    const messageId = await sendMessage({
+      conversationId: found.conversation.id,
+      side: found.side,
+      senderUserId: req.user.userId,
+      body: req.body?.body,
+      files: req.files || [],
+    });
+
+    const [sent] = await getMessages(found.conversation.id, { beforeId: messageId + 1, limit: 1 });
+    res.status(201).json({ success: true, message: "Message sent", sent });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to send message");
+  }
+});
+
+// ============================
+// 6️⃣ Mark a conversation as read
+// ============================
+router.post("/conversations/:id/read", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const found = await loadConversationForUser(req.params.id, req);
+    if (!found) return res.status(404).json({ success: false, message: "Conversation not found" });
+
+    await markConversationRead(found.conversation.id, found.side);
+    res.json({ success: true, message: "Conversation marked as read" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to mark conversation as read");
+  }
+});
+
+export default router;
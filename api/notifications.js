@@ -0,0 +1,153 @@
+// api/notifications.js
+import express from "express";
+import {
+  NOTIFICATION_TYPES,
+  deleteNotification,
+  getUnreadNotificationCount,
+  listNotifications,
+  markNotificationUnread,
+  markNotificationsRead,
+} from "../lib/notifications.js";
+import { EMAIL_CATEGORIES, getEmailPreferences, setEmailPreferences } from "../lib/mail/index.js";
+import { denyImpersonation, requireAuth } from "../lib/auth.js";
+
+const router = express.Router();
+
+// ============================
+// 1️⃣ List my notifications
+// ?unread=true, ?type=, ?limit=, ?offset=
+// ============================
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${NOTIFICATION_TYPES.join(", ")}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const { notifications, total } = await listNotifications(req.user.userId, {
+      limit,
+      offset,
+      unreadOnly: req.query.unread === "true",
+      type: type || null,
+    });
+    const unread = await getUnreadNotificationCount(req.user.userId);
+
+    res.json({ success: true, notifications, unread, pagination: { total, limit, offset } });
+  } catch (err) {
+    console.error("❌ List notifications error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch notifications", error: err.message });
+  }
+});
+
+// ============================
+// 2️⃣ Unread count (for the bell badge)
+// ============================
+router.get("/unread-count", requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, unread: await getUnreadNotificationCount(req.user.userId) });
+  } catch (err) {
+    console.error("❌ Unread notifications error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch unread count", error: err.message });
+  }
+});
+
+// ============================
+// 3️⃣ Email preferences
+// PUT Body: { preferences: { reviews?: bool, orders?: bool, stock?: bool, billing?: bool } }
+// ============================
+const describePreferences = (prefs) =>
+  Object.entries(EMAIL_CATEGORIES).map(([category, description]) => ({
+    category,
+    description,
+    email: prefs[category],
+  }));
+
+router.get("/preferences", requireAuth, async (req, res) => {
+  try {
+    const prefs = await getEmailPreferences(req.user.userId);
+    res.json({ success: true, preferences: describePreferences(prefs) });
+  } catch (err) {
+    console.error("❌ Get notification preferences error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch preferences", error: err.message });
+  }
+});
+
+router.put("/preferences", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const { preferences } = req.body || {};
+    if (!preferences || typeof preferences !== "object" || Array.isArray(preferences)) {
+      return res.status(400).json({ success: false, message: "preferences must be an object of category: boolean" });
+    }
+    const unknown = Object.keys(preferences).filter((c) => !(c in EMAIL_CATEGORIES));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown categories: ${unknown.join(", ")}. Valid: ${Object.keys(EMAIL_CATEGORIES).join(", ")}`,
+      });
+    }
+
+    const prefs = await setEmailPreferences(req.user.userId, preferences);
+    res.json({ success: true, message: "Preferences updated", preferences: describePreferences(prefs) });
+  } catch (err) {
+    console.error("❌ Update notification preferences error:", err);
+    res.status(500).json({ success: false, message: "Failed to update preferences", error: err.message });
+  }
+});
+
+// ============================
+// 4️⃣ Mark read
+// POST /read      Body: { ids?: number[] } — no ids marks everything read
+// PATCH /:id/read | /:id/unread
+// ============================
+router.post("/read", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ success: false, message: "ids must be an array" });
+    }
+    const updated = await markNotificationsRead(req.user.userId, ids ? ids.map(Number) : null);
+    res.json({ success: true, message: "Notifications marked as read", updated });
+  } catch (err) {
+    console.error("❌ Mark notifications read error:", err);
+    res.status(500).json({ success: false, message: "Failed to update notifications", error: err.message });
+  }
+});
+
+router.patch("/:id/read", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    await markNotificationsRead(req.user.userId, [Number(req.params.id)]);
+    res.json({ success: true, message: "Notification marked as read" });
+  } catch (err) {
+    console.error("❌ Mark notification read error:", err);
+    res.status(500).json({ success: false, message: "Failed to update notification", error: err.message });
+  }
+});
+
+router.patch("/:id/unread", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const updated = await markNotificationUnread(req.user.userId, req.params.id);
+    if (!updated) return res.status(404).json({ success: false, message: "Notification not found" });
+    res.json({ success: true, message: "Notification marked as unread" });
+  } catch (err) {
+    console.error("❌ Mark notification unread error:", err);
+    res.status(500).json({ success: false, message: "Failed to update notification", error: err.message });
+  }
+});
+
+// ============================
+// 5️⃣ Dismiss
+// ============================
+router.delete("/:id", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const deleted = await deleteNotification(req.user.userId, req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, message: "Notification not found" });
+    res.json({ success: true, message: "Notification deleted" });
+  } catch (err) {
+    console.error("❌ Delete notification error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete notification", error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+// api/orders.js
+import express from "express";
+import queryDB from "../db.js";
+import { markReviewsVerified } from "../lib/reviews.js";
+import {
+  ORDER_ACTIONS,
+  createOrderRequest,
+  getOrderRequest,
+  sideFor,
+  transitionOrder,
+} from "../lib/orders.js";
+import { emitProductEvent, emitWebhookEvent } from "../lib/webhooks.js";
+import { denyImpersonation, loadSupplierProfile, requireAuth, requireSeller, requireVerifiedEmail } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+// order.status_changed for the supplier, plus stock.changed when the move touched stock or reservations
+const emitOrderEvents = async (order, from, to) => {
+  await emitWebhookEvent(order.supplier_id, "order.status_changed", {
+    order: {
+      id: order.id,
+      from_status: from,
+      status: to,
+      total_amount: Number(order.total_amount),
+      tracking_number: order.tracking_number,
+      items: order.items.map((i) => ({ product_id: i.product_id, quantity: i.quantity })),
+    },
+  });
+
+  if (to === "accepted" || to === "delivered" || (to === "cancelled" && from === "accepted")) {
+    for (const item of order.items) {
+      await emitProductEvent("stock.changed", item.product_id, { reason: `order_${to}`, order_id: order.id });
+    }
+  }
+};
+
+const getSupplierIdForUser = async (req) => (await loadSupplierProfile(req))?.id || null;
+
+// ============================
+// 1️⃣ Submit an order request (Seller, confirmed email)
+// Body: { items: [{ product_id, quantity, unit_price? }], notes? }
+// ============================
+router.post("/", requireAuth, requireSeller, requireVerifiedEmail, denyImpersonation, async (req, res) => {
+  try {
+    const seller = req.sellerProfile;
+    const body = req.body || {};
+
+    const orderId = await createOrderRequest({
+      sellerId: seller.id,
+      buyerUserId: req.user.userId,
+      items: body.items,
+      notes: body.notes || null,
+    });
+
+    const order = await getOrderRequest(orderId);
+    await emitOrderEvents(order, null, "requested");
+
+    res.status(201).json({ success: true, message: "Order request sent", order });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to create order request");
+  }
+});
+
+// ============================
+// 2️⃣ List my orders
+// ?as=seller (default) | supplier, ?status=
+// ============================
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const asSupplier = req.query.as === "supplier";
+    let where;
+    const params = [];
+
+    if (asSupplier) {
+      const supplierId = await getSupplierIdForUser(req);
+      if (!supplierId)
+        return res.status(403).json({ success: false, code: "SUPPLIER_REQUIRED", message: "Supplier account required" });
+      where = "o.supplier_id = ?";
+      params.push(supplierId);
+    } else {
+      where = "o.buyer_user_id = ?";
+      params.push(req.user.userId);
+    }
+
+    if (req.query.status) {
+      where += " AND o.status = ?";
+      params.push(req.query.status);
+    }
+
+    const orders = await queryDB(
+      `SELECT o.id, o.status, o.total_amount, o.supplier_id, sp.store_name, o.buyer_user_id,
+              u.username AS buyer_username, o.tracking_number, o.created_at, o.updated_at,
+              (SELECT COUNT(*) FROM OrderRequestItem i WHERE i.order_id = o.id) AS item_count
+       FROM OrderRequest o
+       JOIN SupplierProfile sp ON o.supplier_id = sp.id
+       JOIN User u ON o.buyer_user_id = u.id
+       WHERE ${where}
+       ORDER BY o.created_at DESC
+       LIMIT 100`,
+      params
+    );
+
+    res.json({ success: true, orders });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch orders");
+  }
+});
+
+// ============================
+// 3️⃣ Order details (either party)
+// ============================
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const order = await getOrderRequest(req.params.id);
+    const supplierId = await getSupplierIdForUser(req);
+    if (!order || !sideFor(order, { userId: req.user.userId, supplierId }))
+      return res.status(404).json({ success: false, message: "Order not found" });
+
+    res.json({ success: true, order });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch order");
+  }
+});
+
+// ============================
+// 4️⃣ Status changes
+// POST /:id/accept | counter | reject | cancel | ship | deliver
+// Body: { note?, items? (counter), tracking_number? (ship) }
+// ============================
+router.post("/:id/:action", requireAuth, denyImpersonation, async (req, res) => {
+  const { id, action } = req.params;
+  const body = req.body || {};
+  if (!ORDER_ACTIONS.includes(action))
+    return res.status(404).json({ success: false, message: "Unknown order action" });
+
+  try {
+    const supplierId = await getSupplierIdForUser(req);
+    const { order, from, to } = await transitionOrder(
+      id,
+      action,
+      { userId: req.user.userId, supplierId },
+      { note: body.note || null, items: body.items, trackingNumber: body.tracking_number || null }
+    );
+
+    // an accepted order is a recorded interaction: the buyer's reviews become verified
+    if (to === "accepted") await markReviewsVerified(order.buyer_user_id, order.supplier_id);
+
+    const updated = await getOrderRequest(id);
+    await emitOrderEvents(updated, from, to);
+
+    res.json({ success: true, message: `Order ${to}`, order: updated });
+  } catch (err) {
+    return sendAppError(res, err, `Failed to ${action} order`);
+  }
+});
+
+export default router;
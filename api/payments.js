@@ -0,0 +1,185 @@
+// api/payments.js
+import express from "express";
+import queryDB from "../db.js";
+import { CREDIT_PACKS } from "../lib/credits.js";
+import {
+  PAYMENT_CURRENCY,
+  PaymentError,
+  createCreditOrder,
+  getOrderById,
+  getProvider,
+  handleWebhook,
+} from "../lib/payments/index.js";
+import { denyImpersonation, requireAuth, requireSeller, requireVerifiedEmail } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+// Fields safe to hand back to the buyer
+const publicOrder = (o) => ({
+  id: o.id,
+  order_type: o.order_type,
+  description: o.description,
+  amount: o.amount,
+  currency: o.currency,
+  status: o.status,
+  plan_id: o.plan_id,
+  plan_action: o.plan_action,
+  credit_pack: o.credit_pack,
+  credits: o.credits,
+  provider: o.provider,
+  created_at: o.created_at,
+  paid_at: o.paid_at,
+  refunded_at: o.refunded_at,
+});
+
+// ============================
+// 1️⃣ Credit packs (Public)
+// ============================
+router.get("/credit-packs", (req, res) => {
+  const packs = Object.entries(CREDIT_PACKS).map(([id, p]) => ({ id, ...p, currency: PAYMENT_CURRENCY }));
+  res.json({ success: true, packs });
+});
+
+// ============================
+// 2️⃣ Checkout a credit pack (Seller, confirmed email)
+// ============================
+router.post("/checkout/credits", requireAuth, requireSeller, requireVerifiedEmail, denyImpersonation, async (req, res) => {
+  try {
+    const seller = req.sellerProfile;
+
+    const { order, checkoutUrl } = await createCreditOrder({
+      userId: req.user.userId,
+      sellerId: seller.id,
+      pack: req.body?.pack,
+    });
+
+    res.status(201).json({ success: true, order: publicOrder(order), checkout_url: checkoutUrl });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to start checkout");
+  }
+});
+
+// ============================
+// 3️⃣ My orders
+// ============================
+router.get("/orders", requireAuth, async (req, res) => {
+  try {
+    const orders = await queryDB(
+      `SELECT * FROM PaymentOrder WHERE user_id = ? ORDER BY created_at DESC LIMIT 100`,
+      [req.user.userId]
+    );
+    res.json({ success: true, orders: orders.map(publicOrder) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch orders");
+  }
+});
+
+router.get("/orders/:id", requireAuth, async (req, res) => {
+  try {
+    const order = await getOrderById(req.params.id);
+    if (!order || order.user_id !== req.user.userId)
+      return res.status(404).json({ success: false, message: "Order not found" });
+
+    res.json({ success: true, order: publicOrder(order) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch order");
+  }
+});
+
+router.post("/orders/:id/cancel", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const result = await queryDB(
+      `UPDATE PaymentOrder SET status = 'cancelled', updated_at = NOW()
+       WHERE id = ? AND user_id = ? AND status = 'pending'`,
+      [req.params.id, req.user.userId]
+    );
+    if (result.affectedRows === 0)
+      return res.status(409).json({ success: false, message: "Only your pending orders can be cancelled" });
+
+    res.json({ success: true, message: "Order cancelled" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to cancel order");
+  }
+});
+
+// ============================
+// 4️⃣ Provider webhooks (signature verified against the raw body)
+// ============================
+router.post("/webhook/:provider", async (req, res) => {
+  try {
+    const { event, order, duplicate } = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+    console.log(`💳 Webhook ${event.type} for order ${order.id}${duplicate ? " (duplicate)" : ""}`);
+    res.json({ success: true, received: true, duplicate, order_status: order.status });
+  } catch (err) {
+    return sendAppError(res, err, "Webhook processing failed");
+  }
+});
+
+// ============================
+// 5️⃣ Fake gateway (local development only)
+// ============================
+const loadFakeSession = async (sessionId) => {
+  getProvider("fake"); // throws when the fake provider is disabled
+  const rows = await queryDB(
+    "SELECT * FROM PaymentOrder WHERE provider = 'fake' AND provider_session_id = ? LIMIT 1",
+    [sessionId]
+  );
+  if (!rows[0]) throw new PaymentError("Checkout session not found", 404, "SESSION_NOT_FOUND");
+  return rows[0];
+};
+
+// The "checkout page": shows what is being paid and how to complete it
+router.get("/fake/checkout/:sessionId", async (req, res) => {
+  try {
+    const order = await loadFakeSession(req.params.sessionId);
+    res.json({
+      success: true,
+      session_id: req.params.sessionId,
+      order: publicOrder(order),
+      complete: {
+        method: "POST",
+        path: `/api/payments/fake/checkout/${req.params.sessionId}/complete`,
+        body: { outcome: "succeeded | failed" },
+      },
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to load checkout session");
+  }
+});
+
+// "Pay": sends a signed webhook to our own webhook endpoint, just like a real gateway
+router.post("/fake/checkout/:sessionId/complete", async (req, res) => {
+  try {
+    const order = await loadFakeSession(req.params.sessionId);
+    if (order.status !== "pending")
+      return res.status(409).json({ success: false, message: `Order is already ${order.status}` });
+
+    const outcome = req.body?.outcome === "failed" ? "failed" : "succeeded";
+    const webhook = getProvider("fake").buildWebhook(order, outcome);
+
+    let delivery;
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Fake-Signature": webhook.signature },
+        body: webhook.body,
+      });
+      delivery = { status: response.status, body: await response.json().catch(() => null) };
+    } catch (fetchErr) {
+      delivery = { error: fetchErr.message };
+    }
+
+    res.json({
+      success: !delivery.error && delivery.status < 300,
+      outcome,
+      delivery,
+      // handy for replaying the webhook by hand (e.g. with curl)
+      webhook: { url: webhook.url, signature: webhook.signature, body: JSON.parse(webhook.body) },
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to complete fake checkout");
+  }
+});
+
+export default router;
@@ -0,0 +1,181 @@
+// api/productImport.js
+import express from "express";
+import multer from "multer";
+import {
+  IMPORT_FIELDS,
+  MAX_IMPORT_BYTES,
+  SYNC_IMPORT_ROWS,
+  createImportJob,
+  getImportJob,
+  listImportJobs,
+  previewRows,
+  readImportFile,
+  resolveRows,
+  runImportJob,
+  summarizeResults,
+  validateRows,
+  writeRows,
+} from "../lib/productImport.js";
+import { MAX_ZIP_BYTES, importImagesFromZip } from "../lib/imageImport.js";
+import { auditActor } from "../lib/audit.js";
+import { denyImpersonation, requireAuth, requireStorePermission } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+// ------------------ Multer Setup (Memory storage for Vercel) ------------------
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
+
+const zipUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ZIP_BYTES, files: 1 },
+});
+
+// multer errors (size, count) come back as 400s instead of the global 500
+const single = (uploader) => (req, res, next) =>
+  uploader.single("file")(req, res, (err) => {
+    if (!err) return next();
+    const message = err instanceof multer.MulterError ? `File error: ${err.message}` : err.message;
+    return res.status(400).json({ success: false, message });
+  });
+const uploadFile = single(upload);
+const uploadZip = single(zipUpload);
+
+const isDryRun = (req) => [req.query.dry_run, req.body?.dry_run].some((v) => v === "true" || v === "1");
+
+router.use(requireAuth);
+
+// ============================
+// 1️⃣ Template
+// GET /api/product/import/template — CSV with the accepted columns
+// ============================
+router.get("/template", (req, res) => {
+  const example = ["SKU-001", "Wireless mouse", "https://www.ebay.com/itm/123", "8.50", "19.99", "25", "Electronics", "US", "manual", "active"];
+  res.attachment("product-import-template.csv");
+  res.type("text/csv");
+  res.send(`${IMPORT_FIELDS.join(",")}\n${example.join(",")}\n`);
+});
+
+// ============================
+// 2️⃣ Import
+// POST /api/product/import (multipart: file = .csv or .xlsx; dry_run=true to preview)
+// Rows with a known SKU update that product, other rows create one.
+// Up to SYNC_IMPORT_ROWS rows are imported right away. Larger files become a job that
+// this request works on for a few seconds: the job comes back finished, or with 202 and
+// the rest written while the client polls GET /api/product/import/jobs/:id
+// ============================
+router.post("/", requireStorePermission("products:write"), denyImpersonation, uploadFile, async (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, message: "Upload a CSV or XLSX file in the `file` field" });
+
+  try {
+    const store = req.supplierProfile;
+    const { format, rows, ignoredColumns } = readImportFile(req.file.buffer, {
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+    });
+    const validated = validateRows(rows);
+
+    if (isDryRun(req)) {
+      const preview = previewRows(await resolveRows(store.id, validated));
+      const { summary, errors } = summarizeResults(preview);
+      return res.json({ success: true, dry_run: true, summary, errors, rows: preview, ignored_columns: ignoredColumns });
+    }
+
+    if (rows.length > SYNC_IMPORT_ROWS) {
+      const queued = await createImportJob({
+        supplierId: store.id,
+        userId: req.user.userId,
+        fileName: req.file.originalname,
+        format,
+        validated,
+      });
+      console.log(`✅ Product import job ${queued.id} queued: ${rows.length} rows for store ${store.id}`);
+      await runImportJob(queued.id);
+
+      const job = await getImportJob(store.id, queued.id);
+      if (["queued", "processing"].includes(job.status)) {
+        return res.status(202).json({
+          success: true,
+          message: "Import is still running, poll the job for progress",
+          job,
+          ignored_columns: ignoredColumns,
+        });
+      }
+      return res.json({ success: true, job, ignored_columns: ignoredColumns });
+    }
+
+    const results = await writeRows(store, await resolveRows(store.id, validated), { actor: auditActor(req) });
+    const { summary, errors } = summarizeResults(results);
+    console.log(`✅ Product import for store ${store.id}:`, summary);
+    res.json({ success: true, summary, errors, rows: results, ignored_columns: ignoredColumns });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to import products");
+  }
+});
+
+// ============================
+// 3️⃣ Images
+// POST /api/product/import/images (multipart: file = .zip)
+// SKU.jpg or SKU_main.jpg sets the main image, SKU_1.jpg, SKU_2.jpg ... add gallery images.
+// Responds with the imported files and the ones that were unmatched or rejected.
+// ============================
+router.post("/images", requireStorePermission("products:write"), denyImpersonation, uploadZip, async (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, message: "Upload a ZIP archive in the `file` field" });
+
+  try {
+    const report = await importImagesFromZip(req.supplierProfile, req.file.buffer, { actor: auditActor(req) });
+    console.log(
+      `✅ Image import for store ${req.supplierProfile.id}: ${report.imported.length} imported, ` +
+        `${report.unmatched.length} unmatched, ${report.rejected.length} rejected`
+    );
+    res.json({
+      success: true,
+      summary: {
+        imported: report.imported.length,
+        unmatched: report.unmatched.length,
+        rejected: report.rejected.length,
+      },
+      ...report,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to import images");
+  }
+});
+
+// ============================
+// 4️⃣ Jobs
+// ============================
+router.get("/jobs", requireStorePermission("products:read"), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = parseInt(req.query.offset) || 0;
+  try {
+    const { jobs, total } = await listImportJobs(req.supplierProfile.id, { limit, offset });
+    res.json({ success: true, jobs, pagination: { total, limit, offset } });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch import jobs");
+  }
+});
+
+/**
+ * GET /api/product/import/jobs/:id
+ * Status, progress (percent of rows processed), counts and the per-row error report.
+ * Each poll of an unfinished job writes its next chunks first (the job was authorized
+ * when it was uploaded), so imports finish while someone is watching them.
+ */
+router.get("/jobs/:id", requireStorePermission("products:read"), async (req, res) => {
+  try {
+    const job = await getImportJob(req.supplierProfile.id, req.params.id);
+    if (!["queued", "processing"].includes(job.status)) return res.json({ success: true, job });
+
+    await runImportJob(job.id);
+    res.json({ success: true, job: await getImportJob(req.supplierProfile.id, job.id) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch import job");
+  }
+});
+
+export default router;
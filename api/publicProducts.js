@@ -16,13 +16,13 @@ router.get("/random", async (req, res) => {
         p.supplier_purchase_price,
         p.supplier_sold_price,
         p.main_image,
-        p.stock_quantity,
+        p.stock_quantity - p.reserved_quantity AS stock_quantity,
         sp.id AS supplier_id,
         sp.store_name AS supplier_name,
         sp.logo AS supplier_logo
       FROM Product p
       JOIN SupplierProfile sp ON p.store_id = sp.id
-      WHERE p.status = 'active' AND p.stock_quantity > 0
+      WHERE p.status = 'active' AND p.stock_quantity - p.reserved_quantity > 0
       ORDER BY RAND()
       LIMIT ?
       `,
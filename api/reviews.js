@@ -0,0 +1,231 @@
+// api/reviews.js
+import express from "express";
+import queryDB from "../db.js";
+import {
+  ReviewError,
+  getReviewById,
+  hasSupplierInteraction,
+  parseRating,
+  refreshSupplierRating,
+} from "../lib/reviews.js";
+import { notifySupplier } from "../lib/notifications.js";
+import { emitWebhookEvent } from "../lib/webhooks.js";
+import { denyImpersonation, requireAuth, requireSeller, requireSupplier } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+// Only sellers write reviews (requireSeller), and never about their own store
+const assertCanReview = async (userId, storeId) => {
+  const own = await queryDB("SELECT id FROM SupplierProfile WHERE id = ? AND user_id = ? LIMIT 1", [storeId, userId]);
+  if (own.length > 0) throw new ReviewError("You cannot review your own store", 403, "OWN_STORE");
+};
+
+const insertReview = async ({ userId, storeId, productId, productTitle = null, reviewType, rating, comment }) => {
+  const isVerified = await hasSupplierInteraction(userId, storeId);
+  let result;
+  try {
+    result = await queryDB(
+      `INSERT INTO Review (user_id, store_id, product_id, review_type, rating, comment, is_verified, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [userId, storeId, productId, reviewType, rating, comment || null, isVerified ? 1 : 0]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw new ReviewError("You have already reviewed this", 409, "ALREADY_REVIEWED");
+    throw err;
+  }
+  const review = await getReviewById(result.insertId);
+
+  await notifySupplier(null, storeId, {
+    type: "review_new",
+    title: reviewType === "product" ? `New ${rating}★ review on "${productTitle}"` : `New ${rating}★ review of your store`,
+    body: comment || null,
+    referenceType: "review",
+    referenceId: review.id,
+    data: { rating, comment },
+  });
+  await emitWebhookEvent(storeId, "review.posted", {
+    review: {
+      id: review.id,
+      review_type: reviewType,
+      product_id: productId ? Number(productId) : null,
+      rating,
+      comment: review.comment,
+      is_verified: Boolean(review.is_verified),
+      created_at: review.created_at,
+    },
+  });
+  return review;
+};
+
+// ============================
+// 1️⃣ Review a product (Seller)
+// ============================
+router.post("/product/:productId", requireAuth, requireSeller, denyImpersonation, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const body = req.body ?? {};
+    const rating = parseRating(body.rating);
+
+    const products = await queryDB("SELECT id, store_id, title FROM Product WHERE id = ? AND status = 'active' LIMIT 1", [productId]);
+    if (products.length === 0) return res.status(404).json({ success: false, message: "Product not found" });
+    const storeId = products[0].store_id;
+
+    await assertCanReview(req.user.userId, storeId);
+
+    const review = await insertReview({
+      userId: req.user.userId,
+      storeId,
+      productId,
+      productTitle: products[0].title,
+      reviewType: "product",
+      rating,
+      comment: body.comment,
+    });
+
+    res.status(201).json({ success: true, message: "Review posted", review });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to post review");
+  }
+});
+
+// ============================
+// 2️⃣ Review a supplier (Seller)
+// ============================
+router.post("/supplier/:supplierId", requireAuth, requireSeller, denyImpersonation, async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+    const body = req.body ?? {};
+    const rating = parseRating(body.rating);
+
+    const suppliers = await queryDB(
+      `SELECT sp.id FROM SupplierProfile sp JOIN User u ON sp.user_id = u.id
+       WHERE sp.id = ? AND u.is_active = TRUE LIMIT 1`,
+      [supplierId]
+    );
+    if (suppliers.length === 0) return res.status(404).json({ success: false, message: "Supplier not found" });
+
+    await assertCanReview(req.user.userId, supplierId);
+
+    const review = await insertReview({
+      userId: req.user.userId,
+      storeId: supplierId,
+      productId: null,
+      reviewType: "supplier",
+      rating,
+      comment: body.comment,
+    });
+    await refreshSupplierRating(supplierId);
+
+    res.status(201).json({ success: true, message: "Review posted", review });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to post review");
+  }
+});
+
+// ============================
+// 3️⃣ My reviews
+// ============================
+router.get("/mine", requireAuth, async (req, res) => {
+  try {
+    const reviews = await queryDB(
+      `SELECT r.id, r.review_type, r.store_id, r.product_id, r.rating, r.comment, r.reply,
+              r.is_verified, r.is_hidden, r.created_at, r.updated_at, sp.store_name, p.title AS product_title
+       FROM Review r
+       LEFT JOIN SupplierProfile sp ON r.store_id = sp.id
+       LEFT JOIN Product p ON r.product_id = p.id
+       WHERE r.user_id = ?
+       ORDER BY r.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json({ success: true, reviews });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch reviews");
+  }
+});
+
+// ============================
+// 4️⃣ Edit / delete my review
+// ============================
+router.put("/:id", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const review = await getReviewById(req.params.id);
+    if (!review || review.user_id !== req.user.userId)
+      return res.status(404).json({ success: false, message: "Review not found" });
+
+    const body = req.body ?? {};
+    const updates = [];
+    const params = [];
+    if (body.rating !== undefined) { updates.push("rating = ?"); params.push(parseRating(body.rating)); }
+    if (body.comment !== undefined) { updates.push("comment = ?"); params.push(body.comment || null); }
+    if (updates.length === 0)
+      return res.status(400).json({ success: false, message: "Nothing to update (rating or comment)" });
+
+    params.push(review.id);
+    await queryDB(`UPDATE Review SET ${updates.join(", ")}, updated_at = NOW() WHERE id = ?`, params);
+    if (review.review_type === "supplier") await refreshSupplierRating(review.store_id);
+
+    res.json({ success: true, message: "Review updated", review: await getReviewById(review.id) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to update review");
+  }
+});
+
+router.delete("/:id", requireAuth, denyImpersonation, async (req, res) => {
+  try {
+    const review = await getReviewById(req.params.id);
+    if (!review || review.user_id !== req.user.userId)
+      return res.status(404).json({ success: false, message: "Review not found" });
+
+    await queryDB("DELETE FROM Review WHERE id = ?", [review.id]);
+    if (review.review_type === "supplier") await refreshSupplierRating(review.store_id);
+
+    res.json({ success: true, message: "Review deleted" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to delete review");
+  }
+});
+
+// ============================
+// 5️⃣ Supplier reply
+// ============================
+const loadOwnStoreReview = async (reviewId, userId) => {
+  const rows = await queryDB(
+    `SELECT r.* FROM Review r
+     JOIN SupplierProfile sp ON r.store_id = sp.id
+     WHERE r.id = ? AND sp.user_id = ? LIMIT 1`,
+    [reviewId, userId]
+  );
+  return rows[0] || null;
+};
+
+router.post("/:id/reply", requireAuth, requireSupplier, denyImpersonation, async (req, res) => {
+  try {
+    const { reply } = req.body ?? {};
+    if (!reply || !String(reply).trim())
+      return res.status(400).json({ success: false, message: "Reply is required" });
+
+    const review = await loadOwnStoreReview(req.params.id, req.user.userId);
+    if (!review) return res.status(404).json({ success: false, message: "Review not found for your store" });
+
+    await queryDB("UPDATE Review SET reply = ?, replied_at = NOW() WHERE id = ?", [String(reply).trim(), review.id]);
+
+    res.json({ success: true, message: "Reply saved", review: await getReviewById(review.id) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to save reply");
+  }
+});
+
+router.delete("/:id/reply", requireAuth, requireSupplier, denyImpersonation, async (req, res) => {
+  try {
+    const review = await loadOwnStoreReview(req.params.id, req.user.userId);
+    if (!review) return res.status(404).json({ success: false, message: "Review not found for your store" });
+
+    await queryDB("UPDATE Review SET reply = NULL, replied_at = NULL WHERE id = ?", [review.id]);
+    res.json({ success: true, message: "Reply removed" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to remove reply");
+  }
+});
+
+export default router;
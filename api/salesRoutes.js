@@ -1,35 +1,19 @@
 import express from "express";
 import queryDB from "../db.js"; // use stable queryDB
-import jwt from "jsonwebtoken";
+import { notifyIfStockLow } from "../lib/notifications.js";
+import { emitProductEvent, emitWebhookEvent } from "../lib/webhooks.js";
+import { auditActor, pickFields, recordAudit } from "../lib/audit.js";
+import { denyImpersonation, requireAuth, requireStorePermission } from "../lib/auth.js";
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
 
-// ------------------ Auth Middleware ------------------
-const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ success: false, message: "No token provided" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) {
-        return res.status(401).json({ success: false, message: "Invalid or expired token" });
-      }
-      req.user = decoded;
-      next();
-    });
-  } catch (error) {
-    return res.status(500).json({ success: false, message: "Server error during token verification" });
-  }
-};
+// ProductSales columns kept in the audit log
+const SALE_AUDIT_FIELDS = ["product_id", "quantity_sold", "sold_price_per_unit", "sale_channel", "total_sale_amount", "profit", "notes", "buyer_user_id", "sale_date"];
 
 // ------------------ Routes ------------------
 
 // POST /api/sales/add
-router.post("/add", verifyToken, async (req, res) => {
+router.post("/add", requireAuth, requireStorePermission("sales:write"), denyImpersonation, async (req, res) => {
   try {
     const {
       product_id,
@@ -41,7 +25,6 @@ router.post("/add", verifyToken, async (req, res) => {
       notes
     } = req.body;
 
-    const userId = req.user.userId;
     const finalQuantity = quantity || quantity_sold;
     const finalSalePrice = sale_price || sold_price_per_unit;
     const channel = sale_channel || "local";
@@ -54,12 +37,8 @@ router.post("/add", verifyToken, async (req, res) => {
       });
     }
 
-    // 1️⃣ Get supplier ID linked to logged-in user
-    const supplier = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ?`, [userId]);
-    if (supplier.length === 0) {
-      return res.status(404).json({ success: false, message: "Supplier profile not found" });
-    }
-    const supplierId = supplier[0].id;
+    // 1️⃣ Active store of the logged-in user (resolved by requireStorePermission)
+    const supplierId = req.supplierProfile.id;
 
     // 2️⃣ Verify product ownership
     const product = await queryDB(`SELECT * FROM Product WHERE id = ? AND store_id = ?`, [product_id, supplierId]);
@@ -72,15 +51,38 @@ router.post("/add", verifyToken, async (req, res) => {
     const totalAmount = finalSalePrice * finalQuantity;
 
     // 3️⃣ Insert into ProductSales table
-    await queryDB(
+    const insertResult = await queryDB(
       `INSERT INTO ProductSales 
         (product_id, quantity_sold, sold_price_per_unit, sale_channel, total_sale_amount, profit, notes, sale_date)
        VALUES (?, ?, ?, ?, ?, ?, ?, CURDATE())`,
       [product_id, finalQuantity, finalSalePrice, channel, totalAmount, profit, saleNotes]
     );
 
+    await recordAudit(null, {
+      actor: auditActor(req),
+      storeId: supplierId,
+      entityType: "sale",
+      entityId: insertResult.insertId,
+      action: "create",
+      after: {
+        product_id: Number(product_id),
+        quantity_sold: Number(finalQuantity),
+        sold_price_per_unit: Number(finalSalePrice),
+        sale_channel: channel,
+        total_sale_amount: totalAmount,
+        profit,
+        notes: saleNotes,
+      },
+    });
+
     // 4️⃣ Update product stock
     await queryDB(`UPDATE Product SET stock_quantity = stock_quantity - ? WHERE id = ?`, [finalQuantity, product_id]);
+    await notifyIfStockLow(null, product_id, product[0].stock_quantity);
+
+    await emitWebhookEvent(supplierId, "sale.recorded", {
+      sale: { product_id: Number(product_id), quantity_sold: Number(finalQuantity), sold_price_per_unit: Number(finalSalePrice), sale_channel: channel, total_sale_amount: totalAmount, profit },
+    });
+    await emitProductEvent("stock.changed", product_id, { previous_stock: Number(product[0].stock_quantity), reason: "sale" });
 
     res.json({
       success: true,
@@ -95,16 +97,11 @@ router.post("/add", verifyToken, async (req, res) => {
 });
 
 // GET /api/sales
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", requireAuth, requireStorePermission("sales:read"), async (req, res) => {
   try {
-    const userId = req.user.userId;
     const { start_date, end_date } = req.query;
 
-    const supplier = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ?`, [userId]);
-    if (supplier.length === 0) {
-      return res.status(404).json({ success: false, message: "Supplier profile not found" });
-    }
-    const supplierId = supplier[0].id;
+    const supplierId = req.supplierProfile.id;
 
     let query = `
       SELECT ps.*, p.title AS product_title, p.main_image AS product_image
@@ -130,16 +127,11 @@ router.get("/", verifyToken, async (req, res) => {
 });
 
 // DELETE /api/sales/:id
-router.delete("/:id", verifyToken, async (req, res) => {
+router.delete("/:id", requireAuth, requireStorePermission("sales:write"), denyImpersonation, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
 
-    const supplierRows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ?`, [userId]);
-    if (supplierRows.length === 0) {
-      return res.status(404).json({ success: false, message: "Supplier profile not found" });
-    }
-    const supplierId = supplierRows[0].id;
+    const supplierId = req.supplierProfile.id;
 
     const sale = await queryDB(
       `SELECT ps.* FROM ProductSales ps JOIN Product p ON ps.product_id = p.id WHERE ps.id = ? AND p.store_id = ?`,
@@ -150,6 +142,14 @@ router.delete("/:id", verifyToken, async (req, res) => {
     }
 
     await queryDB(`DELETE FROM ProductSales WHERE id = ?`, [id]);
+    await recordAudit(null, {
+      actor: auditActor(req),
+      storeId: supplierId,
+      entityType: "sale",
+      entityId: sale[0].id,
+      action: "delete",
+      before: pickFields(sale[0], SALE_AUDIT_FIELDS),
+    });
     res.json({ success: true, message: "Sale deleted successfully" });
 
   } catch (error) {
@@ -159,21 +159,16 @@ router.delete("/:id", verifyToken, async (req, res) => {
 });
 
 // PUT /api/sales/:id
-router.put("/:id", verifyToken, async (req, res) => {
+router.put("/:id", requireAuth, requireStorePermission("sales:write"), denyImpersonation, async (req, res) => {
   try {
     const { id } = req.params;
     const { quantity_sold, sold_price_per_unit } = req.body;
-    const userId = req.user.userId;
 
     if (quantity_sold === undefined && sold_price_per_unit === undefined) {
       return res.status(400).json({ success: false, message: "Please provide at least one field to update (quantity or sold price)" });
     }
 
-    const supplier = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ?`, [userId]);
-    if (supplier.length === 0) {
-      return res.status(404).json({ success: false, message: "Supplier profile not found" });
-    }
-    const supplierId = supplier[0].id;
+    const supplierId = req.supplierProfile.id;
 
     const saleData = await queryDB(
       `SELECT ps.*, p.supplier_purchase_price, p.store_id
@@ -200,6 +195,15 @@ router.put("/:id", verifyToken, async (req, res) => {
       `UPDATE ProductSales SET quantity_sold = ?, sold_price_per_unit = ?, total_sale_amount = ?, profit = ? WHERE id = ?`,
       [newQuantity, newPrice, total_sale_amount, profit, id]
     );
+    await recordAudit(null, {
+      actor: auditActor(req),
+      storeId: supplierId,
+      entityType: "sale",
+      entityId: sale.id,
+      action: "update",
+      before: pickFields(sale, ["quantity_sold", "sold_price_per_unit", "total_sale_amount", "profit"]),
+      after: { quantity_sold: newQuantity, sold_price_per_unit: newPrice, total_sale_amount, profit },
+    });
 
     res.json({ success: true, message: "Sale record updated successfully" });
 
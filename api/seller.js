@@ -1,31 +1,17 @@
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import queryDB from "../db.js"; // ✅ use queryDB instead of pool.query
+import { getCreditHistory, getCreditSummary } from "../lib/credits.js";
+import { getSupplierContact, unlockSupplierContact } from "../lib/contacts.js";
+import { markReviewsVerified } from "../lib/reviews.js";
+import { createSession, revokeAllSessions } from "../lib/sessions.js";
+import { denyImpersonation, requireAuth, requireSeller, requireVerifiedEmail } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
 
 const router = express.Router();
 
-// ✅ Middleware to verify JWT
-function verifyToken(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader)
-    return res.status(401).json({ success: false, message: "No token provided" });
-
-  const token = authHeader.split(" ")[1];
-  try {
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "your-secret-key-change-in-production"
-    );
-    req.user = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({ success: false, message: "Invalid or expired token" });
-  }
-}
-
 // ✅ 1. GET seller profile
-router.get("/profile", verifyToken, async (req, res) => {
+router.get("/profile", requireAuth, async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -53,7 +39,7 @@ router.get("/profile", verifyToken, async (req, res) => {
 });
 
 // ✅ 2. UPDATE location
-router.put("/update-location", verifyToken, async (req, res) => {
+router.put("/update-location", requireAuth, requireSeller, denyImpersonation, async (req, res) => {
   try {
     const userId = req.user.userId;
     const { location } = req.body;
@@ -74,7 +60,7 @@ router.put("/update-location", verifyToken, async (req, res) => {
 });
 
 // ✅ 3. UPDATE WhatsApp number
-router.put("/update-whatsapp", verifyToken, async (req, res) => {
+router.put("/update-whatsapp", requireAuth, denyImpersonation, async (req, res) => {
   try {
     const userId = req.user.userId;
     const { whatsapp_number } = req.body;
@@ -99,7 +85,7 @@ router.put("/update-whatsapp", verifyToken, async (req, res) => {
 });
 
 // ✅ 4. CHANGE password
-router.put("/change-password", verifyToken, async (req, res) => {
+router.put("/change-password", requireAuth, denyImpersonation, async (req, res) => {
   try {
     const userId = req.user.userId;
     const { oldPassword, newPassword, confirmPassword } = req.body;
@@ -110,7 +96,7 @@ router.put("/change-password", verifyToken, async (req, res) => {
     if (newPassword !== confirmPassword)
       return res.status(400).json({ success: false, message: "Passwords do not match" });
 
-    const users = await queryDB("SELECT password FROM User WHERE id = ?", [userId]);
+    const users = await queryDB("SELECT id, username, email, role, password FROM User WHERE id = ?", [userId]);
     if (users.length === 0)
       return res.status(404).json({ success: false, message: "User not found" });
 
@@ -124,11 +110,126 @@ router.put("/change-password", verifyToken, async (req, res) => {
       userId,
     ]);
 
-    res.json({ success: true, message: "Password updated successfully" });
+    // sign out every device, then give this one a fresh session so the user stays logged in here
+    await revokeAllSessions(userId, "password_change");
+    const session = await createSession(users[0], req);
+
+    res.json({
+      success: true,
+      message: "Password updated successfully. Other devices have been signed out.",
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+    });
   } catch (error) {
     console.error("Change password error:", error);
     res.status(500).json({ success: false, message: "Failed to change password" });
   }
 });
 
+// ✅ 5. UNLOCK supplier contact (costs 1 credit, repeat views are free; needs a confirmed email)
+router.post("/contacts/:supplierId/unlock", requireAuth, requireSeller, requireVerifiedEmail, denyImpersonation, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { supplierId } = req.params;
+    const productId = req.body?.product_id || null;
+
+    const seller = req.sellerProfile;
+
+    const contact = await getSupplierContact(supplierId);
+    if (!contact)
+      return res.status(404).json({ success: false, message: "Supplier not found" });
+
+    if (productId) {
+      const products = await queryDB(
+        "SELECT id FROM Product WHERE id = ? AND store_id = ? LIMIT 1",
+        [productId, supplierId]
+      );
+      if (products.length === 0)
+        return res.status(404).json({ success: false, message: "Product not found for this supplier" });
+    }
+
+    const result = await unlockSupplierContact({
+      sellerId: seller.id,
+      supplierId: contact.supplier_id,
+      productId,
+    });
+
+    if (!result.alreadyUnlocked) await markReviewsVerified(userId, contact.supplier_id);
+
+    res.json({
+      success: true,
+      message: result.alreadyUnlocked ? "Contact already unlocked" : "Contact unlocked successfully",
+      already_unlocked: result.alreadyUnlocked,
+      credits_remaining: result.creditsRemaining,
+      contact,
+    });
+  } catch (error) {
+    return sendAppError(res, error, "Failed to unlock supplier contact");
+  }
+});
+
+// ✅ 6. GET unlocked supplier contacts
+router.get("/contacts", requireAuth, requireSeller, async (req, res) => {
+  try {
+    const seller = req.sellerProfile;
+
+    const contacts = await queryDB(
+      `SELECT scu.supplier_id, scu.product_id, scu.created_at AS unlocked_at,
+              sp.store_name, sp.logo,
+              COALESCE(sp.whatsapp_number, u.whatsapp_number) AS whatsapp_number
+       FROM SupplierContactUnlock scu
+       JOIN SupplierProfile sp ON scu.supplier_id = sp.id
+       JOIN User u ON sp.user_id = u.id
+       WHERE scu.seller_id = ?
+       ORDER BY scu.created_at DESC`,
+      [seller.id]
+    );
+
+    res.json({ success: true, contacts });
+  } catch (error) {
+    console.error("Get contacts error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch unlocked contacts" });
+  }
+});
+
+// ✅ 7. GET credit balance + per-type summary
+router.get("/credits", requireAuth, requireSeller, async (req, res) => {
+  try {
+    const seller = req.sellerProfile;
+
+    const summary = await getCreditSummary(seller.id);
+
+    res.json({
+      success: true,
+      credits: seller.credits,
+      total_credits_used: seller.total_credits_used,
+      summary,
+    });
+  } catch (error) {
+    console.error("Get credits error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch credits" });
+  }
+});
+
+// ✅ 8. GET credit history (ledger)
+router.get("/credits/history", requireAuth, requireSeller, async (req, res) => {
+  try {
+    const seller = req.sellerProfile;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const { total, transactions } = await getCreditHistory(seller.id, {
+      limit,
+      offset,
+      type: req.query.type,
+    });
+
+    res.json({ success: true, total, limit, offset, transactions });
+  } catch (error) {
+    console.error("Get credit history error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch credit history" });
+  }
+});
+
 export default router;
@@ -4,6 +4,9 @@ import queryDB from "../db.js";
 
 const router = express.Router();
 
+// rank verified suppliers' products first; off unless SHOP_VERIFIED_FIRST=true or ?verified_first=true
+const VERIFIED_FIRST_DEFAULT = process.env.SHOP_VERIFIED_FIRST === "true";
+
 /**
  * GET /api/shop
  * Query Params:
@@ -12,6 +15,7 @@ const router = express.Router();
  *  - category (optional)
  *  - country (optional)
  *  - sort ('asc' | 'desc' optional)
+ *  - verified_first ('true' | 'false', optional): list verified suppliers' products first
  */
 router.get("/", async (req, res) => {
   try {
@@ -20,15 +24,18 @@ router.get("/", async (req, res) => {
     const category = req.query.category?.trim() || "";
     const country = req.query.country?.trim() || "";
     const sort = req.query.sort || "";
+    const verifiedFirst =
+      req.query.verified_first === undefined ? VERIFIED_FIRST_DEFAULT : req.query.verified_first === "true";
 
     // ORDER BY
     let orderBy = "";
-    if (sort === "asc") orderBy = "ORDER BY p.supplier_sold_price ASC";
-    else if (sort === "desc") orderBy = "ORDER BY p.supplier_sold_price DESC";
-    else orderBy = "ORDER BY p.id DESC";
+    if (sort === "asc") orderBy = "p.supplier_sold_price ASC";
+    else if (sort === "desc") orderBy = "p.supplier_sold_price DESC";
+    else orderBy = "p.id DESC";
+    orderBy = `ORDER BY ${verifiedFirst ? "sp.is_verified DESC, " : ""}${orderBy}`;
 
     // Dynamic WHERE clause
-    const conditions = ["p.status='active'", "p.stock_quantity>0"];
+    const conditions = ["p.status='active'", "p.stock_quantity - p.reserved_quantity > 0"];
     const params = [];
 
     if (category) {
@@ -48,12 +55,13 @@ router.get("/", async (req, res) => {
         p.supplier_purchase_price,
         p.supplier_sold_price,
         p.main_image,
-        p.stock_quantity,
+        p.stock_quantity - p.reserved_quantity AS stock_quantity,
         p.category,
         p.country AS product_country,
         sp.id AS supplier_id,
         sp.store_name AS supplier_name,
-        sp.logo AS supplier_logo
+        sp.logo AS supplier_logo,
+        sp.is_verified AS supplier_verified
       FROM Product p
       JOIN SupplierProfile sp ON p.store_id = sp.id
       WHERE ${conditions.join(" AND ")}
@@ -80,6 +88,7 @@ router.get("/", async (req, res) => {
       country: p.product_country,
       supplier_id: p.supplier_id,
       supplier_name: p.supplier_name,
+      supplier_verified: Boolean(p.supplier_verified),
       product_image: p.main_image ? `${baseURL}${p.main_image}` : null,
       supplier_logo: p.supplier_logo ? `${baseURL}${p.supplier_logo}` : null,
     }));
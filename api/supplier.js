@@ -3,20 +3,42 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
-import jwt from "jsonwebtoken";
-import FTPClient from "basic-ftp";
-import { Readable } from "stream";
-import queryDB from "../db.js"; // <-- ETIMEDOUT-safe query helper
+import queryDB, { withTransaction } from "../db.js"; // <-- ETIMEDOUT-safe query helper
+import {
+  applyPlanChange,
+  getActivePlans,
+  getEffectivePlan,
+  getPlanById,
+  getSupplierPlan,
+  quotePlanChange,
+  quoteRenewal,
+} from "../lib/plans.js";
+import { createPlanOrder } from "../lib/payments/index.js";
+import {
+  FTP_BASE_PATH,
+  buildPublicUrl,
+  deleteFromFTP,
+  makeRemoteFilename,
+  normalizeRemotePath,
+  uploadToFTP,
+} from "../lib/ftp.js";
+import {
+  DOCUMENT_MIME_TYPES,
+  DOCUMENT_TYPES,
+  MAX_DOCUMENTS_PER_TYPE,
+  MAX_DOCUMENT_BYTES,
+  VerificationError,
+  cancelVerification,
+  getDocumentFile,
+  getSupplierVerification,
+  submitVerification,
+} from "../lib/verification.js";
+import { addStoreOwner } from "../lib/team.js";
+import { auditActor, pickFields, recordAudit } from "../lib/audit.js";
+import { denyImpersonation, requireAuth, requireRole, requireSupplier, requireVerifiedEmail } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
-
-const FTP_HOST = process.env.FTP_HOST;
-const FTP_USER = process.env.FTP_USER;
-const FTP_PASS = process.env.FTP_PASSWORD;
-const FTP_PORT = process.env.FTP_PORT ? Number(process.env.FTP_PORT) : 21;
-const FTP_BASE_PATH = process.env.FTP_BASE_PATH || "/uploads/products"; // root folder for product images
-const FTP_PUBLIC_URL = process.env.FTP_PUBLIC_URL || "https://storensupply.com/uploads/products";
 
 // ------------------ Helpers ------------------
 
@@ -36,102 +58,6 @@ const handleDBError = (res, err) => {
   });
 };
 
-// Normalize remote path for storage (ensure leading slash)
-const normalizeRemotePath = (p) => {
-  if (!p) return p;
-  return p.startsWith("/") ? p : `/${p}`;
-};
-
-// Build a public HTTP URL from stored remote path
-const buildPublicUrl = (remotePath) => {
-  if (!remotePath) return null;
-  try {
-    const p = remotePath.replace(/^\/+/, ""); // remove leading slashes
-    // remotePath may be: "uploads/products/12/file.jpg" or "public_html/uploads/products/12/file.jpg"
-    // We want the relative part under uploads/products
-    const parts = p.split("/").filter(Boolean);
-    const uploadsIndex = parts.findIndex((x) => x.toLowerCase() === "uploads");
-    if (uploadsIndex >= 0) {
-      const afterUploads = parts.slice(uploadsIndex + 1); // e.g. ["products","12","file.jpg"]
-      // If the first is "products", remove to avoid double products in URL
-      if (afterUploads[0] && afterUploads[0].toLowerCase() === "products") {
-        const relative = afterUploads.slice(1).join("/");
-        return `${FTP_PUBLIC_URL}/${relative}`;
-      } else {
-        return `${FTP_PUBLIC_URL}/${afterUploads.join("/")}`;
-      }
-    }
-    // fallback: use basename
-    return `${FTP_PUBLIC_URL}/${path.basename(p)}`;
-  } catch (err) {
-    console.warn("buildPublicUrl failed:", err);
-    return `${FTP_PUBLIC_URL}/${path.basename(remotePath)}`;
-  }
-};
-
-// ------------------ FTP Helpers ------------------
-
-const ftpAccessConfig = () => ({
-  host: FTP_HOST,
-  user: FTP_USER,
-  password: FTP_PASS,
-  port: FTP_PORT,
-  secure: false,
-});
-
-const uploadToFTP = async (fileBuffer, filename, remoteFolder) => {
-  const client = new FTPClient.Client();
-  client.ftp.verbose = false;
-  try {
-    await client.access(ftpAccessConfig());
-    await client.ensureDir(remoteFolder);
-    
-    // Convert buffer to readable stream for basic-ftp
-    const stream = Readable.from(fileBuffer);
-    await client.uploadFrom(stream, filename);
-    const remote = normalizeRemotePath(path.posix.join(remoteFolder, filename));
-    return remote;
-  } catch (err) {
-    console.error("FTP Upload Error:", err);
-    throw new Error("FTP upload failed: " + (err.message || err));
-  } finally {
-    client.close();
-  }
-};
-
-const deleteFromFTP = async (remoteFilePath) => {
-  if (!remoteFilePath) return false;
-  const client = new FTPClient.Client();
-  client.ftp.verbose = false;
-  try {
-    await client.access(ftpAccessConfig());
-    // try the exact path first
-    const cleaned = remoteFilePath.replace(/^\/+/, ""); // remove leading slashes
-    try {
-      await client.remove(cleaned);
-      return true;
-    } catch (err) {
-      // try alternative variants
-      try {
-        // if path contains public_html, remove it
-        const alt = cleaned.replace(/^public_html\/?/i, "");
-        await client.remove(alt);
-        return true;
-      } catch (err2) {
-        // As a last resort, attempt remove of basename only
-        await client.remove(path.basename(cleaned));
-        return true;
-      }
-    }
-  } catch (err) {
-    console.warn("FTP Delete Error (non-fatal):", err.message || err);
-    // don't throw — deletion failure should not crash the whole flow
-    return false;
-  } finally {
-    client.close();
-  }
-};
-
 // ------------------ Multer Setup (Memory storage for Vercel) ------------------
 
 const upload = multer({ 
@@ -139,44 +65,30 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-// ------------------ Auth Middleware ------------------
-
-export const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ success: false, message: "No token provided" });
-    }
-    const token = authHeader.split(" ")[1];
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) return res.status(401).json({ success: false, message: "Invalid or expired token" });
-      req.user = decoded;
-      next();
-    });
-  } catch (err) {
-    console.error("Token verify error:", err);
-    return res.status(500).json({ success: false, message: "Token verification error" });
-  }
-};
-
 // ------------------ ROUTES ------------------
 
 /**
  * POST /supplier/create
- * Fields: user_id, store_name, store_description, whatsapp_number, country
+ * Auth required. Fields: store_name, store_description, whatsapp_number, country
+ * (user_id is optional and must be the caller's own id)
  * Optional file: logo
  *
  * Behavior:
+ * - Requires a verified email (returns 403 EMAIL_NOT_VERIFIED)
  * - Prevents multiple supplier profiles per user (returns 409)
  * - Creates SupplierProfile, assigns free plan
  * - If logo provided, uploads to FTP under FTP_BASE_PATH/{supplierId}
  */
-router.post("/create", upload.single("logo"), async (req, res) => {
-  const { user_id, store_name, store_description, whatsapp_number, country } = req.body;
+router.post("/create", requireAuth, requireRole("seller", "supplier", "both"), requireVerifiedEmail, denyImpersonation, upload.single("logo"), async (req, res) => {
+  const { store_name, store_description, whatsapp_number, country } = req.body;
+  const user_id = req.user.userId;
   const logoFile = req.file;
 
-  if (!user_id || !store_name) {
-    return res.status(400).json({ success: false, message: "user_id and store_name are required" });
+  if (req.body.user_id && Number(req.body.user_id) !== user_id) {
+    return res.status(403).json({ success: false, message: "You can only create a supplier profile for your own account" });
+  }
+  if (!store_name) {
+    return res.status(400).json({ success: false, message: "store_name is required" });
   }
 
   try {
@@ -219,11 +131,14 @@ router.post("/create", upload.single("logo"), async (req, res) => {
     // insertResult may be result object with insertId
     const supplierId = insertResult && insertResult.insertId ? insertResult.insertId : null;
 
+    // 4. The creator is the store's owner member (store routes check membership)
+    if (supplierId) await addStoreOwner(supplierId, user_id);
+
     let finalLogoRemotePath = null;
     if (logoFile && supplierId) {
       try {
         const remoteFolder = path.posix.join(FTP_BASE_PATH, String(supplierId)); // e.g. /uploads/products/12
-        const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(logoFile.originalname)}`;
+        const filename = makeRemoteFilename(logoFile.originalname);
         const remote = await uploadToFTP(logoFile.buffer, filename, remoteFolder);
         finalLogoRemotePath = normalizeRemotePath(remote);
       } catch (uploadErr) {
@@ -258,7 +173,17 @@ router.post("/create", upload.single("logo"), async (req, res) => {
     );
 
     const profile = profileRows && profileRows[0] ? profileRows[0] : null;
-    if (profile) profile.logo = profile.logo ? buildPublicUrl(profile.logo) : null;
+    if (profile) {
+      await recordAudit(null, {
+        actor: auditActor(req),
+        storeId: supplierId,
+        entityType: "supplier_profile",
+        entityId: supplierId,
+        action: "create",
+        after: pickFields(profile, ["store_name", "store_description", "whatsapp_number", "country", "logo", "plan_id", "plan_start", "plan_end"]),
+      });
+      profile.logo = profile.logo ? buildPublicUrl(profile.logo) : null;
+    }
 
     return res.status(201).json({
       success: true,
@@ -275,36 +200,33 @@ router.post("/create", upload.single("logo"), async (req, res) => {
  * PUT /supplier/update
  * Auth required. Update supplier fields; logo optional (if provided, upload and delete old)
  */
-router.put("/update", verifyToken, upload.single("logo"), async (req, res) => {
+router.put("/update", requireAuth, requireSupplier, denyImpersonation, upload.single("logo"), async (req, res) => {
   try {
-    const userId = req.user.userId;
     const { store_name, store_description, whatsapp_number, country } = req.body;
     const logoFile = req.file;
 
-    // Find supplier by user_id
-    const supplierRows = await queryDB("SELECT * FROM SupplierProfile WHERE user_id = ? LIMIT 1", [userId]);
-    if (!supplierRows || supplierRows.length === 0) {
-      return res.status(404).json({ success: false, message: "Supplier profile not found" });
-    }
-
-    const supplier = supplierRows[0];
+    const supplier = req.supplierProfile;
     const supplierId = supplier.id;
 
     // Build update query for fields
     const updates = [];
     const params = [];
+    const changed = {};
 
-    if (store_name !== undefined) { updates.push("store_name = ?"); params.push(store_name); }
-    if (store_description !== undefined) { updates.push("store_description = ?"); params.push(store_description); }
-    if (whatsapp_number !== undefined) { updates.push("whatsapp_number = ?"); params.push(whatsapp_number); }
-    if (country !== undefined) { updates.push("country = ?"); params.push(country); }
+    Object.entries({ store_name, store_description, whatsapp_number, country }).forEach(([field, value]) => {
+      if (value !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(value);
+        changed[field] = value;
+      }
+    });
 
     // Handle logo replacement
     if (logoFile) {
       let newRemotePath = null;
       try {
         const remoteFolder = path.posix.join(FTP_BASE_PATH, String(supplierId));
-        const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(logoFile.originalname)}`;
+        const filename = makeRemoteFilename(logoFile.originalname);
         const remote = await uploadToFTP(logoFile.buffer, filename, remoteFolder);
         newRemotePath = normalizeRemotePath(remote);
       } catch (uploadErr) {
@@ -323,12 +245,22 @@ router.put("/update", verifyToken, upload.single("logo"), async (req, res) => {
 
       updates.push("logo = ?");
       params.push(newRemotePath);
+      changed.logo = newRemotePath;
     }
 
     if (updates.length > 0) {
       params.push(supplierId);
       const sql = `UPDATE SupplierProfile SET ${updates.join(", ")}, updated_at = NOW() WHERE id = ?`;
       await queryDB(sql, params);
+      await recordAudit(null, {
+        actor: auditActor(req),
+        storeId: supplierId,
+        entityType: "supplier_profile",
+        entityId: supplierId,
+        action: "update",
+        before: pickFields(supplier, Object.keys(changed)),
+        after: changed,
+      });
     }
 
     // Return updated supplier
@@ -342,4 +274,260 @@ router.put("/update", verifyToken, upload.single("logo"), async (req, res) => {
   }
 });
 
+// ------------------ PLANS ------------------
+
+/**
+ * GET /supplier/plans
+ * Public list of active plans
+ */
+router.get("/plans", async (req, res) => {
+  try {
+    const plans = await getActivePlans();
+    return res.json({ success: true, plans });
+  } catch (err) {
+    return handleDBError(res, err);
+  }
+});
+
+/**
+ * GET /supplier/plan
+ * Auth required. Current plan, what the supplier is effectively entitled to, and recent changes.
+ */
+router.get("/plan", requireAuth, requireSupplier, async (req, res) => {
+  try {
+    const supplierId = req.supplierProfile.id;
+
+    const effective = await getEffectivePlan(supplierId);
+    const history = await queryDB(
+      `SELECT pc.id, pc.change_type, pc.from_plan_id, pc.to_plan_id, pc.prorated_credit, pc.amount_due,
+              pc.bonus_days, pc.plan_start, pc.plan_end, pc.products_paused, pc.products_restored, pc.created_at,
+              p.name AS to_plan_name
+       FROM PlanChange pc
+       LEFT JOIN Plan p ON pc.to_plan_id = p.id
+       WHERE pc.supplier_id = ?
+       ORDER BY pc.created_at DESC
+       LIMIT 10`,
+      [supplierId]
+    );
+
+    const daysRemaining = effective.plan_end
+      ? Math.max(0, Math.ceil((new Date(effective.plan_end) - new Date()) / (24 * 60 * 60 * 1000)))
+      : null;
+
+    return res.json({ success: true, plan: { ...effective, days_remaining: daysRemaining }, history });
+  } catch (err) {
+    return handleDBError(res, err);
+  }
+});
+
+/**
+ * POST /supplier/plan/quote
+ * Body: { plan_id }. Preview the proration for a plan switch without applying it.
+ */
+router.post("/plan/quote", requireAuth, requireSupplier, async (req, res) => {
+  try {
+    const supplierId = req.supplierProfile.id;
+
+    if (!req.body?.plan_id) return res.status(400).json({ success: false, message: "plan_id is required" });
+    const target = await getPlanById(req.body.plan_id);
+    if (!target) return res.status(404).json({ success: false, message: "Plan not found or inactive" });
+
+    const current = await getSupplierPlan(supplierId);
+    const quote =
+      Number(current.plan_id) === Number(target.id) ? quoteRenewal(current) : quotePlanChange(current, target);
+
+    return res.json({ success: true, plan: target, quote });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * POST /supplier/plan/change
+ * Body: { plan_id }. Switch plan with proration of the remaining days.
+ * Free switches apply immediately; otherwise returns 202 with a checkout_url.
+ */
+router.post("/plan/change", requireAuth, requireSupplier, denyImpersonation, async (req, res) => {
+  try {
+    const supplierId = req.supplierProfile.id;
+
+    if (!req.body?.plan_id) return res.status(400).json({ success: false, message: "plan_id is required" });
+    const target = await getPlanById(req.body.plan_id);
+    if (!target) return res.status(404).json({ success: false, message: "Plan not found or inactive" });
+
+    const current = await getSupplierPlan(supplierId);
+    if (Number(current.plan_id) === Number(target.id)) {
+      return res.status(400).json({ success: false, message: "Already on this plan. Use /plan/renew to extend it." });
+    }
+
+    const quote = quotePlanChange(current, target);
+
+    // anything left to pay goes through checkout; the change is applied once the payment webhook confirms it
+    if (quote.amountDue > 0) {
+      const { order, checkoutUrl } = await createPlanOrder({
+        userId: req.user.userId,
+        supplierId,
+        plan: target,
+        action: "change",
+        quote,
+      });
+      return res.status(202).json({
+        success: true,
+        message: "Payment required to change plan",
+        quote,
+        order_id: order.id,
+        checkout_url: checkoutUrl,
+      });
+    }
+
+    const result = await withTransaction((conn) =>
+      applyPlanChange(conn, { supplierId, plan: target, quote, createdBy: req.user.userId })
+    );
+
+    return res.json({
+      success: true,
+      message: `Plan changed to ${target.name}`,
+      quote,
+      products_paused: result.paused,
+      products_restored: result.restored,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * POST /supplier/plan/renew
+ * Extend the current plan by another period, stacked on top of the remaining days.
+ * Paid plans return 202 with a checkout_url and are extended once payment is confirmed.
+ */
+router.post("/plan/renew", requireAuth, requireSupplier, denyImpersonation, async (req, res) => {
+  try {
+    const supplierId = req.supplierProfile.id;
+
+    const current = await getSupplierPlan(supplierId);
+    const plan = current?.plan_id ? await getPlanById(current.plan_id) : null;
+    if (!plan) return res.status(400).json({ success: false, message: "Current plan is inactive and cannot be renewed" });
+
+    const quote = quoteRenewal(current);
+
+    if (quote.amountDue > 0) {
+      const { order, checkoutUrl } = await createPlanOrder({
+        userId: req.user.userId,
+        supplierId,
+        plan,
+        action: "renew",
+        quote,
+      });
+      return res.status(202).json({
+        success: true,
+        message: "Payment required to renew plan",
+        quote,
+        order_id: order.id,
+        checkout_url: checkoutUrl,
+      });
+    }
+
+    const result = await withTransaction((conn) =>
+      applyPlanChange(conn, { supplierId, plan, quote, createdBy: req.user.userId })
+    );
+
+    return res.json({
+      success: true,
+      message: `Plan ${plan.name} renewed`,
+      quote,
+      products_restored: result.restored,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+// ------------------ VERIFICATION (KYC) ------------------
+
+// documents stay in memory until they are pushed to the private FTP folder
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) cb(null, true);
+    else cb(new VerificationError("Documents must be PDF, JPEG, PNG or WebP files", 400, "INVALID_DOCUMENT"));
+  },
+});
+
+// one multipart field per document type, e.g. business_registration, id_document
+const uploadDocuments = (req, res, next) =>
+  documentUpload.fields(DOCUMENT_TYPES.map((name) => ({ name, maxCount: MAX_DOCUMENTS_PER_TYPE })))(req, res, (err) => {
+    if (!err) return next();
+    const message = err instanceof multer.MulterError ? `Document error: ${err.message}` : err.message;
+    return res.status(400).json({ success: false, message });
+  });
+
+/**
+ * GET /supplier/verification
+ * Verified flag, the latest request (documents, status history, reviewer notes) and older requests
+ */
+router.get("/verification", requireAuth, requireSupplier, async (req, res) => {
+  try {
+    const verification = await getSupplierVerification(req.supplierProfile.id);
+    return res.json({ success: true, verification });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * POST /supplier/verification
+ * multipart/form-data. Fields: business_name, registration_number?, country?, notes?
+ * Files: business_registration (required), tax_certificate, id_document, proof_of_address, other
+ */
+router.post("/verification", requireAuth, requireSupplier, denyImpersonation, uploadDocuments, async (req, res) => {
+  try {
+    const documents = Object.entries(req.files || {}).flatMap(([type, files]) => files.map((file) => ({ type, file })));
+    const verificationId = await submitVerification({
+      supplier: req.supplierProfile,
+      userId: req.user.userId,
+      fields: req.body,
+      documents,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Verification request submitted. We'll let you know once it has been reviewed.",
+      verification_id: verificationId,
+    });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * DELETE /supplier/verification
+ * Withdraw the pending request
+ */
+router.delete("/verification", requireAuth, requireSupplier, denyImpersonation, async (req, res) => {
+  try {
+    await cancelVerification(req.supplierProfile.id, req.user.userId);
+    return res.json({ success: true, message: "Verification request withdrawn" });
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
+/**
+ * GET /supplier/verification/documents/:documentId
+ * Download one of the store's own documents
+ */
+router.get("/verification/documents/:documentId", requireAuth, requireSupplier, async (req, res) => {
+  try {
+    const { document, buffer } = await getDocumentFile(req.params.documentId, { supplierId: req.supplierProfile.id });
+    res.set("Content-Type", document.mime_type);
+    res.set("Content-Disposition", `attachment; filename="${path.basename(document.file_path)}"`);
+    res.set("Cache-Control", "private, no-store");
+    return res.send(buffer);
+  } catch (err) {
+    return sendAppError(res, err, handleDBError);
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -3,25 +3,35 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
-import jwt from "jsonwebtoken";
-import FTPClient from "basic-ftp";
-import { Readable } from "stream";
-import queryDB from "../db.js";
+import queryDB, { withTransaction } from "../db.js";
+import { getEffectivePlan, uploadLimitOf } from "../lib/plans.js";
+import { notifyIfStockLow } from "../lib/notifications.js";
+import { emitProductEvent, emitWebhookEvent } from "../lib/webhooks.js";
+import {
+  FTP_BASE_PATH,
+  buildPublicUrl,
+  deleteFromFTP,
+  makeRemoteFilename,
+  normalizeRemotePath,
+  uploadToFTP,
+} from "../lib/ftp.js";
+import { auditActor, pickFields, recordAudit } from "../lib/audit.js";
+import { SKU_PATTERN } from "../lib/productImport.js";
+import { denyImpersonation, requireAuth, requireStorePermission } from "../lib/auth.js";
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
-
-const FTP_HOST = process.env.FTP_HOST;
-const FTP_USER = process.env.FTP_USER;
-const FTP_PASS = process.env.FTP_PASSWORD;
-const FTP_PORT = process.env.FTP_PORT ? Number(process.env.FTP_PORT) : 21;
-const FTP_BASE_PATH = process.env.FTP_BASE_PATH || "/uploads/products";
-const FTP_PUBLIC_URL = process.env.FTP_PUBLIC_URL || "https://storensupply.com/uploads/products";
 
 // ------------------ Helpers ------------------
 
+// editable product columns (PUT /product/:id); main_image is tracked in the audit log too
+const PRODUCT_FIELDS = ["sku", "title", "ebay_link", "supplier_purchase_price", "supplier_sold_price", "stock_quantity", "category", "country", "source_type", "status"];
+const PRODUCT_AUDIT_FIELDS = [...PRODUCT_FIELDS, "main_image"];
+
 const handleDBError = (res, err) => {
   console.error("Database error:", err);
+  if (err && err.code === "ER_DUP_ENTRY") {
+    return res.status(409).json({ success: false, code: "SKU_TAKEN", message: "SKU is already used by another product" });
+  }
   if (err && err.code === "ETIMEDOUT") {
     return res.status(503).json({
       success: false,
@@ -36,96 +46,6 @@ const handleDBError = (res, err) => {
   });
 };
 
-const normalizeRemotePath = (p) => {
-  if (!p) return p;
-  return p.startsWith("/") ? p : `/${p}`;
-};
-
-const buildPublicUrl = (remotePath) => {
-  if (!remotePath) return null;
-  try {
-    const p = remotePath.replace(/^\/+/, "");
-    const parts = p.split("/").filter(Boolean);
-    const uploadsIndex = parts.findIndex((x) => x.toLowerCase() === "uploads");
-    if (uploadsIndex >= 0) {
-      const afterUploads = parts.slice(uploadsIndex + 1);
-      if (afterUploads[0] && afterUploads[0].toLowerCase() === "products") {
-        const relative = afterUploads.slice(1).join("/");
-        return `${FTP_PUBLIC_URL}/${relative}`;
-      } else {
-        return `${FTP_PUBLIC_URL}/${afterUploads.join("/")}`;
-      }
-    }
-    return `${FTP_PUBLIC_URL}/${path.basename(remotePath)}`;
-  } catch (err) {
-    console.warn("buildPublicUrl failed:", err);
-    return `${FTP_PUBLIC_URL}/${path.basename(remotePath)}`;
-  }
-};
-
-// ------------------ FTP Helpers ------------------
-
-const ftpAccessConfig = () => ({
-  host: FTP_HOST,
-  user: FTP_USER,
-  password: FTP_PASS,
-  port: FTP_PORT,
-  secure: false,
-});
-
-const uploadToFTP = async (fileBuffer, filename, remoteFolder) => {
-  const client = new FTPClient.Client();
-  client.ftp.verbose = false;
-  try {
-    await client.access(ftpAccessConfig());
-    await client.ensureDir(remoteFolder);
-    
-    // Convert buffer to readable stream for basic-ftp
-    const stream = Readable.from(fileBuffer);
-    await client.uploadFrom(stream, filename);
-    const remote = normalizeRemotePath(path.posix.join(remoteFolder, filename));
-    return remote;
-  } catch (err) {
-    console.error("FTP Upload Error:", err);
-    throw new Error("FTP upload failed: " + (err.message || err));
-  } finally {
-    client.close();
-  }
-};
-
-const deleteFromFTP = async (remoteFilePath) => {
-  if (!remoteFilePath) return false;
-  const client = new FTPClient.Client();
-  client.ftp.verbose = false;
-  try {
-    await client.access(ftpAccessConfig());
-    const cleaned = remoteFilePath.replace(/^\/+/, "");
-    try {
-      await client.remove(cleaned);
-      return true;
-    } catch (err) {
-      try {
-        const alt = cleaned.replace(/^public_html\/?/i, "");
-        await client.remove(alt);
-        return true;
-      } catch (err2) {
-        try {
-          await client.remove(path.basename(cleaned));
-          return true;
-        } catch (err3) {
-          console.warn("FTP delete attempts failed:", err.message, err2?.message, err3?.message);
-          return false;
-        }
-      }
-    }
-  } catch (err) {
-    console.warn("FTP Delete Error (non-fatal):", err.message || err);
-    return false;
-  } finally {
-    client.close();
-  }
-};
-
 // ------------------ Multer Setup (Memory Storage for Vercel) ------------------
 
 const MAX_FILE_BYTES = 2 * 1024 * 1024; // 2 MB
@@ -143,26 +63,6 @@ const upload = multer({
   },
 });
 
-// ------------------ Auth Middleware ------------------
-
-export const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer "))
-      return res.status(401).json({ success: false, message: "No token provided" });
-
-    const token = authHeader.split(" ")[1];
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) return res.status(401).json({ success: false, message: "Invalid or expired token" });
-      req.user = decoded;
-      next();
-    });
-  } catch (error) {
-    console.error("Token verify error:", error);
-    return res.status(500).json({ success: false, message: "Server error during token verification" });
-  }
-};
-
 // ------------------ Routes ------------------
 
 /**
@@ -171,42 +71,38 @@ export const verifyToken = (req, res, next) => {
  */
 router.post(
   "/add",
-  verifyToken,
+  requireAuth,
+  requireStorePermission("products:write"),
+  denyImpersonation,
   upload.fields([{ name: "main_image", maxCount: 1 }, { name: "other_images", maxCount: 5 }]),
   async (req, res) => {
     try {
-      const supplierUserId = req.user.userId;
+      // 1) Active store (resolved by requireStorePermission)
+      const storeId = req.supplierProfile.id;
+      const planId = req.supplierProfile.plan_id;
 
-      // 1) Get supplier profile
-      const suppliers = await queryDB(
-        `SELECT id, plan_id FROM SupplierProfile WHERE user_id = ? LIMIT 1`,
-        [supplierUserId]
-      );
-      if (!suppliers || suppliers.length === 0) {
-        return res.status(400).json({ success: false, message: "Supplier profile not found" });
-      }
-      const storeId = suppliers[0].id;
-      const planId = suppliers[0].plan_id;
-
-      // 2) Check plan & limits
-      const plans = await queryDB(`SELECT name, upload_limit FROM Plan WHERE id = ? AND is_active = 1 LIMIT 1`, [planId]);
-      if (!plans || plans.length === 0) {
+      // 2) Check plan & limits (an expired plan only counts as the free plan)
+      const plan = planId ? await getEffectivePlan(storeId) : null;
+      if (!plan || !plan.plan_id) {
         return res.status(403).json({ success: false, message: "Plan inactive or invalid" });
       }
-      const plan = plans[0];
 
       const productCountRows = await queryDB(`SELECT COUNT(*) AS total FROM Product WHERE store_id = ?`, [storeId]);
       const currentCount = (productCountRows && productCountRows[0] && Number(productCountRows[0].total)) || 0;
 
-      if (typeof plan.upload_limit === "number" && plan.upload_limit >= 0 && currentCount >= plan.upload_limit) {
+      const uploadLimit = uploadLimitOf(plan);
+      if (uploadLimit !== null && currentCount >= uploadLimit) {
         return res.status(403).json({
           success: false,
-          message: `Upload limit reached for plan ${plan.name}`,
+          message: plan.expired
+            ? `Your plan has expired. Upload limit of the ${plan.name} plan reached`
+            : `Upload limit reached for plan ${plan.name}`,
         });
       }
 
       // 3) Prepare product data from body
       const {
+        sku,
         title,
         ebay_link,
         supplier_purchase_price,
@@ -217,6 +113,16 @@ router.post(
         source_type,
         status,
       } = req.body;
+      if (sku) {
+        if (!SKU_PATTERN.test(sku)) {
+          return res.status(400).json({ success: false, message: "SKU must be 1-64 letters, digits, dots, dashes or underscores" });
+        }
+        // checked before the images go to FTP
+        const taken = await queryDB(`SELECT id FROM Product WHERE store_id = ? AND sku = ? LIMIT 1`, [storeId, sku]);
+        if (taken.length > 0) {
+          return res.status(409).json({ success: false, code: "SKU_TAKEN", message: "SKU is already used by another product" });
+        }
+      }
 
       // 4) FTP upload main image and other images
       const mainImageFile = req.files?.main_image?.[0];
@@ -227,7 +133,7 @@ router.post(
 
       try {
         if (mainImageFile) {
-          const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(mainImageFile.originalname)}`;
+          const filename = makeRemoteFilename(mainImageFile.originalname);
           mainImagePath = await uploadToFTP(
             mainImageFile.buffer,
             filename,
@@ -236,7 +142,7 @@ router.post(
         }
 
         for (const file of otherImageFiles) {
-          const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(file.originalname)}`;
+          const filename = makeRemoteFilename(file.originalname);
           const remote = await uploadToFTP(
             file.buffer,
             filename,
@@ -252,11 +158,12 @@ router.post(
       // 5) Insert product
       const insertResult = await queryDB(
         `INSERT INTO Product 
-          (store_id, ebay_link, title, country, main_image, supplier_purchase_price,
+          (store_id, sku, ebay_link, title, country, main_image, supplier_purchase_price,
            supplier_sold_price, stock_quantity, status, source_type, category, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
         [
           storeId,
+          sku || null,
           ebay_link || null,
           title || null,
           country || null,
@@ -290,6 +197,19 @@ router.post(
         console.warn("Failed to increment supplier total_products (non-fatal):", e.message || e);
       }
 
+      if (productId) {
+        const created = await queryDB(`SELECT * FROM Product WHERE id = ? LIMIT 1`, [productId]);
+        await recordAudit(null, {
+          actor: auditActor(req),
+          storeId,
+          entityType: "product",
+          entityId: productId,
+          action: "create",
+          after: { ...pickFields(created[0], PRODUCT_AUDIT_FIELDS), images: otherImagesPaths.map(normalizeRemotePath) },
+        });
+        await emitProductEvent("product.created", productId);
+      }
+
       return res.json({ success: true, message: "Product added successfully", product_id: productId });
     } catch (err) {
       console.error("❌ Add Product Error:", err);
@@ -299,15 +219,11 @@ router.post(
 );
 
 // GET /product -> get all products for current supplier with optional status filter
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", requireAuth, requireStorePermission("products:read"), async (req, res) => {
   try {
     const statusFilter = req.query.status;
 
-    const supplierRows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ? LIMIT 1`, [req.user.userId]);
-    if (!supplierRows || supplierRows.length === 0)
-      return res.status(400).json({ success: false, message: "Supplier profile not found" });
-
-    const storeId = supplierRows[0].id;
+    const storeId = req.supplierProfile.id;
 
     let sql = `SELECT * FROM Product WHERE store_id = ?`;
     const params = [storeId];
@@ -342,15 +258,11 @@ router.get("/", verifyToken, async (req, res) => {
 });
 
 // GET /product/:id -> get single product (owner)
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", requireAuth, requireStorePermission("products:read"), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
 
-    const supplierRows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ? LIMIT 1`, [userId]);
-    if (!supplierRows || supplierRows.length === 0)
-      return res.status(404).json({ success: false, message: "Supplier not found" });
-    const storeId = supplierRows[0].id;
+    const storeId = req.supplierProfile.id;
 
     const rows = await queryDB(`SELECT * FROM Product WHERE id = ? AND store_id = ? LIMIT 1`, [id, storeId]);
     if (!rows || rows.length === 0) return res.status(404).json({ success: false, message: "Product not found" });
@@ -371,18 +283,15 @@ router.get("/:id", verifyToken, async (req, res) => {
 // PUT /product/:id -> Edit product (replace main image / add gallery images)
 router.put(
   "/:id",
-  verifyToken,
+  requireAuth,
+  requireStorePermission("products:write"),
+  denyImpersonation,
   upload.fields([{ name: "main_image", maxCount: 1 }, { name: "other_images", maxCount: 5 }]),
   async (req, res) => {
     const { id } = req.params;
-    const userId = req.user.userId;
 
     try {
-      const supplierRows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ? LIMIT 1`, [userId]);
-      if (!supplierRows || supplierRows.length === 0) {
-        return res.status(404).json({ success: false, message: "Supplier not found" });
-      }
-      const storeId = supplierRows[0].id;
+      const storeId = req.supplierProfile.id;
 
       const prodRows = await queryDB(`SELECT * FROM Product WHERE id = ? AND store_id = ? LIMIT 1`, [id, storeId]);
       if (!prodRows || prodRows.length === 0) {
@@ -390,14 +299,31 @@ router.put(
       }
       const product = prodRows[0];
 
-      const fields = ["title", "ebay_link", "supplier_purchase_price", "supplier_sold_price", "stock_quantity", "category", "country", "source_type", "status"];
+      // an empty SKU clears it
+      if (req.body.sku === "") req.body.sku = null;
+      if (req.body.sku && !SKU_PATTERN.test(req.body.sku)) {
+        return res.status(400).json({ success: false, message: "SKU must be 1-64 letters, digits, dots, dashes or underscores" });
+      }
+      if (req.body.sku) {
+        const taken = await queryDB(`SELECT id FROM Product WHERE store_id = ? AND sku = ? AND id <> ? LIMIT 1`, [
+          storeId,
+          req.body.sku,
+          product.id,
+        ]);
+        if (taken.length > 0) {
+          return res.status(409).json({ success: false, code: "SKU_TAKEN", message: "SKU is already used by another product" });
+        }
+      }
+
       const updates = [];
       const params = [];
+      const changed = {};
 
-      fields.forEach((f) => {
+      PRODUCT_FIELDS.forEach((f) => {
         if (req.body[f] !== undefined) {
           updates.push(`${f} = ?`);
           params.push(req.body[f]);
+          changed[f] = req.body[f];
         }
       });
 
@@ -405,7 +331,7 @@ router.put(
       if (req.files && req.files["main_image"] && req.files["main_image"][0]) {
         const newFile = req.files["main_image"][0];
         try {
-          const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(newFile.originalname)}`;
+          const filename = makeRemoteFilename(newFile.originalname);
           const remotePath = await uploadToFTP(
             newFile.buffer,
             filename,
@@ -416,6 +342,7 @@ router.put(
           }
           updates.push("main_image = ?");
           params.push(normalizeRemotePath(remotePath));
+          changed.main_image = normalizeRemotePath(remotePath);
         } catch (uploadErr) {
           console.error("Main image upload failed:", uploadErr);
           return res.status(500).json({ success: false, message: "Main image upload failed", error: uploadErr.message || uploadErr });
@@ -426,6 +353,16 @@ router.put(
         params.push(id);
         const sql = `UPDATE Product SET ${updates.join(", ")}, updated_at = NOW() WHERE id = ?`;
         await queryDB(sql, params);
+        await recordAudit(null, {
+          actor: auditActor(req),
+          storeId,
+          entityType: "product",
+          entityId: product.id,
+          action: "update",
+          before: pickFields(product, Object.keys(changed)),
+          after: changed,
+        });
+        if (req.body.stock_quantity !== undefined) await notifyIfStockLow(null, id, product.stock_quantity);
       }
 
       // append other images if provided
@@ -433,7 +370,7 @@ router.put(
         const insertValues = [];
         for (const file of req.files["other_images"]) {
           try {
-            const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(file.originalname)}`;
+            const filename = makeRemoteFilename(file.originalname);
             const remote = await uploadToFTP(
               file.buffer,
               filename,
@@ -449,9 +386,22 @@ router.put(
           const flattened = insertValues.flat();
           const sql = `INSERT INTO ProductImage (product_id, image_url, is_primary) VALUES ${placeholders}`;
           await queryDB(sql, flattened);
+          await recordAudit(null, {
+            actor: auditActor(req),
+            storeId,
+            entityType: "product",
+            entityId: product.id,
+            action: "image_add",
+            after: { images: insertValues.map(([, imageUrl]) => imageUrl) },
+          });
         }
       }
 
+      await emitProductEvent("product.updated", id);
+      if (req.body.stock_quantity !== undefined && Number(req.body.stock_quantity) !== Number(product.stock_quantity)) {
+        await emitProductEvent("stock.changed", id, { previous_stock: Number(product.stock_quantity), reason: "manual_update" });
+      }
+
       return res.json({ success: true, message: "Product updated successfully" });
     } catch (err) {
       console.error("❌ Edit product error:", err);
@@ -461,15 +411,11 @@ router.put(
 );
 
 // DELETE single gallery image
-router.delete("/:id/image/:imageId", verifyToken, async (req, res) => {
+router.delete("/:id/image/:imageId", requireAuth, requireStorePermission("products:write"), denyImpersonation, async (req, res) => {
   try {
     const { id, imageId } = req.params;
-    const userId = req.user.userId;
 
-    const supplierRows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ? LIMIT 1`, [userId]);
-    if (!supplierRows || supplierRows.length === 0)
-      return res.status(404).json({ success: false, message: "Supplier not found" });
-    const storeId = supplierRows[0].id;
+    const storeId = req.supplierProfile.id;
 
     const prodRows = await queryDB(`SELECT * FROM Product WHERE id = ? AND store_id = ? LIMIT 1`, [id, storeId]);
     if (!prodRows || prodRows.length === 0) return res.status(404).json({ success: false, message: "Product not found" });
@@ -485,6 +431,14 @@ router.delete("/:id/image/:imageId", verifyToken, async (req, res) => {
     }
 
     await queryDB(`DELETE FROM ProductImage WHERE id = ?`, [imageId]);
+    await recordAudit(null, {
+      actor: auditActor(req),
+      storeId,
+      entityType: "product",
+      entityId: prodRows[0].id,
+      action: "image_delete",
+      before: { image_id: img.id, image_url: img.image_url },
+    });
 
     return res.json({ success: true, message: "Image deleted successfully" });
   } catch (err) {
@@ -494,37 +448,56 @@ router.delete("/:id/image/:imageId", verifyToken, async (req, res) => {
 });
 
 // DELETE product + images
-router.delete("/:id", verifyToken, async (req, res) => {
+// Products that appear in order requests stay (the orders keep pointing at them); archive those instead.
+router.delete("/:id", requireAuth, requireStorePermission("products:write"), denyImpersonation, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
 
-    const supplierRows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ? LIMIT 1`, [userId]);
-    if (!supplierRows || supplierRows.length === 0) return res.status(404).json({ success: false, message: "Supplier not found" });
-    const storeId = supplierRows[0].id;
+    const storeId = req.supplierProfile.id;
 
-    const prodRows = await queryDB(`SELECT * FROM Product WHERE id = ? AND store_id = ? LIMIT 1`, [id, storeId]);
-    if (!prodRows || prodRows.length === 0) return res.status(404).json({ success: false, message: "Product not found" });
-    const product = prodRows[0];
+    const removed = await withTransaction(async (conn) => {
+      const [prodRows] = await conn.query(`SELECT * FROM Product WHERE id = ? AND store_id = ? LIMIT 1 FOR UPDATE`, [id, storeId]);
+      if (prodRows.length === 0) return null;
+      const product = prodRows[0];
+
+      const [orderItems] = await conn.query(`SELECT id FROM OrderRequestItem WHERE product_id = ? LIMIT 1`, [id]);
+      if (orderItems.length > 0) return { product, inOrders: true };
+
+      const [images] = await conn.query(`SELECT * FROM ProductImage WHERE product_id = ?`, [id]);
+      await conn.query(`DELETE FROM ProductImage WHERE product_id = ?`, [id]);
+      await conn.query(`DELETE FROM Product WHERE id = ?`, [id]);
+      await conn.query(`UPDATE SupplierProfile SET total_products = GREATEST(0, COALESCE(total_products,0) - 1) WHERE id = ?`, [storeId]);
+      await recordAudit(conn, {
+        actor: auditActor(req),
+        storeId,
+        entityType: "product",
+        entityId: product.id,
+        action: "delete",
+        before: { ...pickFields(product, PRODUCT_AUDIT_FIELDS), images: images.map((img) => img.image_url) },
+      });
+      return { product, images };
+    });
 
-    const images = await queryDB(`SELECT * FROM ProductImage WHERE product_id = ?`, [id]);
+    if (!removed) return res.status(404).json({ success: false, message: "Product not found" });
+    if (removed.inOrders) {
+      return res.status(409).json({
+        success: false,
+        code: "PRODUCT_IN_ORDERS",
+        message: "This product is part of order requests and can't be deleted, archive it instead",
+      });
+    }
+    const { product, images } = removed;
 
+    // files go once the rows are gone, a failed FTP delete only leaves an orphaned file behind
     if (product.main_image) {
       try { await deleteFromFTP(product.main_image); } catch (e) { console.warn("Failed to delete main image:", e.message || e); }
     }
 
-    for (const img of (images || [])) {
+    for (const img of images) {
       try { await deleteFromFTP(img.image_url); } catch (e) { console.warn("Failed to delete gallery image:", img.image_url, e.message || e); }
     }
 
-    await queryDB(`DELETE FROM ProductImage WHERE product_id = ?`, [id]);
-    await queryDB(`DELETE FROM Product WHERE id = ?`, [id]);
-
-    try {
-      await queryDB(`UPDATE SupplierProfile SET total_products = GREATEST(0, COALESCE(total_products,0) - 1) WHERE id = ?`, [storeId]);
-    } catch (e) {
-      console.warn("Failed to decrement product count (non-fatal):", e.message || e);
-    }
+    await emitWebhookEvent(storeId, "product.deleted", { product: { id: product.id, title: product.title } });
 
     return res.json({ success: true, message: "Product and images deleted successfully" });
   } catch (err) {
@@ -534,25 +507,48 @@ router.delete("/:id", verifyToken, async (req, res) => {
 });
 
 // PATCH product status
-router.patch("/:id/status", verifyToken, async (req, res) => {
+router.patch("/:id/status", requireAuth, requireStorePermission("products:write"), denyImpersonation, async (req, res) => {
   try {
     const { id } = req.params;
     let { status } = req.body;
-    const userId = req.user.userId;
 
     if (status === "paused") status = "out_of_stock";
     if (!["active", "out_of_stock", "archived"].includes(status)) {
       return res.status(400).json({ success: false, message: "Invalid status" });
     }
 
-    const supplierRows = await queryDB(`SELECT id FROM SupplierProfile WHERE user_id = ? LIMIT 1`, [userId]);
-    if (!supplierRows || supplierRows.length === 0) return res.status(404).json({ success: false, message: "Supplier not found" });
-    const storeId = supplierRows[0].id;
+    const storeId = req.supplierProfile.id;
 
     const rows = await queryDB(`SELECT * FROM Product WHERE id = ? AND store_id = ? LIMIT 1`, [id, storeId]);
     if (!rows || rows.length === 0) return res.status(404).json({ success: false, message: "Product not found" });
 
-    await queryDB(`UPDATE Product SET status = ?, updated_at = NOW() WHERE id = ?`, [status, id]);
+    // products paused by a plan downgrade can only come back while the plan has room for them
+    if (status === "active" && rows[0].status !== "active") {
+      const plan = await getEffectivePlan(storeId);
+      const uploadLimit = uploadLimitOf(plan);
+      const [activeRow] = await queryDB(
+        `SELECT COUNT(*) AS total FROM Product WHERE store_id = ? AND status = 'active'`,
+        [storeId]
+      );
+      if (uploadLimit !== null && Number(activeRow.total) >= uploadLimit) {
+        return res.status(403).json({
+          success: false,
+          message: `Your ${plan?.name || "current"} plan allows ${uploadLimit} active products. Upgrade to activate more.`,
+        });
+      }
+    }
+
+    await queryDB(`UPDATE Product SET status = ?, plan_paused = 0, updated_at = NOW() WHERE id = ?`, [status, id]);
+    await recordAudit(null, {
+      actor: auditActor(req),
+      storeId,
+      entityType: "product",
+      entityId: rows[0].id,
+      action: "status_change",
+      before: { status: rows[0].status, plan_paused: rows[0].plan_paused },
+      after: { status, plan_paused: 0 },
+    });
+    await emitProductEvent("product.updated", id);
     return res.json({ success: true, message: `Product status updated to ${status}` });
   } catch (err) {
     console.error("Toggle status error:", err);
@@ -1,13 +1,23 @@
 // api/supplierProfile.js
 import express from "express";
 import queryDB from "../db.js"; // use the stable queryDB
+import { hasUnlockedSupplier } from "../lib/contacts.js";
+import { verifiedOnly } from "../lib/reviews.js";
+import { loadSellerProfile, optionalAuth } from "../lib/auth.js";
 
 const router = express.Router();
 
+// Has the (optional) caller unlocked this supplier's contact with a credit?
+const callerHasUnlocked = async (req, supplierId) => {
+  if (!req.user?.userId) return false;
+  const seller = await loadSellerProfile(req);
+  return seller ? hasUnlockedSupplier(seller.id, supplierId) : false;
+};
+
 // ============================
 // 1️⃣ Get Public Supplier Profile (No Auth Required)
 // ============================
-router.get("/:supplierId", async (req, res) => {
+router.get("/:supplierId", optionalAuth, async (req, res) => {
   const { supplierId } = req.params;
 
   try {
@@ -66,16 +76,36 @@ router.get("/:supplierId", async (req, res) => {
       [supplierId]
     );
 
-    // Get Average Rating from Reviews
-    const [avgRating] = await queryDB(
-      `SELECT 
-         IFNULL(AVG(rating), 0) as avg_rating,
-         COUNT(*) as review_count
+    // Review counts (rating itself is kept in sync on SupplierProfile.rating)
+    const [reviewStats] = await queryDB(
+      `SELECT COUNT(*) as review_count,
+              IFNULL(SUM(is_verified), 0) as verified_review_count,
+              IFNULL(AVG(CASE WHEN is_verified = 1 THEN rating END), 0) as verified_rating
        FROM Review
-       WHERE store_id = ? AND review_type = 'supplier'`,
+       WHERE store_id = ? AND review_type = 'supplier' AND is_hidden = 0`,
+      [supplierId]
+    );
+
+    const reviews = await queryDB(
+      `SELECT 
+         r.id,
+         r.rating,
+         r.comment,
+         r.reply,
+         r.is_verified,
+         r.created_at,
+         COALESCE(u.username, 'Deleted user') AS username
+       FROM Review r
+       LEFT JOIN User u ON r.user_id = u.id
+       WHERE r.store_id = ? AND r.review_type = 'supplier' AND r.is_hidden = 0
+         ${verifiedOnly(req.query) ? "AND r.is_verified = 1" : ""}
+       ORDER BY r.created_at DESC
+       LIMIT 20`,
       [supplierId]
     );
 
+    const contactUnlocked = await callerHasUnlocked(req, supplier.id);
+
     console.log(`✅ Profile loaded: ${supplier.store_name}, ${products.length} products`);
 
     res.json({
@@ -85,16 +115,20 @@ router.get("/:supplierId", async (req, res) => {
         store_name: supplier.store_name,
         store_description: supplier.store_description,
         logo: supplier.logo,
-        whatsapp_number: supplier.whatsapp_number,
+        whatsapp_number: contactUnlocked ? supplier.whatsapp_number : null,
+        contact_unlocked: contactUnlocked,
         is_verified: supplier.is_verified,
-        rating: parseFloat(avgRating.avg_rating).toFixed(1),
-        review_count: avgRating.review_count,
+        rating: parseFloat(supplier.rating || 0).toFixed(1),
+        review_count: reviewStats.review_count,
+        verified_review_count: Number(reviewStats.verified_review_count),
+        verified_rating: parseFloat(reviewStats.verified_rating).toFixed(1),
         total_products: productCount.count,
         country: supplier.country,
         member_since: supplier.created_at,
         username: supplier.username
       },
-      products
+      products,
+      reviews
     });
 
   } catch (err) {
@@ -110,7 +144,7 @@ router.get("/:supplierId", async (req, res) => {
 // ============================
 // 2️⃣ Get Single Product Details (Public)
 // ============================
-router.get("/:supplierId/product/:productId", async (req, res) => {
+router.get("/:supplierId/product/:productId", optionalAuth, async (req, res) => {
   const { supplierId, productId } = req.params;
 
   try {
@@ -156,11 +190,13 @@ router.get("/:supplierId/product/:productId", async (req, res) => {
          r.rating,
          r.comment,
          r.reply,
+         r.is_verified,
          r.created_at,
-         u.username
+         COALESCE(u.username, 'Deleted user') AS username
        FROM Review r
-       JOIN User u ON r.user_id = u.id
-       WHERE r.product_id = ? AND r.review_type = 'product'
+       LEFT JOIN User u ON r.user_id = u.id
+       WHERE r.product_id = ? AND r.review_type = 'product' AND r.is_hidden = 0
+         ${verifiedOnly(req.query) ? "AND r.is_verified = 1" : ""}
        ORDER BY r.created_at DESC
        LIMIT 20`,
       [productId]
@@ -170,9 +206,11 @@ router.get("/:supplierId/product/:productId", async (req, res) => {
     const [avgRating] = await queryDB(
       `SELECT 
          IFNULL(AVG(rating), 0) as avg_rating,
-         COUNT(*) as review_count
+         COUNT(*) as review_count,
+         IFNULL(SUM(is_verified), 0) as verified_review_count,
+         IFNULL(AVG(CASE WHEN is_verified = 1 THEN rating END), 0) as verified_avg_rating
        FROM Review
-       WHERE product_id = ? AND review_type = 'product'`,
+       WHERE product_id = ? AND review_type = 'product' AND is_hidden = 0`,
       [productId]
     );
 
@@ -182,6 +220,8 @@ router.get("/:supplierId/product/:productId", async (req, res) => {
       [productId]
     );
 
+    const contactUnlocked = await callerHasUnlocked(req, product.store_id);
+
     console.log(`✅ Product loaded: ${product.title}`);
 
     res.json({
@@ -202,11 +242,14 @@ router.get("/:supplierId/product/:productId", async (req, res) => {
         created_at: product.created_at,
         avg_rating: parseFloat(avgRating.avg_rating).toFixed(1),
         review_count: avgRating.review_count,
+        verified_review_count: Number(avgRating.verified_review_count),
+        verified_avg_rating: parseFloat(avgRating.verified_avg_rating).toFixed(1),
         store: {
           id: supplierId,
           name: product.store_name,
           logo: product.store_logo,
-          whatsapp: product.whatsapp_number,
+          whatsapp: contactUnlocked ? product.whatsapp_number : null,
+          contact_unlocked: contactUnlocked,
           is_verified: product.is_verified,
           country: product.store_country
         }
@@ -0,0 +1,140 @@
+// api/team.js
+import express from "express";
+import {
+  INVITABLE_ROLES,
+  STORE_ROLE_PERMISSIONS,
+  acceptInvitation,
+  inviteMember,
+  listInvitationsForEmail,
+  listTeam,
+  listUserStores,
+  removeMember,
+  revokeInvitation,
+  updateMemberRole,
+} from "../lib/team.js";
+import { denyImpersonation, requireAuth, requireStorePermission, requireVerifiedEmail } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// ============================
+// 1️⃣ My stores and invitations
+// The store routes act on the store sent in the X-Store-Id header (default: your own store)
+// ============================
+router.get("/stores", async (req, res) => {
+  try {
+    res.json({ success: true, stores: await listUserStores(req.user.userId) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch stores");
+  }
+});
+
+router.get("/roles", (req, res) => {
+  res.json({ success: true, roles: STORE_ROLE_PERMISSIONS, invitable: INVITABLE_ROLES });
+});
+
+router.get("/invitations/mine", async (req, res) => {
+  try {
+    res.json({ success: true, invitations: await listInvitationsForEmail(req.user.email) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch invitations");
+  }
+});
+
+/**
+ * POST /api/team/invitations/accept — Body: { token } from the invitation email
+ * POST /api/team/invitations/:id/accept — from the in-app list, needs a verified email
+ */
+router.post("/invitations/accept", denyImpersonation, async (req, res) => {
+  try {
+    const { supplierId, role } = await acceptInvitation(req.user, { token: req.body?.token });
+    res.json({ success: true, message: "You joined the store", store_id: supplierId, role });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to accept invitation");
+  }
+});
+
+router.post("/invitations/:id/accept", requireVerifiedEmail, denyImpersonation, async (req, res) => {
+  try {
+    const { supplierId, role } = await acceptInvitation(req.user, { invitationId: req.params.id });
+    res.json({ success: true, message: "You joined the store", store_id: supplierId, role });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to accept invitation");
+  }
+});
+
+// ============================
+// 2️⃣ Team of the active store
+// ============================
+router.get("/", requireStorePermission("team:read"), async (req, res) => {
+  try {
+    const team = await listTeam(req.supplierProfile.id);
+    res.json({
+      success: true,
+      store: { id: req.supplierProfile.id, name: req.supplierProfile.store_name },
+      my_role: req.storeMembership.role,
+      members: team.members,
+      // pending invitations are only shown to whoever manages the team
+      invitations: req.storeMembership.permissions.includes("team:manage") ? team.invitations : [],
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch team");
+  }
+});
+
+/**
+ * POST /api/team/invitations
+ * Body: { email, role } — role: manager | inventory_clerk | sales_clerk | analyst
+ */
+router.post("/invitations", requireStorePermission("team:manage"), denyImpersonation, async (req, res) => {
+  try {
+    const invitationId = await inviteMember({
+      supplierId: req.supplierProfile.id,
+      email: req.body?.email,
+      role: req.body?.role,
+      invitedBy: req.user.userId,
+    });
+    res.status(201).json({ success: true, message: "Invitation sent", invitation_id: invitationId });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to send invitation");
+  }
+});
+
+router.delete("/invitations/:id", requireStorePermission("team:manage"), denyImpersonation, async (req, res) => {
+  try {
+    await revokeInvitation(req.supplierProfile.id, req.params.id);
+    res.json({ success: true, message: "Invitation revoked" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to revoke invitation");
+  }
+});
+
+/**
+ * PATCH /api/team/members/:id — Body: { role }
+ */
+router.patch("/members/:id", requireStorePermission("team:manage"), denyImpersonation, async (req, res) => {
+  try {
+    const member = await updateMemberRole(req.supplierProfile.id, req.params.id, req.body?.role);
+    res.json({ success: true, message: "Role updated", member_id: member.id, role: member.role });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to update member");
+  }
+});
+
+/**
+ * DELETE /api/team/members/:id
+ * The owner removes anyone but themselves; any member can remove their own membership to leave.
+ */
+router.delete("/members/:id", requireStorePermission("team:read"), denyImpersonation, async (req, res) => {
+  try {
+    const member = await removeMember(req.supplierProfile.id, req.params.id, req.storeMembership);
+    const left = Number(member.user_id) === Number(req.user.userId);
+    res.json({ success: true, message: left ? "You left the store" : "Member removed" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to remove member");
+  }
+});
+
+export default router;
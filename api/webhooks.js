@@ -0,0 +1,174 @@
+// api/webhooks.js
+import express from "express";
+import queryDB from "../db.js";
+import {
+  SIGNATURE_HEADER,
+  WEBHOOK_EVENTS,
+  createEndpoint,
+  formatEndpoint,
+  generateSecret,
+  getDeliveries,
+  getDelivery,
+  getEndpoint,
+  getEndpointsForSupplier,
+  redeliver,
+  sendTestEvent,
+  validateEndpointUrl,
+  validateEvents,
+} from "../lib/webhooks.js";
+import { denyImpersonation, requireAuth, requireSupplier } from "../lib/auth.js";
+import { sendAppError } from "../lib/errors.js";
+
+const router = express.Router();
+
+// ============================
+// 1️⃣ Available events (and how payloads are signed)
+// ============================
+router.get("/events", (req, res) => {
+  res.json({
+    success: true,
+    events: WEBHOOK_EVENTS,
+    signature: {
+      header: SIGNATURE_HEADER,
+      format: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${raw body}` with the endpoint secret>",
+    },
+  });
+});
+
+router.use(requireAuth, requireSupplier);
+
+// ============================
+// 2️⃣ Endpoints CRUD
+// POST Body: { url, events: [], description? } — the secret is returned once
+// ============================
+router.get("/", async (req, res) => {
+  try {
+    const endpoints = await getEndpointsForSupplier(req.supplierProfile.id);
+    res.json({ success: true, endpoints: endpoints.map(formatEndpoint) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch webhook endpoints");
+  }
+});
+
+router.post("/", denyImpersonation, async (req, res) => {
+  try {
+    const { url, events, description } = req.body ?? {};
+    const { endpoint, secret } = await createEndpoint(req.supplierProfile.id, { url, events, description: description || null });
+    res.status(201).json({
+      success: true,
+      message: "Webhook endpoint created. Store the secret now, it won't be shown again.",
+      endpoint: formatEndpoint(endpoint),
+      secret,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to create webhook endpoint");
+  }
+});
+
+router.put("/:id", denyImpersonation, async (req, res) => {
+  try {
+    const endpoint = await getEndpoint(req.params.id, req.supplierProfile.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook endpoint not found" });
+
+    const body = req.body ?? {};
+    const updates = [];
+    const params = [];
+    if (body.url !== undefined) { updates.push("url = ?"); params.push(validateEndpointUrl(body.url)); }
+    if (body.events !== undefined) { updates.push("events = ?"); params.push(JSON.stringify(validateEvents(body.events))); }
+    if (body.description !== undefined) { updates.push("description = ?"); params.push(body.description || null); }
+    if (body.is_active !== undefined) { updates.push("is_active = ?"); params.push(body.is_active ? 1 : 0); }
+    if (updates.length === 0)
+      return res.status(400).json({ success: false, message: "Nothing to update (url, events, description, is_active)" });
+
+    params.push(endpoint.id);
+    await queryDB(`UPDATE WebhookEndpoint SET ${updates.join(", ")}, updated_at = NOW() WHERE id = ?`, params);
+
+    res.json({ success: true, message: "Webhook endpoint updated", endpoint: formatEndpoint(await getEndpoint(endpoint.id, req.supplierProfile.id)) });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to update webhook endpoint");
+  }
+});
+
+router.delete("/:id", denyImpersonation, async (req, res) => {
+  try {
+    const result = await queryDB("DELETE FROM WebhookEndpoint WHERE id = ? AND supplier_id = ?", [req.params.id, req.supplierProfile.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Webhook endpoint not found" });
+    res.json({ success: true, message: "Webhook endpoint deleted" });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to delete webhook endpoint");
+  }
+});
+
+// ============================
+// 3️⃣ Rotate secret / send a test ping
+// ============================
+router.post("/:id/rotate-secret", denyImpersonation, async (req, res) => {
+  try {
+    const endpoint = await getEndpoint(req.params.id, req.supplierProfile.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook endpoint not found" });
+
+    const secret = generateSecret();
+    await queryDB("UPDATE WebhookEndpoint SET secret = ?, updated_at = NOW() WHERE id = ?", [secret, endpoint.id]);
+    res.json({ success: true, message: "Secret rotated. Store it now, it won't be shown again.", secret });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to rotate webhook secret");
+  }
+});
+
+router.post("/:id/test", denyImpersonation, async (req, res) => {
+  try {
+    const endpoint = await getEndpoint(req.params.id, req.supplierProfile.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook endpoint not found" });
+
+    const delivery = await sendTestEvent(endpoint);
+    res.json({ success: delivery.status === "succeeded", delivery });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to send test webhook");
+  }
+});
+
+// ============================
+// 4️⃣ Delivery log
+// GET /:id/deliveries ?status=pending|sending|succeeded|failed&limit=&offset=
+// ============================
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const endpoint = await getEndpoint(req.params.id, req.supplierProfile.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook endpoint not found" });
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const deliveries = await getDeliveries(endpoint.id, { limit, offset, status: req.query.status || null });
+    res.json({ success: true, deliveries });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch webhook deliveries");
+  }
+});
+
+router.get("/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.deliveryId, req.supplierProfile.id);
+    if (!delivery) return res.status(404).json({ success: false, message: "Delivery not found" });
+    res.json({ success: true, delivery });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to fetch webhook delivery");
+  }
+});
+
+// ============================
+// 5️⃣ Redeliver (same event id and payload, new attempt chain)
+// ============================
+router.post("/deliveries/:deliveryId/redeliver", denyImpersonation, async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId, req.supplierProfile.id);
+    res.json({
+      success: true,
+      message: delivery.status === "succeeded" ? "Delivered" : "Redelivery queued for retry",
+      delivery,
+    });
+  } catch (err) {
+    return sendAppError(res, err, "Failed to redeliver webhook");
+  }
+});
+
+export default router;
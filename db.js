@@ -64,8 +64,43 @@ export const getConnection = async () => {
   return await getPool().getConnection();
 };
 
+/**
+ * Run `fn(conn)` inside a transaction on a dedicated connection.
+ * Commits on success, rolls back and rethrows on error.
+ * `conn.afterCommit(task)` queues work that must only happen once the rows are
+ * committed (sending an email queued in the transaction); tasks run after the commit,
+ * in order, and their failures are logged rather than thrown.
+ */
+export const withTransaction = async (fn) => {
+  const conn = await getConnection();
+  const afterCommit = [];
+  let result;
+  try {
+    conn.afterCommit = (task) => afterCommit.push(task);
+    await conn.beginTransaction();
+    result = await fn(conn);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    delete conn.afterCommit;
+    conn.release();
+  }
+
+  for (const task of afterCommit) {
+    try {
+      await task();
+    } catch (err) {
+      console.error("❌ After-commit task failed:", err.message || err);
+    }
+  }
+  return result;
+};
+
 /**
  * Prevent idle disconnects with Keep Alive Ping
+ * (unref'd: the server keeps the process up, scripts and tests may exit)
  */
 setInterval(async () => {
   try {
@@ -73,6 +108,6 @@ setInterval(async () => {
   } catch (err) {
     console.log("⚠️ Keep-alive failed:", err.message);
   }
-}, 60000); // Ping every 60 sec
+}, 60000).unref(); // Ping every 60 sec
 
 export default queryDB;
@@ -8,12 +8,26 @@ import authRoutes from "./api/auth.js";
 import sellerRoutes from "./api/seller.js";
 import supplierRoutes from "./api/supplier.js";
 import supplierProductRoutes from "./api/supplierProduct.js";
+import productImportRoutes from "./api/productImport.js";
 import salesRoutes from "./api/salesRoutes.js";
 import dashboardRoutes from "./api/dashboard.js";
 import analyticsRoutes from "./api/analytics.js";
 import supplierProfileRoutes from "./api/supplierProfile.js";
 import publicProductsRoutes from "./api/publicProducts.js";
 import shopRoutes from "./api/shop.js";
+import adminRoutes from "./api/admin.js";
+import cronRoutes from "./api/cron.js";
+import paymentRoutes from "./api/payments.js";
+import billingRoutes from "./api/billing.js";
+import reviewRoutes from "./api/reviews.js";
+import orderRoutes from "./api/orders.js";
+import messageRoutes from "./api/messages.js";
+import notificationRoutes from "./api/notifications.js";
+import webhookRoutes from "./api/webhooks.js";
+import teamRoutes from "./api/team.js";
+import auditRoutes from "./api/audit.js";
+import accountRoutes from "./api/account.js";
+import { rateLimit } from "./lib/rateLimit/index.js";
 dotenv.config();
 
 const app = express();
@@ -27,12 +41,21 @@ app.use(
       "https://www.storensupply.com",
     ],
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Store-Id"],
+    exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
   })
 );
 
 //app.options("*", cors()); // Important for PATCH and DELETE
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // keep the raw body around: payment webhooks are signed over the exact bytes
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 // ✅ Health Check
 app.get("/", (req, res) => {
   res.json({
@@ -46,13 +69,26 @@ app.get("/", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/seller", sellerRoutes);
 app.use("/api/supplier", supplierRoutes);
+app.use("/api/product/import", productImportRoutes); // Bulk CSV/XLSX products and ZIP images
 app.use("/api/product", supplierProductRoutes); // Supplier products
 app.use("/api/sales", salesRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/analytics", analyticsRoutes);
-app.use("/api/supplier-profile", supplierProfileRoutes);
-app.use("/api/products", publicProductsRoutes); // Public product list
-app.use("/api/shop", shopRoutes);
+app.use("/api/supplier-profile", rateLimit("public"), supplierProfileRoutes);
+app.use("/api/products", rateLimit("public"), publicProductsRoutes); // Public product list
+app.use("/api/shop", rateLimit("public"), shopRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/cron", cronRoutes); // Scheduled jobs (Vercel Cron)
+app.use("/api/payments", paymentRoutes);
+app.use("/api/billing", billingRoutes); // Invoices
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/orders", orderRoutes); // Seller -> supplier order requests
+app.use("/api/messages", messageRoutes); // Seller <-> supplier conversations
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/webhooks", webhookRoutes); // Supplier outgoing webhooks
+app.use("/api/team", teamRoutes); // Store members and invitations
+app.use("/api/audit", auditRoutes); // Store change history
+app.use("/api/account", accountRoutes); // Data export and account deletion
 // ✅ Serve media files from FTP fallback uploads folder
 app.use("/uploads", express.static("uploads"));
 
@@ -0,0 +1,413 @@
+// lib/accountData.js
+//
+// Personal data export and self-service account deletion.
+//
+// Deletion happens in two steps. The request takes the account offline at once: it is
+// deactivated and signed out everywhere, its reviews stay up without an author, its
+// product images and store logo are removed from FTP, its products are archived and the
+// store's team is dismissed. Everything else stays until the grace period ends, so the
+// link in the confirmation email can still bring the account back; the account-deletion
+// cron then purges the profiles, products, sales, the store's order requests and the User
+// row itself. Payment orders and invoices are kept for accounting, detached from the user.
+import crypto from "crypto";
+import path from "path";
+import AdmZip from "adm-zip";
+import bcrypt from "bcryptjs";
+import queryDB, { withTransaction } from "../db.js";
+import { buildPublicUrl, deleteFromFTP, downloadFromFTP } from "./ftp.js";
+import { queueEmail } from "./mail/index.js";
+import { revokeAllSessions } from "./sessions.js";
+import { AppError } from "./errors.js";
+
+export const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+// product images copied into a ZIP export; past this the archive only lists their URLs
+export const EXPORT_MAX_IMAGES = Number(process.env.EXPORT_MAX_IMAGES) || 200;
+export const EXPORT_FORMATS = ["json", "zip"];
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://storensupply.com";
+
+/**
+ * Thrown by data export and account deletion: a wrong password, a deletion
+ * already (or not) pending, and cancel links that don't match a request.
+ */
+export class AccountDataError extends AppError {
+  constructor(message, status = 400, code = "ACCOUNT_DATA_ERROR") {
+    super(message, status, code);
+  }
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// the account's own rows, never its password hash or 2FA secrets
+const USER_EXPORT_FIELDS = ["id", "username", "email", "role", "whatsapp_number", "date_joined", "last_login", "email_verified_at"];
+
+const getStore = async (userId) => {
+  const rows = await queryDB("SELECT * FROM SupplierProfile WHERE user_id = ? LIMIT 1", [userId]);
+  return rows[0] || null;
+};
+
+/**
+ * Everything tied to the account, as one JSON-ready object.
+ * Image paths are returned as public URLs plus the raw FTP path (`*_path`) for ZIP exports.
+ */
+export const collectAccountData = async (userId) => {
+  const users = await queryDB(`SELECT ${USER_EXPORT_FIELDS.join(", ")} FROM \`User\` WHERE id = ? LIMIT 1`, [userId]);
+  if (!users[0]) throw new AccountDataError("User not found", 404, "USER_NOT_FOUND");
+
+  const sellers = await queryDB("SELECT * FROM SellerProfile WHERE user_id = ? LIMIT 1", [userId]);
+  const store = await getStore(userId);
+
+  let products = [];
+  let sales = [];
+  if (store) {
+    const productRows = await queryDB("SELECT * FROM Product WHERE store_id = ? ORDER BY id ASC", [store.id]);
+    const productIds = productRows.map((p) => p.id);
+    const images = productIds.length
+      ? await queryDB("SELECT * FROM ProductImage WHERE product_id IN (?) ORDER BY is_primary DESC, id ASC", [productIds])
+      : [];
+    products = productRows.map((p) => ({
+      ...p,
+      main_image: buildPublicUrl(p.main_image),
+      main_image_path: p.main_image || null,
+      images: images
+        .filter((img) => img.product_id === p.id)
+        .map((img) => ({ ...img, image_url: buildPublicUrl(img.image_url), image_path: img.image_url })),
+    }));
+    sales = productIds.length
+      ? await queryDB("SELECT * FROM ProductSales WHERE product_id IN (?) ORDER BY sale_date ASC, id ASC", [productIds])
+      : [];
+  }
+
+  const purchases = await queryDB(
+    `SELECT ps.id, ps.product_id, p.title AS product_title, ps.quantity_sold, ps.sold_price_per_unit,
+            ps.total_sale_amount, ps.sale_date
+     FROM ProductSales ps LEFT JOIN Product p ON ps.product_id = p.id
+     WHERE ps.buyer_user_id = ?
+     ORDER BY ps.sale_date ASC, ps.id ASC`,
+    [userId]
+  );
+  const reviews = await queryDB(
+    `SELECT r.id, r.review_type, r.store_id, r.product_id, r.rating, r.comment, r.reply, r.is_verified,
+            r.is_hidden, r.created_at, r.updated_at, sp.store_name, p.title AS product_title
+     FROM Review r
+     LEFT JOIN SupplierProfile sp ON r.store_id = sp.id
+     LEFT JOIN Product p ON r.product_id = p.id
+     WHERE r.user_id = ?
+     ORDER BY r.created_at ASC`,
+    [userId]
+  );
+
+  return {
+    exported_at: new Date().toISOString(),
+    user: users[0],
+    seller_profile: sellers[0] || null,
+    supplier_profile: store ? { ...store, logo: buildPublicUrl(store.logo) } : null,
+    products,
+    sales,
+    purchases,
+    reviews,
+  };
+};
+
+const toJson = (value) => Buffer.from(JSON.stringify(value, null, 2));
+
+/**
+ * ZIP archive of collectAccountData(): one JSON file per section, and the product image
+ * files under images/<product id>/. Images that can't be fetched are listed in manifest.json.
+ */
+export const buildExportArchive = async (data) => {
+  const zip = new AdmZip();
+  const { products, sales, purchases, reviews, ...account } = data;
+  zip.addFile("account.json", toJson(account));
+  zip.addFile("products.json", toJson(products));
+  zip.addFile("sales.json", toJson(sales));
+  zip.addFile("purchases.json", toJson(purchases));
+  zip.addFile("reviews.json", toJson(reviews));
+
+  const files = products.flatMap((p) => [
+    ...(p.main_image_path ? [{ productId: p.id, remotePath: p.main_image_path }] : []),
+    ...p.images.map((img) => ({ productId: p.id, remotePath: img.image_path })),
+  ]);
+  const manifest = { exported_at: data.exported_at, images: 0, missing_images: [], skipped_images: [] };
+  for (const [index, file] of files.entries()) {
+    if (index >= EXPORT_MAX_IMAGES) {
+      manifest.skipped_images.push(buildPublicUrl(file.remotePath));
+      continue;
+    }
+    try {
+      const buffer = await downloadFromFTP(file.remotePath);
+      zip.addFile(`images/${file.productId}/${path.posix.basename(file.remotePath)}`, buffer);
+      manifest.images += 1;
+    } catch (err) {
+      manifest.missing_images.push(buildPublicUrl(file.remotePath));
+    }
+  }
+  zip.addFile("manifest.json", toJson(manifest));
+
+  return zip.toBuffer();
+};
+
+/**
+ * Open deletion request of the account, if any
+ */
+export const getPendingDeletion = async (userId) => {
+  const rows = await queryDB(
+    "SELECT id, status, reason, scheduled_for, created_at FROM AccountDeletionRequest WHERE user_id = ? AND status = 'pending' LIMIT 1",
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Schedule the account for deletion after DELETION_GRACE_DAYS and take it offline now.
+ * `password` is the account password, re-checked here.
+ * -> { requestId, scheduledFor, imagesRemoved }
+ */
+export const requestDeletion = async (userId, { password, reason = null, ip = null }) => {
+  if (!password) throw new AccountDataError("Password is required", 400, "PASSWORD_REQUIRED");
+
+  const users = await queryDB("SELECT id, password FROM `User` WHERE id = ? AND is_active = TRUE LIMIT 1", [userId]);
+  if (!users[0]) throw new AccountDataError("User not found", 404, "USER_NOT_FOUND");
+  if (!(await bcrypt.compare(password, users[0].password))) {
+    throw new AccountDataError("Password is incorrect", 401, "INVALID_PASSWORD");
+  }
+  if (await getPendingDeletion(userId)) {
+    throw new AccountDataError("Account deletion is already scheduled", 409, "DELETION_PENDING");
+  }
+
+  const store = await getStore(userId);
+  const imagePaths = [];
+  if (store) {
+    const products = await queryDB("SELECT id, main_image FROM Product WHERE store_id = ?", [store.id]);
+    const productIds = products.map((p) => p.id);
+    const images = productIds.length
+      ? await queryDB("SELECT image_url FROM ProductImage WHERE product_id IN (?)", [productIds])
+      : [];
+    imagePaths.push(...products.map((p) => p.main_image), ...images.map((img) => img.image_url), store.logo);
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const result = await withTransaction(async (conn) => {
+    const [inserted] = await conn.query(
+      `INSERT INTO AccountDeletionRequest
+         (user_id, status, reason, cancel_token_hash, scheduled_for, requested_ip, created_at)
+       VALUES (?, 'pending', ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, NOW())`,
+      [userId, reason ? String(reason).slice(0, 500) : null, hashToken(token), DELETION_GRACE_DAYS, ip]
+    );
+    const [requests] = await conn.query("SELECT scheduled_for FROM AccountDeletionRequest WHERE id = ?", [inserted.insertId]);
+
+    await conn.query("UPDATE `User` SET is_active = FALSE WHERE id = ?", [userId]);
+    await conn.query("UPDATE Review SET user_id = NULL WHERE user_id = ?", [userId]);
+    // billing records are kept for accounting; invoices carry their own bill-to details
+    await conn.query(
+      "UPDATE PaymentOrder SET status = 'cancelled', updated_at = NOW() WHERE user_id = ? AND status = 'pending'",
+      [userId]
+    );
+    await conn.query("UPDATE PaymentOrder SET user_id = NULL WHERE user_id = ?", [userId]);
+    await conn.query("UPDATE Invoice SET user_id = NULL WHERE user_id = ?", [userId]);
+
+    if (store) {
+      await conn.query(
+        "DELETE FROM ProductImage WHERE product_id IN (SELECT id FROM Product WHERE store_id = ?)",
+        [store.id]
+      );
+      await conn.query(
+        "UPDATE Product SET status = 'archived', main_image = NULL, updated_at = NOW() WHERE store_id = ?",
+        [store.id]
+      );
+      await conn.query("UPDATE SupplierProfile SET logo = NULL, updated_at = NOW() WHERE id = ?", [store.id]);
+      await conn.query("DELETE FROM StoreMember WHERE supplier_id = ? AND role <> 'owner'", [store.id]);
+      await conn.query(
+        "UPDATE StoreInvitation SET revoked_at = NOW() WHERE supplier_id = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+        [store.id]
+      );
+    }
+
+    await queueEmail(conn, {
+      userId,
+      template: "account_deletion_scheduled",
+      data: {
+        scheduledFor: requests[0].scheduled_for,
+        graceDays: DELETION_GRACE_DAYS,
+        cancelLink: `${FRONTEND_URL}/account/restore?token=${encodeURIComponent(token)}`,
+      },
+    });
+
+    return { requestId: inserted.insertId, scheduledFor: requests[0].scheduled_for };
+  });
+
+  await revokeAllSessions(userId, "account_deleted");
+
+  let imagesRemoved = 0;
+  for (const remotePath of imagePaths.filter(Boolean)) {
+    if (await deleteFromFTP(remotePath)) imagesRemoved += 1;
+  }
+
+  return { ...result, imagesRemoved };
+};
+
+/**
+ * Take back a deletion request during the grace period with the emailed token.
+ * Reactivates the account; removed images and detached reviews are not restored,
+ * and the archived products stay archived. -> { userId }
+ */
+export const cancelDeletion = async (token) => {
+  if (!token) throw new AccountDataError("Token is required", 400, "MISSING_TOKEN");
+
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      "SELECT * FROM AccountDeletionRequest WHERE cancel_token_hash = ? LIMIT 1 FOR UPDATE",
+      [hashToken(token)]
+    );
+    const request = rows[0];
+    if (!request) throw new AccountDataError("Invalid link", 400, "INVALID_TOKEN");
+    if (request.status !== "pending" || new Date(request.scheduled_for) <= new Date()) {
+      throw new AccountDataError("This deletion can no longer be cancelled", 410, "DELETION_NOT_PENDING");
+    }
+
+    await conn.query("UPDATE AccountDeletionRequest SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?", [
+      request.id,
+    ]);
+    await conn.query("UPDATE `User` SET is_active = TRUE WHERE id = ?", [request.user_id]);
+    return { userId: request.user_id };
+  });
+};
+
+// FTP files that go with the account: whatever images are left, the store's verification
+// documents and the attachments of messages the user sent
+const collectRemoteFiles = async (userId, storeId) => {
+  const rows = [];
+  if (storeId) {
+    rows.push(
+      ...(await queryDB(
+        `SELECT main_image AS file_path FROM Product WHERE store_id = ? AND main_image IS NOT NULL
+         UNION ALL
+         SELECT pi.image_url FROM ProductImage pi JOIN Product p ON pi.product_id = p.id WHERE p.store_id = ?
+         UNION ALL
+         SELECT d.file_path FROM SupplierVerificationDocument d
+         JOIN SupplierVerification v ON d.verification_id = v.id WHERE v.supplier_id = ?`,
+        [storeId, storeId, storeId]
+      ))
+    );
+  }
+  rows.push(
+    ...(await queryDB(
+      `SELECT a.file_path FROM ConversationAttachment a
+       JOIN ConversationMessage m ON a.message_id = m.id
+       WHERE m.sender_user_id = ?`,
+      [userId]
+    ))
+  );
+  return rows.map((r) => r.file_path).filter(Boolean);
+};
+
+/**
+ * Erase one account whose grace period is over. Tables keyed on the user, seller or store
+ * (sessions, notifications, the seller's order requests, conversations, team, ...) go with
+ * it through their ON DELETE CASCADE keys. Order requests to the store are deleted before
+ * its products, which their items still point at. Payment orders and invoices stay, with
+ * user_id cleared. -> summary of what was removed
+ */
+const purgeAccount = async (request) => {
+  const userId = request.user_id;
+  const users = await queryDB("SELECT username, email FROM `User` WHERE id = ? LIMIT 1", [userId]);
+  const store = await getStore(userId);
+  const remoteFiles = await collectRemoteFiles(userId, store?.id);
+
+  const summary = await withTransaction(async (conn) => {
+    const counts = { products: 0, sales: 0, reviews: 0, orderRequests: 0, files: remoteFiles.length };
+
+    if (store) {
+      const [reviews] = await conn.query(
+        "DELETE FROM Review WHERE store_id = ? OR product_id IN (SELECT id FROM Product WHERE store_id = ?)",
+        [store.id, store.id]
+      );
+      const [sales] = await conn.query(
+        "DELETE FROM ProductSales WHERE product_id IN (SELECT id FROM Product WHERE store_id = ?)",
+        [store.id]
+      );
+      await conn.query("DELETE FROM ProductImage WHERE product_id IN (SELECT id FROM Product WHERE store_id = ?)", [
+        store.id,
+      ]);
+      // items and status history go with the order (ON DELETE CASCADE)
+      const [orderRequests] = await conn.query("DELETE FROM OrderRequest WHERE supplier_id = ?", [store.id]);
+      const [products] = await conn.query("DELETE FROM Product WHERE store_id = ?", [store.id]);
+      await conn.query("DELETE FROM SupplierProfile WHERE id = ?", [store.id]);
+      Object.assign(counts, {
+        products: products.affectedRows,
+        sales: sales.affectedRows,
+        reviews: reviews.affectedRows,
+        orderRequests: orderRequests.affectedRows,
+      });
+    }
+
+    await conn.query("UPDATE ProductSales SET buyer_user_id = NULL WHERE buyer_user_id = ?", [userId]);
+    await conn.query("UPDATE Review SET user_id = NULL WHERE user_id = ?", [userId]);
+    // billing records are kept for accounting; invoices carry their own bill-to details
+    await conn.query(
+      "UPDATE PaymentOrder SET status = 'cancelled', updated_at = NOW() WHERE user_id = ? AND status = 'pending'",
+      [userId]
+    );
+    await conn.query("UPDATE PaymentOrder SET user_id = NULL WHERE user_id = ?", [userId]);
+    await conn.query("UPDATE Invoice SET user_id = NULL WHERE user_id = ?", [userId]);
+    // the seller's open orders go with the SellerProfile; hand back the stock they reserved
+    await conn.query(
+      `UPDATE Product p
+       JOIN (SELECT i.product_id, SUM(i.quantity) AS quantity
+             FROM OrderRequestItem i
+             JOIN OrderRequest o ON i.order_id = o.id
+             JOIN SellerProfile s ON o.seller_id = s.id
+             WHERE s.user_id = ? AND o.status IN ('accepted', 'shipped')
+             GROUP BY i.product_id) r ON r.product_id = p.id
+       SET p.reserved_quantity = GREATEST(0, p.reserved_quantity - r.quantity)`,
+      [userId]
+    );
+    await conn.query("DELETE FROM SellerProfile WHERE user_id = ?", [userId]);
+    await conn.query("DELETE FROM `User` WHERE id = ?", [userId]);
+
+    await conn.query(
+      "UPDATE AccountDeletionRequest SET status = 'completed', completed_at = NOW(), summary = ? WHERE id = ?",
+      [JSON.stringify(counts), request.id]
+    );
+
+    if (users[0]) {
+      await queueEmail(conn, {
+        to: users[0].email,
+        template: "account_deleted",
+        data: { username: users[0].username },
+      });
+    }
+    return counts;
+  });
+
+  for (const remotePath of remoteFiles) {
+    await deleteFromFTP(remotePath);
+  }
+  return summary;
+};
+
+/**
+ * Purge every account whose grace period has ended (cron). One failing account is
+ * logged and retried on the next run. -> { purged, failed }
+ */
+export const purgeDueAccounts = async ({ limit = 20 } = {}) => {
+  const due = await queryDB(
+    `SELECT * FROM AccountDeletionRequest
+     WHERE status = 'pending' AND scheduled_for <= NOW()
+     ORDER BY scheduled_for ASC
+     LIMIT ?`,
+    [limit]
+  );
+
+  const summary = { purged: 0, failed: 0 };
+  for (const request of due) {
+    try {
+      await purgeAccount(request);
+      summary.purged += 1;
+    } catch (err) {
+      console.error(`❌ Account purge failed (user ${request.user_id}):`, err);
+      summary.failed += 1;
+    }
+  }
+  return summary;
+};
@@ -0,0 +1,87 @@
+// lib/adminActions.js
+//
+// Trail of what support staff did to other people's accounts through /api/admin:
+// who acted, on which user/store, why, and the values before and after.
+import queryDB from "../db.js";
+import { clientInfo } from "./sessions.js";
+
+export const ADMIN_ACTIONS = [
+  "user_deactivate",
+  "user_reactivate",
+  "role_change",
+  "impersonate",
+  "credits_reset",
+  "plan_force",
+  "verification_review",
+];
+
+/**
+ * Append one admin action. Pass `conn` to write inside the caller's transaction
+ * (so the record and the change commit together), or null to use the pool.
+ */
+export const recordAdminAction = async (
+  conn,
+  { req, action, targetUserId = null, targetSupplierId = null, reason = null, details = null }
+) => {
+  if (!ADMIN_ACTIONS.includes(action)) throw new Error(`Unknown admin action: ${action}`);
+
+  const sql = `INSERT INTO AdminAction
+       (admin_id, action, target_user_id, target_supplier_id, reason, details, ip_address, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`;
+  const params = [
+    req.user.userId,
+    action,
+    targetUserId,
+    targetSupplierId,
+    reason,
+    details ? JSON.stringify(details) : null,
+    clientInfo(req).ip,
+  ];
+
+  if (conn) {
+    const [result] = await conn.query(sql, params);
+    return result.insertId;
+  }
+  const result = await queryDB(sql, params);
+  return result.insertId;
+};
+
+/**
+ * Newest first, optionally narrowed to one admin, target user or action -> { actions, total }
+ */
+export const listAdminActions = async ({ adminId, targetUserId, action, limit = 50, offset = 0 } = {}) => {
+  const where = [];
+  const params = [];
+  if (adminId) {
+    where.push("a.admin_id = ?");
+    params.push(adminId);
+  }
+  if (targetUserId) {
+    where.push("a.target_user_id = ?");
+    params.push(targetUserId);
+  }
+  if (action) {
+    where.push("a.action = ?");
+    params.push(action);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const actions = await queryDB(
+    `SELECT a.*, u.username AS admin_username
+     FROM AdminAction a
+     LEFT JOIN \`User\` u ON a.admin_id = u.id
+     ${whereSql}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const counts = await queryDB(`SELECT COUNT(*) AS total FROM AdminAction a ${whereSql}`, params);
+
+  return {
+    actions: actions.map((a) => ({
+      ...a,
+      details: typeof a.details === "string" ? JSON.parse(a.details) : a.details,
+    })),
+    total: Number(counts[0].total),
+  };
+};
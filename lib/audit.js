@@ -0,0 +1,179 @@
+// lib/audit.js
+//
+// Append-only audit log of changes to store data. Routes record who changed what with
+// auditActor(req); library code that runs without a request (plan expiry, payment
+// webhooks) records the user it acts for, or nobody.
+//
+// Writing inside the caller's transaction (pass `conn`) makes the entry part of the
+// change: if it can't be written, the change is rolled back. Without a transaction the
+// change has already happened, so a failed write is only logged.
+import queryDB from "../db.js";
+import { clientInfo } from "./sessions.js";
+
+export const AUDIT_ENTITY_TYPES = ["product", "sale", "supplier_profile", "plan", "credits"];
+
+/**
+ * Who is acting in this request, and from where
+ */
+export const auditActor = (req) => ({
+  userId: req?.user?.userId ?? null,
+  impersonatorId: req?.user?.impersonatorId ?? null,
+  ...clientInfo(req),
+});
+
+// DECIMAL columns come back as strings, form fields always are: compare loosely
+const sameValue = (a, b) => {
+  if ((a === null || a === undefined || a === "") && (b === null || b === undefined || b === "")) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== "" && b !== "" && !Number.isNaN(na) && !Number.isNaN(nb)) return na === nb;
+  return String(a) === String(b);
+};
+
+/**
+ * Fields of `after` whose value differs from `before` -> { field: { from, to } } | null
+ */
+export const diffChanges = (before, after) => {
+  const changes = {};
+  for (const [field, to] of Object.entries(after || {})) {
+    if (to === undefined) continue;
+    const from = before ? before[field] : undefined;
+    if (!sameValue(from, to)) changes[field] = { from: from ?? null, to };
+  }
+  return Object.keys(changes).length ? changes : null;
+};
+
+/**
+ * Only the listed fields of a row, for snapshots
+ */
+export const pickFields = (row, fields) =>
+  row ? Object.fromEntries(fields.filter((f) => row[f] !== undefined).map((f) => [f, row[f]])) : null;
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+/**
+ * Append one entry.
+ * - actor: auditActor(req), or { userId } for changes made outside a request
+ * - before / after: snapshots of the entity; updates also store the field-level diff
+ */
+export const recordAudit = async (
+  conn,
+  { actor = null, storeId = null, sellerId = null, entityType, entityId = null, action, before = null, after = null }
+) => {
+  if (!AUDIT_ENTITY_TYPES.includes(entityType)) throw new Error(`Unknown audit entity type: ${entityType}`);
+
+  const changes = before && after ? diffChanges(before, after) : null;
+  const sql = `INSERT INTO AuditLog
+       (actor_user_id, impersonator_id, store_id, seller_id, entity_type, entity_id, action,
+        before_data, after_data, changes, ip_address, user_agent, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(3))`;
+  const params = [
+    actor?.userId ?? null,
+    actor?.impersonatorId ?? null,
+    storeId,
+    sellerId,
+    entityType,
+    entityId,
+    action,
+    toJson(before),
+    toJson(after),
+    toJson(changes),
+    actor?.ip ?? null,
+    actor?.userAgent ?? null,
+  ];
+
+  if (conn) {
+    await conn.query(sql, params);
+    return;
+  }
+  try {
+    await queryDB(sql, params);
+  } catch (err) {
+    console.error(`❌ Failed to write audit log (${entityType} ${action}):`, err);
+  }
+};
+
+/**
+ * Filters shared by the store and admin audit endpoints -> { filters } | { error }
+ * Query: entity_type, entity_id, action, actor_id, from, to (YYYY-MM-DD), limit, offset
+ */
+export const auditFiltersFromQuery = (query) => {
+  if (query.entity_type && !AUDIT_ENTITY_TYPES.includes(query.entity_type)) {
+    return { error: `entity_type must be one of: ${AUDIT_ENTITY_TYPES.join(", ")}` };
+  }
+  for (const key of ["from", "to"]) {
+    if (query[key] && !/^\d{4}-\d{2}-\d{2}$/.test(query[key])) return { error: `${key} must be a date (YYYY-MM-DD)` };
+  }
+  return {
+    filters: {
+      entityType: query.entity_type,
+      entityId: query.entity_id,
+      action: query.action,
+      actorId: query.actor_id,
+      from: query.from,
+      to: query.to,
+      limit: Math.min(parseInt(query.limit) || 50, 200),
+      offset: parseInt(query.offset) || 0,
+    },
+  };
+};
+
+const parseJson = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+/**
+ * Entries newest first -> { entries, total }
+ * Filters: storeId, sellerId, entityType, entityId, action, actorId, from, to (dates)
+ */
+export const listAuditLog = async ({
+  storeId,
+  sellerId,
+  entityType,
+  entityId,
+  action,
+  actorId,
+  from,
+  to,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const where = [];
+  const params = [];
+  const filter = (sql, value) => {
+    if (value === undefined || value === null || value === "") return;
+    where.push(sql);
+    params.push(value);
+  };
+  filter("a.store_id = ?", storeId);
+  filter("a.seller_id = ?", sellerId);
+  filter("a.entity_type = ?", entityType);
+  filter("a.entity_id = ?", entityId);
+  filter("a.action = ?", action);
+  filter("a.actor_user_id = ?", actorId);
+  filter("a.created_at >= ?", from);
+  filter("a.created_at < DATE_ADD(?, INTERVAL 1 DAY)", to);
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const entries = await queryDB(
+    `SELECT a.*, u.username AS actor_username, i.username AS impersonator_username
+     FROM AuditLog a
+     LEFT JOIN \`User\` u ON a.actor_user_id = u.id
+     LEFT JOIN \`User\` i ON a.impersonator_id = i.id
+     ${whereSql}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const counts = await queryDB(`SELECT COUNT(*) AS total FROM AuditLog a ${whereSql}`, params);
+
+  return {
+    entries: entries.map((e) => ({
+      ...e,
+      before_data: parseJson(e.before_data),
+      after_data: parseJson(e.after_data),
+      changes: parseJson(e.changes),
+    })),
+    total: Number(counts[0].total),
+  };
+};
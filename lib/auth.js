@@ -0,0 +1,191 @@
+// lib/auth.js
+//
+// Authentication and authorization shared by every router.
+//
+//   requireAuth                    valid access token on a live session (401 otherwise)
+//   optionalAuth                   same, but anonymous callers pass with req.user = null
+//   requireSeller / requireSupplier / requireAdmin
+//   requireRole(...roles)
+//   requireStorePermission(perm)   member of the active store whose store role grants `perm`
+//   requireVerifiedEmail           the account confirmed its email (spending, buying, stores)
+//   denyImpersonation              blocks acting as the user in support sessions
+//
+// requireAuth re-reads the user on each request, so a changed role, a disabled account
+// or a signed-out session takes effect immediately instead of when the token expires.
+// Guards answer 403 with a `code` when the caller lacks the role; the seller and
+// supplier guards also attach the caller's profile as req.sellerProfile / req.supplierProfile.
+// Store routes (products, sales, analytics, dashboard) act on the store picked by the
+// X-Store-Id header, or the caller's default store, through their StoreMember row.
+import jwt from "jsonwebtoken";
+import queryDB from "../db.js";
+import { resolveMembership } from "./team.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+
+export const ROLES = ["seller", "supplier", "both", "admin"];
+
+const SELLER_ROLES = ["seller", "both"];
+const SUPPLIER_ROLES = ["supplier", "both"];
+
+const deny = (res, status, code, message) => res.status(status).json({ success: false, code, message });
+
+// -> { user } | { status, code, message }
+const resolveToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { status: 401, code: "INVALID_TOKEN", message: "Invalid or expired token" };
+  }
+  // every access token belongs to a session; anything else signed with the secret isn't one
+  if (!decoded.sid || !decoded.userId) return { status: 401, code: "INVALID_TOKEN", message: "Invalid or expired token" };
+
+  const rows = await queryDB(
+    `SELECT u.id, u.username, u.email, u.role, u.is_active, u.email_verified_at, s.revoked_at, s.impersonator_id
+     FROM \`User\` u
+     JOIN AuthSession s ON s.id = ? AND s.user_id = u.id
+     WHERE u.id = ?`,
+    [decoded.sid, decoded.userId]
+  );
+  const row = rows[0];
+  if (!row || row.revoked_at) return { status: 401, code: "SESSION_REVOKED", message: "Session has been signed out" };
+  if (!row.is_active) return { status: 403, code: "ACCOUNT_DISABLED", message: "Account is disabled" };
+
+  return {
+    user: {
+      userId: row.id,
+      username: row.username,
+      email: row.email,
+      role: row.role,
+      sid: decoded.sid,
+      emailVerified: Boolean(row.email_verified_at),
+      impersonatorId: row.impersonator_id || null,
+    },
+  };
+};
+
+const bearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith("Bearer ") ? authHeader.split(" ")[1] : null;
+};
+
+export const requireAuth = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ success: false, message: "No token provided" });
+
+  try {
+    const result = await resolveToken(token);
+    if (!result.user) return deny(res, result.status, result.code, result.message);
+    req.user = result.user;
+    next();
+  } catch (err) {
+    console.error("❌ Token verification error:", err);
+    return res.status(500).json({ success: false, message: "Server error during token verification" });
+  }
+};
+
+// Public routes stay public; a valid token only adds req.user
+export const optionalAuth = async (req, res, next) => {
+  req.user = null;
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  try {
+    const result = await resolveToken(token);
+    req.user = result.user || null;
+  } catch (err) {
+    console.error("❌ Optional token verification error:", err);
+  }
+  next();
+};
+
+// ------------------ Profiles (loaded at most once per request) ------------------
+export const loadSellerProfile = async (req) => {
+  if (req.sellerProfile === undefined) {
+    const rows = req.user ? await queryDB("SELECT * FROM SellerProfile WHERE user_id = ? LIMIT 1", [req.user.userId]) : [];
+    req.sellerProfile = rows[0] || null;
+  }
+  return req.sellerProfile;
+};
+
+export const loadSupplierProfile = async (req) => {
+  if (req.supplierProfile === undefined) {
+    const rows = req.user ? await queryDB("SELECT * FROM SupplierProfile WHERE user_id = ? LIMIT 1", [req.user.userId]) : [];
+    req.supplierProfile = rows[0] || null;
+  }
+  return req.supplierProfile;
+};
+
+// The active store and the caller's membership in it; also points req.supplierProfile at that store
+export const loadStoreMembership = async (req) => {
+  if (req.storeMembership === undefined) {
+    const storeId = Number(req.headers["x-store-id"]) || null;
+    req.storeMembership = req.user ? await resolveMembership(req.user.userId, storeId) : null;
+    if (req.storeMembership) {
+      const rows = await queryDB("SELECT * FROM SupplierProfile WHERE id = ? LIMIT 1", [req.storeMembership.supplier_id]);
+      req.supplierProfile = rows[0] || null;
+      if (!req.supplierProfile) req.storeMembership = null;
+    }
+  }
+  return req.storeMembership;
+};
+
+// ------------------ Guards (use after requireAuth) ------------------
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ success: false, message: "No token provided" });
+  if (!roles.includes(req.user.role)) {
+    return deny(res, 403, "FORBIDDEN_ROLE", `This action requires a ${roles.join(" or ")} account`);
+  }
+  next();
+};
+
+const profileGuard = (roles, load, code, message) => async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ success: false, message: "No token provided" });
+  try {
+    if (!roles.includes(req.user.role) || !(await load(req))) return deny(res, 403, code, message);
+    next();
+  } catch (err) {
+    console.error("❌ Profile lookup error:", err);
+    return res.status(500).json({ success: false, message: "Failed to load profile", error: err.message });
+  }
+};
+
+export const requireSeller = profileGuard(SELLER_ROLES, loadSellerProfile, "SELLER_REQUIRED", "Seller account required");
+export const requireSupplier = profileGuard(SUPPLIER_ROLES, loadSupplierProfile, "SUPPLIER_REQUIRED", "Supplier account required");
+
+export const requireStorePermission = (permission) => async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ success: false, message: "No token provided" });
+  try {
+    const membership = await loadStoreMembership(req);
+    if (!membership) return deny(res, 403, "STORE_ACCESS_REQUIRED", "You are not a member of this store");
+    if (!membership.permissions.includes(permission)) {
+      return deny(res, 403, "FORBIDDEN", `Your store role (${membership.role}) doesn't allow this`);
+    }
+    next();
+  } catch (err) {
+    console.error("❌ Store membership lookup error:", err);
+    return res.status(500).json({ success: false, message: "Failed to load store", error: err.message });
+  }
+};
+
+export const requireAdmin = (req, res, next) => {
+  if (!req.user) return res.status(401).json({ success: false, message: "No token provided" });
+  if (req.user.role !== "admin") return deny(res, 403, "ADMIN_REQUIRED", "Admin access required");
+  next();
+};
+
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) return res.status(401).json({ success: false, message: "No token provided" });
+  if (!req.user.emailVerified) return deny(res, 403, "EMAIL_NOT_VERIFIED", "Please verify your email address first");
+  next();
+};
+
+// An admin signed in as the user (POST /api/admin/users/:id/impersonate) may only look
+// around: every route that writes goes through this, so nothing is done in the user's
+// name. Admins change data through /api/admin, where it is recorded as theirs.
+export const denyImpersonation = (req, res, next) => {
+  if (req.user?.impersonatorId) {
+    return deny(res, 403, "IMPERSONATION_FORBIDDEN", "Not allowed while impersonating a user");
+  }
+  next();
+};
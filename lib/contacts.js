@@ -0,0 +1,97 @@
+// lib/contacts.js
+import queryDB, { withTransaction } from "../db.js";
+import { applyCreditChange, CreditError } from "./credits.js";
+
+export const CONTACT_UNLOCK_COST = 1;
+
+/**
+ * Returns the SellerProfile row for a user, or null
+ */
+export const getSellerProfileByUserId = async (userId) => {
+  const rows = await queryDB(
+    "SELECT id, user_id, credits, total_credits_used FROM SellerProfile WHERE user_id = ? LIMIT 1",
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Has this seller already unlocked the supplier's contact?
+ */
+export const hasUnlockedSupplier = async (sellerId, supplierId) => {
+  if (!sellerId || !supplierId) return false;
+  const rows = await queryDB(
+    "SELECT id FROM SupplierContactUnlock WHERE seller_id = ? AND supplier_id = ? LIMIT 1",
+    [sellerId, supplierId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Supplier contact details that are only handed out after an unlock.
+ * Falls back to the owner's User.whatsapp_number when the store has none.
+ */
+export const getSupplierContact = async (supplierId) => {
+  const rows = await queryDB(
+    `SELECT sp.id AS supplier_id, sp.store_name,
+            COALESCE(sp.whatsapp_number, u.whatsapp_number) AS whatsapp_number,
+            u.email
+     FROM SupplierProfile sp
+     JOIN User u ON sp.user_id = u.id
+     WHERE sp.id = ? AND u.is_active = TRUE
+     LIMIT 1`,
+    [supplierId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Unlock a supplier's contact for a seller.
+ * - Free if the seller already unlocked this supplier
+ * - Otherwise spends CONTACT_UNLOCK_COST credits through the ledger,
+ *   in the same transaction as the unlock row
+ *
+ * Returns { alreadyUnlocked, creditsRemaining }
+ */
+export const unlockSupplierContact = ({ sellerId, supplierId, productId = null }) =>
+  withTransaction(async (conn) => {
+    // lock the seller row first so two concurrent unlocks of the same supplier serialize
+    const [sellerRows] = await conn.query(
+      "SELECT id, credits FROM SellerProfile WHERE id = ? FOR UPDATE",
+      [sellerId]
+    );
+    if (sellerRows.length === 0) throw new CreditError("Seller profile not found", 404, "SELLER_NOT_FOUND");
+
+    const [existing] = await conn.query(
+      "SELECT id FROM SupplierContactUnlock WHERE seller_id = ? AND supplier_id = ? LIMIT 1",
+      [sellerId, supplierId]
+    );
+    if (existing.length > 0) {
+      return { alreadyUnlocked: true, creditsRemaining: sellerRows[0].credits };
+    }
+
+    if ((sellerRows[0].credits || 0) < CONTACT_UNLOCK_COST) {
+      throw new CreditError(
+        "Not enough credits to unlock this supplier's contact",
+        402,
+        "INSUFFICIENT_CREDITS"
+      );
+    }
+
+    const [unlock] = await conn.query(
+      `INSERT INTO SupplierContactUnlock (seller_id, supplier_id, product_id, credits_spent, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [sellerId, supplierId, productId, CONTACT_UNLOCK_COST]
+    );
+
+    const { balance } = await applyCreditChange(conn, {
+      sellerId,
+      type: "spend",
+      amount: -CONTACT_UNLOCK_COST,
+      reason: "Supplier contact unlock",
+      referenceType: "contact_unlock",
+      referenceId: unlock.insertId,
+    });
+
+    return { alreadyUnlocked: false, creditsRemaining: balance };
+  });
@@ -0,0 +1,151 @@
+// lib/credits.js
+import queryDB, { withTransaction } from "../db.js";
+import { notifyIfCreditLow } from "./notifications.js";
+import { recordAudit } from "./audit.js";
+import { AppError } from "./errors.js";
+
+export const SIGNUP_CREDITS = 3;
+
+// Credit packs sellers can buy through /api/payments/checkout/credits
+export const CREDIT_PACKS = {
+  starter: { credits: 10, price: 5 },
+  standard: { credits: 30, price: 12 },
+  pro: { credits: 100, price: 35 },
+};
+
+// refund gives spent credits back to the seller, purchase_refund takes back a credit pack whose payment was refunded
+export const CREDIT_TRANSACTION_TYPES = ["grant", "purchase", "spend", "refund", "expiry", "adjustment", "purchase_refund"];
+// direction each type moves the balance in; adjustments go either way
+const TYPE_SIGNS = { grant: 1, purchase: 1, refund: 1, spend: -1, expiry: -1, purchase_refund: -1 };
+
+/**
+ * Thrown by the credit ledger: unknown sellers (404), amounts that aren't whole
+ * non-zero numbers or point the wrong way for their type, and transaction types
+ * outside CREDIT_TRANSACTION_TYPES.
+ */
+export class CreditError extends AppError {
+  constructor(message, status = 400, code = "CREDIT_ERROR") {
+    super(message, status, code);
+  }
+}
+
+/**
+ * Apply a signed credit change inside an existing transaction.
+ * This is the only place that writes SellerProfile.credits / total_credits_used:
+ * every change is recorded in CreditTransaction with the resulting balance.
+ *
+ * - amount: positive adds credits, negative removes them; grants, purchases and refunds
+ *   must add, spends, expiries and purchase refunds must remove
+ * - spend rows count towards total_credits_used, refunds give it back
+ *
+ * Returns { transactionId, balance }
+ */
+export const applyCreditChange = async (
+  conn,
+  { sellerId, type, amount, reason = null, referenceType = null, referenceId = null, createdBy = null }
+) => {
+  if (!CREDIT_TRANSACTION_TYPES.includes(type)) {
+    throw new CreditError(`Invalid credit transaction type: ${type}`, 400, "INVALID_TYPE");
+  }
+  amount = Number(amount);
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new CreditError("Credit amount must be a non-zero integer", 400, "INVALID_AMOUNT");
+  }
+  if (TYPE_SIGNS[type] && Math.sign(amount) !== TYPE_SIGNS[type]) {
+    throw new CreditError(`A ${type} must ${TYPE_SIGNS[type] > 0 ? "add" : "remove"} credits`, 400, "INVALID_AMOUNT");
+  }
+
+  // lock the seller row so concurrent changes can't overspend
+  const [rows] = await conn.query(
+    "SELECT id, credits, total_credits_used FROM SellerProfile WHERE id = ? FOR UPDATE",
+    [sellerId]
+  );
+  if (rows.length === 0) throw new CreditError("Seller profile not found", 404, "SELLER_NOT_FOUND");
+
+  const current = Number(rows[0].credits) || 0;
+  const balance = current + amount;
+  if (balance < 0) {
+    throw new CreditError(
+      type === "spend" ? "Not enough credits" : "Change would leave a negative credit balance",
+      type === "spend" ? 402 : 409,
+      "INSUFFICIENT_CREDITS"
+    );
+  }
+
+  let usedDelta = 0;
+  if (type === "spend") usedDelta = -amount;
+  else if (type === "refund") usedDelta = -Math.min(amount, Number(rows[0].total_credits_used) || 0);
+
+  await conn.query(
+    `UPDATE SellerProfile
+     SET credits = ?, total_credits_used = GREATEST(0, total_credits_used + ?),
+         last_credit_update = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [balance, usedDelta, sellerId]
+  );
+
+  const [result] = await conn.query(
+    `INSERT INTO CreditTransaction
+       (seller_id, type, amount, balance_after, reason, reference_type, reference_id, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [sellerId, type, amount, balance, reason, referenceType, referenceId, createdBy]
+  );
+
+  await recordAudit(conn, {
+    actor: createdBy ? { userId: createdBy } : null,
+    sellerId,
+    entityType: "credits",
+    entityId: result.insertId,
+    action: type,
+    before: { credits: current },
+    after: { credits: balance, amount, reason, reference_type: referenceType, reference_id: referenceId },
+  });
+
+  if (amount < 0) await notifyIfCreditLow(conn, sellerId, current, balance);
+
+  return { transactionId: result.insertId, balance };
+};
+
+/**
+ * Same as applyCreditChange but in its own transaction
+ */
+export const adjustCredits = (change) => withTransaction((conn) => applyCreditChange(conn, change));
+
+/**
+ * Paginated ledger history for a seller, newest first
+ */
+export const getCreditHistory = async (sellerId, { limit = 20, offset = 0, type = null } = {}) => {
+  const params = [sellerId];
+  let where = "WHERE seller_id = ?";
+  if (type && CREDIT_TRANSACTION_TYPES.includes(type)) {
+    where += " AND type = ?";
+    params.push(type);
+  }
+
+  const [countRow] = await queryDB(`SELECT COUNT(*) AS total FROM CreditTransaction ${where}`, params);
+  const transactions = await queryDB(
+    `SELECT id, type, amount, balance_after, reason, reference_type, reference_id, created_at
+     FROM CreditTransaction ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return { total: Number(countRow?.total) || 0, transactions };
+};
+
+/**
+ * Per-type totals, handy for answering "where did my credits go"
+ */
+export const getCreditSummary = async (sellerId) => {
+  const rows = await queryDB(
+    `SELECT type, COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total
+     FROM CreditTransaction WHERE seller_id = ?
+     GROUP BY type`,
+    [sellerId]
+  );
+  return rows.reduce((acc, r) => {
+    acc[r.type] = { count: Number(r.count), total: Number(r.total) };
+    return acc;
+  }, {});
+};
@@ -0,0 +1,168 @@
+// lib/emailVerification.js
+//
+// One-time email links: confirming the address given at signup, and confirming a new
+// address before an account switches to it. The link carries a random token; only its
+// hash is stored and it is burned on first use.
+import crypto from "crypto";
+import queryDB, { withTransaction } from "../db.js";
+import { queueEmail } from "./mail/index.js";
+import { AppError } from "./errors.js";
+
+export const EMAIL_TOKEN_HOURS = Number(process.env.EMAIL_TOKEN_HOURS) || 24;
+export const RESEND_COOLDOWN_SECONDS = Number(process.env.EMAIL_RESEND_COOLDOWN_SECONDS) || 60;
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://storensupply.com";
+
+/**
+ * Thrown for verification links and email changes: bad, used or expired tokens
+ * and taken addresses. Resend cooldowns carry `retryAfter` (seconds) for the Retry-After header.
+ */
+export class EmailVerificationError extends AppError {
+  constructor(message, status = 400, code = "EMAIL_VERIFICATION_ERROR", retryAfter = null) {
+    super(message, status, code);
+    this.retryAfter = retryAfter;
+  }
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// one request per cooldown window, per user and purpose
+const enforceCooldown = async (userId, purpose) => {
+  const rows = await queryDB(
+    `SELECT TIMESTAMPDIFF(SECOND, created_at, NOW()) AS age
+     FROM EmailToken WHERE user_id = ? AND purpose = ?
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, purpose]
+  );
+  if (rows[0] && Number(rows[0].age) < RESEND_COOLDOWN_SECONDS) {
+    const retryAfter = RESEND_COOLDOWN_SECONDS - Number(rows[0].age);
+    throw new EmailVerificationError(
+      `Please wait ${retryAfter} seconds before requesting another email`,
+      429,
+      "EMAIL_COOLDOWN",
+      retryAfter
+    );
+  }
+};
+
+// replaces any earlier unused link for the same purpose, returns the raw token
+const issueToken = async (userId, purpose, email) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await queryDB("DELETE FROM EmailToken WHERE user_id = ? AND purpose = ? AND used_at IS NULL", [userId, purpose]);
+  await queryDB(
+    `INSERT INTO EmailToken (user_id, purpose, token_hash, email, expires_at, created_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+    [userId, purpose, hashToken(token), email, EMAIL_TOKEN_HOURS]
+  );
+  return token;
+};
+
+const verifyLink = (token) => `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+/**
+ * Email a verification link to the account's current address.
+ * checkCooldown: false right after signup, true for user-triggered resends.
+ */
+export const sendVerificationEmail = async (userId, { checkCooldown = true } = {}) => {
+  const users = await queryDB("SELECT id, email, email_verified_at FROM `User` WHERE id = ? LIMIT 1", [userId]);
+  const user = users[0];
+  if (!user) throw new EmailVerificationError("User not found", 404, "USER_NOT_FOUND");
+  if (user.email_verified_at) throw new EmailVerificationError("Email is already verified", 409, "ALREADY_VERIFIED");
+  if (checkCooldown) await enforceCooldown(userId, "verify_email");
+
+  const token = await issueToken(userId, "verify_email", user.email);
+  await queueEmail(null, {
+    userId,
+    template: "verify_email",
+    data: { verifyLink: verifyLink(token), expiresInHours: EMAIL_TOKEN_HOURS },
+  });
+};
+
+/**
+ * Start an email change: the link goes to the new address and nothing changes until it is opened
+ */
+export const requestEmailChange = async (userId, newEmail) => {
+  const email = String(newEmail || "").trim();
+  if (!EMAIL_REGEX.test(email)) throw new EmailVerificationError("A valid email address is required", 400, "INVALID_EMAIL");
+
+  const users = await queryDB("SELECT id, email FROM `User` WHERE id = ? LIMIT 1", [userId]);
+  if (!users[0]) throw new EmailVerificationError("User not found", 404, "USER_NOT_FOUND");
+  if (users[0].email.toLowerCase() === email.toLowerCase()) {
+    throw new EmailVerificationError("That is already your email address", 400, "SAME_EMAIL");
+  }
+
+  const taken = await queryDB("SELECT id FROM `User` WHERE email = ? AND id <> ? LIMIT 1", [email, userId]);
+  if (taken.length > 0) throw new EmailVerificationError("Email is already in use", 409, "EMAIL_TAKEN");
+
+  await enforceCooldown(userId, "change_email");
+  const token = await issueToken(userId, "change_email", email);
+  await queueEmail(null, {
+    userId,
+    to: email,
+    template: "change_email",
+    data: { verifyLink: verifyLink(token), newEmail: email, expiresInHours: EMAIL_TOKEN_HOURS },
+  });
+  return email;
+};
+
+/**
+ * Use a link from either email. Returns { purpose, userId, email }.
+ */
+export const consumeEmailToken = async (token) => {
+  if (!token) throw new EmailVerificationError("Token is required", 400, "MISSING_TOKEN");
+
+  const result = await withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT t.*, u.email AS current_email, u.email_verified_at
+       FROM EmailToken t JOIN \`User\` u ON u.id = t.user_id
+       WHERE t.token_hash = ? FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const row = rows[0];
+    if (!row) throw new EmailVerificationError("Invalid verification link", 400, "INVALID_TOKEN");
+    if (row.used_at) throw new EmailVerificationError("This link has already been used", 400, "TOKEN_USED");
+    if (new Date(row.expires_at) <= new Date()) {
+      throw new EmailVerificationError("This link has expired, please request a new one", 400, "TOKEN_EXPIRED");
+    }
+
+    if (row.purpose === "verify_email") {
+      // the account switched address since the link was sent
+      if (row.email !== row.current_email) throw new EmailVerificationError("Invalid verification link", 400, "INVALID_TOKEN");
+      await conn.query("UPDATE `User` SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?", [row.user_id]);
+    } else if (row.purpose === "change_email") {
+      const [taken] = await conn.query("SELECT id FROM `User` WHERE email = ? AND id <> ? LIMIT 1", [row.email, row.user_id]);
+      if (taken.length > 0) throw new EmailVerificationError("Email is already in use", 409, "EMAIL_TAKEN");
+      await conn.query("UPDATE `User` SET email = ?, email_verified_at = NOW() WHERE id = ?", [row.email, row.user_id]);
+    } else {
+      throw new EmailVerificationError("Invalid verification link", 400, "INVALID_TOKEN");
+    }
+
+    await conn.query("UPDATE EmailToken SET used_at = NOW() WHERE id = ?", [row.id]);
+    return {
+      purpose: row.purpose,
+      userId: row.user_id,
+      email: row.email,
+      previousEmail: row.current_email,
+      firstVerification: !row.email_verified_at,
+    };
+  });
+
+  try {
+    if (result.purpose === "verify_email" && result.firstVerification) {
+      await queueEmail(null, { userId: result.userId, template: "welcome" });
+    } else if (result.purpose === "change_email") {
+      // tell the old address, in case the change wasn't the owner's doing
+      await queueEmail(null, {
+        userId: result.userId,
+        to: result.previousEmail,
+        template: "email_changed",
+        data: { newEmail: result.email },
+      });
+    }
+  } catch (mailErr) {
+    console.error("❌ Failed to queue email after verification:", mailErr);
+  }
+
+  return { purpose: result.purpose, userId: result.userId, email: result.email };
+};
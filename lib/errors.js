@@ -0,0 +1,36 @@
+// lib/errors.js
+
+/**
+ * Base for the errors lib/ modules throw when a request can't be applied.
+ * `status` is the HTTP status the route responds with and `code` a stable
+ * machine-readable reason; routes hand them to sendAppError().
+ */
+export class AppError extends Error {
+  constructor(message, status = 400, code = "APP_ERROR") {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Respond to an error caught in a route: an AppError goes out with its own status and
+ * code (plus Retry-After when it carries `retryAfter`). Anything else is unexpected and
+ * handed to `fallback`: a message to log and answer with a 500, or the router's own
+ * responder such as handleDBError(res, err).
+ */
+export const sendAppError = (res, err, fallback) => {
+  if (err instanceof AppError) {
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({
+      success: false,
+      code: err.code,
+      message: err.message,
+      ...(err.retryAfter ? { retryAfter: err.retryAfter } : {}),
+    });
+  }
+  if (typeof fallback === "function") return fallback(res, err);
+  console.error(`❌ ${fallback}:`, err);
+  return res.status(500).json({ success: false, message: fallback, error: err.message });
+};
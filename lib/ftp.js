@@ -0,0 +1,159 @@
+// lib/ftp.js
+import path from "path";
+import FTPClient from "basic-ftp";
+import { Readable, Writable } from "stream";
+
+const FTP_HOST = process.env.FTP_HOST;
+const FTP_USER = process.env.FTP_USER;
+const FTP_PASS = process.env.FTP_PASSWORD;
+const FTP_PORT = process.env.FTP_PORT ? Number(process.env.FTP_PORT) : 21;
+export const FTP_BASE_PATH = process.env.FTP_BASE_PATH || "/uploads/products"; // root folder for uploaded files
+export const FTP_PUBLIC_URL = process.env.FTP_PUBLIC_URL || "https://storensupply.com/uploads/products";
+// root folder for files that must not be reachable over HTTP (verification documents);
+// has to sit outside the web root of the FTP account. No default: the FTP root may well be
+// the web root, so uploads that need it are refused until it is set (see privateFolder).
+export const FTP_PRIVATE_PATH = process.env.FTP_PRIVATE_PATH || null;
+
+// Normalize remote path for storage (ensure leading slash)
+export const normalizeRemotePath = (p) => {
+  if (!p) return p;
+  return p.startsWith("/") ? p : `/${p}`;
+};
+
+/**
+ * Remote folder under FTP_PRIVATE_PATH, or null when there is no usable private root:
+ * unset, the FTP root itself, or inside the uploads folder that holds FTP_BASE_PATH
+ * (product images and store logos), which is served publicly.
+ */
+export const privateFolder = (...segments) => {
+  if (!FTP_PRIVATE_PATH) return null;
+  const root = path.posix.normalize(normalizeRemotePath(FTP_PRIVATE_PATH)).replace(/\/+$/, "") || "/";
+  const publicRoot = path.posix.dirname(path.posix.normalize(normalizeRemotePath(FTP_BASE_PATH)).replace(/\/+$/, ""));
+  if (root === "/" || root === publicRoot || root.startsWith(`${publicRoot}/`)) return null;
+  return path.posix.join(root, ...segments);
+};
+
+// Build a public HTTP URL from stored remote path
+export const buildPublicUrl = (remotePath) => {
+  if (!remotePath) return null;
+  try {
+    const p = remotePath.replace(/^\/+/, ""); // remove leading slashes
+    // remotePath may be: "uploads/products/12/file.jpg" or "public_html/uploads/products/12/file.jpg"
+    // We want the relative part under uploads/products
+    const parts = p.split("/").filter(Boolean);
+    const uploadsIndex = parts.findIndex((x) => x.toLowerCase() === "uploads");
+    if (uploadsIndex >= 0) {
+      const afterUploads = parts.slice(uploadsIndex + 1); // e.g. ["products","12","file.jpg"]
+      // If the first is "products", remove to avoid double products in URL
+      if (afterUploads[0] && afterUploads[0].toLowerCase() === "products") {
+        const relative = afterUploads.slice(1).join("/");
+        return `${FTP_PUBLIC_URL}/${relative}`;
+      } else {
+        return `${FTP_PUBLIC_URL}/${afterUploads.join("/")}`;
+      }
+    }
+    // fallback: use basename
+    return `${FTP_PUBLIC_URL}/${path.basename(p)}`;
+  } catch (err) {
+    console.warn("buildPublicUrl failed:", err);
+    return `${FTP_PUBLIC_URL}/${path.basename(remotePath)}`;
+  }
+};
+
+// Unique file name that keeps the original extension
+export const makeRemoteFilename = (originalname) =>
+  `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(originalname || "")}`;
+
+const ftpAccessConfig = () => ({
+  host: FTP_HOST,
+  user: FTP_USER,
+  password: FTP_PASS,
+  port: FTP_PORT,
+  secure: false,
+});
+
+/**
+ * Upload a buffer to remoteFolder/filename and return the normalized remote path
+ */
+export const uploadToFTP = async (fileBuffer, filename, remoteFolder) => {
+  const client = new FTPClient.Client();
+  client.ftp.verbose = false;
+  try {
+    await client.access(ftpAccessConfig());
+    await client.ensureDir(remoteFolder);
+
+    // Convert buffer to readable stream for basic-ftp
+    const stream = Readable.from(fileBuffer);
+    await client.uploadFrom(stream, filename);
+    const remote = normalizeRemotePath(path.posix.join(remoteFolder, filename));
+    return remote;
+  } catch (err) {
+    console.error("FTP Upload Error:", err);
+    throw new Error("FTP upload failed: " + (err.message || err));
+  } finally {
+    client.close();
+  }
+};
+
+/**
+ * Download a remote file into memory and return it as a Buffer
+ */
+export const downloadFromFTP = async (remoteFilePath) => {
+  const client = new FTPClient.Client();
+  client.ftp.verbose = false;
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  try {
+    await client.access(ftpAccessConfig());
+    await client.downloadTo(sink, remoteFilePath.replace(/^\/+/, ""));
+    return Buffer.concat(chunks);
+  } catch (err) {
+    console.error("FTP Download Error:", err);
+    throw new Error("FTP download failed: " + (err.message || err));
+  } finally {
+    client.close();
+  }
+};
+
+/**
+ * Best-effort delete. Never throws — a failed delete should not crash the whole flow.
+ */
+export const deleteFromFTP = async (remoteFilePath) => {
+  if (!remoteFilePath) return false;
+  const client = new FTPClient.Client();
+  client.ftp.verbose = false;
+  try {
+    await client.access(ftpAccessConfig());
+    // try the exact path first
+    const cleaned = remoteFilePath.replace(/^\/+/, "");
+    try {
+      await client.remove(cleaned);
+      return true;
+    } catch (err) {
+      // try alternative variants: without public_html, then basename only
+      try {
+        const alt = cleaned.replace(/^public_html\/?/i, "");
+        await client.remove(alt);
+        return true;
+      } catch (err2) {
+        try {
+          await client.remove(path.basename(cleaned));
+          return true;
+        } catch (err3) {
+          console.warn("FTP delete attempts failed:", err.message, err2?.message, err3?.message);
+          return false;
+        }
+      }
+    }
+  } catch (err) {
+    console.warn("FTP Delete Error (non-fatal):", err.message || err);
+    return false;
+  } finally {
+    client.close();
+  }
+};
@@ -0,0 +1,232 @@
+// lib/imageImport.js
+//
+// Bulk product images from a ZIP archive. Files are matched to the store's products by
+// SKU, from the file name (folders inside the archive are ignored):
+//   SKU.jpg / SKU_main.jpg  -> main image, replacing the current one
+//   SKU_1.jpg, SKU_2.jpg    -> gallery images, added in number order
+// Each image goes through the same checks and FTP upload as the multipart fields of
+// POST /api/product/add: 2 MB, JPEG/PNG/WebP/GIF, at most MAX_GALLERY_IMAGES per product.
+import path from "path";
+import AdmZip from "adm-zip";
+import queryDB from "../db.js";
+import { FTP_BASE_PATH, buildPublicUrl, deleteFromFTP, makeRemoteFilename, normalizeRemotePath, uploadToFTP } from "./ftp.js";
+import { emitProductEvent } from "./webhooks.js";
+import { recordAudit } from "./audit.js";
+import { AppError } from "./errors.js";
+
+export const MAX_ZIP_BYTES = 25 * 1024 * 1024; // 25 MB
+export const MAX_ZIP_FILES = 200;
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024; // 2 MB, same as /api/product/add
+export const MAX_GALLERY_IMAGES = 5;
+// images are held in memory until uploaded; keeps highly compressed archives in check
+const MAX_TOTAL_IMAGE_BYTES = 50 * 1024 * 1024;
+
+// identified by content, archives carry no mime types
+const IMAGE_SIGNATURES = [
+  { type: "jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: "png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: "gif", test: (b) => b.subarray(0, 4).toString("latin1") === "GIF8" },
+  { type: "webp", test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+];
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp"];
+
+/**
+ * Thrown when a ZIP of product images can't be imported at all (not a ZIP, empty,
+ * too many files). Single files that don't fit are listed in the report instead.
+ */
+export class ImageImportError extends AppError {
+  constructor(message, status = 400, code = "IMAGE_IMPORT_ERROR") {
+    super(message, status, code);
+  }
+}
+
+const imageTypeOf = (buffer) => IMAGE_SIGNATURES.find((s) => s.test(buffer))?.type || null;
+
+// OS metadata that ends up in archives made on macOS / Windows
+const isJunkEntry = (name) => /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db)(\/|$)/i.test(name) || path.posix.basename(name).startsWith(".");
+
+/**
+ * Which product and slot a file name points at, given the store's SKUs (lowercased).
+ * The whole name is tried as a SKU first, so SKUs that end in "_1" still work.
+ * -> { sku, slot: "main" | "gallery", position } | null
+ */
+export const matchImageName = (filename, skus) => {
+  const stem = path.posix.basename(filename, path.posix.extname(filename)).trim().toLowerCase();
+  if (skus.has(stem)) return { sku: stem, slot: "main", position: 0 };
+
+  const match = /^(.+)_(main|\d{1,3})$/.exec(stem);
+  if (!match || !skus.has(match[1])) return null;
+  return match[2] === "main"
+    ? { sku: match[1], slot: "main", position: 0 }
+    : { sku: match[1], slot: "gallery", position: Number(match[2]) };
+};
+
+// the archive's files, with the ones we never look at filtered out
+export const readImageArchive = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    throw new ImageImportError("File is not a valid ZIP archive", 400, "INVALID_ZIP");
+  }
+  const entries = zip.getEntries().filter((e) => !e.isDirectory && !isJunkEntry(e.entryName));
+  if (entries.length === 0) throw new ImageImportError("The archive has no files", 400, "EMPTY_ZIP");
+  if (entries.length > MAX_ZIP_FILES) {
+    throw new ImageImportError(`Archives can hold at most ${MAX_ZIP_FILES} files`, 413, "TOO_MANY_FILES");
+  }
+  return entries;
+};
+
+/**
+ * Match every archive entry to a product slot and check it, before anything is uploaded.
+ * bySku maps the store's lowercased SKUs to their products.
+ * -> { planned: Map(sku -> { main, gallery: [{ file, data, position }] }), unmatched, rejected }
+ */
+export const planImageImport = (entries, bySku) => {
+  const skus = new Set(bySku.keys());
+  const plan = { planned: new Map(), unmatched: [], rejected: [] };
+  let totalBytes = 0;
+  for (const entry of entries) {
+    const file = entry.entryName;
+    if (!IMAGE_EXTENSIONS.includes(path.posix.extname(file).toLowerCase())) {
+      plan.rejected.push({ file, reason: "Not an image file (jpg, jpeg, png, gif, webp)" });
+      continue;
+    }
+    const target = matchImageName(file, skus);
+    if (!target) {
+      plan.unmatched.push({ file, reason: "No product with a matching SKU" });
+      continue;
+    }
+    if (entry.header.size > MAX_IMAGE_BYTES) {
+      plan.rejected.push({ file, reason: "Image is larger than 2 MB" });
+      continue;
+    }
+
+    let data;
+    try {
+      data = entry.getData();
+    } catch (err) {
+      plan.rejected.push({ file, reason: "File could not be extracted" });
+      continue;
+    }
+    if (data.length > MAX_IMAGE_BYTES) {
+      plan.rejected.push({ file, reason: "Image is larger than 2 MB" });
+      continue;
+    }
+    if (!imageTypeOf(data)) {
+      plan.rejected.push({ file, reason: "File content is not a JPEG, PNG, WebP or GIF image" });
+      continue;
+    }
+    if (totalBytes + data.length > MAX_TOTAL_IMAGE_BYTES) {
+      plan.rejected.push({ file, reason: "Archive holds more than 50 MB of images, import the rest separately" });
+      continue;
+    }
+
+    const slots = plan.planned.get(target.sku) || { main: null, gallery: [] };
+    if (target.slot === "main") {
+      if (slots.main) {
+        plan.rejected.push({ file, reason: `Second main image for SKU ${bySku.get(target.sku).sku} (${slots.main.file} is used)` });
+        continue;
+      }
+      slots.main = { file, data };
+    } else {
+      slots.gallery.push({ file, data, position: target.position });
+    }
+    totalBytes += data.length;
+    plan.planned.set(target.sku, slots);
+  }
+  return plan;
+};
+
+/**
+ * Import the images of a ZIP archive into the store's products.
+ * - store: the SupplierProfile row; actor: auditActor(req)
+ * -> { imported: [...], unmatched: [...], rejected: [...] }
+ *    imported: { file, product_id, sku, slot, image_url }; unmatched / rejected: { file, reason }
+ */
+export const importImagesFromZip = async (store, buffer, { actor }) => {
+  const entries = readImageArchive(buffer);
+
+  const products = await queryDB("SELECT id, sku, main_image FROM Product WHERE store_id = ? AND sku IS NOT NULL", [store.id]);
+  const bySku = new Map(products.map((p) => [String(p.sku).toLowerCase(), p]));
+
+  // 1) match and check every file
+  const { planned, unmatched, rejected } = planImageImport(entries, bySku);
+  const report = { imported: [], unmatched, rejected };
+
+  if (planned.size === 0) return report;
+
+  const galleryCounts = await queryDB(
+    "SELECT product_id, COUNT(*) AS total FROM ProductImage WHERE product_id IN (?) GROUP BY product_id",
+    [[...planned.keys()].map((sku) => bySku.get(sku).id)]
+  );
+  const galleryCountOf = new Map(galleryCounts.map((r) => [r.product_id, Number(r.total)]));
+
+  // 2) upload per product, the same way PUT /api/product/:id does
+  const remoteFolder = path.posix.join(FTP_BASE_PATH, String(store.id));
+  for (const [sku, slots] of planned) {
+    const product = bySku.get(sku);
+    let mainImage = null;
+    const galleryPaths = [];
+
+    if (slots.main) {
+      try {
+        const remote = normalizeRemotePath(await uploadToFTP(slots.main.data, makeRemoteFilename(slots.main.file), remoteFolder));
+        await queryDB("UPDATE Product SET main_image = ?, updated_at = NOW() WHERE id = ?", [remote, product.id]);
+        if (product.main_image) await deleteFromFTP(product.main_image);
+        mainImage = remote;
+        report.imported.push({ file: slots.main.file, product_id: product.id, sku: product.sku, slot: "main", image_url: buildPublicUrl(remote) });
+      } catch (err) {
+        console.error(`❌ Image import upload failed (${slots.main.file}):`, err);
+        report.rejected.push({ file: slots.main.file, reason: "Upload failed" });
+      }
+    }
+
+    let room = MAX_GALLERY_IMAGES - (galleryCountOf.get(product.id) || 0);
+    for (const image of slots.gallery.sort((a, b) => a.position - b.position)) {
+      if (room <= 0) {
+        report.rejected.push({ file: image.file, reason: `Product already has ${MAX_GALLERY_IMAGES} gallery images` });
+        continue;
+      }
+      try {
+        const remote = normalizeRemotePath(await uploadToFTP(image.data, makeRemoteFilename(image.file), remoteFolder));
+        galleryPaths.push(remote);
+        room -= 1;
+        report.imported.push({ file: image.file, product_id: product.id, sku: product.sku, slot: "gallery", image_url: buildPublicUrl(remote) });
+      } catch (err) {
+        console.error(`❌ Image import upload failed (${image.file}):`, err);
+        report.rejected.push({ file: image.file, reason: "Upload failed" });
+      }
+    }
+    if (galleryPaths.length > 0) {
+      await queryDB("INSERT INTO ProductImage (product_id, image_url, is_primary) VALUES ?", [
+        galleryPaths.map((remote) => [product.id, remote, 0]),
+      ]);
+    }
+
+    if (mainImage) {
+      await recordAudit(null, {
+        actor,
+        storeId: store.id,
+        entityType: "product",
+        entityId: product.id,
+        action: "update",
+        before: { main_image: product.main_image },
+        after: { main_image: mainImage },
+      });
+    }
+    if (galleryPaths.length > 0) {
+      await recordAudit(null, {
+        actor,
+        storeId: store.id,
+        entityType: "product",
+        entityId: product.id,
+        action: "image_add",
+        after: { images: galleryPaths },
+      });
+    }
+    if (mainImage || galleryPaths.length > 0) await emitProductEvent("product.updated", product.id);
+  }
+
+  return report;
+};
@@ -0,0 +1,215 @@
+// lib/invoices.js
+import PDFDocument from "pdfkit";
+import queryDB from "../db.js";
+
+const COMPANY_NAME = process.env.INVOICE_COMPANY_NAME || "Storensupply";
+const COMPANY_ADDRESS = process.env.INVOICE_COMPANY_ADDRESS || "storensupply.com";
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/**
+ * Tax rate (percent) for a billing country.
+ * INVOICE_TAX_RATES is an optional JSON map of country -> rate, matched case-insensitively;
+ * anything else falls back to INVOICE_TAX_RATE (default 0).
+ */
+export const getTaxRate = (country) => {
+  const fallback = Number(process.env.INVOICE_TAX_RATE) || 0;
+  if (!country || !process.env.INVOICE_TAX_RATES) return fallback;
+  try {
+    const rates = JSON.parse(process.env.INVOICE_TAX_RATES);
+    const key = Object.keys(rates).find((k) => k.toLowerCase() === String(country).trim().toLowerCase());
+    return key !== undefined ? Number(rates[key]) || 0 : fallback;
+  } catch (err) {
+    console.warn("Invalid INVOICE_TAX_RATES, using INVOICE_TAX_RATE:", err.message);
+    return fallback;
+  }
+};
+
+export const formatInvoiceNumber = (year, sequence) => `INV-${year}-${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Who the invoice is addressed to: the store for suppliers, the user otherwise
+ */
+const getBillTo = async (conn, order) => {
+  const [rows] = await conn.query(
+    `SELECT u.username, u.email, sp.store_name, sp.country AS store_country, sel.location
+     FROM User u
+     LEFT JOIN SupplierProfile sp ON sp.user_id = u.id
+     LEFT JOIN SellerProfile sel ON sel.user_id = u.id
+     WHERE u.id = ? LIMIT 1`,
+    [order.user_id]
+  );
+  const u = rows[0] || {};
+  return {
+    name: u.store_name || u.username || `User #${order.user_id}`,
+    email: u.email || null,
+    country: u.store_country || u.location || null,
+  };
+};
+
+/**
+ * Issue the invoice for a paid order. Runs inside the fulfillment transaction.
+ * Prices are tax inclusive: the order amount is the invoice total and tax is backed out of it.
+ * Idempotent per order.
+ */
+export const createInvoiceForOrder = async (conn, order) => {
+  const [existing] = await conn.query("SELECT id FROM Invoice WHERE order_id = ? LIMIT 1", [order.id]);
+  if (existing.length > 0) return existing[0].id;
+
+  const year = new Date().getFullYear();
+  // the upsert locks this year's row until commit, so numbers are gap-free and never reused
+  await conn.query(
+    `INSERT INTO InvoiceSequence (invoice_year, last_number) VALUES (?, 1)
+     ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+    [year]
+  );
+  const [seqRows] = await conn.query("SELECT last_number FROM InvoiceSequence WHERE invoice_year = ?", [year]);
+  const sequence = seqRows[0].last_number;
+
+  const billTo = await getBillTo(conn, order);
+  const taxRate = getTaxRate(billTo.country);
+  const total = round2(order.amount);
+  const subtotal = round2(total / (1 + taxRate / 100));
+  const taxAmount = round2(total - subtotal);
+
+  const lineItems = [
+    {
+      description: order.description,
+      quantity: 1,
+      unit_price: subtotal,
+      amount: subtotal,
+    },
+  ];
+
+  const [result] = await conn.query(
+    `INSERT INTO Invoice
+       (invoice_number, invoice_year, sequence_number, order_id, user_id, bill_to_name, bill_to_email,
+        bill_to_country, currency, subtotal, tax_rate, tax_amount, total, line_items, issued_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      formatInvoiceNumber(year, sequence),
+      year,
+      sequence,
+      order.id,
+      order.user_id,
+      billTo.name,
+      billTo.email,
+      billTo.country,
+      order.currency,
+      subtotal,
+      taxRate,
+      taxAmount,
+      total,
+      JSON.stringify(lineItems),
+    ]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * JSON shape returned to the frontend
+ */
+export const formatInvoice = (row) => ({
+  id: row.id,
+  invoice_number: row.invoice_number,
+  status: row.status,
+  order_id: row.order_id,
+  issued_at: row.issued_at,
+  bill_to: { name: row.bill_to_name, email: row.bill_to_email, country: row.bill_to_country },
+  currency: row.currency,
+  line_items: typeof row.line_items === "string" ? JSON.parse(row.line_items) : row.line_items,
+  subtotal: Number(row.subtotal),
+  tax_rate: Number(row.tax_rate),
+  tax_amount: Number(row.tax_amount),
+  total: Number(row.total),
+});
+
+export const getInvoicesForUser = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const rows = await queryDB(
+    `SELECT * FROM Invoice WHERE user_id = ? ORDER BY issued_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [userId, limit, offset]
+  );
+  return rows.map(formatInvoice);
+};
+
+/**
+ * A store's plan invoices, whoever paid them. Store billing shows these rather than the
+ * owner's invoices, which also hold the owner's own credit purchases.
+ */
+export const getInvoicesForSupplier = async (supplierId, { limit = 50, offset = 0 } = {}) => {
+  const rows = await queryDB(
+    `SELECT i.* FROM Invoice i
+     JOIN PaymentOrder o ON i.order_id = o.id
+     WHERE o.supplier_id = ? AND o.order_type = 'plan'
+     ORDER BY i.issued_at DESC, i.id DESC LIMIT ? OFFSET ?`,
+    [supplierId, limit, offset]
+  );
+  return rows.map(formatInvoice);
+};
+
+export const getInvoiceForUser = async (invoiceId, userId) => {
+  const rows = await queryDB("SELECT * FROM Invoice WHERE id = ? AND user_id = ? LIMIT 1", [invoiceId, userId]);
+  return rows[0] ? formatInvoice(rows[0]) : null;
+};
+
+const money = (amount, currency) => `${currency} ${Number(amount).toFixed(2)}`;
+
+/**
+ * Render an invoice (as returned by formatInvoice) to a PDF buffer
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(20).text(COMPANY_NAME, { continued: false });
+    doc.fontSize(10).fillColor("#555").text(COMPANY_ADDRESS);
+    doc.moveDown();
+
+    doc.fillColor("#000").fontSize(16).text(invoice.status === "refunded" ? "INVOICE (REFUNDED)" : "INVOICE");
+    doc.fontSize(10);
+    doc.text(`Invoice number: ${invoice.invoice_number}`);
+    doc.text(`Issued: ${new Date(invoice.issued_at).toISOString().slice(0, 10)}`);
+    doc.text(`Order: #${invoice.order_id}`);
+    doc.moveDown();
+
+    doc.fontSize(12).text("Bill to");
+    doc.fontSize(10).text(invoice.bill_to.name);
+    if (invoice.bill_to.email) doc.text(invoice.bill_to.email);
+    if (invoice.bill_to.country) doc.text(invoice.bill_to.country);
+    doc.moveDown();
+
+    const tableTop = doc.y;
+    doc.font("Helvetica-Bold");
+    doc.text("Description", 50, tableTop);
+    doc.text("Qty", 330, tableTop, { width: 40, align: "right" });
+    doc.text("Unit price", 380, tableTop, { width: 80, align: "right" });
+    doc.text("Amount", 470, tableTop, { width: 80, align: "right" });
+    doc.font("Helvetica");
+
+    let y = tableTop + 18;
+    for (const item of invoice.line_items) {
+      doc.text(item.description, 50, y, { width: 270 });
+      doc.text(String(item.quantity), 330, y, { width: 40, align: "right" });
+      doc.text(money(item.unit_price, invoice.currency), 380, y, { width: 80, align: "right" });
+      doc.text(money(item.amount, invoice.currency), 470, y, { width: 80, align: "right" });
+      y += 18;
+    }
+
+    y += 10;
+    doc.text("Subtotal", 380, y, { width: 80, align: "right" });
+    doc.text(money(invoice.subtotal, invoice.currency), 470, y, { width: 80, align: "right" });
+    y += 15;
+    doc.text(`Tax (${invoice.tax_rate}%)`, 380, y, { width: 80, align: "right" });
+    doc.text(money(invoice.tax_amount, invoice.currency), 470, y, { width: 80, align: "right" });
+    y += 15;
+    doc.font("Helvetica-Bold");
+    doc.text("Total", 380, y, { width: 80, align: "right" });
+    doc.text(money(invoice.total, invoice.currency), 470, y, { width: 80, align: "right" });
+
+    doc.end();
+  });
@@ -0,0 +1,112 @@
+// lib/loginHistory.js
+//
+// Sign-in history: every login and failed attempt on an existing account is recorded
+// with IP and user agent. A successful login from a browser/app the account never
+// signed in from before sends a security email.
+import crypto from "crypto";
+import queryDB from "../db.js";
+import { queueEmail } from "./mail/index.js";
+import { clientInfo } from "./sessions.js";
+
+// the user agent is the device: IPs change too often (mobile networks, VPNs) to mean much
+const deviceHash = (userAgent) =>
+  userAgent ? crypto.createHash("sha256").update(userAgent).digest("hex") : null;
+
+/**
+ * "Chrome on Windows"-style label for a user agent string
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+  const ua = String(userAgent);
+
+  let browser = "Unknown browser";
+  if (/Edg\//.test(ua)) browser = "Edge";
+  else if (/OPR\/|Opera/.test(ua)) browser = "Opera";
+  else if (/Firefox\//.test(ua)) browser = "Firefox";
+  else if (/Chrome\//.test(ua)) browser = "Chrome";
+  else if (/Safari\//.test(ua)) browser = "Safari";
+  else if (/okhttp|Dalvik/i.test(ua)) browser = "Android app";
+  else if (/curl|PostmanRuntime|axios|node-fetch/i.test(ua)) browser = ua.split("/")[0];
+
+  let os = null;
+  if (/Windows/.test(ua)) os = "Windows";
+  else if (/Android/.test(ua)) os = "Android";
+  else if (/iPhone|iPad|iPod/.test(ua)) os = "iOS";
+  else if (/Mac OS X|Macintosh/.test(ua)) os = "macOS";
+  else if (/Linux/.test(ua)) os = "Linux";
+
+  return os ? `${browser} on ${os}` : browser;
+};
+
+/**
+ * Best effort: a failure to record never blocks the login.
+ *
+ * - method: password | totp | recovery_code | signup
+ * - failureReason: set for failed attempts (bad_password, bad_2fa_code)
+ *
+ * Successful logins from a new device email the account owner, except for the very
+ * first sign-in of an account.
+ */
+export const recordLoginEvent = async ({ userId, req, success, method = "password", failureReason = null, sessionId = null }) => {
+  try {
+    const { userAgent, ip } = clientInfo(req);
+    const device = deviceHash(userAgent);
+
+    let newDevice = false;
+    if (success && method !== "signup") {
+      const seen = await queryDB(
+        `SELECT
+           SUM(device_hash <=> ?) AS same_device,
+           COUNT(*) AS total
+         FROM LoginEvent WHERE user_id = ? AND success = 1`,
+        [device, userId]
+      );
+      newDevice = Number(seen[0]?.total) > 0 && Number(seen[0]?.same_device) === 0;
+    }
+
+    await queryDB(
+      `INSERT INTO LoginEvent
+         (user_id, success, failure_reason, method, session_id, ip_address, user_agent, device_hash, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [userId, success ? 1 : 0, failureReason, method, sessionId, ip, userAgent, device]
+    );
+
+    if (newDevice) {
+      await queueEmail(null, {
+        userId,
+        template: "new_device_login",
+        data: {
+          device: describeDevice(userAgent),
+          ipAddress: ip || "unknown",
+          when: new Date().toISOString().replace("T", " ").slice(0, 16) + " UTC",
+        },
+      });
+    }
+  } catch (err) {
+    console.error("❌ Failed to record login event:", err);
+  }
+};
+
+/**
+ * Recent sign-ins, newest first -> { events, total }
+ */
+export const listLoginEvents = async (userId, { limit = 20, offset = 0 } = {}) => {
+  const events = await queryDB(
+    `SELECT id, success, failure_reason, method, session_id, ip_address, user_agent, created_at
+     FROM LoginEvent WHERE user_id = ?
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, limit, offset]
+  );
+  const counts = await queryDB("SELECT COUNT(*) AS total FROM LoginEvent WHERE user_id = ?", [userId]);
+
+  return {
+    events: events.map((e) => ({
+      ...e,
+      success: Boolean(e.success),
+      two_factor: e.method === "totp" || e.method === "recovery_code",
+      device: describeDevice(e.user_agent),
+    })),
+    total: Number(counts[0].total),
+  };
+};
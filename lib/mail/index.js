@@ -0,0 +1,177 @@
+// lib/mail/index.js
+//
+// Every email goes through the EmailOutbox table: queueEmail() renders a template
+// and stores it, and the request that queued it sends it (after its transaction
+// commits, when there is one). Failed sends are retried with backoff by the daily
+// outbox cron. A failed send never fails the HTTP request.
+import queryDB from "../../db.js";
+import { renderTemplate, TEMPLATE_NAMES } from "./templates.js";
+import { getTransport } from "./transports.js";
+
+export { TEMPLATE_NAMES };
+
+export const MAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER || "Storensupply <no-reply@storensupply.com>";
+export const MAX_SEND_ATTEMPTS = 6;
+
+// Categories users can switch email on/off for. Account emails (welcome, password reset) are always sent.
+export const EMAIL_CATEGORIES = {
+  reviews: "New reviews on your store and products",
+  orders: "Order requests and status changes",
+  stock: "Daily low stock digest",
+  billing: "Plan expiry reminders",
+};
+
+// run on the caller's transaction connection when given one
+const run = async (conn, sql, params) => {
+  if (!conn) return queryDB(sql, params);
+  const [rows] = await conn.query(sql, params);
+  return rows;
+};
+
+// 1, 2, 4, 8 ... minutes, capped at 6 hours
+const retryDelaySeconds = (attempts) => Math.min(60 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60);
+
+/**
+ * category -> boolean for every category, defaulting to on
+ */
+export const getEmailPreferences = async (userId, conn = null) => {
+  const rows = await run(conn, "SELECT category, email_enabled FROM NotificationPreference WHERE user_id = ?", [userId]);
+  const prefs = Object.fromEntries(Object.keys(EMAIL_CATEGORIES).map((c) => [c, true]));
+  for (const row of rows) {
+    if (row.category in prefs) prefs[row.category] = Boolean(row.email_enabled);
+  }
+  return prefs;
+};
+
+/**
+ * prefs: { <category>: boolean }. Unknown categories are ignored.
+ */
+export const setEmailPreferences = async (userId, prefs) => {
+  const values = Object.entries(prefs)
+    .filter(([category]) => category in EMAIL_CATEGORIES)
+    .map(([category, enabled]) => [userId, category, enabled ? 1 : 0]);
+  if (values.length > 0) {
+    await queryDB(
+      `INSERT INTO NotificationPreference (user_id, category, email_enabled) VALUES ?
+       ON DUPLICATE KEY UPDATE email_enabled = VALUES(email_enabled), updated_at = NOW()`,
+      [values]
+    );
+  }
+  return getEmailPreferences(userId);
+};
+
+/**
+ * Render `template` and put it in the outbox.
+ *
+ * - userId: recipient account; `to` defaults to its email and `data.username` to its username
+ * - category: one of EMAIL_CATEGORIES; skipped (returns null) when the user switched it off
+ * - dedupeKey: a second email with the same key for the same address is dropped
+ *
+ * With a transaction connection from withTransaction() it is sent once that transaction
+ * commits; without one it is sent right away.
+ * Returns the outbox id, or null when nothing was queued.
+ */
+export const queueEmail = async (
+  conn,
+  { userId = null, to = null, template, data = {}, category = null, dedupeKey = null }
+) => {
+  let username = data.username;
+  if (userId) {
+    const users = await run(conn, "SELECT email, username FROM `User` WHERE id = ? LIMIT 1", [userId]);
+    if (!users[0]) return null;
+    to = to || users[0].email;
+    username = username || users[0].username;
+
+    if (category) {
+      const prefs = await getEmailPreferences(userId, conn);
+      if (prefs[category] === false) return null;
+    }
+  }
+  if (!to) return null;
+
+  const { subject, html, text } = renderTemplate(template, { ...data, username });
+  const result = await run(
+    conn,
+    `INSERT IGNORE INTO EmailOutbox
+       (user_id, to_email, template, category, subject, html_body, text_body, dedupe_key, status, next_attempt_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW(), NOW(), NOW())`,
+    [userId, to, template, category, subject, html, text, dedupeKey]
+  );
+  if (result.affectedRows === 0) return null;
+
+  if (!conn) await deliverEmail(result.insertId);
+  else conn.afterCommit?.(() => deliverEmail(result.insertId));
+  return result.insertId;
+};
+
+/**
+ * Try to send one pending outbox row. Returns true when it was sent.
+ */
+export const deliverEmail = async (outboxId) => {
+  // claim the row so a concurrent cron run can't send it twice
+  const claim = await queryDB(
+    "UPDATE EmailOutbox SET status = 'sending', updated_at = NOW() WHERE id = ? AND status = 'pending'",
+    [outboxId]
+  );
+  if (claim.affectedRows === 0) return false;
+
+  const rows = await queryDB("SELECT * FROM EmailOutbox WHERE id = ?", [outboxId]);
+  const email = rows[0];
+
+  try {
+    const transport = getTransport();
+    const { messageId } = await transport.send({
+      from: MAIL_FROM,
+      to: email.to_email,
+      subject: email.subject,
+      html: email.html_body,
+      text: email.text_body,
+    });
+    await queryDB(
+      `UPDATE EmailOutbox
+       SET status = 'sent', attempts = attempts + 1, transport = ?, provider_message_id = ?,
+           last_error = NULL, sent_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [transport.name, messageId || null, outboxId]
+    );
+    return true;
+  } catch (err) {
+    const attempts = Number(email.attempts) + 1;
+    const giveUp = attempts >= MAX_SEND_ATTEMPTS;
+    console.error(`❌ Email ${outboxId} (${email.template}) failed, attempt ${attempts}:`, err.message || err);
+    await queryDB(
+      `UPDATE EmailOutbox
+       SET status = ?, attempts = ?, last_error = ?,
+           next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND), updated_at = NOW()
+       WHERE id = ?`,
+      [giveUp ? "failed" : "pending", attempts, String(err.message || err).slice(0, 1000), retryDelaySeconds(attempts), outboxId]
+    );
+    return false;
+  }
+};
+
+/**
+ * Cron entry point: send everything that is due
+ */
+export const processOutbox = async ({ limit = 50 } = {}) => {
+  // rows left in 'sending' by a crashed invocation go back to the queue
+  await queryDB(
+    `UPDATE EmailOutbox SET status = 'pending', updated_at = NOW()
+     WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL 10 MINUTE)`
+  );
+
+  const due = await queryDB(
+    `SELECT id FROM EmailOutbox
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC, id ASC
+     LIMIT ?`,
+    [limit]
+  );
+
+  const summary = { due: due.length, sent: 0, failed: 0 };
+  for (const { id } of due) {
+    if (await deliverEmail(id)) summary.sent++;
+    else summary.failed++;
+  }
+  return summary;
+};
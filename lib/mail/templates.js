@@ -0,0 +1,249 @@
+// lib/mail/templates.js
+//
+// Named email templates. Each takes a data object and returns { subject, html, text }.
+// Every template receives at least { username } plus whatever the caller passes.
+
+const APP_NAME = "Storensupply";
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://storensupply.com";
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const button = (href, label) =>
+  `<p><a href="${escapeHtml(href)}" style="color: #1a73e8;">${escapeHtml(label)}</a></p>`;
+
+// shared wrapper, same look as the original password reset email
+const layout = (title, bodyHtml) => `
+    <div style="font-family: Arial, sans-serif; color: #333;">
+      <h2>${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <br/>
+      <p>— ${APP_NAME} Support</p>
+      <p style="font-size: 12px; color: #888;">
+        You can change which emails you receive in your notification settings: ${escapeHtml(`${FRONTEND_URL}/settings/notifications`)}
+      </p>
+    </div>
+  `;
+
+const greeting = (username) => `<p>Hi ${escapeHtml(username || "there")},</p>`;
+
+const TEMPLATES = {
+  welcome: ({ username }) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    html: layout(
+      `Welcome to ${APP_NAME}`,
+      `${greeting(username)}
+      <p>Your account is ready. Browse suppliers, unlock contacts and send order requests from your dashboard.</p>
+      ${button(FRONTEND_URL, `Open ${APP_NAME}`)}`
+    ),
+    text: `Hi ${username || "there"},\n\nYour ${APP_NAME} account is ready: ${FRONTEND_URL}`,
+  }),
+
+  password_reset: ({ username, resetLink, expiresInMinutes = 15 }) => ({
+    subject: `Password Reset Request - ${APP_NAME}`,
+    html: layout(
+      `${APP_NAME} Password Reset`,
+      `${greeting(username)}
+      <p>You requested to reset your password. Please click the link below to set a new password:</p>
+      ${button(resetLink, "Reset Password")}
+      <p><b>Note:</b> This link will expire in ${expiresInMinutes} minutes.</p>
+      <p>If you didn’t request this, please ignore this email.</p>`
+    ),
+    text:
+      `Hi ${username || "there"},\n\nReset your password here (expires in ${expiresInMinutes} minutes):\n${resetLink}\n\n` +
+      "If you didn't request this, please ignore this email.",
+  }),
+
+  verify_email: ({ username, verifyLink, expiresInHours = 24 }) => ({
+    subject: `Confirm your email - ${APP_NAME}`,
+    html: layout(
+      "Confirm your email address",
+      `${greeting(username)}
+      <p>Please confirm this is your email address to finish setting up your ${APP_NAME} account:</p>
+      ${button(verifyLink, "Verify email")}
+      <p><b>Note:</b> This link will expire in ${expiresInHours} hours.</p>
+      <p>If you didn’t create an account, please ignore this email.</p>`
+    ),
+    text:
+      `Hi ${username || "there"},\n\nConfirm your email address (expires in ${expiresInHours} hours):\n${verifyLink}\n\n` +
+      "If you didn't create an account, please ignore this email.",
+  }),
+
+  change_email: ({ username, verifyLink, newEmail, expiresInHours = 24 }) => ({
+    subject: `Confirm your new email - ${APP_NAME}`,
+    html: layout(
+      "Confirm your new email address",
+      `${greeting(username)}
+      <p>You asked to change your ${APP_NAME} login email to <b>${escapeHtml(newEmail)}</b>. Click below to confirm:</p>
+      ${button(verifyLink, "Confirm new email")}
+      <p><b>Note:</b> This link will expire in ${expiresInHours} hours. Your email stays the same until you confirm.</p>
+      <p>If you didn’t request this, please ignore this email.</p>`
+    ),
+    text:
+      `Hi ${username || "there"},\n\nConfirm ${newEmail} as your new login email (expires in ${expiresInHours} hours):\n${verifyLink}\n\n` +
+      "If you didn't request this, please ignore this email.",
+  }),
+
+  email_changed: ({ username, newEmail }) => ({
+    subject: `Your ${APP_NAME} email was changed`,
+    html: layout(
+      "Your email address was changed",
+      `${greeting(username)}
+      <p>The login email of your ${APP_NAME} account was changed to <b>${escapeHtml(newEmail)}</b>.</p>
+      <p>If you didn’t do this, reset your password and contact support right away.</p>`
+    ),
+    text:
+      `Hi ${username || "there"},\n\nYour ${APP_NAME} login email was changed to ${newEmail}.\n` +
+      "If you didn't do this, reset your password and contact support right away.",
+  }),
+
+  new_device_login: ({ username, device, ipAddress, when }) => ({
+    subject: `New sign-in to your ${APP_NAME} account`,
+    html: layout(
+      "New sign-in from a new device",
+      `${greeting(username)}
+      <p>Your account was just signed in to from a device we haven't seen before:</p>
+      <ul>
+        <li>Device: ${escapeHtml(device)}</li>
+        <li>IP address: ${escapeHtml(ipAddress)}</li>
+        <li>Time: ${escapeHtml(when)}</li>
+      </ul>
+      <p>If this was you, there's nothing to do. If not, change your password and sign out other devices right away.</p>
+      ${button(`${FRONTEND_URL}/settings/security`, "Review account activity")}`
+    ),
+    text:
+      `Hi ${username || "there"},\n\nNew sign-in to your ${APP_NAME} account:\n` +
+      `Device: ${device}\nIP address: ${ipAddress}\nTime: ${when}\n\n` +
+      `If this wasn't you, change your password and sign out other devices: ${FRONTEND_URL}/settings/security`,
+  }),
+
+  plan_expiring: ({ username, planName, planEnd }) => ({
+    subject: `Your ${planName} plan expires on ${planEnd}`,
+    html: layout(
+      "Your plan is expiring soon",
+      `${greeting(username)}
+      <p>Your <b>${escapeHtml(planName)}</b> plan ends on <b>${escapeHtml(planEnd)}</b>.
+      After that your store moves to the free plan and products above its upload limit are paused.</p>
+      ${button(`${FRONTEND_URL}/dashboard`, "Renew plan")}`
+    ),
+    text: `Hi ${username || "there"},\n\nYour ${planName} plan ends on ${planEnd}. Renew at ${FRONTEND_URL}/dashboard`,
+  }),
+
+  low_stock_digest: ({ username, products = [] }) => ({
+    subject: `${products.length} product${products.length === 1 ? "" : "s"} running low on stock`,
+    html: layout(
+      "Low stock summary",
+      `${greeting(username)}
+      <p>These products dropped to low stock in the last day:</p>
+      <ul>
+        ${products.map((p) => `<li>${escapeHtml(p.title)} — ${Math.max(0, Number(p.stock_quantity) || 0)} left</li>`).join("\n        ")}
+      </ul>
+      ${button(`${FRONTEND_URL}/dashboard`, "Update stock")}`
+    ),
+    text:
+      `Hi ${username || "there"},\n\nLow stock:\n` +
+      products.map((p) => `- ${p.title}: ${Math.max(0, Number(p.stock_quantity) || 0)} left`).join("\n"),
+  }),
+
+  new_review: ({ username, title, rating, comment }) => ({
+    subject: title || "You received a new review",
+    html: layout(
+      "New review",
+      `${greeting(username)}
+      <p>${escapeHtml(title || "You received a new review")}</p>
+      ${rating ? `<p>Rating: ${"★".repeat(Number(rating))}${"☆".repeat(5 - Number(rating))}</p>` : ""}
+      ${comment ? `<blockquote style="border-left: 3px solid #ddd; padding-left: 10px;">${escapeHtml(comment)}</blockquote>` : ""}
+      ${button(`${FRONTEND_URL}/dashboard`, "Reply to the review")}`
+    ),
+    text: `Hi ${username || "there"},\n\n${title || "You received a new review"}${comment ? `\n\n"${comment}"` : ""}`,
+  }),
+
+  store_invitation: ({ username, storeName, invitedBy, role, acceptLink, expiresInDays = 7 }) => ({
+    subject: `You're invited to join ${storeName} on ${APP_NAME}`,
+    html: layout(
+      `Join ${storeName}`,
+      `${greeting(username)}
+      <p>${escapeHtml(invitedBy || "The store owner")} invited you to help run <b>${escapeHtml(storeName)}</b>
+      on ${APP_NAME} as <b>${escapeHtml(String(role).replace(/_/g, " "))}</b>.</p>
+      ${button(acceptLink, "Accept invitation")}
+      <p><b>Note:</b> Sign in (or create an account) with this email address to accept. The invitation expires in ${expiresInDays} days.</p>
+      <p>If you weren't expecting this, you can ignore this email.</p>`
+    ),
+    text:
+      `Hi ${username || "there"},\n\n${invitedBy || "The store owner"} invited you to join ${storeName} on ${APP_NAME} ` +
+      `as ${String(role).replace(/_/g, " ")}.\nAccept (expires in ${expiresInDays} days): ${acceptLink}`,
+  }),
+
+  verification_update: ({ username, title, body, status }) => ({
+    subject: title || "Your store verification was updated",
+    html: layout(
+      title || "Store verification update",
+      `${greeting(username)}
+      ${
+        status === "approved"
+          ? "<p>Your business documents were reviewed and your store now shows the verified badge.</p>"
+          : "<p>Our team reviewed your store verification.</p>"
+      }
+      ${body ? `<blockquote style="border-left: 3px solid #ddd; padding-left: 10px;">${escapeHtml(body)}</blockquote>` : ""}
+      ${button(`${FRONTEND_URL}/dashboard/verification`, "View verification status")}`
+    ),
+    text:
+      `Hi ${username || "there"},\n\n${title || "Your store verification was updated"}${body ? `\n\n${body}` : ""}\n` +
+      `${FRONTEND_URL}/dashboard/verification`,
+  }),
+
+  order_update: ({ username, title, body, orderId }) => ({
+    subject: title || `Order #${orderId} updated`,
+    html: layout(
+      title || `Order #${orderId} updated`,
+      `${greeting(username)}
+      ${body ? `<p>${escapeHtml(body)}</p>` : ""}
+      ${button(`${FRONTEND_URL}/orders/${orderId}`, "View order")}`
+    ),
+    text: `Hi ${username || "there"},\n\n${title || `Order #${orderId} updated`}${body ? `\n${body}` : ""}\n${FRONTEND_URL}/orders/${orderId}`,
+  }),
+
+  account_deletion_scheduled: ({ username, scheduledFor, graceDays = 30, cancelLink }) => ({
+    subject: `Your ${APP_NAME} account will be deleted`,
+    html: layout(
+      "Account deletion scheduled",
+      `${greeting(username)}
+      <p>Your account has been deactivated and will be permanently deleted on
+      <b>${escapeHtml(new Date(scheduledFor).toDateString())}</b>, together with your store, products and sales.</p>
+      <p>Changed your mind? You can restore the account within the next ${graceDays} days.
+      Product images and the authorship of your reviews have already been removed and will not come back.</p>
+      ${button(cancelLink, "Keep my account")}
+      <p>If you didn't ask for this, restore the account and change your password right away.</p>`
+    ),
+    text:
+      `Hi ${username || "there"},\n\nYour account has been deactivated and will be permanently deleted on ` +
+      `${new Date(scheduledFor).toDateString()}.\nTo keep it (within ${graceDays} days): ${cancelLink}`,
+  }),
+
+  account_deleted: ({ username }) => ({
+    subject: `Your ${APP_NAME} account was deleted`,
+    html: layout(
+      "Account deleted",
+      `${greeting(username)}
+      <p>As requested, your account and the data tied to it have been permanently deleted.</p>
+      <p>Thanks for having been part of ${APP_NAME}.</p>`
+    ),
+    text: `Hi ${username || "there"},\n\nAs requested, your ${APP_NAME} account and the data tied to it have been permanently deleted.`,
+  }),
+};
+
+export const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Render a named template -> { subject, html, text }
+ */
+export const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+};
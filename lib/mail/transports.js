@@ -0,0 +1,69 @@
+// lib/mail/transports.js
+//
+// Transports implement:
+//   name
+//   send({ from, to, subject, html, text }) -> { messageId }
+//
+// MAIL_TRANSPORT picks one: 'smtp' or 'file'. Without it, SMTP is used when
+// configured (SMTP_HOST, or the older EMAIL_USER/EMAIL_PASS Gmail settings)
+// and the file outbox otherwise, so local development never sends real mail.
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+const smtpTransport = () => {
+  const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      })
+    : nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Development outbox: one JSON file per email
+const fileTransport = () => {
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "storensupply-mail");
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const file = path.join(dir, `${messageId}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, messageId, savedAt: new Date().toISOString() }, null, 2));
+      console.log(`📨 Email to ${message.to} written to ${file}`);
+      return { messageId };
+    },
+  };
+};
+
+let transport;
+
+export const getTransport = () => {
+  if (transport) return transport;
+
+  const smtpConfigured = Boolean(process.env.SMTP_HOST || process.env.EMAIL_USER);
+  const name = process.env.MAIL_TRANSPORT || (smtpConfigured ? "smtp" : "file");
+  if (name === "smtp") transport = smtpTransport();
+  else if (name === "file") transport = fileTransport();
+  else throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+
+  return transport;
+};
@@ -0,0 +1,215 @@
+// lib/messages.js
+import path from "path";
+import queryDB, { withTransaction } from "../db.js";
+import { FTP_BASE_PATH, buildPublicUrl, makeRemoteFilename, uploadToFTP } from "./ftp.js";
+import { AppError } from "./errors.js";
+
+export const MAX_MESSAGE_LENGTH = 5000;
+
+/**
+ * Thrown when a message can't be sent: empty or too long bodies, attachments
+ * that fail the type/size checks, or a product that isn't the conversation's store.
+ */
+export class MessageError extends AppError {
+  constructor(message, status = 400, code = "MESSAGE_ERROR") {
+    super(message, status, code);
+  }
+}
+
+/**
+ * Which side of the conversation the caller is on: 'seller', 'supplier' or null
+ */
+export const sideForConversation = (conversation, { sellerId, supplierId }) => {
+  if (sellerId && Number(conversation.seller_id) === Number(sellerId)) return "seller";
+  if (supplierId && Number(conversation.supplier_id) === Number(supplierId)) return "supplier";
+  return null;
+};
+
+const CONVERSATION_SELECT = `
+  SELECT c.id, c.seller_id, c.supplier_id, c.product_id, c.last_message_id, c.last_message_at,
+         c.seller_last_read_id, c.supplier_last_read_id, c.created_at,
+         sp.store_name, sp.logo AS store_logo, su.username AS seller_username,
+         p.title AS product_title, p.main_image AS product_image,
+         lm.body AS last_message_body, lm.sender_side AS last_message_side
+  FROM Conversation c
+  JOIN SupplierProfile sp ON c.supplier_id = sp.id
+  JOIN SellerProfile sel ON c.seller_id = sel.id
+  JOIN User su ON sel.user_id = su.id
+  LEFT JOIN Product p ON c.product_id = p.id
+  LEFT JOIN ConversationMessage lm ON c.last_message_id = lm.id`;
+
+export const formatConversation = (row) => ({
+  id: row.id,
+  seller_id: row.seller_id,
+  supplier_id: row.supplier_id,
+  seller_username: row.seller_username,
+  store_name: row.store_name,
+  store_logo: row.store_logo ? buildPublicUrl(row.store_logo) : null,
+  product: row.product_id
+    ? {
+        id: row.product_id,
+        title: row.product_title,
+        main_image: row.product_image ? buildPublicUrl(row.product_image) : null,
+      }
+    : null,
+  last_message: row.last_message_id
+    ? { id: row.last_message_id, body: row.last_message_body, side: row.last_message_side, created_at: row.last_message_at }
+    : null,
+  unread_count: Number(row.unread_count || 0),
+  created_at: row.created_at,
+});
+
+export const getConversationById = async (conversationId) => {
+  const rows = await queryDB(`${CONVERSATION_SELECT} WHERE c.id = ? LIMIT 1`, [conversationId]);
+  return rows[0] || null;
+};
+
+/**
+ * Seller opens a thread with a supplier (optionally about one product).
+ * Returns the existing thread if there already is one.
+ */
+export const findOrCreateConversation = async ({ sellerId, supplierId, productId = null }) => {
+  if (productId) {
+    const products = await queryDB("SELECT id, store_id FROM Product WHERE id = ? LIMIT 1", [productId]);
+    if (products.length === 0) throw new MessageError("Product not found", 404, "PRODUCT_NOT_FOUND");
+    if (Number(products[0].store_id) !== Number(supplierId))
+      throw new MessageError("Product does not belong to this supplier", 400, "PRODUCT_MISMATCH");
+  }
+
+  await queryDB(
+    `INSERT IGNORE INTO Conversation (seller_id, supplier_id, product_id, product_key, created_at)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [sellerId, supplierId, productId || null, productId || 0]
+  );
+  const rows = await queryDB(
+    `SELECT id FROM Conversation WHERE seller_id = ? AND supplier_id = ? AND product_key = ? LIMIT 1`,
+    [sellerId, supplierId, productId || 0]
+  );
+  return rows[0].id;
+};
+
+/**
+ * Threads for one side, newest activity first, with unread counts
+ */
+export const listConversations = async (side, profileId, { limit = 50, offset = 0 } = {}) => {
+  const other = side === "seller" ? "supplier" : "seller";
+  const rows = await queryDB(
+    `SELECT x.*,
+            (SELECT COUNT(*) FROM ConversationMessage m
+             WHERE m.conversation_id = x.id AND m.sender_side = ? AND m.id > x.${side}_last_read_id) AS unread_count
+     FROM (${CONVERSATION_SELECT} WHERE c.${side}_id = ?) x
+     ORDER BY COALESCE(x.last_message_at, x.created_at) DESC
+     LIMIT ? OFFSET ?`,
+    [other, profileId, limit, offset]
+  );
+  return rows.map(formatConversation);
+};
+
+/**
+ * Total unread messages for one side across all threads
+ */
+export const getUnreadCount = async (side, profileId) => {
+  if (!profileId) return 0;
+  const other = side === "seller" ? "supplier" : "seller";
+  const rows = await queryDB(
+    `SELECT COUNT(*) AS unread
+     FROM ConversationMessage m
+     JOIN Conversation c ON m.conversation_id = c.id
+     WHERE c.${side}_id = ? AND m.sender_side = ? AND m.id > c.${side}_last_read_id`,
+    [profileId, other]
+  );
+  return Number(rows[0]?.unread || 0);
+};
+
+/**
+ * Messages in a thread, oldest first. Pass `beforeId` to page further back.
+ */
+export const getMessages = async (conversationId, { beforeId = null, limit = 50 } = {}) => {
+  const params = [conversationId];
+  let where = "m.conversation_id = ?";
+  if (beforeId) {
+    where += " AND m.id < ?";
+    params.push(beforeId);
+  }
+  params.push(limit);
+
+  const messages = await queryDB(
+    `SELECT m.id, m.sender_user_id, m.sender_side, m.body, m.created_at
+     FROM ConversationMessage m
+     WHERE ${where}
+     ORDER BY m.id DESC
+     LIMIT ?`,
+    params
+  );
+  if (messages.length === 0) return [];
+
+  const ids = messages.map((m) => m.id);
+  const attachments = await queryDB(
+    `SELECT id, message_id, file_path, file_name, mime_type, size_bytes
+     FROM ConversationAttachment WHERE message_id IN (?) ORDER BY id ASC`,
+    [ids]
+  );
+
+  return messages.reverse().map((m) => ({
+    ...m,
+    attachments: attachments
+      .filter((a) => a.message_id === m.id)
+      .map((a) => ({ id: a.id, url: buildPublicUrl(a.file_path), file_name: a.file_name, mime_type: a.mime_type, size_bytes: a.size_bytes })),
+  }));
+};
+
+/**
+ * Post a message. files are multer memory-storage files; they are uploaded
+ * before the rows are written so a failed upload leaves no half-sent message.
+ * The sender's own read marker moves to the new message.
+ */
+export const sendMessage = async ({ conversationId, side, senderUserId, body, files = [] }) => {
+  const text = body ? String(body).trim() : "";
+  if (!text && files.length === 0) throw new MessageError("Message text or an attachment is required", 400, "EMPTY_MESSAGE");
+  if (text.length > MAX_MESSAGE_LENGTH)
+    throw new MessageError(`Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`, 400, "MESSAGE_TOO_LONG");
+
+  const remoteFolder = path.posix.join(FTP_BASE_PATH, "messages", String(conversationId));
+  const uploaded = [];
+  for (const file of files) {
+    const remotePath = await uploadToFTP(file.buffer, makeRemoteFilename(file.originalname), remoteFolder);
+    uploaded.push({ remotePath, file });
+  }
+
+  return withTransaction(async (conn) => {
+    const [result] = await conn.query(
+      `INSERT INTO ConversationMessage (conversation_id, sender_user_id, sender_side, body, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [conversationId, senderUserId, side, text || null]
+    );
+    const messageId = result.insertId;
+
+    if (uploaded.length > 0) {
+      await conn.query(
+        `INSERT INTO ConversationAttachment (message_id, file_path, file_name, mime_type, size_bytes) VALUES ?`,
+        [uploaded.map(({ remotePath, file }) => [messageId, remotePath, file.originalname, file.mimetype, file.size])]
+      );
+    }
+
+    await conn.query(
+      `UPDATE Conversation
+       SET last_message_id = ?, last_message_at = NOW(), ${side}_last_read_id = ?
+       WHERE id = ?`,
+      [messageId, messageId, conversationId]
+    );
+
+    return messageId;
+  });
+};
+
+/**
+ * Move a side's read marker to the latest message (never backwards)
+ */
+export const markConversationRead = async (conversationId, side) => {
+  await queryDB(
+    `UPDATE Conversation
+     SET ${side}_last_read_id = GREATEST(${side}_last_read_id, IFNULL(last_message_id, 0))
+     WHERE id = ?`,
+    [conversationId]
+  );
+};
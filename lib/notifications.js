@@ -0,0 +1,270 @@
+// lib/notifications.js
+import queryDB from "../db.js";
+import { queueEmail } from "./mail/index.js";
+
+export const NOTIFICATION_TYPES = [
+  "review_new",
+  "stock_low",
+  "plan_expiring",
+  "plan_expired",
+  "order_received",
+  "order_updated",
+  "credit_low",
+  "verification_updated",
+];
+
+// the store-level types served as /api/analytics/alerts/feed; they are addressed to the store owner
+export const STORE_ALERT_TYPES = ["stock_low", "plan_expiring", "plan_expired"];
+
+// a product notifies once when its stock drops to this level or below
+export const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 2;
+// a seller is warned once their balance falls to this many credits
+export const CREDIT_LOW_THRESHOLD = Number(process.env.CREDIT_LOW_THRESHOLD) || 1;
+export const PLAN_EXPIRY_NOTICE_DAYS = 7;
+
+// notification types that are also emailed, and the preference category that controls it.
+// stock_low is not emailed one by one: it goes out in the daily digest (sendLowStockDigests).
+const EMAIL_FOR_TYPE = {
+  review_new: { template: "new_review", category: "reviews" },
+  order_received: { template: "order_update", category: "orders" },
+  order_updated: { template: "order_update", category: "orders" },
+  plan_expiring: { template: "plan_expiring", category: "billing" },
+  verification_updated: { template: "verification_update", category: null },
+};
+
+// run on the caller's transaction connection when given one
+const run = async (conn, sql, params) => {
+  if (!conn) return queryDB(sql, params);
+  const [rows] = await conn.query(sql, params);
+  return rows;
+};
+
+/**
+ * Write one notification. Returns the new id, or null when dedupeKey already exists.
+ * Types listed in EMAIL_FOR_TYPE are also queued as email; `data` feeds that template.
+ * Best effort: a failed notification is logged and never breaks the action that raised it.
+ */
+export const createNotification = async (
+  conn,
+  { userId, type, title, body = null, referenceType = null, referenceId = null, dedupeKey = null, data = {} }
+) => {
+  if (!userId) return null;
+  if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Unknown notification type: ${type}`);
+
+  try {
+    const result = await run(
+      conn,
+      `INSERT IGNORE INTO Notification
+         (user_id, type, title, body, reference_type, reference_id, dedupe_key, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [userId, type, title, body, referenceType, referenceId, dedupeKey]
+    );
+    if (result.affectedRows === 0) return null;
+
+    const email = EMAIL_FOR_TYPE[type];
+    if (email) {
+      await queueEmail(conn, { userId, template: email.template, category: email.category, data: { title, body, ...data } });
+    }
+    return result.insertId;
+  } catch (err) {
+    console.warn(`⚠️ Failed to create ${type} notification for user ${userId}:`, err.message || err);
+    return null;
+  }
+};
+
+/**
+ * Same as createNotification, addressed to the owner of a supplier store
+ */
+export const notifySupplier = async (conn, supplierId, notification) => {
+  const rows = await run(conn, "SELECT user_id FROM SupplierProfile WHERE id = ? LIMIT 1", [supplierId]);
+  return rows[0] ? createNotification(conn, { ...notification, userId: rows[0].user_id }) : null;
+};
+
+/**
+ * Low stock fires only when a change takes the product across the threshold,
+ * so a product sitting at low stock doesn't notify again on every sale.
+ */
+export const notifyIfStockLow = async (conn, productId, previousStock) => {
+  const rows = await run(
+    conn,
+    `SELECT p.id, p.title, p.stock_quantity, sp.user_id
+     FROM Product p JOIN SupplierProfile sp ON p.store_id = sp.id
+     WHERE p.id = ? LIMIT 1`,
+    [productId]
+  );
+  const product = rows[0];
+  if (!product) return null;
+
+  const before = Number(previousStock);
+  const after = Number(product.stock_quantity);
+  if (!(before > LOW_STOCK_THRESHOLD && after <= LOW_STOCK_THRESHOLD)) return null;
+
+  return createNotification(conn, {
+    userId: product.user_id,
+    type: "stock_low",
+    title: after <= 0 ? `"${product.title}" is out of stock` : `"${product.title}" is running low on stock`,
+    body: `${Math.max(0, after)} left in stock.`,
+    referenceType: "product",
+    referenceId: product.id,
+  });
+};
+
+/**
+ * Warn a seller when a debit takes their balance down to CREDIT_LOW_THRESHOLD
+ */
+export const notifyIfCreditLow = async (conn, sellerId, previousBalance, balance) => {
+  if (!(previousBalance > CREDIT_LOW_THRESHOLD && balance <= CREDIT_LOW_THRESHOLD)) return null;
+  const rows = await run(conn, "SELECT user_id FROM SellerProfile WHERE id = ? LIMIT 1", [sellerId]);
+  if (!rows[0]) return null;
+
+  return createNotification(conn, {
+    userId: rows[0].user_id,
+    type: "credit_low",
+    title: balance <= 0 ? "You are out of credits" : `Only ${balance} credit${balance === 1 ? "" : "s"} left`,
+    body: "Buy a credit pack to keep unlocking supplier contacts.",
+    referenceType: "seller",
+    referenceId: sellerId,
+  });
+};
+
+/**
+ * Remind suppliers whose paid plan ends within PLAN_EXPIRY_NOTICE_DAYS.
+ * One reminder per plan period (keyed on plan_end). Run from the daily cron.
+ */
+export const notifyExpiringPlans = async (now = new Date()) => {
+  const until = new Date(now.getTime() + PLAN_EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000);
+  const expiring = await queryDB(
+    `SELECT sp.id AS supplier_id, sp.user_id, sp.plan_end, p.name AS plan_name
+     FROM SupplierProfile sp
+     JOIN Plan p ON sp.plan_id = p.id
+     WHERE p.plan_type <> 'free' AND sp.plan_end BETWEEN ? AND ?`,
+    [now, until]
+  );
+
+  let sent = 0;
+  for (const s of expiring) {
+    const endDate = new Date(s.plan_end).toISOString().slice(0, 10);
+    const id = await createNotification(null, {
+      userId: s.user_id,
+      type: "plan_expiring",
+      title: `Your ${s.plan_name} plan expires on ${endDate}`,
+      body: "Renew now to keep all your products listed.",
+      referenceType: "supplier",
+      referenceId: s.supplier_id,
+      dedupeKey: `plan_expiring:${endDate}`,
+      data: { planName: s.plan_name, planEnd: endDate },
+    });
+    if (id) sent++;
+  }
+  return { checked: expiring.length, sent };
+};
+
+/**
+ * One email per supplier listing the products that went low on stock in the last day.
+ * Run from the daily cron; the dedupe key keeps it to one digest per day.
+ */
+export const sendLowStockDigests = async (now = new Date()) => {
+  const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const rows = await queryDB(
+    `SELECT DISTINCT n.user_id, p.id, p.title, p.stock_quantity
+     FROM Notification n
+     JOIN Product p ON n.reference_type = 'product' AND n.reference_id = p.id
+     WHERE n.type = 'stock_low' AND n.created_at >= ? AND p.stock_quantity <= ?
+     ORDER BY n.user_id, p.stock_quantity ASC`,
+    [since, LOW_STOCK_THRESHOLD]
+  );
+
+  const byUser = new Map();
+  for (const row of rows) {
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+    byUser.get(row.user_id).push({ id: row.id, title: row.title, stock_quantity: row.stock_quantity });
+  }
+
+  const day = now.toISOString().slice(0, 10);
+  let queued = 0;
+  for (const [userId, products] of byUser) {
+    try {
+      const id = await queueEmail(null, {
+        userId,
+        template: "low_stock_digest",
+        category: "stock",
+        data: { products },
+        dedupeKey: `low_stock_digest:${day}`,
+      });
+      if (id) queued++;
+    } catch (err) {
+      console.error(`❌ Low stock digest failed for user ${userId}:`, err.message || err);
+    }
+  }
+  return { users: byUser.size, queued };
+};
+
+/**
+ * Paginated notifications for a user, newest first.
+ * `type` narrows to one type, `types` to any of a list.
+ */
+export const listNotifications = async (
+  userId,
+  { limit = 20, offset = 0, unreadOnly = false, type = null, types = null } = {}
+) => {
+  const params = [userId];
+  let where = "user_id = ?";
+  if (unreadOnly) where += " AND read_at IS NULL";
+  if (type) {
+    where += " AND type = ?";
+    params.push(type);
+  }
+  if (types) {
+    where += " AND type IN (?)";
+    params.push(types);
+  }
+
+  const rows = await queryDB(
+    `SELECT id, type, title, body, reference_type, reference_id, read_at, created_at
+     FROM Notification WHERE ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const totals = await queryDB(`SELECT COUNT(*) AS total FROM Notification WHERE ${where}`, params);
+
+  return {
+    notifications: rows.map((n) => ({ ...n, is_read: n.read_at !== null })),
+    total: Number(totals[0]?.total || 0),
+  };
+};
+
+export const getUnreadNotificationCount = async (userId, { types = null } = {}) => {
+  const rows = types
+    ? await queryDB("SELECT COUNT(*) AS unread FROM Notification WHERE user_id = ? AND read_at IS NULL AND type IN (?)", [
+        userId,
+        types,
+      ])
+    : await queryDB("SELECT COUNT(*) AS unread FROM Notification WHERE user_id = ? AND read_at IS NULL", [userId]);
+  return Number(rows[0]?.unread || 0);
+};
+
+/**
+ * Mark notifications read. ids = null marks all of the user's notifications.
+ * Returns the number of rows changed.
+ */
+export const markNotificationsRead = async (userId, ids = null) => {
+  if (Array.isArray(ids) && ids.length === 0) return 0;
+  const result = ids
+    ? await queryDB("UPDATE Notification SET read_at = NOW() WHERE user_id = ? AND id IN (?) AND read_at IS NULL", [
+        userId,
+        ids,
+      ])
+    : await queryDB("UPDATE Notification SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL", [userId]);
+  return result.affectedRows;
+};
+
+export const markNotificationUnread = async (userId, id) => {
+  const result = await queryDB("UPDATE Notification SET read_at = NULL WHERE user_id = ? AND id = ?", [userId, id]);
+  return result.affectedRows;
+};
+
+export const deleteNotification = async (userId, id) => {
+  const result = await queryDB("DELETE FROM Notification WHERE user_id = ? AND id = ?", [userId, id]);
+  return result.affectedRows;
+};
@@ -0,0 +1,325 @@
+// lib/orders.js
+import queryDB, { withTransaction } from "../db.js";
+import { createNotification, notifyIfStockLow, notifySupplier } from "./notifications.js";
+import { AppError } from "./errors.js";
+
+/**
+ * Thrown by order requests: empty or mixed-supplier baskets, unknown products,
+ * and status actions (accept, ship, cancel ...) the caller or current status doesn't allow.
+ */
+export class OrderError extends AppError {
+  constructor(message, status = 400, code = "ORDER_ERROR") {
+    super(message, status, code);
+  }
+}
+
+/**
+ * action -> { to, from: { <current status>: [sides allowed] } }
+ *
+ *   requested --accept(supplier)--> accepted --ship(supplier)--> shipped --deliver--> delivered
+ *   requested --counter(supplier)--> countered --accept(seller)--> accepted
+ *   requested/countered --reject--> rejected,  requested/countered/accepted --cancel--> cancelled
+ */
+const TRANSITIONS = {
+  accept: { to: "accepted", from: { requested: ["supplier"], countered: ["seller"] } },
+  counter: { to: "countered", from: { requested: ["supplier"], countered: ["supplier"] } },
+  reject: { to: "rejected", from: { requested: ["supplier"], countered: ["seller"] } },
+  cancel: { to: "cancelled", from: { requested: ["seller"], countered: ["seller"], accepted: ["seller", "supplier"] } },
+  ship: { to: "shipped", from: { accepted: ["supplier"] } },
+  deliver: { to: "delivered", from: { shipped: ["supplier", "seller"] } },
+};
+
+export const ORDER_ACTIONS = Object.keys(TRANSITIONS);
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const unitPriceOf = (item) =>
+  Number(item.final_unit_price ?? item.offered_unit_price ?? item.requested_unit_price);
+
+/**
+ * Which side of the order the user is on: 'seller', 'supplier' or null
+ */
+export const sideFor = (order, { userId, supplierId }) => {
+  if (Number(order.buyer_user_id) === Number(userId)) return "seller";
+  if (supplierId && Number(order.supplier_id) === Number(supplierId)) return "supplier";
+  return null;
+};
+
+/**
+ * Order with its items and status history
+ */
+export const getOrderRequest = async (orderId) => {
+  const orders = await queryDB(
+    `SELECT o.*, sp.store_name, u.username AS buyer_username
+     FROM OrderRequest o
+     JOIN SupplierProfile sp ON o.supplier_id = sp.id
+     JOIN User u ON o.buyer_user_id = u.id
+     WHERE o.id = ? LIMIT 1`,
+    [orderId]
+  );
+  if (!orders[0]) return null;
+
+  const items = await queryDB(
+    `SELECT i.*, p.title AS product_title, p.main_image AS product_image
+     FROM OrderRequestItem i JOIN Product p ON i.product_id = p.id
+     WHERE i.order_id = ? ORDER BY i.id ASC`,
+    [orderId]
+  );
+  const events = await queryDB(
+    `SELECT from_status, to_status, actor_user_id, note, created_at
+     FROM OrderRequestEvent WHERE order_id = ? ORDER BY created_at ASC, id ASC`,
+    [orderId]
+  );
+
+  return { ...orders[0], items, events };
+};
+
+/**
+ * Seller submits a request for one or more products of a single supplier.
+ * items: [{ product_id, quantity, unit_price? }] — unit_price defaults to the listed price.
+ */
+export const createOrderRequest = ({ sellerId, buyerUserId, items, notes = null }) =>
+  withTransaction(async (conn) => {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new OrderError("At least one item is required", 400, "NO_ITEMS");
+    }
+
+    const productIds = [...new Set(items.map((i) => Number(i.product_id)))];
+    const [products] = await conn.query(
+      `SELECT id, store_id, title, supplier_sold_price, stock_quantity, reserved_quantity
+       FROM Product WHERE id IN (?) AND status = 'active'`,
+      [productIds]
+    );
+    if (products.length !== productIds.length) {
+      throw new OrderError("One or more products are unavailable", 404, "PRODUCT_NOT_FOUND");
+    }
+
+    const supplierIds = new Set(products.map((p) => p.store_id));
+    if (supplierIds.size > 1) {
+      throw new OrderError("All items in an order must come from the same supplier", 400, "MIXED_SUPPLIERS");
+    }
+    const supplierId = products[0].store_id;
+
+    const [own] = await conn.query("SELECT id FROM SupplierProfile WHERE id = ? AND user_id = ?", [supplierId, buyerUserId]);
+    if (own.length > 0) throw new OrderError("You cannot order from your own store", 403, "OWN_STORE");
+
+    const byId = Object.fromEntries(products.map((p) => [p.id, p]));
+    const lines = items.map((i) => {
+      const quantity = Number(i.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new OrderError("Quantities must be positive whole numbers", 400, "INVALID_QUANTITY");
+      }
+      const product = byId[Number(i.product_id)];
+      const unitPrice = i.unit_price !== undefined ? Number(i.unit_price) : Number(product.supplier_sold_price);
+      if (!(unitPrice >= 0)) throw new OrderError("Invalid unit price", 400, "INVALID_PRICE");
+      return { productId: product.id, quantity, unitPrice };
+    });
+
+    const total = round2(lines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0));
+    const [result] = await conn.query(
+      `INSERT INTO OrderRequest (seller_id, buyer_user_id, supplier_id, status, seller_notes, total_amount, created_at, updated_at)
+       VALUES (?, ?, ?, 'requested', ?, ?, NOW(), NOW())`,
+      [sellerId, buyerUserId, supplierId, notes, total]
+    );
+    const orderId = result.insertId;
+
+    await conn.query(
+      `INSERT INTO OrderRequestItem (order_id, product_id, quantity, requested_unit_price) VALUES ?`,
+      [lines.map((l) => [orderId, l.productId, l.quantity, l.unitPrice])]
+    );
+    await conn.query(
+      `INSERT INTO OrderRequestEvent (order_id, from_status, to_status, actor_user_id, note, created_at)
+       VALUES (?, NULL, 'requested', ?, ?, NOW())`,
+      [orderId, buyerUserId, notes]
+    );
+
+    await notifySupplier(conn, supplierId, {
+      type: "order_received",
+      title: `New order request #${orderId}`,
+      body: `${lines.length} item${lines.length === 1 ? "" : "s"}, total ${total.toFixed(2)}`,
+      referenceType: "order_request",
+      referenceId: orderId,
+      data: { orderId },
+    });
+
+    return orderId;
+  });
+
+// Reserve stock for every line; fails if any product can't cover its quantity
+const reserveStock = async (conn, items) => {
+  for (const item of items) {
+    const [rows] = await conn.query(
+      "SELECT id, title, stock_quantity, reserved_quantity FROM Product WHERE id = ? FOR UPDATE",
+      [item.product_id]
+    );
+    const product = rows[0];
+    const available = product ? Number(product.stock_quantity) - Number(product.reserved_quantity) : 0;
+    if (available < item.quantity) {
+      throw new OrderError(
+        `Not enough stock for "${product?.title || item.product_id}" (available: ${Math.max(0, available)})`,
+        409,
+        "INSUFFICIENT_STOCK"
+      );
+    }
+    await conn.query("UPDATE Product SET reserved_quantity = reserved_quantity + ? WHERE id = ?", [
+      item.quantity,
+      item.product_id,
+    ]);
+  }
+};
+
+const releaseStock = async (conn, items) => {
+  for (const item of items) {
+    await conn.query(
+      "UPDATE Product SET reserved_quantity = GREATEST(0, reserved_quantity - ?) WHERE id = ?",
+      [item.quantity, item.product_id]
+    );
+  }
+};
+
+// Delivery: reserved stock leaves the warehouse and each line becomes a sale
+const recordDelivery = async (conn, order, items) => {
+  for (const item of items) {
+    const [rows] = await conn.query(
+      "SELECT supplier_purchase_price, stock_quantity FROM Product WHERE id = ? FOR UPDATE",
+      [item.product_id]
+    );
+    const purchasePrice = Number(rows[0]?.supplier_purchase_price) || 0;
+    const unitPrice = unitPriceOf(item);
+
+    await conn.query(
+      `UPDATE Product
+       SET stock_quantity = stock_quantity - ?, reserved_quantity = GREATEST(0, reserved_quantity - ?), updated_at = NOW()
+       WHERE id = ?`,
+      [item.quantity, item.quantity, item.product_id]
+    );
+
+    const [sale] = await conn.query(
+      `INSERT INTO ProductSales
+         (product_id, quantity_sold, sold_price_per_unit, sale_channel, total_sale_amount, profit, notes,
+          buyer_user_id, order_request_id, sale_date)
+       VALUES (?, ?, ?, 'platform', ?, ?, ?, ?, ?, CURDATE())`,
+      [
+        item.product_id,
+        item.quantity,
+        unitPrice,
+        round2(unitPrice * item.quantity),
+        round2((unitPrice - purchasePrice) * item.quantity),
+        `Order request #${order.id}`,
+        order.buyer_user_id,
+        order.id,
+      ]
+    );
+    await conn.query("UPDATE OrderRequestItem SET sale_id = ? WHERE id = ?", [sale.insertId, item.id]);
+    await notifyIfStockLow(conn, item.product_id, rows[0]?.stock_quantity);
+  }
+};
+
+/**
+ * Apply `action` to an order on behalf of `actor` ({ userId, supplierId }).
+ *
+ * - counter: payload.items = [{ item_id, unit_price, quantity? }]
+ * - ship:    payload.trackingNumber
+ *
+ * Returns { order, from, to }
+ */
+export const transitionOrder = (orderId, action, actor, { note = null, items = [], trackingNumber = null } = {}) =>
+  withTransaction(async (conn) => {
+    const transition = TRANSITIONS[action];
+    if (!transition) throw new OrderError(`Unknown action: ${action}`, 400, "UNKNOWN_ACTION");
+
+    const [orders] = await conn.query("SELECT * FROM OrderRequest WHERE id = ? FOR UPDATE", [orderId]);
+    const order = orders[0];
+    const side = order ? sideFor(order, actor) : null;
+    if (!order || !side) throw new OrderError("Order not found", 404, "ORDER_NOT_FOUND");
+
+    const allowedSides = transition.from[order.status];
+    if (!allowedSides) {
+      throw new OrderError(`Cannot ${action} an order that is ${order.status}`, 409, "INVALID_TRANSITION");
+    }
+    if (!allowedSides.includes(side)) {
+      throw new OrderError(`Only the ${allowedSides.join(" or ")} can ${action} this order now`, 403, "NOT_ALLOWED");
+    }
+
+    const [orderItems] = await conn.query("SELECT * FROM OrderRequestItem WHERE order_id = ? ORDER BY id", [orderId]);
+    const updates = ["status = ?", "updated_at = NOW()"];
+    const params = [transition.to];
+
+    if (action === "counter") {
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new OrderError("A counter-offer needs at least one item change", 400, "NO_ITEMS");
+      }
+      for (const change of items) {
+        const line = orderItems.find((i) => Number(i.id) === Number(change.item_id));
+        if (!line) throw new OrderError(`Item ${change.item_id} is not part of this order`, 400, "UNKNOWN_ITEM");
+        const unitPrice = Number(change.unit_price ?? line.offered_unit_price ?? line.requested_unit_price);
+        const quantity = change.quantity !== undefined ? Number(change.quantity) : line.quantity;
+        if (!(unitPrice >= 0) || !Number.isInteger(quantity) || quantity <= 0) {
+          throw new OrderError("Invalid counter-offer price or quantity", 400, "INVALID_OFFER");
+        }
+        await conn.query("UPDATE OrderRequestItem SET offered_unit_price = ?, quantity = ? WHERE id = ?", [
+          unitPrice,
+          quantity,
+          line.id,
+        ]);
+        Object.assign(line, { offered_unit_price: unitPrice, quantity });
+      }
+    }
+
+    if (action === "accept") {
+      for (const line of orderItems) {
+        line.final_unit_price = Number(line.offered_unit_price ?? line.requested_unit_price);
+        await conn.query("UPDATE OrderRequestItem SET final_unit_price = ? WHERE id = ?", [line.final_unit_price, line.id]);
+      }
+      await reserveStock(conn, orderItems);
+      updates.push("accepted_at = NOW()");
+    }
+
+    if (action === "cancel") {
+      if (order.status === "accepted") await releaseStock(conn, orderItems);
+      updates.push("cancelled_at = NOW()");
+    }
+
+    if (action === "ship") {
+      updates.push("shipped_at = NOW()");
+      if (trackingNumber) {
+        updates.push("tracking_number = ?");
+        params.push(trackingNumber);
+      }
+    }
+
+    if (action === "deliver") {
+      await recordDelivery(conn, order, orderItems);
+      updates.push("delivered_at = NOW()");
+    }
+
+    if (note && side === "supplier") {
+      updates.push("supplier_notes = ?");
+      params.push(note);
+    }
+
+    updates.push("total_amount = ?");
+    params.push(round2(orderItems.reduce((sum, i) => sum + i.quantity * unitPriceOf(i), 0)));
+
+    params.push(orderId);
+    await conn.query(`UPDATE OrderRequest SET ${updates.join(", ")} WHERE id = ?`, params);
+    await conn.query(
+      `INSERT INTO OrderRequestEvent (order_id, from_status, to_status, actor_user_id, note, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [orderId, order.status, transition.to, actor.userId, note]
+    );
+
+    // tell the other party
+    const update = {
+      type: "order_updated",
+      title: `Order #${orderId} ${transition.to}`,
+      body: note,
+      referenceType: "order_request",
+      referenceId: Number(orderId),
+      data: { orderId },
+    };
+    if (side === "supplier") await createNotification(conn, { ...update, userId: order.buyer_user_id });
+    else await notifySupplier(conn, order.supplier_id, update);
+
+    return { order: { ...order, status: transition.to }, from: order.status, to: transition.to };
+  });
@@ -0,0 +1,18 @@
+// lib/payments/errors.js
+import { AppError } from "../errors.js";
+
+/**
+ * Thrown by checkout, the provider webhooks and refunds: unknown packs or providers,
+ * orders that are not payable / not paid, and sessions the provider doesn't know.
+ */
+export class PaymentError extends AppError {
+  constructor(message, status = 400, code = "PAYMENT_ERROR") {
+    super(message, status, code);
+  }
+}
+
+export class WebhookVerificationError extends PaymentError {
+  constructor(message) {
+    super(message, 400, "INVALID_WEBHOOK");
+  }
+}
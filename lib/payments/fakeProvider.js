@@ -0,0 +1,103 @@
+// lib/payments/fakeProvider.js
+// Local payment gateway for development and tests. Checkout "pages" are served by
+// /api/payments/fake/*, and completing one produces a webhook signed exactly like
+// a real provider would, so the whole purchase flow can be exercised offline.
+import crypto from "crypto";
+import { PaymentError, WebhookVerificationError } from "./errors.js";
+
+const SIGNATURE_HEADER = "x-fake-signature";
+const TOLERANCE_SECONDS = 5 * 60;
+
+// the built-in secret is only good enough on a developer's machine
+const DEV_SECRET = "fake-webhook-secret";
+
+const getSecret = () => {
+  if (process.env.FAKE_PAYMENT_WEBHOOK_SECRET) return process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  if (["development", "test"].includes(process.env.NODE_ENV)) return DEV_SECRET;
+  throw new PaymentError("FAKE_PAYMENT_WEBHOOK_SECRET is not configured", 503, "PROVIDER_NOT_CONFIGURED");
+};
+
+const serverUrl = () => (process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, "");
+
+const hmac = (timestamp, rawBody) =>
+  crypto.createHmac("sha256", getSecret()).update(`${timestamp}.${rawBody}`).digest("hex");
+
+/**
+ * Sign a raw JSON body: `t=<unix seconds>,v1=<hex hmac-sha256 of "t.body">`
+ */
+export const signPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(timestamp, rawBody)}`;
+
+const fakeProvider = {
+  name: "fake",
+  signatureHeader: SIGNATURE_HEADER,
+
+  async createCheckoutSession(order) {
+    const sessionId = `fake_cs_${crypto.randomBytes(12).toString("hex")}`;
+    return {
+      sessionId,
+      checkoutUrl: `${serverUrl()}/api/payments/fake/checkout/${sessionId}`,
+    };
+  },
+
+  /**
+   * Verify the signature header against the raw body and return a normalized event:
+   * { id, type, sessionId, paymentId, amount, currency }
+   */
+  verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) throw new WebhookVerificationError("Missing signature or body");
+
+    const parts = Object.fromEntries(
+      String(header)
+        .split(",")
+        .map((kv) => kv.split("=").map((x) => x.trim()))
+    );
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) throw new WebhookVerificationError("Malformed signature header");
+    if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+      throw new WebhookVerificationError("Signature timestamp outside tolerance");
+    }
+
+    const expected = Buffer.from(hmac(timestamp, rawBody), "hex");
+    const received = Buffer.from(parts.v1, "hex");
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new WebhookVerificationError("Invalid signature");
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return {
+      id: event.id,
+      type: event.type,
+      sessionId: event.data?.session_id,
+      paymentId: event.data?.payment_id,
+      amount: event.data?.amount,
+      currency: event.data?.currency,
+    };
+  },
+
+  async refund(order, amount) {
+    return { refundId: `fake_re_${crypto.randomBytes(12).toString("hex")}`, status: "succeeded", amount };
+  },
+
+  /**
+   * Build the signed webhook a real gateway would send for this session.
+   * outcome: 'succeeded' | 'failed'
+   */
+  buildWebhook(order, outcome) {
+    const body = JSON.stringify({
+      id: `fake_evt_${crypto.randomBytes(12).toString("hex")}`,
+      type: outcome === "succeeded" ? "payment.succeeded" : "payment.failed",
+      created: Math.floor(Date.now() / 1000),
+      data: {
+        session_id: order.provider_session_id,
+        payment_id: outcome === "succeeded" ? `fake_pi_${crypto.randomBytes(12).toString("hex")}` : null,
+        amount: Number(order.amount),
+        currency: order.currency,
+      },
+    });
+    return { body, signature: signPayload(body), url: `${serverUrl()}/api/payments/webhook/fake` };
+  },
+};
+
+export default fakeProvider;
@@ -0,0 +1,305 @@
+// lib/payments/index.js
+//
+// Payment providers implement:
+//   name
+//   createCheckoutSession(order)          -> { sessionId, checkoutUrl }
+//   verifyWebhook(rawBody, headers)       -> { id, type, sessionId, paymentId, amount, currency }
+//                                            (throws WebhookVerificationError)
+//   refund(order, amount)                 -> { refundId, status }
+//
+// Orders are created 'pending' and only fulfilled (plan applied / credits added)
+// when a verified 'payment.succeeded' webhook arrives.
+import queryDB, { withTransaction } from "../../db.js";
+import { applyCreditChange, CREDIT_PACKS } from "../credits.js";
+import { createInvoiceForOrder } from "../invoices.js";
+import { applyPlanChange, getFreePlan, getPlanById, getSupplierPlan, quotePlanChange, quoteRenewal } from "../plans.js";
+import { PaymentError, WebhookVerificationError } from "./errors.js";
+import fakeProvider from "./fakeProvider.js";
+
+export { PaymentError, WebhookVerificationError };
+
+const PROVIDERS = {
+  fake: fakeProvider,
+};
+
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "USD";
+
+const fakeAllowed = () =>
+  process.env.NODE_ENV !== "production" || process.env.ALLOW_FAKE_PAYMENTS === "true";
+
+/**
+ * Look up a provider by name, refusing the fake gateway in production
+ */
+export const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new PaymentError(`Unknown payment provider: ${name}`, 404, "UNKNOWN_PROVIDER");
+  if (name === "fake" && !fakeAllowed()) {
+    throw new PaymentError("The fake payment provider is disabled in production", 403, "PROVIDER_DISABLED");
+  }
+  return provider;
+};
+
+export const getDefaultProvider = () => getProvider(process.env.PAYMENT_PROVIDER || "fake");
+
+export const getOrderById = async (orderId) => {
+  const rows = await queryDB("SELECT * FROM PaymentOrder WHERE id = ? LIMIT 1", [orderId]);
+  return rows[0] || null;
+};
+
+/**
+ * Insert a pending order and open a checkout session for it
+ */
+const createOrder = async (fields) => {
+  const provider = getDefaultProvider();
+
+  const result = await queryDB(
+    `INSERT INTO PaymentOrder
+       (user_id, order_type, supplier_id, seller_id, plan_id, plan_action, credit_pack, credits,
+        description, amount, currency, status, provider, quote, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, NOW(), NOW())`,
+    [
+      fields.userId,
+      fields.orderType,
+      fields.supplierId || null,
+      fields.sellerId || null,
+      fields.planId || null,
+      fields.planAction || null,
+      fields.creditPack || null,
+      fields.credits || null,
+      fields.description,
+      fields.amount,
+      PAYMENT_CURRENCY,
+      provider.name,
+      fields.quote ? JSON.stringify(fields.quote) : null,
+    ]
+  );
+
+  const order = await getOrderById(result.insertId);
+  const session = await provider.createCheckoutSession(order);
+
+  await queryDB(
+    "UPDATE PaymentOrder SET provider_session_id = ?, updated_at = NOW() WHERE id = ?",
+    [session.sessionId, order.id]
+  );
+
+  return { order: { ...order, provider_session_id: session.sessionId }, checkoutUrl: session.checkoutUrl };
+};
+
+/**
+ * Checkout for a plan change or renewal that has something to pay
+ */
+export const createPlanOrder = ({ userId, supplierId, plan, action, quote }) =>
+  createOrder({
+    userId,
+    orderType: "plan",
+    supplierId,
+    planId: plan.id,
+    planAction: action,
+    description: `${plan.name} plan (${action === "renew" ? "renewal" : "change"})`,
+    amount: quote.amountDue,
+    quote,
+  });
+
+/**
+ * Checkout for a seller credit pack
+ */
+export const createCreditOrder = ({ userId, sellerId, pack }) => {
+  const packInfo = CREDIT_PACKS[pack];
+  if (!packInfo) throw new PaymentError("Unknown credit pack", 400, "UNKNOWN_PACK");
+
+  return createOrder({
+    userId,
+    orderType: "credits",
+    sellerId,
+    creditPack: pack,
+    credits: packInfo.credits,
+    description: `${packInfo.credits} credits (${pack} pack)`,
+    amount: packInfo.price,
+  });
+};
+
+/**
+ * Apply what was bought. Runs inside the fulfillment transaction.
+ * Plan dates are re-quoted at payment time so days between checkout and payment aren't lost.
+ */
+const deliverOrder = async (conn, order) => {
+  if (order.order_type === "credits") {
+    await applyCreditChange(conn, {
+      sellerId: order.seller_id,
+      type: "purchase",
+      amount: order.credits,
+      reason: order.description,
+      referenceType: "order",
+      referenceId: order.id,
+    });
+    return;
+  }
+
+  // a plan retired after checkout is still delivered, it was paid for
+  const plan = await getPlanById(order.plan_id, { includeInactive: true });
+  if (!plan) throw new PaymentError("Purchased plan no longer exists", 409, "PLAN_MISSING");
+
+  const current = await getSupplierPlan(order.supplier_id);
+  const quote = order.plan_action === "renew" ? quoteRenewal(current) : quotePlanChange(current, plan);
+
+  await applyPlanChange(conn, {
+    supplierId: order.supplier_id,
+    plan,
+    quote: { ...quote, amountDue: Number(order.amount) },
+    createdBy: order.user_id,
+    paymentOrderId: order.id,
+  });
+};
+
+/**
+ * Mark an order paid, deliver it and issue its invoice. Idempotent: an already-paid order is left alone.
+ * A plan order whose plan has since been deleted can't be delivered, so the payment is refunded.
+ */
+export const fulfillOrder = async (orderId, { paymentId = null } = {}) => {
+  try {
+    return await withTransaction(async (conn) => {
+      const [rows] = await conn.query("SELECT * FROM PaymentOrder WHERE id = ? FOR UPDATE", [orderId]);
+      const order = rows[0];
+      if (!order) throw new PaymentError("Order not found", 404, "ORDER_NOT_FOUND");
+      if (order.status === "paid") return { order, alreadyFulfilled: true };
+      if (!["pending", "failed"].includes(order.status)) {
+        throw new PaymentError(`Cannot fulfill an order that is ${order.status}`, 409, "ORDER_NOT_PAYABLE");
+      }
+
+      await conn.query(
+        `UPDATE PaymentOrder SET status = 'paid', provider_payment_id = ?, paid_at = NOW(), updated_at = NOW()
+         WHERE id = ?`,
+        [paymentId, orderId]
+      );
+      await deliverOrder(conn, order);
+      await createInvoiceForOrder(conn, order);
+
+      return { order: { ...order, status: "paid", provider_payment_id: paymentId }, alreadyFulfilled: false };
+    });
+  } catch (err) {
+    if (err.code !== "PLAN_MISSING") throw err;
+    console.error(`❌ Order ${orderId} paid for a plan that no longer exists, refunding`);
+    await queryDB(
+      `UPDATE PaymentOrder SET status = 'paid', provider_payment_id = ?, paid_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND status IN ('pending', 'failed')`,
+      [paymentId, orderId]
+    );
+    const { order } = await refundOrder(orderId, { reason: err.message });
+    return { order, alreadyFulfilled: false };
+  }
+};
+
+/**
+ * Verify and apply a provider webhook. Events are recorded by provider event id once applied,
+ * so a redelivered webhook is acknowledged without being applied twice (fulfillment is
+ * idempotent too, which covers two deliveries racing each other).
+ */
+export const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, headers);
+
+  const orders = await queryDB(
+    "SELECT * FROM PaymentOrder WHERE provider = ? AND provider_session_id = ? LIMIT 1",
+    [provider.name, event.sessionId]
+  );
+  let order = orders[0];
+  if (!order) throw new PaymentError("No order for this checkout session", 404, "ORDER_NOT_FOUND");
+
+  const seen = await queryDB(
+    "SELECT id FROM PaymentEvent WHERE provider = ? AND event_id = ? LIMIT 1",
+    [provider.name, event.id]
+  );
+  if (seen.length > 0) return { event, order, duplicate: true };
+
+  if (event.type === "payment.succeeded") {
+    if (Number(event.amount) !== Number(order.amount) || event.currency !== order.currency) {
+      throw new PaymentError("Paid amount does not match the order", 409, "AMOUNT_MISMATCH");
+    }
+    ({ order } = await fulfillOrder(order.id, { paymentId: event.paymentId }));
+  } else if (event.type === "payment.failed" && order.status === "pending") {
+    await queryDB("UPDATE PaymentOrder SET status = 'failed', updated_at = NOW() WHERE id = ?", [order.id]);
+    order = { ...order, status: "failed" };
+  }
+
+  await queryDB(
+    `INSERT IGNORE INTO PaymentEvent (provider, event_id, type, order_id, payload, created_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [provider.name, event.id, event.type, order.id, JSON.stringify(event)]
+  );
+
+  return { event, order, duplicate: false };
+};
+
+/**
+ * Refund a paid order through its provider and take back what was delivered:
+ * credits are clawed back (up to the seller's remaining balance), plans drop to the free plan
+ * if the refunded order's plan is still the one the supplier is on.
+ * The order is claimed as 'refunding' first so it can only be refunded once, and the provider
+ * is called between two transactions so no row stays locked while it answers.
+ */
+export const refundOrder = async (orderId, { reason = null, refundedBy = null } = {}) => {
+  const order = await withTransaction(async (conn) => {
+    const [rows] = await conn.query("SELECT * FROM PaymentOrder WHERE id = ? FOR UPDATE", [orderId]);
+    if (!rows[0]) throw new PaymentError("Order not found", 404, "ORDER_NOT_FOUND");
+    if (rows[0].status !== "paid") throw new PaymentError("Only paid orders can be refunded", 409, "ORDER_NOT_PAID");
+    await conn.query("UPDATE PaymentOrder SET status = 'refunding', updated_at = NOW() WHERE id = ?", [orderId]);
+    return rows[0];
+  });
+
+  let refund;
+  try {
+    refund = await getProvider(order.provider).refund(order, Number(order.amount));
+  } catch (err) {
+    await queryDB("UPDATE PaymentOrder SET status = 'paid', updated_at = NOW() WHERE id = ? AND status = 'refunding'", [
+      order.id,
+    ]);
+    throw err;
+  }
+  // kept even if the rest fails, a 'refunding' order with a refund id only needs the clawback redone
+  await queryDB("UPDATE PaymentOrder SET provider_refund_id = ?, updated_at = NOW() WHERE id = ?", [refund.refundId, order.id]);
+
+  return withTransaction(async (conn) => {
+    await conn.query(
+      `UPDATE PaymentOrder SET status = 'refunded', refunded_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [order.id]
+    );
+    await conn.query("UPDATE Invoice SET status = 'refunded' WHERE order_id = ?", [order.id]);
+
+    let creditsClawedBack = 0;
+    let planDowngraded = false;
+    if (order.order_type === "credits") {
+      const [sellerRows] = await conn.query("SELECT credits FROM SellerProfile WHERE id = ? FOR UPDATE", [order.seller_id]);
+      creditsClawedBack = Math.min(Number(order.credits) || 0, Number(sellerRows[0]?.credits) || 0);
+      if (creditsClawedBack > 0) {
+        await applyCreditChange(conn, {
+          sellerId: order.seller_id,
+          type: "purchase_refund",
+          amount: -creditsClawedBack,
+          reason: `Order #${order.id} refunded${reason ? `: ${reason}` : ""}`,
+          referenceType: "order",
+          referenceId: order.id,
+          createdBy: refundedBy,
+        });
+      }
+    } else {
+      // an older plan order the supplier has since moved on from leaves the current plan alone
+      const [supplierRows] = await conn.query("SELECT plan_id FROM SupplierProfile WHERE id = ? FOR UPDATE", [
+        order.supplier_id,
+      ]);
+      const freePlan = await getFreePlan();
+      if (freePlan && supplierRows[0] && Number(supplierRows[0].plan_id) === Number(order.plan_id)) {
+        planDowngraded = true;
+        await applyPlanChange(conn, {
+          supplierId: order.supplier_id,
+          plan: freePlan,
+          quote: { ...quotePlanChange(null, freePlan), amountDue: 0 },
+          changeType: "admin",
+          createdBy: refundedBy,
+        });
+      }
+    }
+
+    return { order: { ...order, status: "refunded", provider_refund_id: refund.refundId }, creditsClawedBack, planDowngraded };
+  });
+};
@@ -0,0 +1,311 @@
+// lib/plans.js
+import queryDB, { withTransaction } from "../db.js";
+import { notifySupplier } from "./notifications.js";
+import { recordAudit } from "./audit.js";
+import { AppError } from "./errors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Thrown when a plan switch, renewal or expiry can't be applied: the supplier
+ * profile is gone, or no active free plan is configured to fall back to.
+ */
+export class PlanError extends AppError {
+  constructor(message, status = 400, code = "PLAN_ERROR") {
+    super(message, status, code);
+  }
+}
+
+/**
+ * A plan's upload_limit; null / negative means unlimited
+ */
+export const uploadLimitOf = (plan) => {
+  if (!plan || plan.upload_limit === null || plan.upload_limit === undefined) return null;
+  const limit = Number(plan.upload_limit);
+  return limit >= 0 ? limit : null;
+};
+
+export const getActivePlans = () =>
+  queryDB(
+    `SELECT id, name, plan_type, upload_limit, price, duration_days
+     FROM Plan WHERE is_active = 1
+     ORDER BY price ASC, id ASC`
+  );
+
+/**
+ * An active plan by id; `includeInactive` also finds retired ones (paid orders still deliver them)
+ */
+export const getPlanById = async (planId, { includeInactive = false } = {}) => {
+  const rows = await queryDB(
+    `SELECT id, name, plan_type, upload_limit, price, duration_days
+     FROM Plan WHERE id = ? ${includeInactive ? "" : "AND is_active = 1"} LIMIT 1`,
+    [planId]
+  );
+  return rows[0] || null;
+};
+
+export const getFreePlan = async () => {
+  const rows = await queryDB(
+    `SELECT id, name, plan_type, upload_limit, price, duration_days
+     FROM Plan WHERE plan_type = 'free' AND is_active = 1 LIMIT 1`
+  );
+  return rows[0] || null;
+};
+
+/**
+ * SupplierProfile plan columns joined with the Plan row
+ */
+export const getSupplierPlan = async (supplierId) => {
+  const rows = await queryDB(
+    `SELECT sp.id AS supplier_id, sp.plan_id, sp.plan_start, sp.plan_end,
+            p.name, p.plan_type, p.upload_limit, p.price, p.duration_days
+     FROM SupplierProfile sp
+     LEFT JOIN Plan p ON sp.plan_id = p.id
+     WHERE sp.id = ? LIMIT 1`,
+    [supplierId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * The plan a supplier is actually entitled to right now:
+ * once plan_end has passed they only get the free plan, even before the expiry job runs.
+ */
+export const getEffectivePlan = async (supplierId) => {
+  const current = await getSupplierPlan(supplierId);
+  if (!current) return null;
+
+  const expired = current.plan_end && new Date(current.plan_end) < new Date();
+  if (expired && current.plan_type !== "free") {
+    const free = await getFreePlan();
+    return { ...current, ...(free || {}), plan_id: free?.id ?? null, expired: true };
+  }
+  return { ...current, expired: Boolean(expired) };
+};
+
+/**
+ * Price out a switch from the supplier's current plan to `target`.
+ *
+ * The unused part of the current plan (price * remaining days / duration) is credited:
+ * - if the target costs more, the credit is taken off the amount due
+ * - if the credit exceeds the target price, the leftover is converted into bonus days
+ *
+ * The new period always starts now.
+ */
+export const quotePlanChange = (current, target, now = new Date()) => {
+  const currentPrice = Number(current?.price) || 0;
+  const currentDuration = Number(current?.duration_days) || 0;
+  const targetPrice = Number(target.price) || 0;
+  const targetDuration = Number(target.duration_days) || 0;
+
+  const remainingDays = current?.plan_end
+    ? Math.max(0, Math.ceil((new Date(current.plan_end).getTime() - now.getTime()) / DAY_MS))
+    : 0;
+
+  const proratedCredit =
+    currentPrice > 0 && currentDuration > 0
+      ? round2((currentPrice * Math.min(remainingDays, currentDuration)) / currentDuration)
+      : 0;
+
+  const amountDue = round2(Math.max(0, targetPrice - proratedCredit));
+  const leftover = Math.max(0, proratedCredit - targetPrice);
+  const bonusDays =
+    leftover > 0 && targetPrice > 0 && targetDuration > 0
+      ? Math.floor(leftover / (targetPrice / targetDuration))
+      : 0;
+
+  let changeType = "switch";
+  if (Number(current?.plan_id) === Number(target.id)) changeType = "renewal";
+  else if (targetPrice > currentPrice) changeType = "upgrade";
+  else if (targetPrice < currentPrice) changeType = "downgrade";
+
+  return {
+    changeType,
+    remainingDays,
+    proratedCredit,
+    amountDue,
+    bonusDays,
+    planStart: now,
+    planEnd: targetDuration > 0 ? addDays(now, targetDuration + bonusDays) : null,
+  };
+};
+
+/**
+ * Price out a renewal of the current plan: the new period is stacked
+ * on top of whatever is left, so renewing early never loses days.
+ */
+export const quoteRenewal = (current, now = new Date()) => {
+  const duration = Number(current.duration_days) || 0;
+  const base = current.plan_end && new Date(current.plan_end) > now ? new Date(current.plan_end) : now;
+
+  return {
+    changeType: "renewal",
+    remainingDays: Math.max(0, Math.ceil((base.getTime() - now.getTime()) / DAY_MS)),
+    proratedCredit: 0,
+    amountDue: round2(Number(current.price) || 0),
+    bonusDays: 0,
+    planStart: current.plan_start && base > now ? new Date(current.plan_start) : now,
+    planEnd: duration > 0 ? addDays(base, duration) : null,
+  };
+};
+
+/**
+ * Keep a store's active products within `uploadLimit`:
+ * - over the limit: the newest active products are paused (status out_of_stock, plan_paused = 1)
+ * - under the limit: previously plan-paused products are restored, oldest first
+ *
+ * Must run inside a transaction. Returns { paused, restored }
+ */
+export const syncProductsToPlanLimit = async (conn, supplierId, uploadLimit) => {
+  const [activeRows] = await conn.query(
+    `SELECT id FROM Product WHERE store_id = ? AND status = 'active' ORDER BY created_at ASC, id ASC`,
+    [supplierId]
+  );
+
+  if (uploadLimit !== null && activeRows.length > uploadLimit) {
+    const toPause = activeRows.slice(uploadLimit).map((r) => r.id);
+    await conn.query(
+      `UPDATE Product SET status = 'out_of_stock', plan_paused = 1, updated_at = NOW() WHERE id IN (?)`,
+      [toPause]
+    );
+    return { paused: toPause.length, restored: 0 };
+  }
+
+  const room = uploadLimit === null ? Number.MAX_SAFE_INTEGER : uploadLimit - activeRows.length;
+  if (room <= 0) return { paused: 0, restored: 0 };
+
+  const [pausedRows] = await conn.query(
+    `SELECT id FROM Product WHERE store_id = ? AND plan_paused = 1 ORDER BY created_at ASC, id ASC`,
+    [supplierId]
+  );
+  const toRestore = pausedRows.slice(0, room).map((r) => r.id);
+  if (toRestore.length > 0) {
+    await conn.query(
+      `UPDATE Product SET status = 'active', plan_paused = 0, updated_at = NOW() WHERE id IN (?)`,
+      [toRestore]
+    );
+  }
+  return { paused: 0, restored: toRestore.length };
+};
+
+/**
+ * Move a supplier onto `plan` for [planStart, planEnd], record the change
+ * in PlanChange and bring their products within the new upload_limit.
+ * A quote with an amount due is only applied for a paid order (`paymentOrderId`);
+ * routes send those through checkout instead.
+ *
+ * Must run inside a transaction.
+ */
+export const applyPlanChange = async (
+  conn,
+  { supplierId, plan, quote, createdBy = null, changeType = quote.changeType, paymentOrderId = null }
+) => {
+  if (Number(quote.amountDue) > 0 && !paymentOrderId) {
+    throw new PlanError("This plan change has to be paid for first", 402, "PAYMENT_REQUIRED");
+  }
+
+  const [rows] = await conn.query("SELECT plan_id, plan_start, plan_end FROM SupplierProfile WHERE id = ? FOR UPDATE", [
+    supplierId,
+  ]);
+  if (rows.length === 0) throw new PlanError("Supplier profile not found", 404, "SUPPLIER_NOT_FOUND");
+
+  await conn.query(
+    `UPDATE SupplierProfile SET plan_id = ?, plan_start = ?, plan_end = ?, updated_at = NOW() WHERE id = ?`,
+    [plan.id, quote.planStart, quote.planEnd, supplierId]
+  );
+
+  const { paused, restored } = await syncProductsToPlanLimit(conn, supplierId, uploadLimitOf(plan));
+
+  const [result] = await conn.query(
+    `INSERT INTO PlanChange
+       (supplier_id, from_plan_id, to_plan_id, change_type, prorated_credit, amount_due, bonus_days,
+        plan_start, plan_end, products_paused, products_restored, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      supplierId,
+      rows[0].plan_id,
+      plan.id,
+      changeType,
+      quote.proratedCredit || 0,
+      quote.amountDue || 0,
+      quote.bonusDays || 0,
+      quote.planStart,
+      quote.planEnd,
+      paused,
+      restored,
+      createdBy,
+    ]
+  );
+
+  await recordAudit(conn, {
+    actor: createdBy ? { userId: createdBy } : null,
+    storeId: supplierId,
+    entityType: "plan",
+    entityId: result.insertId,
+    action: changeType,
+    before: { plan_id: rows[0].plan_id, plan_start: rows[0].plan_start, plan_end: rows[0].plan_end },
+    after: { plan_id: plan.id, plan_start: quote.planStart, plan_end: quote.planEnd, products_paused: paused, products_restored: restored },
+  });
+
+  return { planChangeId: result.insertId, paused, restored };
+};
+
+/**
+ * Scheduled job: enforce plan_end.
+ * - expired paid plans drop to the free plan (products beyond its upload_limit are paused)
+ * - expired free plans simply roll over for another free period
+ */
+export const enforcePlanExpiry = async (now = new Date()) => {
+  const freePlan = await getFreePlan();
+  if (!freePlan) throw new PlanError("No active free plan configured", 500, "NO_FREE_PLAN");
+
+  const expired = await queryDB(
+    `SELECT sp.id AS supplier_id, sp.plan_id, sp.plan_start, sp.plan_end,
+            p.plan_type, p.price, p.duration_days
+     FROM SupplierProfile sp
+     LEFT JOIN Plan p ON sp.plan_id = p.id
+     WHERE sp.plan_end IS NOT NULL AND sp.plan_end < ?`,
+    [now]
+  );
+
+  const summary = { checked: expired.length, downgraded: 0, renewed: 0, paused: 0, failed: 0 };
+
+  for (const supplier of expired) {
+    try {
+      const isFree = supplier.plan_type === "free" && Number(supplier.plan_id) === Number(freePlan.id);
+      const quote = isFree ? quoteRenewal({ ...freePlan, plan_end: null }, now) : quotePlanChange(null, freePlan, now);
+
+      const { paused } = await withTransaction(async (conn) => {
+        const result = await applyPlanChange(conn, {
+          supplierId: supplier.supplier_id,
+          plan: freePlan,
+          quote: { ...quote, amountDue: 0 },
+          changeType: isFree ? "renewal" : "expiry",
+        });
+        if (!isFree) {
+          await notifySupplier(conn, supplier.supplier_id, {
+            type: "plan_expired",
+            title: `Your plan expired — you are now on ${freePlan.name}`,
+            body: result.paused > 0 ? `${result.paused} product(s) were paused to fit the free plan limit.` : null,
+            referenceType: "supplier",
+            referenceId: supplier.supplier_id,
+          });
+        }
+        return result;
+      });
+
+      if (isFree) summary.renewed++;
+      else summary.downgraded++;
+      summary.paused += paused;
+    } catch (err) {
+      summary.failed++;
+      console.error(`❌ Plan expiry failed for supplier ${supplier.supplier_id}:`, err.message || err);
+    }
+  }
+
+  return summary;
+};
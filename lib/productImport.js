@@ -0,0 +1,550 @@
+// lib/productImport.js
+//
+// Bulk product import from CSV/XLSX. The file's header row names the columns, using the
+// same fields as POST /api/product/add plus `sku`. A row whose SKU matches a product of
+// the store updates it (only the non-empty cells); any other row creates a product,
+// which counts against the plan's upload_limit like the add route.
+//
+// Every import goes through the same steps: validateRows() checks each row on its own,
+// resolveRows() looks up SKUs and the plan limit, writeRows() applies the result. A dry
+// run stops after resolveRows(). Files over SYNC_IMPORT_ROWS rows are queued as a
+// ProductImportJob and written in chunks, first by the upload request for up to
+// IMPORT_REQUEST_MS and then for as long again each time the job is polled.
+import queryDB from "../db.js";
+import { getEffectivePlan, uploadLimitOf } from "./plans.js";
+import { notifyIfStockLow } from "./notifications.js";
+import { emitProductEvent } from "./webhooks.js";
+import { diffChanges, pickFields, recordAudit } from "./audit.js";
+import { detectSpreadsheetFormat, parseSpreadsheet, SpreadsheetError, SPREADSHEET_FORMATS } from "./spreadsheet.js";
+import { AppError } from "./errors.js";
+
+export const IMPORT_FIELDS = [
+  "sku",
+  "title",
+  "ebay_link",
+  "supplier_purchase_price",
+  "supplier_sold_price",
+  "stock_quantity",
+  "category",
+  "country",
+  "source_type",
+  "status",
+];
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024; // 5 MB
+export const MAX_IMPORT_ROWS = Number(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+// larger files become a background job
+export const SYNC_IMPORT_ROWS = Number(process.env.PRODUCT_IMPORT_SYNC_ROWS) || 100;
+export const IMPORT_CHUNK_ROWS = Number(process.env.PRODUCT_IMPORT_CHUNK_ROWS) || 100;
+// how long the upload request (and each poll of the job) keeps writing before answering
+export const IMPORT_REQUEST_MS = Number(process.env.PRODUCT_IMPORT_REQUEST_MS) || 5000;
+
+const PRODUCT_STATUSES = ["active", "out_of_stock", "archived"];
+// SKUs also name image files in ZIP image imports, so they stay filename-safe
+export const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const AUDIT_FIELDS = [...IMPORT_FIELDS, "main_image"];
+const LOCK_MINUTES = 5;
+
+/**
+ * Thrown for product import files and jobs as a whole: unsupported formats,
+ * bad header rows, too many rows, unknown jobs. Row-level problems go in the report instead.
+ */
+export class ImportError extends AppError {
+  constructor(message, status = 400, code = "IMPORT_ERROR") {
+    super(message, status, code);
+  }
+}
+
+// "Purchase Price" / "supplier-sold-price" -> supplier_sold_price style keys
+const headerKey = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+/**
+ * Parse an uploaded file -> { format, rows: [{ row, values }], ignoredColumns }
+ * `row` is the row number in the sheet, counting the header row, as spreadsheet apps show it.
+ */
+export const readImportFile = (buffer, { filename, mimetype } = {}) => {
+  const format = detectSpreadsheetFormat(filename, mimetype);
+  if (!format) {
+    throw new ImportError(`Unsupported file type, use one of: ${SPREADSHEET_FORMATS.join(", ")}`, 415, "UNSUPPORTED_FORMAT");
+  }
+
+  let lines;
+  try {
+    lines = parseSpreadsheet(buffer, format);
+  } catch (err) {
+    if (err instanceof SpreadsheetError) throw new ImportError(err.message, err.status, err.code);
+    throw err;
+  }
+
+  const isBlank = (line) => !line || line.every((cell) => String(cell ?? "").trim() === "");
+  const headerIndex = lines.findIndex((line) => !isBlank(line));
+  if (headerIndex === -1) throw new ImportError("The file is empty", 400, "EMPTY_FILE");
+
+  const header = lines[headerIndex].map(headerKey);
+  const columns = header.map((key) => (IMPORT_FIELDS.includes(key) ? key : null));
+  const duplicate = IMPORT_FIELDS.find((field) => columns.filter((c) => c === field).length > 1);
+  if (duplicate) throw new ImportError(`Column "${duplicate}" appears more than once`, 400, "DUPLICATE_COLUMN");
+  if (!columns.includes("title") && !columns.includes("sku")) {
+    throw new ImportError("The header row needs at least a title or a sku column", 400, "MISSING_COLUMNS");
+  }
+
+  const rows = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (isBlank(lines[i])) continue;
+    const values = {};
+    columns.forEach((field, col) => {
+      if (field) values[field] = String(lines[i][col] ?? "").trim();
+    });
+    rows.push({ row: i + 1, values });
+  }
+  if (rows.length === 0) throw new ImportError("The file has no product rows", 400, "EMPTY_FILE");
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Files can have at most ${MAX_IMPORT_ROWS} product rows`, 413, "TOO_MANY_ROWS");
+  }
+
+  return { format, rows, ignoredColumns: header.filter((key, col) => key && !columns[col]) };
+};
+
+// "12,50" from decimal-comma locales is accepted as 12.50
+const parseNumber = (value) => Number(String(value).replace(/\s/g, "").replace(/^(-?\d+),(\d+)$/, "$1.$2"));
+
+/**
+ * Check one row's cells on their own -> { data, errors }
+ * `data` holds only the filled-in cells, converted to column values.
+ */
+const validateValues = (values) => {
+  const data = {};
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  for (const [field, raw] of Object.entries(values)) {
+    if (raw === "") continue;
+    switch (field) {
+      case "sku":
+        if (!SKU_PATTERN.test(raw)) fail(field, "SKU must be 1-64 letters, digits, dots, dashes or underscores");
+        else data.sku = raw;
+        break;
+      case "title":
+        if (raw.length > 255) fail(field, "Title must be at most 255 characters");
+        else data.title = raw;
+        break;
+      case "ebay_link":
+        if (!/^https?:\/\/\S+$/i.test(raw) || raw.length > 500) fail(field, "Must be an http(s) URL");
+        else data.ebay_link = raw;
+        break;
+      case "supplier_purchase_price":
+      case "supplier_sold_price": {
+        const price = parseNumber(raw);
+        if (!Number.isFinite(price) || price < 0) fail(field, "Must be a number of 0 or more");
+        else data[field] = Math.round(price * 100) / 100;
+        break;
+      }
+      case "stock_quantity": {
+        const quantity = parseNumber(raw);
+        if (!Number.isInteger(quantity) || quantity < 0) fail(field, "Must be a whole number of 0 or more");
+        else data.stock_quantity = quantity;
+        break;
+      }
+      case "status": {
+        const status = raw.toLowerCase() === "paused" ? "out_of_stock" : raw.toLowerCase();
+        if (!PRODUCT_STATUSES.includes(status)) fail(field, `Must be one of: ${PRODUCT_STATUSES.join(", ")} (or paused)`);
+        else data.status = status;
+        break;
+      }
+      default:
+        if (raw.length > 100) fail(field, "Must be at most 100 characters");
+        else data[field] = raw;
+    }
+  }
+  return { data, errors };
+};
+
+/**
+ * Field checks for every row, and SKUs used twice in the file (the later rows fail)
+ * -> [{ row, sku, data, errors }]
+ */
+export const validateRows = (rows) => {
+  const seen = new Map();
+  return rows.map(({ row, values }) => {
+    const { data, errors } = validateValues(values);
+    const sku = data.sku || values.sku || null;
+    if (data.sku) {
+      const key = data.sku.toLowerCase();
+      if (seen.has(key)) errors.push({ field: "sku", message: `SKU already used on row ${seen.get(key)}` });
+      else seen.set(key, row);
+    }
+    return { row, sku, data, errors };
+  });
+};
+
+/**
+ * Decide what each valid row does in the store: update the product with its SKU, or
+ * create one (needs a title, and room under the plan's upload_limit). Like PATCH
+ * /:id/status, an update can only set a product back to active while the plan has room.
+ * Adds { action: create | update | unchanged | error, product, changes } to each row.
+ */
+export const resolveRows = async (storeId, validated) => {
+  const skus = validated.filter((r) => r.errors.length === 0 && r.data.sku).map((r) => r.data.sku);
+  const existing = skus.length
+    ? await queryDB("SELECT * FROM Product WHERE store_id = ? AND sku IN (?)", [storeId, skus])
+    : [];
+  const bySku = new Map(existing.map((p) => [String(p.sku).toLowerCase(), p]));
+
+  const plan = await getEffectivePlan(storeId);
+  const uploadLimit = uploadLimitOf(plan);
+  const [counts] = await queryDB(
+    "SELECT COUNT(*) AS total, SUM(status = 'active') AS active FROM Product WHERE store_id = ?",
+    [storeId]
+  );
+  let room = uploadLimit === null ? Infinity : Math.max(0, uploadLimit - Number(counts.total));
+  let activeRoom = uploadLimit === null ? Infinity : Math.max(0, uploadLimit - Number(counts.active || 0));
+
+  return validated.map((r) => {
+    if (r.errors.length > 0) return { ...r, action: "error", product: null, changes: null };
+
+    const product = r.data.sku ? bySku.get(r.data.sku.toLowerCase()) : null;
+    if (product) {
+      const { sku, ...fields } = r.data;
+      const diff = diffChanges(product, fields);
+      if (!diff) return { ...r, action: "unchanged", product, changes: null };
+
+      if (diff.status?.to === "active") {
+        if (activeRoom <= 0) {
+          const message = `Your ${plan?.name || "current"} plan allows ${uploadLimit} active products`;
+          return { ...r, errors: [{ field: "status", message }], action: "error", product, changes: null };
+        }
+        activeRoom -= 1;
+      }
+      return { ...r, action: "update", product, changes: Object.fromEntries(Object.keys(diff).map((f) => [f, fields[f]])) };
+    }
+
+    const errors = [];
+    if (!r.data.title) errors.push({ field: "title", message: "Title is required for new products" });
+    if (!plan || !plan.plan_id) errors.push({ field: null, message: "Plan inactive or invalid" });
+    else if (errors.length === 0 && room <= 0) {
+      errors.push({ field: null, message: `Upload limit reached for plan ${plan.name}` });
+    }
+    if (errors.length > 0) return { ...r, errors, action: "error", product: null, changes: null };
+
+    room -= 1;
+    if ((r.data.status || "active") === "active") activeRoom -= 1;
+    return { ...r, action: "create", product: null, changes: null };
+  });
+};
+
+/**
+ * Dry-run view of resolved rows: what each row would do, without writing anything
+ */
+export const previewRows = (resolved) =>
+  resolved.map((r) => ({
+    row: r.row,
+    sku: r.sku,
+    action: r.action,
+    product_id: r.product?.id ?? null,
+    changes: r.changes,
+    errors: r.errors,
+  }));
+
+/**
+ * Apply resolved rows. A row that fails in the database is reported like a validation
+ * error and does not stop the others.
+ * - store: the SupplierProfile row; actor: auditActor(req), or { userId } from the cron
+ * -> [{ row, sku, action, product_id, errors }]
+ */
+export const writeRows = async (store, resolved, { actor }) => {
+  const results = [];
+  let created = 0;
+
+  for (const r of resolved) {
+    if (r.action === "error" || r.action === "unchanged") {
+      results.push({ row: r.row, sku: r.sku, action: r.action, product_id: r.product?.id ?? null, errors: r.errors });
+      continue;
+    }
+
+    try {
+      if (r.action === "create") {
+        const d = r.data;
+        const result = await queryDB(
+          `INSERT INTO Product
+            (store_id, sku, ebay_link, title, country, main_image, supplier_purchase_price,
+             supplier_sold_price, stock_quantity, status, source_type, category, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+          [
+            store.id,
+            d.sku || null,
+            d.ebay_link || null,
+            d.title,
+            d.country || null,
+            d.supplier_purchase_price ?? null,
+            d.supplier_sold_price ?? null,
+            d.stock_quantity ?? 0,
+            d.status || "active",
+            d.source_type || "manual",
+            d.category || null,
+          ]
+        );
+        const rows = await queryDB("SELECT * FROM Product WHERE id = ? LIMIT 1", [result.insertId]);
+        await recordAudit(null, {
+          actor,
+          storeId: store.id,
+          entityType: "product",
+          entityId: result.insertId,
+          action: "create",
+          after: pickFields(rows[0], AUDIT_FIELDS),
+        });
+        await emitProductEvent("product.created", result.insertId);
+        created += 1;
+        results.push({ row: r.row, sku: r.sku, action: "create", product_id: result.insertId, errors: [] });
+      } else {
+        const { changes } = r;
+        const fields = Object.keys(changes);
+        await queryDB(
+          `UPDATE Product SET ${fields.map((f) => `${f} = ?`).join(", ")}${changes.status ? ", plan_paused = 0" : ""},
+             updated_at = NOW() WHERE id = ?`,
+          [...fields.map((f) => changes[f]), r.product.id]
+        );
+        await recordAudit(null, {
+          actor,
+          storeId: store.id,
+          entityType: "product",
+          entityId: r.product.id,
+          action: "update",
+          before: pickFields(r.product, fields),
+          after: changes,
+        });
+        await emitProductEvent("product.updated", r.product.id);
+        if (changes.stock_quantity !== undefined && Number(changes.stock_quantity) !== Number(r.product.stock_quantity)) {
+          await notifyIfStockLow(null, r.product.id, r.product.stock_quantity);
+          await emitProductEvent("stock.changed", r.product.id, {
+            previous_stock: Number(r.product.stock_quantity),
+            reason: "import",
+          });
+        }
+        results.push({ row: r.row, sku: r.sku, action: "update", product_id: r.product.id, errors: [] });
+      }
+    } catch (err) {
+      const message = err.code === "ER_DUP_ENTRY" ? "SKU is already used by another product" : "Could not be saved";
+      if (err.code !== "ER_DUP_ENTRY") console.error(`❌ Product import row ${r.row} failed:`, err);
+      results.push({ row: r.row, sku: r.sku, action: "error", product_id: null, errors: [{ field: null, message }] });
+    }
+  }
+
+  if (created > 0) {
+    try {
+      await queryDB("UPDATE SupplierProfile SET total_products = COALESCE(total_products,0) + ? WHERE id = ?", [
+        created,
+        store.id,
+      ]);
+    } catch (e) {
+      console.warn("Failed to increment supplier total_products (non-fatal):", e.message || e);
+    }
+  }
+  return results;
+};
+
+/**
+ * Counts and the failed rows of a set of row results
+ */
+export const summarizeResults = (results) => ({
+  summary: {
+    total: results.length,
+    created: results.filter((r) => r.action === "create").length,
+    updated: results.filter((r) => r.action === "update").length,
+    unchanged: results.filter((r) => r.action === "unchanged").length,
+    failed: results.filter((r) => r.action === "error").length,
+  },
+  errors: results.filter((r) => r.action === "error").map(({ row, sku, errors }) => ({ row, sku, errors })),
+});
+
+// ------------------ Background jobs ------------------
+
+const parseJson = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+const formatJob = (job) => ({
+  id: job.id,
+  file_name: job.file_name,
+  format: job.format,
+  status: job.status,
+  total_rows: job.total_rows,
+  processed_rows: job.processed_rows,
+  progress: job.total_rows ? Math.round((job.processed_rows / job.total_rows) * 100) : 0,
+  created_count: job.created_count,
+  updated_count: job.updated_count,
+  failed_count: job.failed_count,
+  error: job.error,
+  started_at: job.started_at,
+  completed_at: job.completed_at,
+  created_at: job.created_at,
+});
+
+/**
+ * Queue a large import. Rows that already failed validation go straight into the
+ * report; the rest are stored for runImportJob(). Returns the job.
+ */
+export const createImportJob = async ({ supplierId, userId, fileName, format, validated }) => {
+  const failed = validated.filter((r) => r.errors.length > 0);
+  const pending = validated.filter((r) => r.errors.length === 0).map(({ row, sku, data }) => ({ row, sku, data }));
+  const errors = failed.map(({ row, sku, errors }) => ({ row, sku, errors }));
+
+  const result = await queryDB(
+    `INSERT INTO ProductImportJob
+       (supplier_id, created_by, file_name, format, status, payload, total_rows, processed_rows,
+        failed_count, errors, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [
+      supplierId,
+      userId,
+      fileName ? String(fileName).slice(0, 255) : null,
+      format,
+      JSON.stringify(pending),
+      validated.length,
+      failed.length,
+      failed.length,
+      JSON.stringify(errors),
+    ]
+  );
+  return getImportJob(supplierId, result.insertId);
+};
+
+/**
+ * One job of the store, with its error report
+ */
+export const getImportJob = async (supplierId, jobId) => {
+  const rows = await queryDB("SELECT * FROM ProductImportJob WHERE id = ? AND supplier_id = ? LIMIT 1", [jobId, supplierId]);
+  if (!rows[0]) throw new ImportError("Import job not found", 404, "JOB_NOT_FOUND");
+  return { ...formatJob(rows[0]), errors: parseJson(rows[0].errors) || [] };
+};
+
+/**
+ * The store's jobs, newest first -> { jobs, total }
+ */
+export const listImportJobs = async (supplierId, { limit = 20, offset = 0 } = {}) => {
+  const jobs = await queryDB(
+    `SELECT id, file_name, format, status, total_rows, processed_rows, created_count, updated_count, failed_count,
+            error, started_at, completed_at, created_at
+     FROM ProductImportJob WHERE supplier_id = ?
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [supplierId, limit, offset]
+  );
+  const counts = await queryDB("SELECT COUNT(*) AS total FROM ProductImportJob WHERE supplier_id = ?", [supplierId]);
+  return { jobs: jobs.map(formatJob), total: Number(counts[0].total) };
+};
+
+// claim a job for LOCK_MINUTES so overlapping polls don't write the same rows twice
+const claimJob = async (jobId) => {
+  const result = await queryDB(
+    `UPDATE ProductImportJob
+     SET status = 'processing', started_at = COALESCE(started_at, NOW()),
+         locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE), updated_at = NOW()
+     WHERE id = ? AND status IN ('queued', 'processing') AND (locked_until IS NULL OR locked_until < NOW())`,
+    [LOCK_MINUTES, jobId]
+  );
+  return result.affectedRows > 0;
+};
+
+// write the next IMPORT_CHUNK_ROWS rows of a claimed job -> rows written
+const processJobChunk = async (jobId) => {
+  const jobs = await queryDB("SELECT * FROM ProductImportJob WHERE id = ? LIMIT 1", [jobId]);
+  const job = jobs[0];
+  const pending = parseJson(job.payload) || [];
+  const stores = await queryDB("SELECT * FROM SupplierProfile WHERE id = ? LIMIT 1", [job.supplier_id]);
+  if (!stores[0]) throw new ImportError("Store not found", 404, "STORE_NOT_FOUND");
+
+  const chunk = pending.slice(job.next_index, job.next_index + IMPORT_CHUNK_ROWS).map((r) => ({ ...r, errors: [] }));
+  const resolved = await resolveRows(job.supplier_id, chunk);
+  const results = await writeRows(stores[0], resolved, { actor: { userId: job.created_by } });
+  const { summary, errors } = summarizeResults(results);
+
+  const nextIndex = job.next_index + chunk.length;
+  const finished = nextIndex >= pending.length;
+  await queryDB(
+    `UPDATE ProductImportJob
+     SET next_index = ?, processed_rows = processed_rows + ?, created_count = created_count + ?,
+         updated_count = updated_count + ?, failed_count = failed_count + ?, errors = ?,
+         status = ?, completed_at = ?, payload = ?, locked_until = NULL, updated_at = NOW()
+     WHERE id = ?`,
+    [
+      nextIndex,
+      chunk.length,
+      summary.created,
+      summary.updated,
+      summary.failed,
+      JSON.stringify([...(parseJson(job.errors) || []), ...errors]),
+      finished ? "completed" : "processing",
+      finished ? new Date() : null,
+      finished ? null : job.payload,
+      job.id,
+    ]
+  );
+  return { rows: chunk.length, finished };
+};
+
+// a job that throws is marked failed, keeping the rows written so far
+const failJob = async (jobId, err) => {
+  console.error(`❌ Product import job ${jobId} failed:`, err);
+  await queryDB(
+    `UPDATE ProductImportJob
+     SET status = 'failed', error = ?, payload = NULL, locked_until = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [String(err.message || err).slice(0, 500), jobId]
+  );
+};
+
+/**
+ * Write one job chunk by chunk until it is done or `timeLimitMs` has passed (the upload
+ * request and each poll of the job run it this way). Stops early if the job is claimed elsewhere.
+ * -> { chunks, rows, finished, failed }
+ */
+export const runImportJob = async (jobId, { timeLimitMs = IMPORT_REQUEST_MS } = {}) => {
+  const deadline = Date.now() + timeLimitMs;
+  const summary = { chunks: 0, rows: 0, finished: false, failed: false };
+
+  while (!summary.finished && Date.now() < deadline) {
+    if (!(await claimJob(jobId))) break;
+    summary.chunks += 1;
+    try {
+      const { rows, finished } = await processJobChunk(jobId);
+      summary.rows += rows;
+      summary.finished = finished;
+    } catch (err) {
+      await failJob(jobId, err);
+      summary.failed = true;
+      break;
+    }
+  }
+  return summary;
+};
+
+/**
+ * Work through queued jobs oldest first, for jobs nobody is polling (GET /api/cron/product-imports):
+ * up to `chunks` chunks of IMPORT_CHUNK_ROWS rows per run. -> { chunks, rows, completed, failed }
+ */
+export const processImportJobs = async ({ chunks = 5 } = {}) => {
+  const summary = { chunks: 0, rows: 0, completed: 0, failed: 0 };
+
+  while (summary.chunks < chunks) {
+    const due = await queryDB(
+      `SELECT id FROM ProductImportJob
+       WHERE status IN ('queued', 'processing') AND (locked_until IS NULL OR locked_until < NOW())
+       ORDER BY created_at ASC, id ASC
+       LIMIT 1`
+    );
+    if (!due[0]) break;
+    if (!(await claimJob(due[0].id))) continue;
+
+    summary.chunks += 1;
+    try {
+      const { rows, finished } = await processJobChunk(due[0].id);
+      summary.rows += rows;
+      if (finished) summary.completed += 1;
+    } catch (err) {
+      await failJob(due[0].id, err);
+      summary.failed += 1;
+    }
+  }
+  return summary;
+};
@@ -0,0 +1,146 @@
+// lib/rateLimit/index.js
+//
+// Fixed-window rate limits per route group, counted per IP or per account, plus a
+// progressive lockout for failed logins. Limits can be overridden per group with
+// RATE_LIMIT_<GROUP>=<limit>/<window seconds>, e.g. RATE_LIMIT_LOGIN=10/600.
+// If the store is unreachable requests are let through: an outage of the counters
+// must not take the login page down with it.
+import crypto from "crypto";
+import { getStore } from "./stores.js";
+
+const DEFAULT_GROUPS = {
+  login: { limit: 20, windowSeconds: 15 * 60 },
+  two_factor: { limit: 10, windowSeconds: 15 * 60 },
+  signup: { limit: 10, windowSeconds: 60 * 60 },
+  password_reset: { limit: 10, windowSeconds: 15 * 60 },
+  password_reset_account: { limit: 3, windowSeconds: 60 * 60 },
+  email_verification: { limit: 10, windowSeconds: 15 * 60 },
+  data_export: { limit: 5, windowSeconds: 60 * 60 },
+  account_deletion: { limit: 10, windowSeconds: 15 * 60 },
+  public: { limit: 120, windowSeconds: 60 },
+};
+
+// failed logins per account before the first lockout, and how long lockouts last
+export const LOGIN_LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 5;
+const LOGIN_LOCK_BASE_SECONDS = 60;
+const LOGIN_LOCK_MAX_SECONDS = 60 * 60;
+const LOGIN_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+
+const parseOverride = (value) => {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value || "").trim());
+  return match ? { limit: Number(match[1]), windowSeconds: Number(match[2]) } : null;
+};
+
+export const RATE_LIMIT_GROUPS = Object.fromEntries(
+  Object.entries(DEFAULT_GROUPS).map(([group, config]) => [
+    group,
+    parseOverride(process.env[`RATE_LIMIT_${group.toUpperCase()}`]) || config,
+  ])
+);
+
+export const clientIp = (req) =>
+  String(req.headers?.["x-forwarded-for"] || req.ip || "").split(",")[0].trim() || "unknown";
+
+// keys stay short and don't store raw emails
+const bucketKey = (prefix, identifier) => {
+  const id = String(identifier).toLowerCase();
+  return `${prefix}:${id.length > 64 || id.includes("@") ? crypto.createHash("sha256").update(id).digest("hex") : id}`;
+};
+
+/**
+ * Count one request against `group` for `identifier`.
+ * Returns { allowed, limit, remaining, retryAfter }.
+ */
+export const consume = async (group, identifier) => {
+  const config = RATE_LIMIT_GROUPS[group];
+  if (!config) throw new Error(`Unknown rate limit group: ${group}`);
+
+  const { count, ttl } = await getStore().hit(bucketKey(group, identifier), config.windowSeconds);
+  return {
+    allowed: count <= config.limit,
+    limit: config.limit,
+    remaining: Math.max(0, config.limit - count),
+    retryAfter: ttl || config.windowSeconds,
+  };
+};
+
+/**
+ * 429 with Retry-After, in the API's usual error shape
+ */
+export const sendRateLimited = (res, retryAfter, message = "Too many requests, please try again later", code = "RATE_LIMITED") => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ success: false, code, message, retryAfter });
+};
+
+/**
+ * Express middleware for a route group.
+ * keyBy(req) picks the bucket (default: client IP); returning null skips the check.
+ */
+export const rateLimit = (group, { keyBy = clientIp } = {}) => {
+  if (!RATE_LIMIT_GROUPS[group]) throw new Error(`Unknown rate limit group: ${group}`);
+
+  return async (req, res, next) => {
+    const identifier = keyBy(req);
+    if (!identifier) return next();
+
+    let result;
+    try {
+      result = await consume(group, identifier);
+    } catch (err) {
+      console.error(`❌ Rate limit check failed (${group}):`, err.message || err);
+      return next();
+    }
+
+    res.set("RateLimit-Limit", String(result.limit));
+    res.set("RateLimit-Remaining", String(result.remaining));
+    res.set("RateLimit-Reset", String(result.retryAfter));
+    if (!result.allowed) return sendRateLimited(res, result.retryAfter);
+    next();
+  };
+};
+
+// ------------------ Failed login lockout ------------------
+// `account` is whatever the user typed (normally the email), so unknown accounts lock the same way as real ones.
+
+/**
+ * Seconds left on the account's lockout, 0 when it may try again
+ */
+export const getLoginLock = async (account) => {
+  try {
+    const lock = await getStore().peek(bucketKey("login_lock", account));
+    return lock ? lock.ttl || 1 : 0;
+  } catch (err) {
+    console.error("❌ Login lock check failed:", err.message || err);
+    return 0;
+  }
+};
+
+/**
+ * Record a failed password or 2FA code. From LOGIN_LOCK_THRESHOLD failures on, each
+ * further failure locks the account for twice as long (1 min, 2, 4 ... up to 1 hour).
+ * Returns the lockout in seconds (0 when not locked).
+ */
+export const recordLoginFailure = async (account) => {
+  try {
+    const store = getStore();
+    const { count } = await store.hit(bucketKey("login_fail", account), LOGIN_FAILURE_WINDOW_SECONDS);
+    if (count < LOGIN_LOCK_THRESHOLD) return 0;
+
+    const lockSeconds = Math.min(LOGIN_LOCK_BASE_SECONDS * 2 ** (count - LOGIN_LOCK_THRESHOLD), LOGIN_LOCK_MAX_SECONDS);
+    await store.set(bucketKey("login_lock", account), count, lockSeconds);
+    return lockSeconds;
+  } catch (err) {
+    console.error("❌ Recording login failure failed:", err.message || err);
+    return 0;
+  }
+};
+
+export const clearLoginFailures = async (account) => {
+  try {
+    const store = getStore();
+    await store.reset(bucketKey("login_fail", account));
+    await store.reset(bucketKey("login_lock", account));
+  } catch (err) {
+    console.error("❌ Clearing login failures failed:", err.message || err);
+  }
+};
@@ -0,0 +1,117 @@
+// lib/rateLimit/stores.js
+//
+// Stores keep fixed-window counters and implement:
+//   name
+//   hit(key, windowSeconds)   -> { count, ttl }  count includes this hit, ttl = seconds left in the window
+//   peek(key)                 -> { count, ttl } | null
+//   set(key, count, ttlSeconds)
+//   reset(key)
+//
+// RATE_LIMIT_STORE picks one: 'memory' or 'mysql'. Without it, MySQL is used on Vercel
+// (many short-lived instances, so per-process counters would be useless) and memory otherwise.
+import queryDB from "../../db.js";
+
+const memoryStore = () => {
+  const buckets = new Map();
+  const SWEEP_AT = 10000;
+
+  const live = (key) => {
+    const bucket = buckets.get(key);
+    if (!bucket) return null;
+    if (bucket.expiresAt <= Date.now()) {
+      buckets.delete(key);
+      return null;
+    }
+    return bucket;
+  };
+
+  const view = (bucket) => ({ count: bucket.count, ttl: Math.max(0, Math.ceil((bucket.expiresAt - Date.now()) / 1000)) });
+
+  return {
+    name: "memory",
+    hit: async (key, windowSeconds) => {
+      if (buckets.size >= SWEEP_AT) {
+        const now = Date.now();
+        for (const [k, b] of buckets) if (b.expiresAt <= now) buckets.delete(k);
+      }
+      let bucket = live(key);
+      if (!bucket) {
+        bucket = { count: 0, expiresAt: Date.now() + windowSeconds * 1000 };
+        buckets.set(key, bucket);
+      }
+      bucket.count++;
+      return view(bucket);
+    },
+    peek: async (key) => {
+      const bucket = live(key);
+      return bucket ? view(bucket) : null;
+    },
+    set: async (key, count, ttlSeconds) => {
+      buckets.set(key, { count, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    reset: async (key) => {
+      buckets.delete(key);
+    },
+  };
+};
+
+const mysqlStore = () => {
+  // roughly one hit in 200 also deletes expired rows
+  const maybeSweep = () => {
+    if (Math.random() >= 0.005) return;
+    queryDB("DELETE FROM RateLimitBucket WHERE expires_at < NOW() LIMIT 500").catch((err) =>
+      console.error("❌ Rate limit sweep failed:", err.message || err)
+    );
+  };
+
+  const read = async (key) => {
+    const rows = await queryDB(
+      `SELECT hits, TIMESTAMPDIFF(SECOND, NOW(), expires_at) AS ttl
+       FROM RateLimitBucket WHERE bucket_key = ? AND expires_at > NOW()`,
+      [key]
+    );
+    return rows[0] ? { count: Number(rows[0].hits), ttl: Math.max(0, Number(rows[0].ttl)) } : null;
+  };
+
+  return {
+    name: "mysql",
+    hit: async (key, windowSeconds) => {
+      maybeSweep();
+      // an expired window starts over at 1
+      await queryDB(
+        `INSERT INTO RateLimitBucket (bucket_key, hits, expires_at)
+         VALUES (?, 1, DATE_ADD(NOW(), INTERVAL ? SECOND))
+         ON DUPLICATE KEY UPDATE
+           hits = IF(expires_at <= NOW(), 1, hits + 1),
+           expires_at = IF(expires_at <= NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND), expires_at)`,
+        [key, windowSeconds, windowSeconds]
+      );
+      return (await read(key)) || { count: 1, ttl: windowSeconds };
+    },
+    peek: read,
+    set: async (key, count, ttlSeconds) => {
+      await queryDB(
+        `INSERT INTO RateLimitBucket (bucket_key, hits, expires_at)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+         ON DUPLICATE KEY UPDATE hits = VALUES(hits), expires_at = VALUES(expires_at)`,
+        [key, count, ttlSeconds]
+      );
+    },
+    reset: async (key) => {
+      await queryDB("DELETE FROM RateLimitBucket WHERE bucket_key = ?", [key]);
+    },
+  };
+};
+
+let store;
+
+export const getStore = () => {
+  if (store) return store;
+
+  const name = process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? "mysql" : "memory");
+  if (name === "memory") store = memoryStore();
+  else if (name === "mysql") store = mysqlStore();
+  else throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+
+  return store;
+};
@@ -0,0 +1,85 @@
+// lib/reviews.js
+import queryDB from "../db.js";
+import { AppError } from "./errors.js";
+
+/**
+ * Thrown when a review can't be written: ratings that aren't a whole 1-5, or a
+ * supplier reviewing their own store.
+ */
+export class ReviewError extends AppError {
+  constructor(message, status = 400, code = "REVIEW_ERROR") {
+    super(message, status, code);
+  }
+}
+
+/**
+ * Ratings are whole stars from 1 to 5
+ */
+export const parseRating = (value) => {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ReviewError("Rating must be a whole number between 1 and 5", 400, "INVALID_RATING");
+  }
+  return rating;
+};
+
+/**
+ * Recompute SupplierProfile.rating from visible supplier reviews.
+ * Call after any create / edit / delete / moderation of a supplier review.
+ */
+export const refreshSupplierRating = async (storeId) => {
+  if (!storeId) return;
+  await queryDB(
+    `UPDATE SupplierProfile
+     SET rating = (
+       SELECT IFNULL(ROUND(AVG(rating), 1), 0)
+       FROM Review
+       WHERE store_id = ? AND review_type = 'supplier' AND is_hidden = 0
+     )
+     WHERE id = ?`,
+    [storeId, storeId]
+  );
+};
+
+export const getReviewById = async (reviewId) => {
+  const rows = await queryDB("SELECT * FROM Review WHERE id = ? LIMIT 1", [reviewId]);
+  return rows[0] || null;
+};
+
+/**
+ * Has the user interacted with this supplier in a way we can vouch for?
+ * - unlocked the supplier's contact with a credit
+ * - has an order request the supplier accepted
+ * Only interactions the platform itself recorded count: sales a supplier enters by hand
+ * name their buyer on the supplier's word, so they never verify a review.
+ */
+export const hasSupplierInteraction = async (userId, storeId) => {
+  const rows = await queryDB(
+    `SELECT 1 FROM SupplierContactUnlock scu
+     JOIN SellerProfile s ON scu.seller_id = s.id
+     WHERE s.user_id = ? AND scu.supplier_id = ?
+     UNION ALL
+     SELECT 1 FROM OrderRequest o
+     WHERE o.buyer_user_id = ? AND o.supplier_id = ? AND o.status IN ('accepted', 'shipped', 'delivered')
+     LIMIT 1`,
+    [userId, storeId, userId, storeId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Flag a user's existing reviews of a supplier (and its products) as verified
+ * once an interaction is recorded after the review was written.
+ */
+export const markReviewsVerified = async (userId, storeId) => {
+  if (!userId || !storeId) return;
+  await queryDB(
+    "UPDATE Review SET is_verified = 1 WHERE user_id = ? AND store_id = ? AND is_verified = 0",
+    [userId, storeId]
+  );
+};
+
+/**
+ * `?verified=true` on public review listings
+ */
+export const verifiedOnly = (query) => query?.verified === "true" || query?.verified === "1";
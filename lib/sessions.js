@@ -0,0 +1,156 @@
+// lib/sessions.js
+//
+// Login sessions. A session is one signed-in device: it holds the hash of the current
+// refresh token and hands out short-lived access tokens (JWTs carrying `sid`).
+// Refresh tokens rotate on every use; presenting an already-rotated token means it
+// was copied, so the whole session is revoked.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import queryDB from "../db.js";
+import { AppError } from "./errors.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+export const IMPERSONATION_MINUTES = Number(process.env.IMPERSONATION_MINUTES) || 60;
+
+/**
+ * Thrown when a refresh token is missing, unknown, expired or revoked, or the
+ * account was disabled since it was issued. Always a 401 unless stated.
+ */
+export class SessionError extends AppError {
+  constructor(message, status = 401, code = "SESSION_ERROR") {
+    super(message, status, code);
+  }
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+export const clientInfo = (req) => ({
+  userAgent: req?.headers?.["user-agent"] ? String(req.headers["user-agent"]).slice(0, 255) : null,
+  ip: req ? String(req.headers?.["x-forwarded-for"] || req.ip || "").split(",")[0].trim() || null : null,
+});
+
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user.id, username: user.username, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// seconds until the access token expires, for the client's refresh timer
+const accessTokenExpiresIn = (token) => {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+};
+
+const tokenPair = (user, sessionId, refreshToken) => {
+  const accessToken = signAccessToken(user, sessionId);
+  return { sessionId, accessToken, refreshToken, expiresIn: accessTokenExpiresIn(accessToken) };
+};
+
+/**
+ * Start a session for `user` ({ id, username, email, role }) on the requesting device.
+ * Support staff impersonating the user pass `impersonatorId`: such sessions are marked
+ * with the admin's id and end after IMPERSONATION_MINUTES instead of REFRESH_TOKEN_DAYS.
+ */
+export const createSession = async (user, req, { impersonatorId = null } = {}) => {
+  const refreshToken = newRefreshToken();
+  const { userAgent, ip } = clientInfo(req);
+  const lifetimeMinutes = impersonatorId ? IMPERSONATION_MINUTES : REFRESH_TOKEN_DAYS * 24 * 60;
+  const result = await queryDB(
+    `INSERT INTO AuthSession
+       (user_id, impersonator_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [user.id, impersonatorId, hashToken(refreshToken), userAgent, ip, lifetimeMinutes]
+  );
+  return tokenPair(user, result.insertId, refreshToken);
+};
+
+/**
+ * Trade a refresh token for a new access + refresh token pair
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) throw new SessionError("Refresh token is required", 400, "MISSING_REFRESH_TOKEN");
+  const hash = hashToken(refreshToken);
+
+  const rows = await queryDB(
+    `SELECT s.*, u.username, u.email, u.role, u.is_active
+     FROM AuthSession s JOIN \`User\` u ON s.user_id = u.id
+     WHERE s.refresh_token_hash = ? OR s.previous_token_hash = ?
+     LIMIT 1`,
+    [hash, hash]
+  );
+  const session = rows[0];
+  if (!session) throw new SessionError("Invalid refresh token", 401, "INVALID_REFRESH_TOKEN");
+
+  if (session.refresh_token_hash !== hash) {
+    // an old token came back after rotation: someone else has a copy
+    await revokeSession(session.id, session.user_id, "refresh_token_reuse");
+    throw new SessionError("Refresh token was already used; please sign in again", 401, "REFRESH_TOKEN_REUSED");
+  }
+  if (session.revoked_at) throw new SessionError("Session has been signed out", 401, "SESSION_REVOKED");
+  if (new Date(session.expires_at) <= new Date()) throw new SessionError("Session expired", 401, "SESSION_EXPIRED");
+  if (!session.is_active) throw new SessionError("Account is disabled", 403, "ACCOUNT_DISABLED");
+
+  const next = newRefreshToken();
+  const { userAgent, ip } = clientInfo(req);
+  // conditional update: of two concurrent refreshes with the same token only one wins
+  const result = await queryDB(
+    `UPDATE AuthSession
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = NOW(),
+         user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [hashToken(next), userAgent, ip, session.id, hash]
+  );
+  if (result.affectedRows === 0) throw new SessionError("Invalid refresh token", 401, "INVALID_REFRESH_TOKEN");
+
+  const user = { id: session.user_id, username: session.username, email: session.email, role: session.role };
+  return tokenPair(user, session.id, next);
+};
+
+/**
+ * A user's signed-in devices, most recently used first
+ */
+export const listActiveSessions = async (userId) =>
+  queryDB(
+    `SELECT id, impersonator_id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM AuthSession
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+/**
+ * Sign out one session. Returns true when something was revoked.
+ */
+export const revokeSession = async (sessionId, userId, reason = "logout") => {
+  const result = await queryDB(
+    `UPDATE AuthSession SET revoked_at = NOW(), revoked_reason = ?
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [reason, sessionId, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+export const revokeSessionByRefreshToken = async (refreshToken, reason = "logout") => {
+  const result = await queryDB(
+    `UPDATE AuthSession SET revoked_at = NOW(), revoked_reason = ?
+     WHERE refresh_token_hash = ? AND revoked_at IS NULL`,
+    [reason, hashToken(refreshToken)]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Sign out every session of a user (optionally keeping one). Returns the count.
+ */
+export const revokeAllSessions = async (userId, reason, { exceptSessionId = null } = {}) => {
+  const result = await queryDB(
+    `UPDATE AuthSession SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [reason, userId, exceptSessionId || 0]
+  );
+  return result.affectedRows;
+};
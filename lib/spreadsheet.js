@@ -0,0 +1,200 @@
+// lib/spreadsheet.js
+//
+// Minimal readers for the spreadsheet uploads the API accepts (product imports).
+// Both return the first sheet as an array of rows, each an array of cell strings.
+// Blank rows are kept so rows[i] is line i + 1 of the sheet; skipping them and
+// reading the header is left to the caller.
+import AdmZip from "adm-zip";
+import { AppError } from "./errors.js";
+
+/**
+ * Thrown for uploads that can't be read as CSV or XLSX (broken archives, missing
+ * sheets, too many rows or columns, oversized parts). lib/productImport.js rethrows
+ * it as an ImportError.
+ */
+export class SpreadsheetError extends AppError {
+  constructor(message, status = 400, code = "INVALID_SPREADSHEET") {
+    super(message, status, code);
+  }
+}
+
+export const SPREADSHEET_FORMATS = ["csv", "xlsx"];
+// upper bound on the row number an XLSX sheet may address, so a crafted file can't make us allocate millions of rows
+const MAX_SHEET_ROWS = 100000;
+// same for columns; Excel itself stops at XFD
+const MAX_SHEET_COLUMNS = 16384;
+// uncompressed size of one XML part of an XLSX; archives can claim far more than they
+// hold compressed, and adm-zip inflates up to whatever the entry header says
+const MAX_XLSX_PART_BYTES = 32 * 1024 * 1024;
+
+/**
+ * csv | xlsx | null, from the file name first and the mime type second
+ */
+export const detectSpreadsheetFormat = (filename = "", mimetype = "") => {
+  const ext = String(filename).toLowerCase().split(".").pop();
+  if (SPREADSHEET_FORMATS.includes(ext)) return ext;
+  if (/csv/.test(mimetype)) return "csv";
+  if (/spreadsheetml/.test(mimetype)) return "xlsx";
+  return null;
+};
+
+// ------------------ CSV ------------------
+
+/**
+ * RFC 4180 CSV: quoted fields may hold the delimiter, line breaks and "" escapes.
+ * The delimiter is `,` unless the header line has more `;` (spreadsheet exports in
+ * locales with a decimal comma).
+ */
+export const parseCsv = (input) => {
+  const text = String(input).replace(/^\uFEFF/, "");
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new SpreadsheetError("CSV has an unterminated quoted field");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// ------------------ XLSX ------------------
+
+// &#...; references past U+10FFFF would make String.fromCodePoint throw a RangeError
+const fromCharRef = (codePoint) => {
+  if (!(codePoint <= 0x10ffff)) throw new SpreadsheetError("XLSX contains an invalid character reference");
+  return String.fromCodePoint(codePoint);
+};
+
+const decodeXml = (value) =>
+  value
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => fromCharRef(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => fromCharRef(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// text of all <t> runs inside an element (shared strings and inline strings may be rich text)
+const textOf = (xml) => decodeXml([...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => m[1]).join(""));
+
+const attr = (tag, name) => {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match ? decodeXml(match[1]) : null;
+};
+
+// "C12" -> 2
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/.exec(ref || "")?.[0] || "";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+};
+
+const readEntry = (zip, name) => {
+  const entry = zip.getEntry(name);
+  if (!entry) return null;
+  if (entry.header.size > MAX_XLSX_PART_BYTES) {
+    throw new SpreadsheetError("XLSX workbook is too large, split it into smaller files", 413, "SPREADSHEET_TOO_LARGE");
+  }
+  return entry.getData().toString("utf8");
+};
+
+// path of the first worksheet, following workbook.xml and its relationships
+const firstSheetPath = (zip) => {
+  const workbook = readEntry(zip, "xl/workbook.xml");
+  const rels = readEntry(zip, "xl/_rels/workbook.xml.rels");
+  const sheetTag = workbook && /<sheet\s[^>]*>/.exec(workbook)?.[0];
+  const relId = sheetTag && attr(sheetTag, "r:id");
+  if (relId && rels) {
+    const relTag = [...rels.matchAll(/<Relationship\s[^>]*>/g)].map((m) => m[0]).find((tag) => attr(tag, "Id") === relId);
+    const target = relTag && attr(relTag, "Target");
+    if (target) return target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+  }
+  return "xl/worksheets/sheet1.xml";
+};
+
+/**
+ * First worksheet of an .xlsx workbook. Cell values are returned as displayed strings
+ * for text and numbers; formulas give their cached result.
+ */
+export const parseXlsx = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    throw new SpreadsheetError("File is not a valid XLSX workbook");
+  }
+
+  const sheet = readEntry(zip, firstSheetPath(zip));
+  if (!sheet) throw new SpreadsheetError("XLSX workbook has no worksheet");
+
+  const sharedXml = readEntry(zip, "xl/sharedStrings.xml") || "";
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const [, rowAttrs, cells = ""] = rowMatch;
+    const row = [];
+    for (const cellMatch of cells.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const [, attrs, body = ""] = cellMatch;
+      const type = attr(attrs, "t");
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+      let value = "";
+      if (type === "s") value = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = textOf(body);
+      else if (type === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      const index = attr(attrs, "r") ? columnIndex(attr(attrs, "r")) : row.length;
+      if (index >= MAX_SHEET_COLUMNS) throw new SpreadsheetError(`Worksheet has more than ${MAX_SHEET_COLUMNS} columns`);
+      while (row.length < index) row.push("");
+      row[index] = value;
+    }
+
+    // rows without cells are left out of the XML, "r" is the 1-based row number
+    const rowNumber = Number(attr(rowAttrs, "r")) || rows.length + 1;
+    if (rowNumber > MAX_SHEET_ROWS) throw new SpreadsheetError(`Worksheet has more than ${MAX_SHEET_ROWS} rows`);
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = row;
+  }
+  return rows;
+};
+
+/**
+ * Rows of an uploaded file in either format
+ */
+export const parseSpreadsheet = (buffer, format) => {
+  if (format === "csv") return parseCsv(buffer.toString("utf8"));
+  if (format === "xlsx") return parseXlsx(buffer);
+  throw new SpreadsheetError(`Unsupported file type, use one of: ${SPREADSHEET_FORMATS.join(", ")}`, 415, "UNSUPPORTED_FORMAT");
+};
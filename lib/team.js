@@ -0,0 +1,266 @@
+// lib/team.js
+//
+// Store teams. Every store has one owner member (the SupplierProfile.user_id) and can
+// invite other accounts by email with a scoped role. Routes for the store's products,
+// sales, analytics and dashboard check the caller's membership and role permissions
+// (requireStorePermission in lib/auth.js) rather than who owns the profile.
+import crypto from "crypto";
+import queryDB, { withTransaction } from "../db.js";
+import { queueEmail } from "./mail/index.js";
+import { EMAIL_REGEX } from "./emailVerification.js";
+import { AppError } from "./errors.js";
+
+export const INVITATION_DAYS = Number(process.env.STORE_INVITATION_DAYS) || 7;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://storensupply.com";
+
+export const STORE_PERMISSIONS = [
+  "team:read",
+  "products:read",
+  "products:write",
+  "sales:read",
+  "sales:write",
+  "analytics:read",
+  "dashboard:read",
+  "billing:read",
+  "team:manage",
+  "audit:read",
+];
+
+export const STORE_ROLE_PERMISSIONS = {
+  owner: STORE_PERMISSIONS,
+  manager: ["team:read", "products:read", "products:write", "sales:read", "sales:write", "analytics:read", "dashboard:read"],
+  inventory_clerk: ["team:read", "products:read", "products:write", "dashboard:read"],
+  sales_clerk: ["team:read", "products:read", "sales:read", "sales:write", "dashboard:read"],
+  analyst: ["team:read", "products:read", "sales:read", "analytics:read", "dashboard:read"],
+};
+
+export const STORE_ROLES = Object.keys(STORE_ROLE_PERMISSIONS);
+// roles an owner can hand out; ownership itself is not transferable through invites
+export const INVITABLE_ROLES = STORE_ROLES.filter((role) => role !== "owner");
+
+/**
+ * Thrown for store members and invitations: unknown roles, changes to the owner,
+ * people who are already members and invitations that are used or gone.
+ */
+export class TeamError extends AppError {
+  constructor(message, status = 400, code = "TEAM_ERROR") {
+    super(message, status, code);
+  }
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const withPermissions = (membership) =>
+  membership ? { ...membership, permissions: STORE_ROLE_PERMISSIONS[membership.role] || [] } : null;
+
+/**
+ * The store a request acts on: `storeId` when given (the X-Store-Id header), otherwise
+ * the store the user owns, otherwise the first one they joined.
+ * -> { id, supplier_id, user_id, role, permissions } | null
+ */
+export const resolveMembership = async (userId, storeId = null) => {
+  if (storeId) {
+    const rows = await queryDB("SELECT * FROM StoreMember WHERE user_id = ? AND supplier_id = ? LIMIT 1", [userId, storeId]);
+    return withPermissions(rows[0]);
+  }
+  const rows = await queryDB(
+    `SELECT * FROM StoreMember WHERE user_id = ?
+     ORDER BY role = 'owner' DESC, created_at ASC, id ASC
+     LIMIT 1`,
+    [userId]
+  );
+  return withPermissions(rows[0]);
+};
+
+/**
+ * Stores the user belongs to, for the store switcher
+ */
+export const listUserStores = async (userId) => {
+  const rows = await queryDB(
+    `SELECT m.supplier_id, m.role, m.created_at AS joined_at, sp.store_name, sp.logo, sp.is_verified
+     FROM StoreMember m JOIN SupplierProfile sp ON m.supplier_id = sp.id
+     WHERE m.user_id = ?
+     ORDER BY m.role = 'owner' DESC, m.created_at ASC`,
+    [userId]
+  );
+  return rows.map((r) => ({ ...r, permissions: STORE_ROLE_PERMISSIONS[r.role] || [] }));
+};
+
+/**
+ * Owner membership of a newly created store
+ */
+export const addStoreOwner = (supplierId, userId) =>
+  queryDB(
+    `INSERT IGNORE INTO StoreMember (supplier_id, user_id, role, created_at, updated_at)
+     VALUES (?, ?, 'owner', NOW(), NOW())`,
+    [supplierId, userId]
+  );
+
+/**
+ * Members and pending invitations of a store
+ */
+export const listTeam = async (supplierId) => {
+  const members = await queryDB(
+    `SELECT m.id, m.user_id, m.role, m.created_at, u.username, u.email
+     FROM StoreMember m JOIN \`User\` u ON m.user_id = u.id
+     WHERE m.supplier_id = ?
+     ORDER BY m.role = 'owner' DESC, m.created_at ASC`,
+    [supplierId]
+  );
+  const invitations = await queryDB(
+    `SELECT i.id, i.email, i.role, i.expires_at, i.created_at, u.username AS invited_by_username
+     FROM StoreInvitation i LEFT JOIN \`User\` u ON i.invited_by = u.id
+     WHERE i.supplier_id = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+     ORDER BY i.created_at DESC`,
+    [supplierId]
+  );
+  return { members, invitations };
+};
+
+/**
+ * Invite `email` into the store with `role`. Re-inviting the same address replaces the
+ * earlier pending invitation. Returns the invitation id.
+ */
+export const inviteMember = async ({ supplierId, email, role, invitedBy }) => {
+  const address = String(email || "").trim().toLowerCase();
+  if (!EMAIL_REGEX.test(address)) throw new TeamError("A valid email address is required", 400, "INVALID_EMAIL");
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new TeamError(`role must be one of: ${INVITABLE_ROLES.join(", ")}`, 400, "INVALID_ROLE");
+  }
+
+  const existing = await queryDB(
+    `SELECT m.id FROM StoreMember m JOIN \`User\` u ON m.user_id = u.id
+     WHERE m.supplier_id = ? AND LOWER(u.email) = ? LIMIT 1`,
+    [supplierId, address]
+  );
+  if (existing.length > 0) throw new TeamError("This person is already a member of the store", 409, "ALREADY_MEMBER");
+
+  const stores = await queryDB("SELECT store_name FROM SupplierProfile WHERE id = ? LIMIT 1", [supplierId]);
+  if (!stores[0]) throw new TeamError("Store not found", 404, "STORE_NOT_FOUND");
+  const inviters = await queryDB("SELECT username FROM `User` WHERE id = ? LIMIT 1", [invitedBy]);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  return withTransaction(async (conn) => {
+    await conn.query(
+      `UPDATE StoreInvitation SET revoked_at = NOW()
+       WHERE supplier_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [supplierId, address]
+    );
+    const [result] = await conn.query(
+      `INSERT INTO StoreInvitation (supplier_id, email, role, token_hash, invited_by, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`,
+      [supplierId, address, role, hashToken(token), invitedBy, INVITATION_DAYS]
+    );
+
+    await queueEmail(conn, {
+      to: address,
+      template: "store_invitation",
+      data: {
+        storeName: stores[0].store_name,
+        invitedBy: inviters[0]?.username,
+        role,
+        acceptLink: `${FRONTEND_URL}/team/accept?token=${encodeURIComponent(token)}`,
+        expiresInDays: INVITATION_DAYS,
+      },
+    });
+    return result.insertId;
+  });
+};
+
+export const revokeInvitation = async (supplierId, invitationId) => {
+  const result = await queryDB(
+    `UPDATE StoreInvitation SET revoked_at = NOW()
+     WHERE id = ? AND supplier_id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [invitationId, supplierId]
+  );
+  if (result.affectedRows === 0) throw new TeamError("Invitation not found", 404, "INVITATION_NOT_FOUND");
+};
+
+/**
+ * Pending invitations addressed to the user's email
+ */
+export const listInvitationsForEmail = (email) =>
+  queryDB(
+    `SELECT i.id, i.supplier_id, i.role, i.expires_at, i.created_at, sp.store_name, sp.logo,
+            u.username AS invited_by_username
+     FROM StoreInvitation i
+     JOIN SupplierProfile sp ON i.supplier_id = sp.id
+     LEFT JOIN \`User\` u ON i.invited_by = u.id
+     WHERE i.email = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+     ORDER BY i.created_at DESC`,
+    [String(email).toLowerCase()]
+  );
+
+/**
+ * Join a store. The invitation is found by the emailed `token` or by `invitationId`,
+ * and must be addressed to the email of the accepting account either way.
+ * -> { supplierId, role }
+ */
+export const acceptInvitation = async (user, { token = null, invitationId = null }) => {
+  if (!token && !invitationId) throw new TeamError("Invitation token is required", 400, "MISSING_TOKEN");
+
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT * FROM StoreInvitation WHERE ${token ? "token_hash = ?" : "id = ?"} LIMIT 1 FOR UPDATE`,
+      [token ? hashToken(token) : invitationId]
+    );
+    const invitation = rows[0];
+    if (!invitation || invitation.revoked_at) throw new TeamError("Invitation not found", 404, "INVITATION_NOT_FOUND");
+    if (invitation.accepted_at) throw new TeamError("Invitation was already accepted", 409, "INVITATION_USED");
+    if (new Date(invitation.expires_at) <= new Date()) throw new TeamError("Invitation has expired", 410, "INVITATION_EXPIRED");
+    if (invitation.email !== String(user.email).toLowerCase()) {
+      throw new TeamError("This invitation was sent to a different email address", 403, "INVITATION_EMAIL_MISMATCH");
+    }
+
+    const [members] = await conn.query("SELECT id FROM StoreMember WHERE supplier_id = ? AND user_id = ? LIMIT 1", [
+      invitation.supplier_id,
+      user.userId,
+    ]);
+    if (members.length > 0) throw new TeamError("You are already a member of this store", 409, "ALREADY_MEMBER");
+
+    await conn.query(
+      `INSERT INTO StoreMember (supplier_id, user_id, role, invited_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW())`,
+      [invitation.supplier_id, user.userId, invitation.role, invitation.invited_by]
+    );
+    await conn.query("UPDATE StoreInvitation SET accepted_at = NOW(), accepted_by = ? WHERE id = ?", [
+      user.userId,
+      invitation.id,
+    ]);
+
+    return { supplierId: invitation.supplier_id, role: invitation.role };
+  });
+};
+
+const getMember = async (supplierId, memberId) => {
+  const rows = await queryDB("SELECT * FROM StoreMember WHERE id = ? AND supplier_id = ? LIMIT 1", [memberId, supplierId]);
+  if (!rows[0]) throw new TeamError("Member not found", 404, "MEMBER_NOT_FOUND");
+  return rows[0];
+};
+
+export const updateMemberRole = async (supplierId, memberId, role) => {
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new TeamError(`role must be one of: ${INVITABLE_ROLES.join(", ")}`, 400, "INVALID_ROLE");
+  }
+  const member = await getMember(supplierId, memberId);
+  if (member.role === "owner") throw new TeamError("The store owner's role can't be changed", 400, "OWNER_ROLE");
+
+  await queryDB("UPDATE StoreMember SET role = ?, updated_at = NOW() WHERE id = ?", [role, member.id]);
+  return { ...member, role };
+};
+
+/**
+ * Remove a member (or leave the store when it's your own membership). The owner stays.
+ * `actor` is the caller's membership from resolveMembership.
+ */
+export const removeMember = async (supplierId, memberId, actor) => {
+  const member = await getMember(supplierId, memberId);
+  if (Number(member.user_id) !== Number(actor.user_id) && !actor.permissions.includes("team:manage")) {
+    throw new TeamError("Only the store owner can remove team members", 403, "FORBIDDEN");
+  }
+  if (member.role === "owner") throw new TeamError("The store owner can't be removed", 400, "OWNER_ROLE");
+
+  await queryDB("DELETE FROM StoreMember WHERE id = ?", [member.id]);
+  return member;
+};
@@ -0,0 +1,246 @@
+// lib/twoFactor.js
+//
+// Optional TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30s steps), so it
+// works with any authenticator app and needs no SMS provider. Login becomes two steps:
+// the password step hands out a short-lived challenge token, the code step trades it
+// for a session. Recovery codes cover a lost phone.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import queryDB, { withTransaction } from "../db.js";
+import { AppError } from "./errors.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+// a different key than access tokens, so a challenge token can never pass as one
+const CHALLENGE_SECRET = crypto.createHmac("sha256", JWT_SECRET).update("2fa-challenge").digest("hex");
+
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || "Storensupply";
+export const CHALLENGE_TOKEN_TTL = "5m";
+export const RECOVERY_CODE_COUNT = 10;
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+
+/**
+ * Thrown during 2FA enrollment and login challenges: wrong or reused codes,
+ * expired challenges and enabling/disabling in the wrong state.
+ */
+export class TwoFactorError extends AppError {
+  constructor(message, status = 400, code = "TWO_FACTOR_ERROR") {
+    super(message, status, code);
+  }
+}
+
+// ------------------ TOTP ------------------
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(binary).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * The time step `code` is valid for, or null
+ */
+export const matchTotp = (secret, code, now = Date.now()) => {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+  const step = currentStep(now);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidate = hotp(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(clean))) return step + drift;
+  }
+  return null;
+};
+
+export const generateTotp = (secret, now = Date.now()) => hotp(secret, currentStep(now));
+
+const otpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ------------------ Recovery codes ------------------
+// case, dashes and spaces don't matter when typing a code back in
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).toLowerCase().replace(/[^a-z0-9]/g, "")).digest("hex");
+
+// xxxxx-xxxxx, lowercase hex
+export const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(5).toString("hex");
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const replaceRecoveryCodes = async (conn, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await conn.query("DELETE FROM TwoFactorRecoveryCode WHERE user_id = ?", [userId]);
+  await conn.query("INSERT INTO TwoFactorRecoveryCode (user_id, code_hash, created_at) VALUES ?", [
+    codes.map((code) => [userId, hashRecoveryCode(code), new Date()]),
+  ]);
+  return codes;
+};
+
+// ------------------ Enrollment ------------------
+const getTwoFactorRow = async (userId) => {
+  const rows = await queryDB("SELECT * FROM UserTwoFactor WHERE user_id = ? LIMIT 1", [userId]);
+  return rows[0] || null;
+};
+
+export const isTwoFactorEnabled = async (userId) => Boolean((await getTwoFactorRow(userId))?.enabled_at);
+
+export const getTwoFactorStatus = async (userId) => {
+  const row = await getTwoFactorRow(userId);
+  const codes = await queryDB(
+    "SELECT COUNT(*) AS remaining FROM TwoFactorRecoveryCode WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  return {
+    enabled: Boolean(row?.enabled_at),
+    pending: Boolean(row && !row.enabled_at),
+    enabled_at: row?.enabled_at || null,
+    recovery_codes_remaining: row?.enabled_at ? Number(codes[0].remaining) : 0,
+  };
+};
+
+/**
+ * Step 1: a fresh secret for the authenticator app. Starting over replaces an unconfirmed one.
+ * user: { id, email }. Returns { secret, otpauthUri }.
+ */
+export const beginEnrollment = async (user) => {
+  const existing = await getTwoFactorRow(user.id);
+  if (existing?.enabled_at) throw new TwoFactorError("Two-factor authentication is already enabled", 409, "ALREADY_ENABLED");
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await queryDB(
+    `INSERT INTO UserTwoFactor (user_id, secret, enabled_at, last_used_step, created_at, updated_at)
+     VALUES (?, ?, NULL, NULL, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE secret = VALUES(secret), last_used_step = NULL, updated_at = NOW()`,
+    [user.id, secret]
+  );
+  return { secret, otpauthUri: otpauthUri(secret, user.email) };
+};
+
+/**
+ * Step 2: the first valid code turns 2FA on. Returns the recovery codes (shown once).
+ */
+export const confirmEnrollment = async (userId, code) =>
+  withTransaction(async (conn) => {
+    const [rows] = await conn.query("SELECT * FROM UserTwoFactor WHERE user_id = ? FOR UPDATE", [userId]);
+    const row = rows[0];
+    if (!row) throw new TwoFactorError("Start enrollment first", 400, "NOT_ENROLLING");
+    if (row.enabled_at) throw new TwoFactorError("Two-factor authentication is already enabled", 409, "ALREADY_ENABLED");
+
+    const step = matchTotp(row.secret, code);
+    if (step === null) throw new TwoFactorError("Invalid authentication code", 401, "INVALID_CODE");
+
+    await conn.query(
+      "UPDATE UserTwoFactor SET enabled_at = NOW(), last_used_step = ?, updated_at = NOW() WHERE user_id = ?",
+      [step, userId]
+    );
+    return replaceRecoveryCodes(conn, userId);
+  });
+
+/**
+ * Check a second factor for an enabled account: an authenticator code, or an unused
+ * recovery code (which is burned). Returns "totp" | "recovery_code"; throws on failure.
+ */
+export const verifySecondFactor = async (userId, code) => {
+  const row = await getTwoFactorRow(userId);
+  if (!row?.enabled_at) throw new TwoFactorError("Two-factor authentication is not enabled", 400, "NOT_ENABLED");
+
+  const step = matchTotp(row.secret, code);
+  if (step !== null) {
+    // conditional update: each time step is accepted once
+    const result = await queryDB(
+      `UPDATE UserTwoFactor SET last_used_step = ?, updated_at = NOW()
+       WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, userId, step]
+    );
+    if (result.affectedRows === 0) throw new TwoFactorError("This code was already used", 401, "CODE_ALREADY_USED");
+    return "totp";
+  }
+
+  const result = await queryDB(
+    "UPDATE TwoFactorRecoveryCode SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+    [userId, hashRecoveryCode(code)]
+  );
+  if (result.affectedRows > 0) return "recovery_code";
+
+  throw new TwoFactorError("Invalid authentication code", 401, "INVALID_CODE");
+};
+
+/**
+ * New set of recovery codes; the old ones stop working
+ */
+export const regenerateRecoveryCodes = async (userId) => withTransaction((conn) => replaceRecoveryCodes(conn, userId));
+
+export const disableTwoFactor = async (userId) =>
+  withTransaction(async (conn) => {
+    await conn.query("DELETE FROM TwoFactorRecoveryCode WHERE user_id = ?", [userId]);
+    await conn.query("DELETE FROM UserTwoFactor WHERE user_id = ?", [userId]);
+  });
+
+// ------------------ Login challenge ------------------
+export const signChallengeToken = (userId) =>
+  jwt.sign({ userId, purpose: "2fa_challenge" }, CHALLENGE_SECRET, { expiresIn: CHALLENGE_TOKEN_TTL });
+
+/**
+ * userId the challenge was issued for; throws when missing, expired or tampered with
+ */
+export const verifyChallengeToken = (token) => {
+  if (!token) throw new TwoFactorError("challengeToken is required", 400, "MISSING_CHALLENGE");
+  try {
+    const decoded = jwt.verify(token, CHALLENGE_SECRET);
+    if (decoded.purpose !== "2fa_challenge") throw new Error("wrong purpose");
+    return decoded.userId;
+  } catch (err) {
+    throw new TwoFactorError("Login challenge is invalid or expired, please sign in again", 401, "INVALID_CHALLENGE");
+  }
+};
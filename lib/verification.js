@@ -0,0 +1,285 @@
+// lib/verification.js
+//
+// Supplier verification (KYC). A supplier submits business details with documents,
+// an admin approves or rejects the request, and approval sets SupplierProfile.is_verified
+// (the badge on public profiles, products and /api/shop). Documents are uploaded to
+// FTP_PRIVATE_PATH and only ever served through authenticated routes.
+import queryDB, { withTransaction } from "../db.js";
+import { deleteFromFTP, downloadFromFTP, makeRemoteFilename, privateFolder, uploadToFTP } from "./ftp.js";
+import { notifySupplier } from "./notifications.js";
+import { AppError } from "./errors.js";
+
+export const DOCUMENT_TYPES = ["business_registration", "tax_certificate", "id_document", "proof_of_address", "other"];
+export const REQUIRED_DOCUMENT_TYPES = ["business_registration"];
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024; // 10 MB
+export const MAX_DOCUMENTS_PER_TYPE = 3;
+export const DOCUMENT_MIME_TYPES = ["application/pdf", "image/jpeg", "image/jpg", "image/png", "image/webp"];
+
+// decision -> [status it applies to, resulting status]
+const DECISIONS = {
+  approve: ["pending", "approved"],
+  reject: ["pending", "rejected"],
+  revoke: ["approved", "revoked"],
+};
+
+/**
+ * Thrown for supplier verification: missing or invalid documents, a request
+ * already pending, and admin decisions without the notes they require.
+ */
+export class VerificationError extends AppError {
+  constructor(message, status = 400, code = "VERIFICATION_ERROR") {
+    super(message, status, code);
+  }
+}
+
+const addEvent = (conn, { verificationId, fromStatus, toStatus, actorId, notes = null }) =>
+  conn.query(
+    `INSERT INTO SupplierVerificationEvent (verification_id, from_status, to_status, actor_id, notes, created_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [verificationId, fromStatus, toStatus, actorId, notes]
+  );
+
+const cleanText = (value, max) => (value ? String(value).trim().slice(0, max) || null : null);
+
+/**
+ * Open a verification request for a store.
+ * - fields: { business_name, registration_number?, country?, notes? }
+ * - documents: [{ type, file }] with multer memory-storage files
+ * Files are uploaded before anything is written; if the insert fails they are removed again.
+ */
+export const submitVerification = async ({ supplier, userId, fields = {}, documents = [] }) => {
+  const businessName = cleanText(fields.business_name, 255) || supplier.store_name;
+  if (!businessName) throw new VerificationError("business_name is required", 400, "MISSING_BUSINESS_NAME");
+
+  for (const type of REQUIRED_DOCUMENT_TYPES) {
+    if (!documents.some((d) => d.type === type)) {
+      throw new VerificationError(`A ${type.replace(/_/g, " ")} document is required`, 400, "MISSING_DOCUMENT");
+    }
+  }
+  if (supplier.is_verified) throw new VerificationError("Your store is already verified", 409, "ALREADY_VERIFIED");
+
+  const open = await queryDB(
+    "SELECT id FROM SupplierVerification WHERE supplier_id = ? AND status = 'pending' LIMIT 1",
+    [supplier.id]
+  );
+  if (open.length > 0) {
+    throw new VerificationError("A verification request is already waiting for review", 409, "VERIFICATION_PENDING");
+  }
+
+  const remoteFolder = privateFolder("verification", String(supplier.id));
+  if (!remoteFolder) {
+    // identity documents never go to a folder the web server might serve
+    console.error("❌ FTP_PRIVATE_PATH is not set to a folder outside the public uploads, refusing verification upload");
+    throw new VerificationError("Verification uploads are not available right now", 503, "VERIFICATION_UNAVAILABLE");
+  }
+  const uploaded = [];
+  try {
+    for (const { type, file } of documents) {
+      const remotePath = await uploadToFTP(file.buffer, makeRemoteFilename(file.originalname), remoteFolder);
+      uploaded.push({ type, file, remotePath });
+    }
+
+    return await withTransaction(async (conn) => {
+      const [result] = await conn.query(
+        `INSERT INTO SupplierVerification
+           (supplier_id, status, business_name, registration_number, country, supplier_notes, submitted_by, created_at, updated_at)
+         VALUES (?, 'pending', ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          supplier.id,
+          businessName,
+          cleanText(fields.registration_number, 100),
+          cleanText(fields.country, 100) || supplier.country || null,
+          cleanText(fields.notes, 2000),
+          userId,
+        ]
+      );
+      const verificationId = result.insertId;
+
+      await conn.query(
+        `INSERT INTO SupplierVerificationDocument
+           (verification_id, document_type, file_path, original_name, mime_type, size_bytes) VALUES ?`,
+        [uploaded.map(({ type, file, remotePath }) => [verificationId, type, remotePath, file.originalname, file.mimetype, file.size])]
+      );
+      await addEvent(conn, { verificationId, fromStatus: null, toStatus: "pending", actorId: userId });
+
+      return verificationId;
+    });
+  } catch (err) {
+    await Promise.all(uploaded.map(({ remotePath }) => deleteFromFTP(remotePath)));
+    throw err;
+  }
+};
+
+/**
+ * One request with its documents (metadata only) and status history
+ */
+export const getVerificationById = async (verificationId) => {
+  const rows = await queryDB(
+    `SELECT v.*, sp.store_name, sp.user_id, sp.is_verified, r.username AS reviewed_by_username
+     FROM SupplierVerification v
+     JOIN SupplierProfile sp ON v.supplier_id = sp.id
+     LEFT JOIN \`User\` r ON v.reviewed_by = r.id
+     WHERE v.id = ?`,
+    [verificationId]
+  );
+  if (!rows[0]) return null;
+
+  const [documents, events] = await Promise.all([
+    queryDB(
+      `SELECT id, document_type, original_name, mime_type, size_bytes, created_at
+       FROM SupplierVerificationDocument WHERE verification_id = ? ORDER BY id`,
+      [verificationId]
+    ),
+    queryDB(
+      `SELECT e.id, e.from_status, e.to_status, e.notes, e.created_at, e.actor_id, u.username AS actor_username
+       FROM SupplierVerificationEvent e LEFT JOIN \`User\` u ON e.actor_id = u.id
+       WHERE e.verification_id = ? ORDER BY e.created_at, e.id`,
+      [verificationId]
+    ),
+  ]);
+
+  return { ...rows[0], is_verified: Boolean(rows[0].is_verified), documents, events };
+};
+
+/**
+ * A store's current state: is_verified, its latest request in full and earlier requests in short
+ */
+export const getSupplierVerification = async (supplierId) => {
+  const requests = await queryDB(
+    `SELECT id, status, business_name, review_notes, reviewed_at, created_at
+     FROM SupplierVerification WHERE supplier_id = ?
+     ORDER BY created_at DESC, id DESC`,
+    [supplierId]
+  );
+  const profile = await queryDB("SELECT is_verified, verified_at FROM SupplierProfile WHERE id = ?", [supplierId]);
+
+  return {
+    is_verified: Boolean(profile[0]?.is_verified),
+    verified_at: profile[0]?.verified_at || null,
+    current: requests[0] ? await getVerificationById(requests[0].id) : null,
+    history: requests.slice(1),
+  };
+};
+
+/**
+ * Review queue for admins -> { verifications, total }
+ */
+export const listVerifications = async ({ status = null, limit = 50, offset = 0 } = {}) => {
+  const where = status ? "WHERE v.status = ?" : "";
+  const params = status ? [status] : [];
+
+  const verifications = await queryDB(
+    `SELECT v.id, v.supplier_id, v.status, v.business_name, v.country, v.created_at, v.reviewed_at,
+            sp.store_name, sp.is_verified,
+            (SELECT COUNT(*) FROM SupplierVerificationDocument d WHERE d.verification_id = v.id) AS document_count
+     FROM SupplierVerification v
+     JOIN SupplierProfile sp ON v.supplier_id = sp.id
+     ${where}
+     ORDER BY v.status = 'pending' DESC, v.created_at ${status === "pending" ? "ASC" : "DESC"}
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const counts = await queryDB(`SELECT COUNT(*) AS total FROM SupplierVerification v ${where}`, params);
+
+  return { verifications, total: Number(counts[0].total) };
+};
+
+/**
+ * Admin decision on a request: approve | reject (pending requests) or revoke (approved ones).
+ * Keeps SupplierProfile.is_verified in step, records the history and tells the supplier.
+ * Rejecting and revoking need notes, since the supplier sees them.
+ */
+export const reviewVerification = async (verificationId, { decision, notes = null, reviewerId }) => {
+  const rule = DECISIONS[decision];
+  if (!rule) throw new VerificationError("decision must be approve, reject or revoke", 400, "INVALID_DECISION");
+  const text = cleanText(notes, 2000);
+  if (decision !== "approve" && !text) {
+    throw new VerificationError("Notes are required to reject or revoke a verification", 400, "NOTES_REQUIRED");
+  }
+  const [fromStatus, toStatus] = rule;
+
+  const verification = await withTransaction(async (conn) => {
+    const [rows] = await conn.query("SELECT * FROM SupplierVerification WHERE id = ? FOR UPDATE", [verificationId]);
+    const current = rows[0];
+    if (!current) throw new VerificationError("Verification request not found", 404, "VERIFICATION_NOT_FOUND");
+    if (current.status !== fromStatus) {
+      throw new VerificationError(`Only ${fromStatus} requests can be ${toStatus}`, 409, "INVALID_STATUS");
+    }
+
+    await conn.query(
+      `UPDATE SupplierVerification
+       SET status = ?, review_notes = ?, reviewed_by = ?, reviewed_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [toStatus, text, reviewerId, current.id]
+    );
+    if (toStatus === "approved") {
+      await conn.query("UPDATE SupplierProfile SET is_verified = 1, verified_at = NOW(), updated_at = NOW() WHERE id = ?", [
+        current.supplier_id,
+      ]);
+    } else if (toStatus === "revoked") {
+      await conn.query("UPDATE SupplierProfile SET is_verified = 0, verified_at = NULL, updated_at = NOW() WHERE id = ?", [
+        current.supplier_id,
+      ]);
+    }
+    await addEvent(conn, { verificationId: current.id, fromStatus, toStatus, actorId: reviewerId, notes: text });
+
+    const titles = {
+      approved: "Your store is now verified",
+      rejected: "Your verification request was not approved",
+      revoked: "Your store's verified badge was removed",
+    };
+    await notifySupplier(conn, current.supplier_id, {
+      type: "verification_updated",
+      title: titles[toStatus],
+      body: text,
+      referenceType: "supplier_verification",
+      referenceId: current.id,
+      data: { status: toStatus },
+    });
+
+    return { ...current, status: toStatus };
+  });
+
+  return verification;
+};
+
+/**
+ * Withdraw the store's pending request (documents are kept for the history)
+ */
+export const cancelVerification = async (supplierId, userId) =>
+  withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      "SELECT id FROM SupplierVerification WHERE supplier_id = ? AND status = 'pending' LIMIT 1 FOR UPDATE",
+      [supplierId]
+    );
+    if (!rows[0]) throw new VerificationError("No pending verification request", 404, "VERIFICATION_NOT_FOUND");
+
+    await conn.query("UPDATE SupplierVerification SET status = 'cancelled', updated_at = NOW() WHERE id = ?", [rows[0].id]);
+    await addEvent(conn, { verificationId: rows[0].id, fromStatus: "pending", toStatus: "cancelled", actorId: userId });
+    return rows[0].id;
+  });
+
+/**
+ * Fetch a document's bytes. Pass supplierId to restrict the lookup to that store's documents.
+ * -> { document, buffer }
+ */
+export const getDocumentFile = async (documentId, { verificationId = null, supplierId = null } = {}) => {
+  const rows = await queryDB(
+    `SELECT d.*, v.supplier_id
+     FROM SupplierVerificationDocument d
+     JOIN SupplierVerification v ON d.verification_id = v.id
+     WHERE d.id = ?`,
+    [documentId]
+  );
+  const document = rows[0];
+  if (
+    !document ||
+    (verificationId && Number(document.verification_id) !== Number(verificationId)) ||
+    (supplierId && Number(document.supplier_id) !== Number(supplierId))
+  ) {
+    throw new VerificationError("Document not found", 404, "DOCUMENT_NOT_FOUND");
+  }
+
+  const buffer = await downloadFromFTP(document.file_path);
+  return { document, buffer };
+};
@@ -0,0 +1,441 @@
+// lib/webhooks.js
+//
+// Outgoing webhooks for suppliers. emitWebhookEvent() writes one WebhookDelivery row
+// per subscribed endpoint and sends them before the request that raised the event
+// answers; anything that fails is retried with backoff by the daily webhooks cron.
+// Payloads are signed like our payment webhooks:
+//   X-Storensupply-Signature: t=<unix seconds>,v1=<hex hmac-sha256 of "t.body">
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import queryDB from "../db.js";
+import { AppError } from "./errors.js";
+
+export const WEBHOOK_EVENTS = [
+  "product.created",
+  "product.updated",
+  "product.deleted",
+  "stock.changed",
+  "sale.recorded",
+  "review.posted",
+  "order.status_changed",
+];
+
+export const SIGNATURE_HEADER = "X-Storensupply-Signature";
+export const MAX_DELIVERY_ATTEMPTS = 8;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_ENDPOINTS_PER_SUPPLIER = 10;
+
+/**
+ * Thrown for endpoint registration and redelivery: URLs that aren't public
+ * http(s) targets, unknown event names and the per-store endpoint cap.
+ */
+export class WebhookError extends AppError {
+  constructor(message, status = 400, code = "WEBHOOK_ERROR") {
+    super(message, status, code);
+  }
+}
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+export const signWebhookPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex")}`;
+
+// 1, 2, 4 ... minutes, capped at 12 hours
+const retryDelaySeconds = (attempts) => Math.min(60 * 2 ** Math.max(0, attempts - 1), 12 * 60 * 60);
+
+const PRIVATE_HOST = /^(localhost|127\.|10\.|192\.168\.|169\.254\.|0\.|172\.(1[6-9]|2\d|3[01])\.|\[?::1\]?$|\[?f[cd][0-9a-f]{2}:)/i;
+
+// addresses a webhook may never reach: private, loopback, link-local (cloud metadata at
+// 169.254.169.254), CGNAT, multicast and reserved ranges. IPv4-mapped IPv6 is matched too.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+const isBlockedAddress = (address, family) =>
+  BLOCKED_ADDRESSES.check(address, family === 6 || family === "IPv6" ? "ipv6" : "ipv4");
+
+/**
+ * dns.lookup() for webhook connections: resolves like the default lookup but fails when
+ * any address is internal. It runs as the socket connects, so the address checked is the
+ * one used, even if the name resolves differently between registration and delivery.
+ */
+export const publicOnlyLookup = (hostname, options, callback) => {
+  if (typeof options === "function") [callback, options] = [options, {}];
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address, family }) => isBlockedAddress(address, family));
+    if (blocked) return callback(new Error(`Refused: ${hostname} resolves to a non-public address (${blocked.address})`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Refuse URLs whose host is an internal IP literal. Sockets skip the lookup for
+ * IP literals, so publicOnlyLookup never sees them; names are checked there instead.
+ */
+export const assertPublicDestination = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const family = net.isIP(hostname);
+  if (family && isBlockedAddress(hostname, family)) {
+    throw new Error(`Refused: ${hostname} is a non-public address`);
+  }
+};
+
+// POST `body` and resolve with { status, body } (first 2000 characters); redirects are not followed
+const postPayload = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.request(
+      target,
+      { method: "POST", headers: { ...headers, "Content-Length": Buffer.byteLength(body) }, lookup: publicOnlyLookup },
+      (res) => {
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (text.length < 2000) text += chunk;
+        });
+        res.on("end", () => {
+          clearTimeout(timer);
+          resolve({ status: res.statusCode, body: text.slice(0, 2000) });
+        });
+        res.on("error", reject);
+      }
+    );
+    const timer = setTimeout(() => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)), REQUEST_TIMEOUT_MS);
+    req.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+
+/**
+ * Endpoints must be absolute https URLs on a public host (http is allowed outside production).
+ * Names can still point inside the network, deliveries check what they resolve to.
+ */
+export const validateEndpointUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch {
+    throw new WebhookError("url must be a valid absolute URL", 400, "INVALID_URL");
+  }
+  const allowHttp = process.env.NODE_ENV !== "production";
+  if (url.protocol !== "https:" && !(allowHttp && url.protocol === "http:")) {
+    throw new WebhookError("Webhook URLs must use https", 400, "INVALID_URL");
+  }
+  if (PRIVATE_HOST.test(url.hostname)) {
+    throw new WebhookError("Webhook URLs must point to a public host", 400, "INVALID_URL");
+  }
+  return url.toString();
+};
+
+export const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new WebhookError("events must be a non-empty array", 400, "INVALID_EVENTS");
+  }
+  const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    throw new WebhookError(`Unknown events: ${unknown.join(", ")}`, 400, "INVALID_EVENTS");
+  }
+  return [...new Set(events)];
+};
+
+const parseEvents = (value) => (typeof value === "string" ? JSON.parse(value) : value || []);
+
+/**
+ * Endpoint as returned to its owner; the secret is only ever shown on create / rotate
+ */
+export const formatEndpoint = (row) => ({
+  id: row.id,
+  url: row.url,
+  description: row.description,
+  events: parseEvents(row.events),
+  is_active: Boolean(row.is_active),
+  secret_hint: row.secret ? `${row.secret.slice(0, 10)}…` : null,
+  last_success_at: row.last_success_at,
+  last_failure_at: row.last_failure_at,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+export const getEndpointsForSupplier = async (supplierId) =>
+  queryDB("SELECT * FROM WebhookEndpoint WHERE supplier_id = ? ORDER BY id ASC", [supplierId]);
+
+export const getEndpoint = async (endpointId, supplierId) => {
+  const rows = await queryDB("SELECT * FROM WebhookEndpoint WHERE id = ? AND supplier_id = ? LIMIT 1", [
+    endpointId,
+    supplierId,
+  ]);
+  return rows[0] || null;
+};
+
+export const createEndpoint = async (supplierId, { url, events, description = null }) => {
+  const [count] = await queryDB("SELECT COUNT(*) AS total FROM WebhookEndpoint WHERE supplier_id = ?", [supplierId]);
+  if (Number(count.total) >= MAX_ENDPOINTS_PER_SUPPLIER) {
+    throw new WebhookError(`You can register up to ${MAX_ENDPOINTS_PER_SUPPLIER} endpoints`, 409, "TOO_MANY_ENDPOINTS");
+  }
+
+  const secret = generateSecret();
+  const result = await queryDB(
+    `INSERT INTO WebhookEndpoint (supplier_id, url, secret, events, description, is_active, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+    [supplierId, validateEndpointUrl(url), secret, JSON.stringify(validateEvents(events)), description]
+  );
+  return { endpoint: await getEndpoint(result.insertId, supplierId), secret };
+};
+
+/**
+ * Build the delivery payload for an event
+ */
+const buildPayload = (eventId, type, supplierId, data) => ({
+  id: eventId,
+  type,
+  created_at: new Date().toISOString(),
+  supplier_id: supplierId,
+  data,
+});
+
+/**
+ * Queue `type` for every active endpoint of the supplier subscribed to it.
+ * Best effort: errors are logged, never thrown into the action that raised the event.
+ */
+export const emitWebhookEvent = async (supplierId, type, data) => {
+  try {
+    const endpoints = await queryDB(
+      `SELECT id, events FROM WebhookEndpoint WHERE supplier_id = ? AND is_active = 1`,
+      [supplierId]
+    );
+    const subscribed = endpoints.filter((e) => parseEvents(e.events).includes(type));
+    if (subscribed.length === 0) return [];
+
+    const eventId = `evt_${crypto.randomBytes(12).toString("hex")}`;
+    const payload = JSON.stringify(buildPayload(eventId, type, Number(supplierId), data));
+
+    const ids = [];
+    for (const endpoint of subscribed) {
+      const result = await queryDB(
+        `INSERT INTO WebhookDelivery (endpoint_id, event_id, event_type, payload, status, next_attempt_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 'pending', NOW(), NOW(), NOW())`,
+        [endpoint.id, eventId, type, payload]
+      );
+      ids.push(result.insertId);
+    }
+
+    // sent in parallel before the caller answers: a serverless function may be frozen as
+    // soon as the response is out, and each attempt is capped at REQUEST_TIMEOUT_MS
+    await Promise.all(
+      ids.map((id) => deliverWebhook(id).catch((err) => console.error(`❌ Webhook delivery ${id} crashed:`, err.message || err)))
+    );
+    return ids;
+  } catch (err) {
+    console.error(`❌ Failed to emit ${type} webhook for supplier ${supplierId}:`, err.message || err);
+    return [];
+  }
+};
+
+/**
+ * product.* / stock.changed with a fresh snapshot of the product
+ */
+export const emitProductEvent = async (type, productId, extra = {}) => {
+  const rows = await queryDB(
+    `SELECT id, store_id, sku, title, category, status, supplier_purchase_price, supplier_sold_price,
+            stock_quantity, reserved_quantity, updated_at
+     FROM Product WHERE id = ? LIMIT 1`,
+    [productId]
+  );
+  const p = rows[0];
+  if (!p) return [];
+
+  return emitWebhookEvent(p.store_id, type, {
+    product: {
+      id: p.id,
+      sku: p.sku,
+      title: p.title,
+      category: p.category,
+      status: p.status,
+      purchase_price: p.supplier_purchase_price !== null ? Number(p.supplier_purchase_price) : null,
+      price: p.supplier_sold_price !== null ? Number(p.supplier_sold_price) : null,
+      stock_quantity: Number(p.stock_quantity),
+      reserved_quantity: Number(p.reserved_quantity),
+      available_quantity: Number(p.stock_quantity) - Number(p.reserved_quantity),
+      updated_at: p.updated_at,
+    },
+    ...extra,
+  });
+};
+
+/**
+ * Send one pending delivery. Returns true on a 2xx response.
+ */
+export const deliverWebhook = async (deliveryId) => {
+  const claim = await queryDB(
+    "UPDATE WebhookDelivery SET status = 'sending', updated_at = NOW() WHERE id = ? AND status = 'pending'",
+    [deliveryId]
+  );
+  if (claim.affectedRows === 0) return false;
+
+  const rows = await queryDB(
+    `SELECT d.*, e.url, e.secret, e.is_active
+     FROM WebhookDelivery d JOIN WebhookEndpoint e ON d.endpoint_id = e.id
+     WHERE d.id = ?`,
+    [deliveryId]
+  );
+  const delivery = rows[0];
+  // the endpoint was deleted after the row was claimed
+  if (!delivery) return false;
+  const attempts = Number(delivery.attempts) + 1;
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    if (!delivery.is_active) throw new Error("Endpoint is disabled");
+    assertPublicDestination(delivery.url);
+    const response = await postPayload(
+      delivery.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "Storensupply-Webhooks/1.0",
+        "X-Storensupply-Event": delivery.event_type,
+        "X-Storensupply-Delivery": String(delivery.id),
+        [SIGNATURE_HEADER]: signWebhookPayload(delivery.secret, delivery.payload),
+      },
+      delivery.payload
+    );
+    responseStatus = response.status;
+    responseBody = response.body;
+    if (responseStatus < 200 || responseStatus >= 300) error = `HTTP ${responseStatus}`;
+  } catch (err) {
+    error = err.message || String(err);
+  }
+
+  if (!error) {
+    await queryDB(
+      `UPDATE WebhookDelivery
+       SET status = 'succeeded', attempts = ?, response_status = ?, response_body = ?, last_error = NULL,
+           delivered_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [attempts, responseStatus, responseBody, deliveryId]
+    );
+    await queryDB("UPDATE WebhookEndpoint SET last_success_at = NOW() WHERE id = ?", [delivery.endpoint_id]);
+    return true;
+  }
+
+  const giveUp = attempts >= MAX_DELIVERY_ATTEMPTS || !delivery.is_active;
+  await queryDB(
+    `UPDATE WebhookDelivery
+     SET status = ?, attempts = ?, response_status = ?, response_body = ?, last_error = ?,
+         next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND), updated_at = NOW()
+     WHERE id = ?`,
+    [giveUp ? "failed" : "pending", attempts, responseStatus, responseBody, error.slice(0, 1000), retryDelaySeconds(attempts), deliveryId]
+  );
+  await queryDB("UPDATE WebhookEndpoint SET last_failure_at = NOW() WHERE id = ?", [delivery.endpoint_id]);
+  return false;
+};
+
+/**
+ * Cron entry point: send everything that is due
+ */
+export const processWebhookQueue = async ({ limit = 50 } = {}) => {
+  // rows left in 'sending' by a frozen or crashed invocation go back to the queue
+  await queryDB(
+    `UPDATE WebhookDelivery SET status = 'pending', updated_at = NOW()
+     WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL 5 MINUTE)`
+  );
+
+  const due = await queryDB(
+    `SELECT id FROM WebhookDelivery
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC, id ASC
+     LIMIT ?`,
+    [limit]
+  );
+
+  const summary = { due: due.length, succeeded: 0, failed: 0 };
+  for (const { id } of due) {
+    if (await deliverWebhook(id)) summary.succeeded++;
+    else summary.failed++;
+  }
+  return summary;
+};
+
+/**
+ * Send a delivery again as a new attempt chain (same event id and payload)
+ * and wait for the result.
+ */
+export const redeliver = async (deliveryId, supplierId) => {
+  const rows = await queryDB(
+    `SELECT d.* FROM WebhookDelivery d JOIN WebhookEndpoint e ON d.endpoint_id = e.id
+     WHERE d.id = ? AND e.supplier_id = ? LIMIT 1`,
+    [deliveryId, supplierId]
+  );
+  const original = rows[0];
+  if (!original) throw new WebhookError("Delivery not found", 404, "DELIVERY_NOT_FOUND");
+
+  const result = await queryDB(
+    `INSERT INTO WebhookDelivery
+       (endpoint_id, event_id, event_type, payload, status, redelivery_of, next_attempt_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 'pending', ?, NOW(), NOW(), NOW())`,
+    [original.endpoint_id, original.event_id, original.event_type, original.payload, original.id]
+  );
+  await deliverWebhook(result.insertId);
+  return getDelivery(result.insertId, supplierId);
+};
+
+/**
+ * Send a `ping` to one endpoint right away, outside the normal event flow
+ */
+export const sendTestEvent = async (endpoint) => {
+  const eventId = `evt_${crypto.randomBytes(12).toString("hex")}`;
+  const payload = JSON.stringify(
+    buildPayload(eventId, "ping", Number(endpoint.supplier_id), { message: "Webhook endpoint test" })
+  );
+  const result = await queryDB(
+    `INSERT INTO WebhookDelivery (endpoint_id, event_id, event_type, payload, status, next_attempt_at, created_at, updated_at)
+     VALUES (?, ?, 'ping', ?, 'pending', NOW(), NOW(), NOW())`,
+    [endpoint.id, eventId, payload]
+  );
+  await deliverWebhook(result.insertId);
+  // a test is a one-shot: don't leave it in the retry queue
+  await queryDB("UPDATE WebhookDelivery SET status = 'failed' WHERE id = ? AND status = 'pending'", [result.insertId]);
+  return getDelivery(result.insertId, endpoint.supplier_id);
+};
+
+export const getDeliveries = async (endpointId, { limit = 50, offset = 0, status = null } = {}) => {
+  const params = [endpointId];
+  let where = "endpoint_id = ?";
+  if (status) {
+    where += " AND status = ?";
+    params.push(status);
+  }
+  return queryDB(
+    `SELECT id, event_id, event_type, status, attempts, response_status, last_error, redelivery_of,
+            next_attempt_at, delivered_at, created_at
+     FROM WebhookDelivery WHERE ${where}
+     ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+};
+
+export const getDelivery = async (deliveryId, supplierId) => {
+  const rows = await queryDB(
+    `SELECT d.* FROM WebhookDelivery d JOIN WebhookEndpoint e ON d.endpoint_id = e.id
+     WHERE d.id = ? AND e.supplier_id = ? LIMIT 1`,
+    [deliveryId, supplierId]
+  );
+  if (!rows[0]) return null;
+  return { ...rows[0], payload: JSON.parse(rows[0].payload) };
+};
@@ -0,0 +1,17 @@
+-- migrations/001_supplier_contact_unlock.sql
+-- Tracks which supplier contacts a seller has paid a credit to reveal,
+-- so repeat views of the same supplier are free.
+
+CREATE TABLE IF NOT EXISTS SupplierContactUnlock (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  seller_id INT NOT NULL,
+  supplier_id INT NOT NULL,
+  product_id INT NULL,
+  credits_spent INT NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_seller_supplier (seller_id, supplier_id),
+  KEY idx_supplier (supplier_id),
+  CONSTRAINT fk_unlock_seller FOREIGN KEY (seller_id) REFERENCES SellerProfile(id) ON DELETE CASCADE,
+  CONSTRAINT fk_unlock_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE,
+  CONSTRAINT fk_unlock_product FOREIGN KEY (product_id) REFERENCES Product(id) ON DELETE SET NULL
+);
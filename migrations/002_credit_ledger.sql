@@ -0,0 +1,26 @@
+-- migrations/002_credit_ledger.sql
+-- Append-only credit ledger. SellerProfile.credits / total_credits_used are a
+-- cached projection of these rows and are only written by lib/credits.js.
+
+CREATE TABLE IF NOT EXISTS CreditTransaction (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  seller_id INT NOT NULL,
+  type ENUM('grant', 'purchase', 'spend', 'refund', 'expiry', 'adjustment') NOT NULL,
+  amount INT NOT NULL,            -- signed: positive adds credits, negative removes them
+  balance_after INT NOT NULL,
+  reason VARCHAR(255) NULL,
+  reference_type VARCHAR(50) NULL, -- e.g. 'contact_unlock', 'order'
+  reference_id INT NULL,
+  created_by INT NULL,             -- User.id of the admin/actor, NULL for system
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_seller_created (seller_id, created_at),
+  KEY idx_reference (reference_type, reference_id),
+  CONSTRAINT fk_credit_tx_seller FOREIGN KEY (seller_id) REFERENCES SellerProfile(id) ON DELETE CASCADE
+);
+
+-- Opening balance so the ledger sums to the current cached balance
+INSERT INTO CreditTransaction (seller_id, type, amount, balance_after, reason, created_at)
+SELECT sp.id, 'adjustment', sp.credits, sp.credits, 'Opening balance (ledger introduced)', NOW()
+FROM SellerProfile sp
+WHERE sp.credits <> 0
+  AND NOT EXISTS (SELECT 1 FROM CreditTransaction ct WHERE ct.seller_id = sp.id);
@@ -0,0 +1,25 @@
+-- migrations/003_plan_lifecycle.sql
+-- Plan change history + marker for products paused because the store fell
+-- below their plan's upload_limit (so they can be restored on upgrade).
+
+ALTER TABLE Product
+  ADD COLUMN plan_paused TINYINT(1) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS PlanChange (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_id INT NOT NULL,
+  from_plan_id INT NULL,
+  to_plan_id INT NULL,
+  change_type ENUM('upgrade', 'downgrade', 'switch', 'renewal', 'expiry', 'admin') NOT NULL,
+  prorated_credit DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount_due DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  bonus_days INT NOT NULL DEFAULT 0,
+  plan_start DATETIME NULL,
+  plan_end DATETIME NULL,
+  products_paused INT NOT NULL DEFAULT 0,
+  products_restored INT NOT NULL DEFAULT 0,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_supplier_created (supplier_id, created_at),
+  CONSTRAINT fk_plan_change_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE
+);
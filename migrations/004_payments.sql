@@ -0,0 +1,44 @@
+-- migrations/004_payments.sql
+-- Orders for plan purchases and seller credit packs. An order is only
+-- fulfilled once the payment provider confirms it through a signed webhook.
+
+CREATE TABLE IF NOT EXISTS PaymentOrder (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  order_type ENUM('plan', 'credits') NOT NULL,
+  supplier_id INT NULL,
+  seller_id INT NULL,
+  plan_id INT NULL,
+  plan_action ENUM('change', 'renew') NULL,
+  credit_pack VARCHAR(50) NULL,
+  credits INT NULL,
+  description VARCHAR(255) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  status ENUM('pending', 'paid', 'failed', 'cancelled', 'refunded') NOT NULL DEFAULT 'pending',
+  provider VARCHAR(30) NOT NULL,
+  provider_session_id VARCHAR(255) NULL,
+  provider_payment_id VARCHAR(255) NULL,
+  provider_refund_id VARCHAR(255) NULL,
+  quote JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  paid_at DATETIME NULL,
+  refunded_at DATETIME NULL,
+  UNIQUE KEY uniq_provider_session (provider, provider_session_id),
+  KEY idx_user_created (user_id, created_at),
+  CONSTRAINT fk_order_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
+
+-- Every verified webhook event, keyed by provider event id for idempotency
+CREATE TABLE IF NOT EXISTS PaymentEvent (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  order_id INT NULL,
+  payload JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_provider_event (provider, event_id),
+  KEY idx_order (order_id)
+);
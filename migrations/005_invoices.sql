@@ -0,0 +1,34 @@
+-- migrations/005_invoices.sql
+-- One invoice per paid PaymentOrder, numbered sequentially per calendar year
+-- (INV-2026-000001, INV-2026-000002, ...).
+
+CREATE TABLE IF NOT EXISTS InvoiceSequence (
+  invoice_year SMALLINT PRIMARY KEY,
+  last_number INT NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS Invoice (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_number VARCHAR(30) NOT NULL,
+  invoice_year SMALLINT NOT NULL,
+  sequence_number INT NOT NULL,
+  order_id INT NOT NULL,
+  user_id INT NOT NULL,
+  status ENUM('issued', 'refunded') NOT NULL DEFAULT 'issued',
+  bill_to_name VARCHAR(255) NOT NULL,
+  bill_to_email VARCHAR(255) NULL,
+  bill_to_country VARCHAR(100) NULL,
+  currency CHAR(3) NOT NULL,
+  subtotal DECIMAL(10, 2) NOT NULL,
+  tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  total DECIMAL(10, 2) NOT NULL,
+  line_items JSON NOT NULL,
+  issued_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_invoice_number (invoice_number),
+  UNIQUE KEY uniq_year_sequence (invoice_year, sequence_number),
+  UNIQUE KEY uniq_order (order_id),
+  KEY idx_user_issued (user_id, issued_at),
+  CONSTRAINT fk_invoice_order FOREIGN KEY (order_id) REFERENCES PaymentOrder(id),
+  CONSTRAINT fk_invoice_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
@@ -0,0 +1,23 @@
+-- migrations/006_review_write_api.sql
+-- Edit/reply/moderation columns for Review, and one review per user per target.
+-- Remove any existing duplicate reviews before applying the unique key.
+
+ALTER TABLE Review
+  ADD COLUMN updated_at DATETIME NULL,
+  ADD COLUMN replied_at DATETIME NULL,
+  ADD COLUMN is_hidden TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN hidden_reason VARCHAR(255) NULL,
+  ADD COLUMN hidden_by INT NULL,
+  ADD COLUMN hidden_at DATETIME NULL,
+  -- 'product:<product_id>' or 'supplier:<store_id>'
+  ADD COLUMN target_key VARCHAR(40)
+    AS (CONCAT(review_type, ':', IF(review_type = 'product', product_id, store_id))) STORED,
+  ADD UNIQUE KEY uniq_user_target (user_id, target_key);
+
+-- SupplierProfile.rating is now maintained by lib/reviews.js; seed it once
+UPDATE SupplierProfile sp
+SET rating = (
+  SELECT IFNULL(ROUND(AVG(r.rating), 1), 0)
+  FROM Review r
+  WHERE r.store_id = sp.id AND r.review_type = 'supplier' AND r.is_hidden = 0
+);
@@ -0,0 +1,15 @@
+-- migrations/007_verified_reviews.sql
+-- A review is "verified" when its author has a recorded interaction with the
+-- supplier: an unlocked contact or a sale linked to them.
+
+ALTER TABLE Review
+  ADD COLUMN is_verified TINYINT(1) NOT NULL DEFAULT 0;
+
+ALTER TABLE ProductSales
+  ADD COLUMN buyer_user_id INT NULL,
+  ADD KEY idx_buyer_user (buyer_user_id);
+
+UPDATE Review r
+JOIN SellerProfile s ON s.user_id = r.user_id
+JOIN SupplierContactUnlock scu ON scu.seller_id = s.id AND scu.supplier_id = r.store_id
+SET r.is_verified = 1;
@@ -0,0 +1,60 @@
+-- migrations/008_order_requests.sql
+-- In-platform order requests from sellers to suppliers.
+-- Accepted orders reserve stock; delivery turns each line into a ProductSales row.
+
+ALTER TABLE Product
+  ADD COLUMN reserved_quantity INT NOT NULL DEFAULT 0;
+
+ALTER TABLE ProductSales
+  ADD COLUMN order_request_id INT NULL,
+  ADD KEY idx_order_request (order_request_id);
+
+CREATE TABLE IF NOT EXISTS OrderRequest (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  seller_id INT NOT NULL,
+  buyer_user_id INT NOT NULL,
+  supplier_id INT NOT NULL,
+  status ENUM('requested', 'countered', 'accepted', 'rejected', 'cancelled', 'shipped', 'delivered')
+    NOT NULL DEFAULT 'requested',
+  seller_notes TEXT NULL,
+  supplier_notes TEXT NULL,
+  total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  tracking_number VARCHAR(100) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  accepted_at DATETIME NULL,
+  shipped_at DATETIME NULL,
+  delivered_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  KEY idx_supplier_status (supplier_id, status),
+  KEY idx_seller_created (seller_id, created_at),
+  CONSTRAINT fk_order_request_seller FOREIGN KEY (seller_id) REFERENCES SellerProfile(id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_request_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS OrderRequestItem (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  product_id INT NOT NULL,
+  quantity INT NOT NULL,
+  requested_unit_price DECIMAL(10, 2) NOT NULL,
+  offered_unit_price DECIMAL(10, 2) NULL,  -- supplier counter-offer
+  final_unit_price DECIMAL(10, 2) NULL,    -- fixed on acceptance
+  sale_id INT NULL,                        -- ProductSales row created on delivery
+  KEY idx_order (order_id),
+  CONSTRAINT fk_order_item_order FOREIGN KEY (order_id) REFERENCES OrderRequest(id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_item_product FOREIGN KEY (product_id) REFERENCES Product(id)
+);
+
+-- Status history
+CREATE TABLE IF NOT EXISTS OrderRequestEvent (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  actor_user_id INT NULL,
+  note TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order (order_id),
+  CONSTRAINT fk_order_event_order FOREIGN KEY (order_id) REFERENCES OrderRequest(id) ON DELETE CASCADE
+);
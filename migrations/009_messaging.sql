@@ -0,0 +1,49 @@
+-- migrations/009_messaging.sql
+-- Conversation threads between a seller and a supplier, optionally about one product.
+-- Each side keeps its own read marker; unread = messages from the other side after it.
+
+CREATE TABLE IF NOT EXISTS Conversation (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  seller_id INT NOT NULL,
+  supplier_id INT NOT NULL,
+  product_id INT NULL,
+  -- one thread per seller/supplier/product; 0 stands for "no product". Set on insert rather
+  -- than generated from product_id: MySQL refuses ON DELETE SET NULL on a generated column's
+  -- base column, and the key has to outlive the product so the thread doesn't collide with
+  -- the no-product one
+  product_key INT NOT NULL DEFAULT 0,
+  last_message_id INT NULL,
+  last_message_at DATETIME NULL,
+  seller_last_read_id INT NOT NULL DEFAULT 0,
+  supplier_last_read_id INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_thread (seller_id, supplier_id, product_key),
+  KEY idx_supplier_last (supplier_id, last_message_at),
+  KEY idx_seller_last (seller_id, last_message_at),
+  CONSTRAINT fk_conversation_seller FOREIGN KEY (seller_id) REFERENCES SellerProfile(id) ON DELETE CASCADE,
+  CONSTRAINT fk_conversation_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE,
+  CONSTRAINT fk_conversation_product FOREIGN KEY (product_id) REFERENCES Product(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS ConversationMessage (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  conversation_id INT NOT NULL,
+  sender_user_id INT NOT NULL,
+  sender_side ENUM('seller', 'supplier') NOT NULL,
+  body TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_conversation (conversation_id, id),
+  CONSTRAINT fk_message_conversation FOREIGN KEY (conversation_id) REFERENCES Conversation(id) ON DELETE CASCADE
+);
+
+-- Files are stored on the FTP host next to product images (FTP_BASE_PATH/messages/<conversation_id>)
+CREATE TABLE IF NOT EXISTS ConversationAttachment (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  message_id INT NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INT NOT NULL,
+  KEY idx_message (message_id),
+  CONSTRAINT fk_attachment_message FOREIGN KEY (message_id) REFERENCES ConversationMessage(id) ON DELETE CASCADE
+);
@@ -0,0 +1,20 @@
+-- migrations/010_notifications.sql
+-- Persisted per-user notifications (new review, low stock, plan expiring, order received, credit low, ...).
+-- Events that must only fire once (e.g. "plan expires on <date>") carry a dedupe_key.
+
+CREATE TABLE IF NOT EXISTS Notification (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type VARCHAR(40) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT NULL,
+  reference_type VARCHAR(40) NULL,   -- e.g. 'review', 'product', 'order_request'
+  reference_id INT NULL,
+  dedupe_key VARCHAR(120) NULL,
+  read_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_user_dedupe (user_id, dedupe_key),
+  KEY idx_user_created (user_id, created_at),
+  KEY idx_user_unread (user_id, read_at),
+  CONSTRAINT fk_notification_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
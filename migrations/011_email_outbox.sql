@@ -0,0 +1,37 @@
+-- migrations/011_email_outbox.sql
+-- Outgoing email queue (see lib/mail) and per-user email preferences.
+
+CREATE TABLE IF NOT EXISTS EmailOutbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NULL,
+  to_email VARCHAR(255) NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  category VARCHAR(30) NULL,           -- NULL for account emails that ignore preferences
+  subject VARCHAR(255) NOT NULL,
+  html_body MEDIUMTEXT NOT NULL,
+  text_body TEXT NULL,
+  dedupe_key VARCHAR(120) NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  transport VARCHAR(20) NULL,
+  provider_message_id VARCHAR(255) NULL,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_dedupe (to_email, dedupe_key),
+  KEY idx_status_due (status, next_attempt_at),
+  KEY idx_user (user_id),
+  CONSTRAINT fk_email_outbox_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE SET NULL
+);
+
+-- Missing row = email on for that category
+CREATE TABLE IF NOT EXISTS NotificationPreference (
+  user_id INT NOT NULL,
+  category VARCHAR(30) NOT NULL,
+  email_enabled TINYINT(1) NOT NULL DEFAULT 1,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, category),
+  CONSTRAINT fk_notification_pref_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
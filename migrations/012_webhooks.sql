@@ -0,0 +1,40 @@
+-- migrations/012_webhooks.sql
+-- Supplier-registered webhook endpoints and the delivery log (see lib/webhooks.js).
+
+CREATE TABLE IF NOT EXISTS WebhookEndpoint (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_id INT NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  secret VARCHAR(100) NOT NULL,
+  events JSON NOT NULL,              -- ["product.created", "stock.changed", ...]
+  description VARCHAR(255) NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  last_success_at DATETIME NULL,
+  last_failure_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_supplier (supplier_id),
+  CONSTRAINT fk_webhook_endpoint_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS WebhookDelivery (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  endpoint_id INT NOT NULL,
+  event_id VARCHAR(40) NOT NULL,     -- same for every endpoint (and redelivery) of one event
+  event_type VARCHAR(40) NOT NULL,
+  payload MEDIUMTEXT NOT NULL,       -- exact signed body
+  status ENUM('pending', 'sending', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  response_status INT NULL,
+  response_body TEXT NULL,
+  last_error TEXT NULL,
+  redelivery_of INT NULL,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  delivered_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_endpoint (endpoint_id, id),
+  KEY idx_status_due (status, next_attempt_at),
+  KEY idx_event (event_id),
+  CONSTRAINT fk_webhook_delivery_endpoint FOREIGN KEY (endpoint_id) REFERENCES WebhookEndpoint(id) ON DELETE CASCADE
+);
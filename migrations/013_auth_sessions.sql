@@ -0,0 +1,21 @@
+-- migrations/013_auth_sessions.sql
+-- Server-side login sessions backing rotating refresh tokens (see lib/sessions.js).
+-- Only SHA-256 hashes of refresh tokens are stored.
+
+CREATE TABLE IF NOT EXISTS AuthSession (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,    -- last rotated-out token, to detect reuse
+  user_agent VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(40) NULL,      -- logout, logout_all, password_change, password_reset, refresh_token_reuse
+  UNIQUE KEY uniq_refresh_token (refresh_token_hash),
+  KEY idx_previous_token (previous_token_hash),
+  KEY idx_user_active (user_id, revoked_at),
+  CONSTRAINT fk_auth_session_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
@@ -0,0 +1,23 @@
+-- migrations/014_email_verification.sql
+-- Email verification for new accounts and email changes (see lib/emailVerification.js).
+-- Only SHA-256 hashes of the emailed tokens are stored; each token works once.
+
+ALTER TABLE `User`
+  ADD COLUMN email_verified_at DATETIME NULL;
+
+-- accounts created before verification existed keep working as before
+UPDATE `User` SET email_verified_at = COALESCE(date_joined, NOW()) WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS EmailToken (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  purpose VARCHAR(30) NOT NULL,         -- verify_email, change_email
+  token_hash CHAR(64) NOT NULL,
+  email VARCHAR(255) NOT NULL,          -- the address the link was sent to (the new one for change_email)
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_token_hash (token_hash),
+  KEY idx_user_purpose (user_id, purpose, created_at),
+  CONSTRAINT fk_email_token_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
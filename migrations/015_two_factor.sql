@@ -0,0 +1,24 @@
+-- migrations/015_two_factor.sql
+-- Optional TOTP two-factor authentication (see lib/twoFactor.js).
+-- A row with enabled_at NULL is an enrollment that hasn't been confirmed with a code yet.
+-- Recovery codes are stored as SHA-256 hashes and work once each.
+
+CREATE TABLE IF NOT EXISTS UserTwoFactor (
+  user_id INT PRIMARY KEY,
+  secret VARCHAR(64) NOT NULL,          -- base32 TOTP secret
+  enabled_at DATETIME NULL,
+  last_used_step BIGINT NULL,           -- last accepted 30s time step, so a code can't be replayed
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_two_factor_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS TwoFactorRecoveryCode (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_recovery_code (user_id, code_hash),
+  CONSTRAINT fk_recovery_code_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
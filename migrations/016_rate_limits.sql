@@ -0,0 +1,11 @@
+-- migrations/016_rate_limits.sql
+-- Shared rate limit counters for multi-instance deployments (RATE_LIMIT_STORE=mysql,
+-- see lib/rateLimit). Each row is one fixed window; expired rows are reset on the next
+-- hit and swept out now and then.
+
+CREATE TABLE IF NOT EXISTS RateLimitBucket (
+  bucket_key VARCHAR(191) PRIMARY KEY,  -- <group>:<ip or account>
+  hits INT NOT NULL DEFAULT 0,
+  expires_at DATETIME NOT NULL,
+  KEY idx_expires (expires_at)
+);
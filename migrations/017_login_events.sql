@@ -0,0 +1,20 @@
+-- migrations/017_login_events.sql
+-- Sign-in history per account (see lib/loginHistory.js): successful logins and failed
+-- attempts on existing accounts. device_hash identifies a browser/app so a login from
+-- an unseen one can trigger an alert email.
+
+CREATE TABLE IF NOT EXISTS LoginEvent (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  success TINYINT(1) NOT NULL,
+  failure_reason VARCHAR(40) NULL,      -- bad_password, bad_2fa_code
+  method VARCHAR(20) NOT NULL DEFAULT 'password', -- password, totp, recovery_code, signup
+  session_id INT NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  device_hash CHAR(64) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_user_created (user_id, created_at),
+  KEY idx_user_device (user_id, device_hash, success),
+  CONSTRAINT fk_login_event_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
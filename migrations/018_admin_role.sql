@@ -0,0 +1,7 @@
+-- migrations/018_admin_role.sql
+-- Staff accounts get their own `admin` role (checked by lib/auth.js requireAdmin),
+-- replacing the ADMIN_USER_IDS environment list.
+-- Promote the first admin by hand:  UPDATE `User` SET role = 'admin' WHERE id = <id>;
+
+ALTER TABLE `User`
+  MODIFY COLUMN role ENUM('seller', 'supplier', 'both', 'admin') NOT NULL DEFAULT 'seller';
@@ -0,0 +1,22 @@
+-- migrations/019_admin_actions.sql
+-- Back office (api/admin.js): every change an admin makes to someone else's account is
+-- recorded in AdminAction. Impersonation sessions are normal AuthSession rows that
+-- remember which admin opened them.
+
+ALTER TABLE AuthSession
+  ADD COLUMN impersonator_id INT NULL AFTER user_id;
+
+CREATE TABLE IF NOT EXISTS AdminAction (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  action VARCHAR(40) NOT NULL,          -- user_deactivate, user_reactivate, role_change, impersonate, credits_reset, plan_force
+  target_user_id INT NULL,
+  target_supplier_id INT NULL,
+  reason VARCHAR(500) NULL,
+  details JSON NULL,                    -- before/after values, session id for impersonation
+  ip_address VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_admin_created (admin_id, created_at),
+  KEY idx_target_user (target_user_id, created_at),
+  KEY idx_action_created (action, created_at)
+);
@@ -0,0 +1,53 @@
+-- migrations/020_supplier_verification.sql
+-- Supplier verification (KYC), see lib/verification.js. A supplier submits business
+-- details with documents; an admin approves or rejects it, which sets
+-- SupplierProfile.is_verified. Documents live in the private FTP folder
+-- (FTP_PRIVATE_PATH), never under the public /uploads path; file_path is the remote path there.
+
+ALTER TABLE SupplierProfile
+  ADD COLUMN verified_at DATETIME NULL AFTER is_verified;
+
+CREATE TABLE IF NOT EXISTS SupplierVerification (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_id INT NOT NULL,
+  status ENUM('pending', 'approved', 'rejected', 'revoked', 'cancelled') NOT NULL DEFAULT 'pending',
+  business_name VARCHAR(255) NOT NULL,
+  registration_number VARCHAR(100) NULL,
+  country VARCHAR(100) NULL,
+  supplier_notes TEXT NULL,
+  review_notes TEXT NULL,               -- shown to the supplier, e.g. why it was rejected
+  reviewed_by INT NULL,
+  reviewed_at DATETIME NULL,
+  submitted_by INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_supplier_created (supplier_id, created_at),
+  KEY idx_status_created (status, created_at),
+  CONSTRAINT fk_verification_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS SupplierVerificationDocument (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  verification_id INT NOT NULL,
+  document_type VARCHAR(40) NOT NULL,   -- business_registration, tax_certificate, id_document, proof_of_address, other
+  file_path VARCHAR(500) NOT NULL,
+  original_name VARCHAR(255) NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_verification (verification_id),
+  CONSTRAINT fk_verification_document FOREIGN KEY (verification_id) REFERENCES SupplierVerification(id) ON DELETE CASCADE
+);
+
+-- every status change, including the submission itself
+CREATE TABLE IF NOT EXISTS SupplierVerificationEvent (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  verification_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  actor_id INT NULL,
+  notes TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_verification_created (verification_id, created_at),
+  CONSTRAINT fk_verification_event FOREIGN KEY (verification_id) REFERENCES SupplierVerification(id) ON DELETE CASCADE
+);
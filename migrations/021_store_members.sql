@@ -0,0 +1,42 @@
+-- migrations/021_store_members.sql
+-- Store teams (see lib/team.js). Access to a store's products, sales, analytics and
+-- dashboard goes through StoreMember instead of SupplierProfile.user_id, so owners can
+-- invite staff with a scoped role instead of sharing their password.
+-- SupplierProfile.user_id stays the owner (billing, public profile, messages).
+
+CREATE TABLE IF NOT EXISTS StoreMember (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_id INT NOT NULL,
+  user_id INT NOT NULL,
+  role ENUM('owner', 'manager', 'inventory_clerk', 'sales_clerk', 'analyst') NOT NULL,
+  invited_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_store_user (supplier_id, user_id),
+  KEY idx_user (user_id),
+  CONSTRAINT fk_store_member_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE,
+  CONSTRAINT fk_store_member_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+);
+
+-- invitations are addressed to an email; only SHA-256 hashes of the link tokens are stored
+CREATE TABLE IF NOT EXISTS StoreInvitation (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_id INT NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  role ENUM('manager', 'inventory_clerk', 'sales_clerk', 'analyst') NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  invited_by INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  accepted_at DATETIME NULL,
+  accepted_by INT NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_token (token_hash),
+  KEY idx_supplier_email (supplier_id, email),
+  KEY idx_email (email),
+  CONSTRAINT fk_store_invitation_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE
+);
+
+-- every existing store owner becomes the owner member of their store
+INSERT IGNORE INTO StoreMember (supplier_id, user_id, role, created_at, updated_at)
+SELECT id, user_id, 'owner', created_at, NOW() FROM SupplierProfile;
@@ -0,0 +1,34 @@
+-- migrations/022_audit_log.sql
+-- Append-only trail of changes to store data (see lib/audit.js): products and their
+-- images, sales, the supplier profile, plan changes and credit changes. Each row keeps
+-- who did it (and the admin behind an impersonated session), from where, and the values
+-- before and after. No foreign keys, so the trail outlives the rows it describes;
+-- the triggers refuse any UPDATE or DELETE.
+
+CREATE TABLE IF NOT EXISTS AuditLog (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  actor_user_id INT NULL,               -- NULL for scheduled jobs (plan expiry)
+  impersonator_id INT NULL,
+  store_id INT NULL,
+  seller_id INT NULL,                   -- credit changes belong to a seller, not a store
+  entity_type VARCHAR(30) NOT NULL,     -- product, sale, supplier_profile, plan, credits
+  entity_id INT NULL,                   -- PlanChange / CreditTransaction id for plan and credit entries
+  action VARCHAR(30) NOT NULL,          -- create, update, delete, status_change, image_add, image_delete;
+                                        -- plans: the PlanChange change_type; credits: the transaction type
+  before_data JSON NULL,
+  after_data JSON NULL,
+  changes JSON NULL,                    -- { field: { from, to } } for updates
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  KEY idx_store_created (store_id, created_at),
+  KEY idx_entity (entity_type, entity_id, created_at),
+  KEY idx_actor_created (actor_user_id, created_at),
+  KEY idx_seller_created (seller_id, created_at)
+);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON AuditLog
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'AuditLog is append-only';
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON AuditLog
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'AuditLog is append-only';
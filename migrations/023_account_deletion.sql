@@ -0,0 +1,27 @@
+-- migrations/023_account_deletion.sql
+-- Self-service account deletion (see lib/accountData.js). A request deactivates the
+-- account right away, detaches its reviews and removes its images; the remaining data
+-- is purged by the account-deletion cron once the grace period is over, unless the
+-- user cancels with the link from the confirmation email.
+-- No foreign key to User: the row is kept as the record that the account was erased.
+
+CREATE TABLE IF NOT EXISTS AccountDeletionRequest (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  status ENUM('pending', 'cancelled', 'completed') NOT NULL DEFAULT 'pending',
+  reason VARCHAR(500) NULL,
+  cancel_token_hash CHAR(64) NOT NULL,
+  scheduled_for DATETIME NOT NULL,
+  requested_ip VARCHAR(45) NULL,
+  summary JSON NULL,                    -- what was removed, counts only
+  cancelled_at DATETIME NULL,
+  completed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_cancel_token (cancel_token_hash),
+  KEY idx_user_status (user_id, status),
+  KEY idx_status_scheduled (status, scheduled_for)
+);
+
+-- reviews outlive their author: on deletion they are kept without a user
+ALTER TABLE Review
+  MODIFY COLUMN user_id INT NULL;
@@ -0,0 +1,35 @@
+-- migrations/024_product_import.sql
+-- Bulk product import from CSV/XLSX (see lib/productImport.js). Products get an optional
+-- SKU, unique within a store, that imports use to update existing products instead of
+-- creating duplicates. Small files are imported during the request; larger ones are
+-- stored as a job and worked through in chunks by the product-imports cron.
+
+ALTER TABLE Product
+  ADD COLUMN sku VARCHAR(64) NULL AFTER store_id,
+  ADD UNIQUE KEY uniq_store_sku (store_id, sku);
+
+CREATE TABLE IF NOT EXISTS ProductImportJob (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_id INT NOT NULL,
+  created_by INT NOT NULL,
+  file_name VARCHAR(255) NULL,
+  format VARCHAR(10) NOT NULL,          -- csv, xlsx
+  status ENUM('queued', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+  payload LONGTEXT NULL,                -- JSON: [{ row, values }] parsed from the file, cleared once done
+  next_index INT NOT NULL DEFAULT 0,    -- position in payload of the next row to write
+  total_rows INT NOT NULL DEFAULT 0,
+  processed_rows INT NOT NULL DEFAULT 0,
+  created_count INT NOT NULL DEFAULT 0,
+  updated_count INT NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  errors JSON NULL,                     -- per-row report of the rows that failed
+  error VARCHAR(500) NULL,              -- why the whole job failed
+  locked_until DATETIME NULL,           -- claimed by a cron run until then
+  started_at DATETIME NULL,
+  completed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_supplier_created (supplier_id, created_at),
+  KEY idx_status (status, created_at),
+  CONSTRAINT fk_import_job_supplier FOREIGN KEY (supplier_id) REFERENCES SupplierProfile(id) ON DELETE CASCADE
+);
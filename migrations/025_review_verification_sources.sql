@@ -0,0 +1,20 @@
+-- migrations/025_review_verification_sources.sql
+-- Sales a supplier records by hand name their buyer on the supplier's word, so they no
+-- longer verify reviews (see hasSupplierInteraction in lib/reviews.js). Reviews that were
+-- only verified through such a sale lose the flag; reviews by deleted accounts keep theirs.
+-- POST /api/sales/add stops linking buyers too, ProductSales.buyer_user_id stays on older sales.
+
+UPDATE Review r
+SET r.is_verified = 0
+WHERE r.is_verified = 1
+  AND r.user_id IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM SupplierContactUnlock scu
+    JOIN SellerProfile s ON scu.seller_id = s.id
+    WHERE s.user_id = r.user_id AND scu.supplier_id = r.store_id
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM OrderRequest o
+    WHERE o.buyer_user_id = r.user_id AND o.supplier_id = r.store_id
+      AND o.status IN ('accepted', 'shipped', 'delivered')
+  );
@@ -0,0 +1,14 @@
+-- migrations/026_keep_billing_records.sql
+-- Payment orders and invoices are accounting records and have to outlive the account
+-- they were issued to. Purging a deleted account (lib/accountData.js) now detaches them
+-- instead of letting the User row take them along; the invoice keeps its bill-to details.
+
+ALTER TABLE PaymentOrder DROP FOREIGN KEY fk_order_user;
+ALTER TABLE PaymentOrder
+  MODIFY COLUMN user_id INT NULL,
+  ADD CONSTRAINT fk_order_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE SET NULL;
+
+ALTER TABLE Invoice DROP FOREIGN KEY fk_invoice_user;
+ALTER TABLE Invoice
+  MODIFY COLUMN user_id INT NULL,
+  ADD CONSTRAINT fk_invoice_user FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE SET NULL;
@@ -0,0 +1,14 @@
+-- migrations/027_payment_refunds.sql
+-- Refunds claim the order as 'refunding' before the provider is called, so the call can
+-- happen outside a transaction without the order being refunded twice. Credits taken back
+-- for a refunded credit pack are booked as 'purchase_refund' instead of an 'adjustment'.
+
+ALTER TABLE PaymentOrder
+  MODIFY COLUMN status ENUM('pending', 'paid', 'failed', 'cancelled', 'refunding', 'refunded') NOT NULL DEFAULT 'pending';
+
+ALTER TABLE CreditTransaction
+  MODIFY COLUMN type ENUM('grant', 'purchase', 'spend', 'refund', 'expiry', 'adjustment', 'purchase_refund') NOT NULL;
+
+UPDATE CreditTransaction
+SET type = 'purchase_refund'
+WHERE type = 'adjustment' AND reference_type = 'order' AND amount < 0;
@@ -0,0 +1,75 @@
+// test/fakeProvider.test.js — webhook signatures of the local payment gateway
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fakeProvider, { signPayload } from "../lib/payments/fakeProvider.js";
+import { PaymentError, WebhookVerificationError } from "../lib/payments/errors.js";
+
+const SECRET = "whsec_test_secret";
+const order = { provider_session_id: "fake_cs_123", amount: "19.99", currency: "USD" };
+
+const verify = (body, signature) =>
+  fakeProvider.verifyWebhook(Buffer.from(body), { [fakeProvider.signatureHeader]: signature });
+
+describe("fake provider webhooks", () => {
+  const saved = { secret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET, env: process.env.NODE_ENV };
+
+  beforeEach(() => {
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    if (saved.secret === undefined) delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    else process.env.FAKE_PAYMENT_WEBHOOK_SECRET = saved.secret;
+    if (saved.env === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = saved.env;
+  });
+
+  it("accepts the webhook it built and normalizes the event", () => {
+    const { body, signature } = fakeProvider.buildWebhook(order, "succeeded");
+    const event = verify(body, signature);
+
+    assert.equal(event.type, "payment.succeeded");
+    assert.equal(event.sessionId, "fake_cs_123");
+    assert.equal(event.amount, 19.99);
+    assert.equal(event.currency, "USD");
+    assert.match(event.paymentId, /^fake_pi_/);
+  });
+
+  it("rejects a body changed after signing", () => {
+    const { body, signature } = fakeProvider.buildWebhook(order, "succeeded");
+    const tampered = body.replace("19.99", "0.01");
+    assert.throws(() => verify(tampered, signature), { name: "WebhookVerificationError", message: "Invalid signature" });
+  });
+
+  it("rejects a signature made with another secret", () => {
+    const body = JSON.stringify({ id: "evt_1", type: "payment.succeeded", data: {} });
+    const signature = signPayload(body);
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET = "another_secret";
+    assert.throws(() => verify(body, signature), WebhookVerificationError);
+  });
+
+  it("rejects timestamps outside the tolerance", () => {
+    const body = JSON.stringify({ id: "evt_1", type: "payment.succeeded", data: {} });
+    const stale = Math.floor(Date.now() / 1000) - 10 * 60;
+    assert.throws(() => verify(body, signPayload(body, stale)), { message: "Signature timestamp outside tolerance" });
+  });
+
+  it("rejects missing and malformed headers", () => {
+    const body = JSON.stringify({ id: "evt_1" });
+    assert.throws(() => fakeProvider.verifyWebhook(Buffer.from(body), {}), { message: "Missing signature or body" });
+    assert.throws(() => verify(body, "v1=abc"), { message: "Malformed signature header" });
+    assert.throws(() => verify(body, `t=${Math.floor(Date.now() / 1000)},v1=abcd`), { message: "Invalid signature" });
+  });
+
+  it("refuses to sign without a configured secret outside development", () => {
+    delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    process.env.NODE_ENV = "production";
+    assert.throws(
+      () => signPayload("{}"),
+      (err) => err instanceof PaymentError && err.status === 503 && err.code === "PROVIDER_NOT_CONFIGURED"
+    );
+
+    process.env.NODE_ENV = "development";
+    assert.match(signPayload("{}"), /^t=\d+,v1=[0-9a-f]{64}$/);
+  });
+});
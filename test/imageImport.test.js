@@ -0,0 +1,132 @@
+// test/imageImport.test.js — matching ZIP image names to SKUs, and the archive and image limits
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import AdmZip from "adm-zip";
+import {
+  MAX_IMAGE_BYTES,
+  MAX_ZIP_FILES,
+  matchImageName,
+  planImageImport,
+  readImageArchive,
+} from "../lib/imageImport.js";
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]);
+
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(files)) zip.addFile(name, Buffer.from(data));
+  return zip.toBuffer();
+};
+
+// what planImageImport reads from an adm-zip entry
+const entry = (entryName, data, size = data.length) => ({ entryName, header: { size }, getData: () => data });
+
+const products = (...skus) => new Map(skus.map((sku, i) => [sku.toLowerCase(), { id: i + 1, sku }]));
+
+describe("matchImageName", () => {
+  const skus = new Set(["mouse-1", "kb_1", "cable"]);
+
+  it("maps SKU and SKU_main to the main image, SKU_n to the gallery", () => {
+    assert.deepEqual(matchImageName("Mouse-1.JPG", skus), { sku: "mouse-1", slot: "main", position: 0 });
+    assert.deepEqual(matchImageName("mouse-1_main.png", skus), { sku: "mouse-1", slot: "main", position: 0 });
+    assert.deepEqual(matchImageName("mouse-1_3.webp", skus), { sku: "mouse-1", slot: "gallery", position: 3 });
+  });
+
+  it("ignores folders inside the archive", () => {
+    assert.deepEqual(matchImageName("photos/2024/cable_2.jpg", skus), { sku: "cable", slot: "gallery", position: 2 });
+  });
+
+  it("tries the whole name as a SKU first, so SKUs ending in _1 still work", () => {
+    assert.deepEqual(matchImageName("kb_1.jpg", skus), { sku: "kb_1", slot: "main", position: 0 });
+    assert.deepEqual(matchImageName("kb_1_2.jpg", skus), { sku: "kb_1", slot: "gallery", position: 2 });
+  });
+
+  it("returns null for unknown SKUs and other suffixes", () => {
+    assert.equal(matchImageName("keyboard.jpg", skus), null);
+    assert.equal(matchImageName("mouse-1_front.jpg", skus), null);
+    assert.equal(matchImageName("mouse-1_1234.jpg", skus), null);
+  });
+});
+
+describe("readImageArchive", () => {
+  it("refuses files that are not ZIP archives", () => {
+    assert.throws(() => readImageArchive(Buffer.from("not a zip")), { status: 400, code: "INVALID_ZIP" });
+  });
+
+  it("leaves out OS metadata and counts an archive of only that as empty", () => {
+    const buffer = zipOf({ "__MACOSX/._cable.jpg": "x", ".DS_Store": "x", "photos/Thumbs.db": "x", "photos/.hidden.jpg": "x" });
+    assert.throws(() => readImageArchive(buffer), { code: "EMPTY_ZIP" });
+
+    const names = readImageArchive(zipOf({ "cable.jpg": JPEG, ".DS_Store": "x" })).map((e) => e.entryName);
+    assert.deepEqual(names, ["cable.jpg"]);
+  });
+
+  it("refuses archives with more than MAX_ZIP_FILES files", () => {
+    const files = Object.fromEntries(Array.from({ length: MAX_ZIP_FILES }, (_, i) => [`img_${i}.jpg`, JPEG]));
+    assert.equal(readImageArchive(zipOf(files)).length, MAX_ZIP_FILES);
+
+    files.extra = JPEG;
+    assert.throws(() => readImageArchive(zipOf(files)), { status: 413, code: "TOO_MANY_FILES" });
+  });
+});
+
+describe("planImageImport", () => {
+  const reasonOf = (plan, file) => [...plan.rejected, ...plan.unmatched].find((r) => r.file === file)?.reason;
+
+  it("plans main and gallery images per product", () => {
+    const plan = planImageImport(
+      [entry("CABLE.jpg", JPEG), entry("cable_2.png", PNG), entry("cable_1.jpg", JPEG), entry("mouse.jpg", JPEG)],
+      products("Cable")
+    );
+    const slots = plan.planned.get("cable");
+    assert.equal(slots.main.file, "CABLE.jpg");
+    assert.deepEqual(slots.gallery.map((g) => g.position), [2, 1]);
+    assert.equal(reasonOf(plan, "mouse.jpg"), "No product with a matching SKU");
+    assert.deepEqual(plan.rejected, []);
+  });
+
+  it("rejects files by extension, by content and for a second main image", () => {
+    const plan = planImageImport(
+      [
+        entry("cable.txt", Buffer.from("hello")),
+        entry("cable.jpg", Buffer.from("plain text")),
+        entry("cable_main.jpg", JPEG),
+        entry("cable.png", PNG),
+      ],
+      products("cable")
+    );
+    assert.match(reasonOf(plan, "cable.txt"), /Not an image file/);
+    assert.match(reasonOf(plan, "cable.jpg"), /not a JPEG, PNG, WebP or GIF/);
+    assert.equal(reasonOf(plan, "cable.png"), "Second main image for SKU cable (cable_main.jpg is used)");
+    assert.equal(plan.planned.get("cable").main.file, "cable_main.jpg");
+  });
+
+  it("rejects images over 2 MB by their declared size, before extracting them", () => {
+    let extracted = false;
+    const claimed = { entryName: "cable_1.jpg", header: { size: MAX_IMAGE_BYTES + 1 }, getData: () => ((extracted = true), JPEG) };
+    const plan = planImageImport([claimed], products("cable"));
+    assert.equal(reasonOf(plan, "cable_1.jpg"), "Image is larger than 2 MB");
+    assert.equal(extracted, false);
+  });
+
+  it("rejects images that inflate past 2 MB whatever the header said", () => {
+    const big = Buffer.concat([JPEG, Buffer.alloc(MAX_IMAGE_BYTES)]);
+    const plan = planImageImport([entry("cable_1.jpg", big, 100)], products("cable"));
+    assert.equal(reasonOf(plan, "cable_1.jpg"), "Image is larger than 2 MB");
+  });
+
+  it("reports entries that fail to extract", () => {
+    const broken = { entryName: "cable.jpg", header: { size: 10 }, getData: () => { throw new Error("bad crc"); } };
+    assert.equal(reasonOf(planImageImport([broken], products("cable")), "cable.jpg"), "File could not be extracted");
+  });
+
+  it("stops holding images in memory past 50 MB", () => {
+    const image = Buffer.concat([JPEG, Buffer.alloc(MAX_IMAGE_BYTES - JPEG.length)]);
+    const skus = Array.from({ length: 26 }, (_, i) => `sku-${i}`);
+    const plan = planImageImport(skus.map((sku) => entry(`${sku}.jpg`, image)), products(...skus));
+
+    assert.equal(plan.planned.size, 25);
+    assert.match(reasonOf(plan, "sku-25.jpg"), /more than 50 MB of images/);
+  });
+});
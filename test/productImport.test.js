@@ -0,0 +1,48 @@
+// test/productImport.test.js — reading an import file: header, row limit and error mapping
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// the row limit is read when the module loads
+process.env.PRODUCT_IMPORT_MAX_ROWS = "3";
+
+let readImportFile;
+before(async () => {
+  ({ readImportFile } = await import("../lib/productImport.js"));
+});
+
+const csv = (text) => readImportFile(Buffer.from(text), { filename: "products.csv", mimetype: "text/csv" });
+
+describe("readImportFile", () => {
+  it("maps known columns, skips blank lines and reports the rest as ignored", () => {
+    const { format, rows, ignoredColumns } = csv("\nSKU,Title,Colour\nA-1, Mouse ,red\n,,\nA-2,Keyboard,blue\n");
+    assert.equal(format, "csv");
+    assert.deepEqual(rows, [
+      { row: 3, values: { sku: "A-1", title: "Mouse" } },
+      { row: 5, values: { sku: "A-2", title: "Keyboard" } },
+    ]);
+    assert.deepEqual(ignoredColumns, ["colour"]);
+  });
+
+  it("refuses more than PRODUCT_IMPORT_MAX_ROWS product rows", () => {
+    assert.doesNotThrow(() => csv("sku\nA-1\nA-2\nA-3\n"));
+    assert.throws(() => csv("sku\nA-1\nA-2\nA-3\nA-4\n"), { name: "ImportError", status: 413, code: "TOO_MANY_ROWS" });
+  });
+
+  it("refuses unknown file types, empty files and unusable headers", () => {
+    assert.throws(() => readImportFile(Buffer.from("x"), { filename: "products.xls", mimetype: "application/vnd.ms-excel" }), {
+      status: 415,
+      code: "UNSUPPORTED_FORMAT",
+    });
+    assert.throws(() => csv("\n\n"), { code: "EMPTY_FILE" });
+    assert.throws(() => csv("sku,title\n"), { code: "EMPTY_FILE", message: "The file has no product rows" });
+    assert.throws(() => csv("colour,size\nred,M\n"), { code: "MISSING_COLUMNS" });
+    assert.throws(() => csv("sku,SKU\nA-1,A-2\n"), { code: "DUPLICATE_COLUMN" });
+  });
+
+  it("passes spreadsheet errors on as ImportErrors with their status", () => {
+    assert.throws(
+      () => readImportFile(Buffer.from("not a zip"), { filename: "products.xlsx" }),
+      (err) => err.name === "ImportError" && err.status === 400 && err.code === "INVALID_SPREADSHEET"
+    );
+  });
+});
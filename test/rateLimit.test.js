@@ -0,0 +1,132 @@
+// test/rateLimit.test.js — fixed-window buckets and the failed-login lockout, on the memory store
+import { afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// the limits are read when the module loads
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.RATE_LIMIT_SIGNUP = "3/60";
+process.env.RATE_LIMIT_LOGIN = "not-a-limit";
+process.env.LOGIN_LOCK_THRESHOLD = "3";
+
+let rl;
+before(async () => {
+  rl = await import("../lib/rateLimit/index.js");
+});
+
+afterEach(() => mock.timers.reset());
+
+// minimal Express response: records headers and the JSON body
+const fakeRes = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = (name, value) => ((res.headers[name] = value), res);
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+};
+
+describe("rate limit groups", () => {
+  it("take RATE_LIMIT_<GROUP> overrides and ignore malformed ones", () => {
+    assert.deepEqual(rl.RATE_LIMIT_GROUPS.signup, { limit: 3, windowSeconds: 60 });
+    assert.deepEqual(rl.RATE_LIMIT_GROUPS.login, { limit: 20, windowSeconds: 15 * 60 });
+  });
+
+  it("refuse unknown groups", async () => {
+    assert.throws(() => rl.rateLimit("nope"), /Unknown rate limit group/);
+    await assert.rejects(rl.consume("nope", "1.2.3.4"), /Unknown rate limit group/);
+  });
+});
+
+describe("consume", () => {
+  it("counts down to the limit, then refuses until the window ends", async () => {
+    mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await rl.consume("signup", "10.0.0.1"));
+    assert.deepEqual(
+      results.map((r) => [r.allowed, r.remaining]),
+      [[true, 2], [true, 1], [true, 0], [false, 0]]
+    );
+    assert.equal(results[3].limit, 3);
+    assert.equal(results[3].retryAfter, 60);
+
+    mock.timers.tick(45_000);
+    const later = await rl.consume("signup", "10.0.0.1");
+    assert.equal(later.allowed, false);
+    assert.equal(later.retryAfter, 15);
+
+    // a new window starts over
+    mock.timers.tick(15_000);
+    const fresh = await rl.consume("signup", "10.0.0.1");
+    assert.deepEqual([fresh.allowed, fresh.remaining, fresh.retryAfter], [true, 2, 60]);
+  });
+
+  it("keeps a bucket per identifier, emails case-insensitively", async () => {
+    for (let i = 0; i < 3; i++) await rl.consume("signup", "Someone@Example.com");
+    assert.equal((await rl.consume("signup", "someone@example.com")).allowed, false);
+    assert.equal((await rl.consume("signup", "other@example.com")).remaining, 2);
+  });
+});
+
+describe("rateLimit middleware", () => {
+  it("sets RateLimit headers and answers 429 with Retry-After once the bucket is empty", async () => {
+    const limiter = rl.rateLimit("signup", { keyBy: () => "middleware-test" });
+    const responses = [];
+    for (let i = 0; i < 4; i++) {
+      const res = fakeRes();
+      let passed = false;
+      await limiter({ headers: {} }, res, () => (passed = true));
+      responses.push({ res, passed });
+    }
+
+    assert.deepEqual(responses.map((r) => r.passed), [true, true, true, false]);
+    assert.equal(responses[2].res.headers["RateLimit-Remaining"], "0");
+    const blocked = responses[3].res;
+    assert.equal(blocked.statusCode, 429);
+    assert.equal(blocked.headers["Retry-After"], "60");
+    assert.equal(blocked.body.code, "RATE_LIMITED");
+  });
+
+  it("skips requests the key function can't place", async () => {
+    const limiter = rl.rateLimit("signup", { keyBy: () => null });
+    let passed = false;
+    await limiter({ headers: {} }, fakeRes(), () => (passed = true));
+    assert.equal(passed, true);
+  });
+
+  it("keys on the first X-Forwarded-For address", () => {
+    assert.equal(rl.clientIp({ headers: { "x-forwarded-for": "203.0.113.7, 10.0.0.1" } }), "203.0.113.7");
+    assert.equal(rl.clientIp({ headers: {}, ip: "198.51.100.2" }), "198.51.100.2");
+    assert.equal(rl.clientIp({ headers: {} }), "unknown");
+  });
+});
+
+describe("failed login lockout", () => {
+  it("locks from the threshold on, doubling each time up to an hour", async () => {
+    const account = "locked@example.com";
+    const locks = [];
+    for (let i = 0; i < 10; i++) locks.push(await rl.recordLoginFailure(account));
+
+    assert.deepEqual(locks, [0, 0, 60, 120, 240, 480, 960, 1920, 3600, 3600]);
+    assert.equal(await rl.getLoginLock(account), 3600);
+  });
+
+  it("clears failures and the lock after a successful login", async () => {
+    const account = "cleared@example.com";
+    for (let i = 0; i < 3; i++) await rl.recordLoginFailure(account);
+    assert.equal(await rl.getLoginLock(account), 60);
+
+    await rl.clearLoginFailures(account);
+    assert.equal(await rl.getLoginLock(account), 0);
+    assert.equal(await rl.recordLoginFailure(account), 0);
+  });
+
+  it("lets the account try again once the lock expires", async () => {
+    mock.timers.enable({ apis: ["Date"], now: 5_000_000 });
+    const account = "expiring@example.com";
+    for (let i = 0; i < 3; i++) await rl.recordLoginFailure(account);
+    assert.equal(await rl.getLoginLock(account), 60);
+
+    mock.timers.tick(60_000);
+    assert.equal(await rl.getLoginLock(account), 0);
+  });
+});
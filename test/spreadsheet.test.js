@@ -0,0 +1,109 @@
+// test/spreadsheet.test.js — CSV/XLSX readers and the limits on what an upload may claim
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import AdmZip from "adm-zip";
+import { SpreadsheetError, detectSpreadsheetFormat, parseCsv, parseSpreadsheet, parseXlsx } from "../lib/spreadsheet.js";
+
+const sheetXml = (rows) =>
+  `<?xml version="1.0" encoding="UTF-8"?><worksheet><sheetData>${rows}</sheetData></worksheet>`;
+
+// smallest workbook parseXlsx reads: the first sheet at its default path, plus shared strings
+const buildXlsx = (rows, sharedStrings = []) => {
+  const zip = new AdmZip();
+  zip.addFile("xl/worksheets/sheet1.xml", Buffer.from(sheetXml(rows)));
+  zip.addFile(
+    "xl/sharedStrings.xml",
+    Buffer.from(`<sst>${sharedStrings.map((s) => `<si><t>${s}</t></si>`).join("")}</sst>`)
+  );
+  return zip.toBuffer();
+};
+
+// rewrite the uncompressed size the central directory claims for `name`, like a crafted archive would
+const CENTRAL_HEADER = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+const claimSize = (buffer, name, size) => {
+  const out = Buffer.from(buffer);
+  for (let i = out.indexOf(CENTRAL_HEADER); i !== -1; i = out.indexOf(CENTRAL_HEADER, i + 4)) {
+    const nameLength = out.readUInt16LE(i + 28);
+    if (out.toString("utf8", i + 46, i + 46 + nameLength) === name) {
+      out.writeUInt32LE(size, i + 24);
+      return out;
+    }
+  }
+  throw new Error(`${name} not in archive`);
+};
+
+describe("detectSpreadsheetFormat", () => {
+  it("prefers the extension, then the mime type", () => {
+    assert.equal(detectSpreadsheetFormat("products.CSV", "application/octet-stream"), "csv");
+    assert.equal(detectSpreadsheetFormat("products.xlsx", "text/csv"), "xlsx");
+    assert.equal(
+      detectSpreadsheetFormat("upload", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"),
+      "xlsx"
+    );
+    assert.equal(detectSpreadsheetFormat("products.xls", "application/vnd.ms-excel"), null);
+  });
+});
+
+describe("parseCsv", () => {
+  it("reads quoted fields with delimiters, line breaks and escaped quotes", () => {
+    const rows = parseCsv('\uFEFFsku,title\r\nA-1,"Mouse, ""wireless""\nblack"\r\n');
+    assert.deepEqual(rows[0], ["sku", "title"]);
+    assert.deepEqual(rows[1], ["A-1", 'Mouse, "wireless"\nblack']);
+  });
+
+  it("switches to ; when the header has more of them", () => {
+    assert.deepEqual(parseCsv("sku;price\nA-1;8,50\n")[1], ["A-1", "8,50"]);
+  });
+});
+
+describe("parseXlsx", () => {
+  it("reads shared, inline, boolean and numeric cells at their column", () => {
+    const rows = parseXlsx(
+      buildXlsx(
+        `<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>a &amp; b</t></is></c></row>` +
+          `<row r="3"><c r="A3" t="b"><v>1</v></c><c r="B3"><v>8.5</v></c></row>`,
+        ["sku"]
+      )
+    );
+    assert.deepEqual(rows, [["sku", "", "a & b"], [], ["TRUE", "8.5"]]);
+  });
+
+  it("refuses files that are not zip archives or have no sheet", () => {
+    assert.throws(() => parseXlsx(Buffer.from("not a zip")), { code: "INVALID_SPREADSHEET", message: /not a valid XLSX/ });
+    const empty = new AdmZip();
+    empty.addFile("hello.txt", Buffer.from("hi"));
+    assert.throws(() => parseXlsx(empty.toBuffer()), { message: "XLSX workbook has no worksheet" });
+  });
+
+  it("refuses row numbers past the row cap instead of allocating them", () => {
+    assert.throws(() => parseXlsx(buildXlsx(`<row r="100001"><c r="A100001"><v>1</v></c></row>`)), {
+      name: "SpreadsheetError",
+      message: /more than 100000 rows/,
+    });
+  });
+
+  it("refuses cells past the last Excel column", () => {
+    assert.doesNotThrow(() => parseXlsx(buildXlsx(`<row r="1"><c r="XFD1"><v>1</v></c></row>`)));
+    assert.throws(() => parseXlsx(buildXlsx(`<row r="1"><c r="XFE1"><v>1</v></c></row>`)), {
+      message: /more than 16384 columns/,
+    });
+  });
+
+  it("refuses character references outside Unicode", () => {
+    assert.throws(
+      () => parseXlsx(buildXlsx(`<row r="1"><c r="A1" t="inlineStr"><is><t>&#x110000;</t></is></c></row>`)),
+      SpreadsheetError
+    );
+  });
+
+  it("refuses parts that claim more than the size cap before inflating them", () => {
+    const crafted = claimSize(buildXlsx(`<row r="1"><c r="A1"><v>1</v></c></row>`), "xl/worksheets/sheet1.xml", 64 * 1024 * 1024);
+    assert.throws(() => parseXlsx(crafted), (err) => err.status === 413 && err.code === "SPREADSHEET_TOO_LARGE");
+  });
+});
+
+describe("parseSpreadsheet", () => {
+  it("answers 415 for other formats", () => {
+    assert.throws(() => parseSpreadsheet(Buffer.from(""), "xls"), { status: 415, code: "UNSUPPORTED_FORMAT" });
+  });
+});
@@ -0,0 +1,82 @@
+// test/twoFactor.test.js — TOTP codes, recovery codes and login challenge tokens
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RECOVERY_CODE_COUNT,
+  generateRecoveryCode,
+  generateTotp,
+  hashRecoveryCode,
+  matchTotp,
+  signChallengeToken,
+  verifyChallengeToken,
+} from "../lib/twoFactor.js";
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", SHA-1, last six digits
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+];
+
+describe("TOTP", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code, `at ${seconds}s`);
+      assert.equal(matchTotp(RFC_SECRET, code, seconds * 1000), Math.floor(seconds / 30));
+    }
+  });
+
+  it("accepts one step of clock drift either way, and no more", () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(now / 30000);
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), now), step - 1);
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), now), step + 1);
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 60000), now), null);
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 60000), now), null);
+  });
+
+  it("ignores spaces and rejects anything but six digits", () => {
+    const now = 59 * 1000;
+    assert.equal(matchTotp(RFC_SECRET, "287 082", now), 1);
+    for (const code of ["", null, "28708", "2870820", "28708a", "94287082"]) {
+      assert.equal(matchTotp(RFC_SECRET, code, now), null, `code ${code}`);
+    }
+  });
+
+  it("treats the base32 secret case-insensitively", () => {
+    assert.equal(generateTotp(RFC_SECRET.toLowerCase(), 59 * 1000), "287082");
+  });
+});
+
+describe("recovery codes", () => {
+  it("come as xxxxx-xxxxx lowercase hex, different every time", () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    assert.equal(new Set(codes).size, codes.length);
+  });
+
+  it("hash the same however they are typed back in", () => {
+    const hash = hashRecoveryCode("a1b2c-3d4e5");
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(hashRecoveryCode("A1B2C-3D4E5"), hash);
+    assert.equal(hashRecoveryCode("a1b2c3d4e5"), hash);
+    assert.equal(hashRecoveryCode(" a1b2c 3d4e5 "), hash);
+    assert.notEqual(hashRecoveryCode("a1b2c-3d4e6"), hash);
+  });
+});
+
+describe("login challenge tokens", () => {
+  it("round-trip the user id", () => {
+    assert.equal(verifyChallengeToken(signChallengeToken(42)), 42);
+  });
+
+  it("reject missing and tampered tokens", () => {
+    assert.throws(() => verifyChallengeToken(undefined), { code: "MISSING_CHALLENGE", status: 400 });
+    const token = signChallengeToken(42);
+    const tampered = `${token.slice(0, -2)}${token.endsWith("aa") ? "bb" : "aa"}`;
+    assert.throws(() => verifyChallengeToken(tampered), { code: "INVALID_CHALLENGE", status: 401 });
+  });
+});
@@ -0,0 +1,99 @@
+// test/webhooks.test.js — where webhooks may be sent, and how payloads are signed
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import {
+  assertPublicDestination,
+  publicOnlyLookup,
+  signWebhookPayload,
+  validateEndpointUrl,
+} from "../lib/webhooks.js";
+
+const lookup = (hostname, options = {}) =>
+  new Promise((resolve, reject) =>
+    publicOnlyLookup(hostname, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })))
+  );
+
+describe("assertPublicDestination", () => {
+  it("refuses internal IP literals", () => {
+    for (const url of [
+      "http://127.0.0.1/hook",
+      "http://10.1.2.3/hook",
+      "http://172.16.0.1/hook",
+      "http://192.168.1.1/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://100.64.0.1/hook",
+      "http://0.0.0.0/hook",
+      "http://[::1]/hook",
+      "http://[fd00::1]/hook",
+      "http://[fe80::1]/hook",
+      "http://[::ffff:127.0.0.1]/hook",
+    ]) {
+      assert.throws(() => assertPublicDestination(url), /non-public address/, url);
+    }
+  });
+
+  it("lets public IP literals and host names through (names are checked at connect time)", () => {
+    assert.doesNotThrow(() => assertPublicDestination("https://93.184.216.34/hook"));
+    assert.doesNotThrow(() => assertPublicDestination("https://[2606:2800:220:1::]/hook"));
+    assert.doesNotThrow(() => assertPublicDestination("https://hooks.example.com/hook"));
+  });
+});
+
+describe("publicOnlyLookup", () => {
+  it("refuses names that resolve to internal addresses", async () => {
+    await assert.rejects(lookup("localhost"), /resolves to a non-public address/);
+    await assert.rejects(lookup("10.0.0.8"), /resolves to a non-public address \(10\.0\.0\.8\)/);
+  });
+
+  it("returns public addresses in the shape the socket asked for", async () => {
+    assert.deepEqual(await lookup("93.184.216.34"), { address: "93.184.216.34", family: 4 });
+    const { address } = await lookup("93.184.216.34", { all: true });
+    assert.deepEqual(address, [{ address: "93.184.216.34", family: 4 }]);
+  });
+
+  it("stops the connection before it reaches an internal server", async () => {
+    let reached = false;
+    const server = http.createServer((req, res) => {
+      reached = true;
+      res.end("ok");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+
+    try {
+      await assert.rejects(
+        new Promise((resolve, reject) => {
+          const req = http.request(`http://localhost:${port}/hook`, { method: "POST", lookup: publicOnlyLookup }, resolve);
+          req.on("error", reject);
+          req.end("{}");
+        }),
+        /non-public address/
+      );
+      assert.equal(reached, false);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe("validateEndpointUrl", () => {
+  it("refuses relative, non-http(s) and internal URLs", () => {
+    for (const url of ["/hook", "ftp://example.com/hook", "http://localhost:3000/hook", "https://192.168.0.10/hook", ""]) {
+      assert.throws(() => validateEndpointUrl(url), { code: "INVALID_URL", status: 400 }, url);
+    }
+  });
+
+  it("returns the normalized URL", () => {
+    assert.equal(validateEndpointUrl("https://Hooks.Example.com/a b"), "https://hooks.example.com/a%20b");
+  });
+});
+
+describe("signWebhookPayload", () => {
+  it("signs `${t}.${body}` with HMAC-SHA256", () => {
+    const body = JSON.stringify({ id: "evt_1", type: "order.status_changed" });
+    const expected = crypto.createHmac("sha256", "whsec_1").update(`1700000000.${body}`).digest("hex");
+    assert.equal(signWebhookPayload("whsec_1", body, 1700000000), `t=1700000000,v1=${expected}`);
+  });
+});